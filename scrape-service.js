@@ -0,0 +1,122 @@
+/**
+ * JELABBC Tracking - Microservicio de scraping (Fase 7 D1)
+ * Expone el pool de Puppeteer (browser.js + extractor.js) por HTTP para
+ * correr en un container con Chromium, fuera del App Service.
+ *
+ * Endpoints:
+ *   POST /scrape  - Body: config del proveedor (url, username, password, selectores...)
+ *                   Respuesta: { success, coords, count, source, strategies, login, duration }
+ *   GET  /pool    - browser.poolStatus()
+ *   GET  /health  - Liveness del container
+ *
+ * La app principal lo usa como extractor remoto configurando
+ * SCRAPE_SERVICE_URL (ver src/scraper/browser-fetcher.js).
+ *
+ * /scrape y /pool exigen "Authorization: Bearer <SCRAPE_SERVICE_TOKEN>";
+ * sin token configurado responden 503 (el servicio recibe credenciales).
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const morgan = require('morgan');
+
+const browserManager = require('./src/scraper/browser');
+const browserFetcher = require('./src/scraper/browser-fetcher');
+
+const app = express();
+const PORT = process.env.SCRAPE_SERVICE_PORT || process.env.PORT || 8090;
+const SERVICE_TOKEN = process.env.SCRAPE_SERVICE_TOKEN || '';
+
+// ---------------------------------------------------------------------------
+// Middleware
+// ---------------------------------------------------------------------------
+app.use(morgan('combined'));
+app.use(express.json({ limit: '100kb' }));
+
+// Token compartido con la app principal (obligatorio: sin el no se atiende)
+function requireToken(req, res, next) {
+  if (!SERVICE_TOKEN) {
+    return res.status(503).json({ success: false, error: 'SCRAPE_SERVICE_TOKEN no configurado' });
+  }
+  const header = req.headers.authorization || '';
+  if (_sameSecret(header, `Bearer ${SERVICE_TOKEN}`)) return next();
+  return res.status(401).json({ success: false, error: 'Token invalido' });
+}
+
+// Comparacion en tiempo constante (hash para igualar longitudes)
+function _sameSecret(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// ---------------------------------------------------------------------------
+// Rutas
+// ---------------------------------------------------------------------------
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+app.get('/pool', requireToken, (req, res) => {
+  res.json({ success: true, data: browserManager.poolStatus() });
+});
+
+app.post('/scrape', requireToken, async (req, res) => {
+  const startTime = Date.now();
+  const body = req.body || {};
+
+  if (!body.url || !/^https?:\/\//i.test(body.url)) {
+    return res.status(400).json({ success: false, error: 'url (http/https) es requerida' });
+  }
+
+  const provider = {};
+  for (const field of browserFetcher.SCRAPE_FIELDS) {
+    if (body[field] !== undefined) provider[field] = body[field];
+  }
+
+  const options = {};
+  if (Array.isArray(body.urlFilters)) options.urlFilters = body.urlFilters.map(String);
+  if (body.networkOnly) options.networkOnly = true;
+
+  try {
+    const result = await browserFetcher.scrapeLocal(provider, options);
+    res.json({
+      success: !result.error,
+      error: result.error || null,
+      coords: result.coords || [],
+      count: (result.coords || []).length,
+      source: result.source,
+      strategies: result.strategies || {},
+      login: result.login || null,
+      duration: Date.now() - startTime,
+    });
+  } catch (err) {
+    console.error('[ScrapeService] Error en /scrape:', err.message);
+    res.status(500).json({ success: false, error: err.message, coords: [], duration: Date.now() - startTime });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Start
+// ---------------------------------------------------------------------------
+app.listen(PORT, () => {
+  console.log(`[ScrapeService] Microservicio de scraping en puerto ${PORT}`);
+  console.log(`[ScrapeService] Pool: ${JSON.stringify(browserManager.poolStatus())}`);
+  if (!SERVICE_TOKEN) {
+    console.warn('[ScrapeService] SCRAPE_SERVICE_TOKEN no configurado: /scrape y /pool responden 503');
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Limpieza al cerrar (cerrar pool de browsers)
+// ---------------------------------------------------------------------------
+async function gracefulShutdown(signal) {
+  console.log(`[ScrapeService] ${signal} recibido, cerrando browsers...`);
+  await browserManager.closeAll().catch(() => {});
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+module.exports = app;
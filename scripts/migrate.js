@@ -141,6 +141,155 @@ const SQL_STATEMENTS = [
   { name: 'Col fecha_llegada', sql: `ALTER TABLE unidades_viajes ADD COLUMN fecha_llegada DATETIME DEFAULT NULL`, ignoreDup: true },
   { name: 'Col fecha_llegada_estimada', sql: `ALTER TABLE unidades_viajes ADD COLUMN fecha_llegada_estimada DATETIME DEFAULT NULL`, ignoreDup: true },
 
+  // --- Columnas nuevas en conf_providers ---
+  { name: 'Col conf_providers.plataforma', sql: `ALTER TABLE conf_providers ADD COLUMN plataforma VARCHAR(30) DEFAULT NULL AFTER url`, ignoreDup: true },
+  { name: 'Col conf_providers.receta', sql: `ALTER TABLE conf_providers ADD COLUMN receta TEXT DEFAULT NULL AFTER plataforma`, ignoreDup: true },
+  { name: 'Col conf_providers.modo_extraccion', sql: `ALTER TABLE conf_providers ADD COLUMN modo_extraccion ENUM('http','browser','auto') NOT NULL DEFAULT 'http' AFTER receta`, ignoreDup: true },
+  { name: 'Col conf_providers.fallos_consecutivos', sql: `ALTER TABLE conf_providers ADD COLUMN fallos_consecutivos INT UNSIGNED NOT NULL DEFAULT 0 AFTER ultimo_error`, ignoreDup: true },
+  { name: 'Col conf_providers.suspendido_en', sql: `ALTER TABLE conf_providers ADD COLUMN suspendido_en DATETIME DEFAULT NULL AFTER fallos_consecutivos`, ignoreDup: true },
+  { name: 'Col conf_providers.zona_horaria', sql: `ALTER TABLE conf_providers ADD COLUMN zona_horaria VARCHAR(64) DEFAULT NULL AFTER modo_extraccion`, ignoreDup: true },
+  { name: 'Col op_coordinates.calidad', sql: `ALTER TABLE op_coordinates ADD COLUMN calidad ENUM('ok','deriva','suavizado','rechazado') NOT NULL DEFAULT 'ok' AFTER fuente`, ignoreDup: true },
+  { name: 'Col op_coordinates.calidad_motivo', sql: `ALTER TABLE op_coordinates ADD COLUMN calidad_motivo VARCHAR(100) DEFAULT NULL AFTER calidad`, ignoreDup: true },
+  { name: 'Col estado_gps', sql: `ALTER TABLE unidades_viajes ADD COLUMN estado_gps ENUM('en_movimiento','detenido','sin_senal','proveedor_caido') NOT NULL DEFAULT 'en_movimiento' AFTER umbral_paro_minutos`, ignoreDup: true },
+  { name: 'Col estado_gps_desde', sql: `ALTER TABLE unidades_viajes ADD COLUMN estado_gps_desde DATETIME DEFAULT NULL AFTER estado_gps`, ignoreDup: true },
+  { name: 'Ampliar enum conf_providers.modo_extraccion', sql: `ALTER TABLE conf_providers MODIFY COLUMN modo_extraccion ENUM('http','browser','auto','push') NOT NULL DEFAULT 'http'`, ignoreDup: true },
+
+  // --- Identidad de dispositivo ---
+  {
+    name: 'Crear conf_dispositivos',
+    sql: `CREATE TABLE IF NOT EXISTS conf_dispositivos (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      provider_id INT UNSIGNED DEFAULT NULL,
+      identificador VARCHAR(100) NOT NULL,
+      nombre VARCHAR(100) DEFAULT NULL,
+      placas VARCHAR(20) DEFAULT NULL,
+      id_unidad_viaje BIGINT UNSIGNED DEFAULT NULL,
+      activo BOOLEAN DEFAULT TRUE,
+      creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+      actualizado_en DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_provider_identificador (provider_id, identificador),
+      INDEX idx_viaje (id_unidad_viaje),
+      INDEX idx_placas (placas)
+    )`,
+  },
+  { name: 'Col op_coordinates.dispositivo', sql: `ALTER TABLE op_coordinates ADD COLUMN dispositivo VARCHAR(100) DEFAULT NULL AFTER provider_id`, ignoreDup: true },
+  { name: 'Col conf_dispositivos.token_push', sql: `ALTER TABLE conf_dispositivos ADD COLUMN token_push CHAR(40) DEFAULT NULL AFTER id_unidad_viaje, ADD UNIQUE KEY uk_token_push (token_push)`, ignoreDup: true },
+
+  // --- Bandeja de dispositivos sin asignar ---
+  {
+    name: 'Crear op_dispositivos_pendientes',
+    sql: `CREATE TABLE IF NOT EXISTS op_dispositivos_pendientes (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      provider_id INT UNSIGNED NOT NULL,
+      identificador VARCHAR(100) NOT NULL,
+      nombre VARCHAR(100) DEFAULT NULL,
+      ultima_lat DECIMAL(10,8) DEFAULT NULL,
+      ultima_lng DECIMAL(11,8) DEFAULT NULL,
+      ultima_velocidad DECIMAL(8,2) DEFAULT NULL,
+      ultimo_rumbo DECIMAL(5,1) DEFAULT NULL,
+      ultima_fecha_gps DATETIME DEFAULT NULL,
+      total_posiciones INT UNSIGNED DEFAULT 0,
+      estado ENUM('pendiente','asignado','descartado') NOT NULL DEFAULT 'pendiente',
+      id_unidad_viaje BIGINT UNSIGNED DEFAULT NULL,
+      asignado_en DATETIME DEFAULT NULL,
+      primera_vez DATETIME DEFAULT CURRENT_TIMESTAMP,
+      ultima_vez DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_provider_identificador (provider_id, identificador),
+      INDEX idx_estado (estado)
+    )`,
+  },
+  {
+    name: 'Crear op_dispositivos_historial',
+    sql: `CREATE TABLE IF NOT EXISTS op_dispositivos_historial (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      id_pendiente INT UNSIGNED NOT NULL,
+      latitud DECIMAL(10,8) NOT NULL,
+      longitud DECIMAL(11,8) NOT NULL,
+      velocidad DECIMAL(8,2) DEFAULT NULL,
+      rumbo DECIMAL(5,1) DEFAULT NULL,
+      fecha_gps DATETIME DEFAULT NULL,
+      fuente VARCHAR(50) DEFAULT NULL,
+      fecha_extraccion DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_pendiente (id_pendiente, fecha_extraccion)
+    )`,
+  },
+
+  // --- Payloads crudos del scraper ---
+  {
+    name: 'Crear log_scrape_payload',
+    sql: `CREATE TABLE IF NOT EXISTS log_scrape_payload (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      log_scrape_id INT UNSIGNED NOT NULL,
+      provider_id INT UNSIGNED NOT NULL,
+      formato ENUM('json','text') NOT NULL DEFAULT 'json',
+      bytes_original INT UNSIGNED NOT NULL DEFAULT 0,
+      bytes_comprimido INT UNSIGNED NOT NULL DEFAULT 0,
+      truncado BOOLEAN NOT NULL DEFAULT FALSE,
+      hash_sha1 CHAR(40) DEFAULT NULL,
+      payload_gz MEDIUMTEXT NOT NULL,
+      creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uk_log (log_scrape_id),
+      INDEX idx_provider (provider_id, log_scrape_id),
+      INDEX idx_creado (creado_en)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  },
+
+  // --- Paros por viaje (stop-detector) ---
+  {
+    name: 'Crear op_paros',
+    sql: `CREATE TABLE IF NOT EXISTS op_paros (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      id_unidad_viaje BIGINT UNSIGNED NOT NULL,
+      inicio DATETIME NOT NULL,
+      fin DATETIME NOT NULL,
+      lat_centro DECIMAL(10,8) NOT NULL,
+      lng_centro DECIMAL(11,8) NOT NULL,
+      duracion_min INT UNSIGNED NOT NULL DEFAULT 0,
+      puntos INT UNSIGNED NOT NULL DEFAULT 0,
+      abierto BOOLEAN NOT NULL DEFAULT TRUE,
+      alertado BOOLEAN NOT NULL DEFAULT FALSE,
+      creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+      actualizado_en DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_viaje_inicio (id_unidad_viaje, inicio)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  },
+
+  // --- Geocercas (geofences) ---
+  {
+    name: 'Crear conf_geocercas',
+    sql: `CREATE TABLE IF NOT EXISTS conf_geocercas (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      nombre VARCHAR(100) NOT NULL,
+      tipo ENUM('zona','destino','punto_logistico') NOT NULL DEFAULT 'zona',
+      forma ENUM('circulo','poligono') NOT NULL,
+      lat_centro DECIMAL(10,8) DEFAULT NULL,
+      lng_centro DECIMAL(11,8) DEFAULT NULL,
+      radio_m INT UNSIGNED DEFAULT NULL,
+      vertices TEXT DEFAULT NULL,
+      id_unidad_viaje BIGINT UNSIGNED DEFAULT NULL,
+      permanencia_min INT UNSIGNED DEFAULT NULL,
+      llamada_ia ENUM('no','entrada','salida','permanencia') NOT NULL DEFAULT 'no',
+      activo BOOLEAN NOT NULL DEFAULT TRUE,
+      creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+      actualizado_en DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_viaje_activo (id_unidad_viaje, activo)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  },
+  {
+    name: 'Crear op_geocerca_visitas',
+    sql: `CREATE TABLE IF NOT EXISTS op_geocerca_visitas (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      id_geocerca INT UNSIGNED NOT NULL,
+      id_unidad_viaje BIGINT UNSIGNED NOT NULL,
+      entrada DATETIME NOT NULL,
+      salida DATETIME DEFAULT NULL,
+      permanencia_notificada BOOLEAN NOT NULL DEFAULT FALSE,
+      creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_viaje_salida (id_unidad_viaje, salida),
+      INDEX idx_geocerca (id_geocerca)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  },
+
   // --- Ampliar enums ---
   {
     name: 'Ampliar enum eventos_unidad.tipo_evento',
@@ -151,7 +300,10 @@ const SQL_STATEMENTS = [
       'llamada_ia_operador','llamada_ia_coordinador',
       'scrape_exitoso','scrape_error',
       'notif_push_proximidad','modulacion_consultada',
-      'alerta_paro_ia','llegada_destino','llegada_punto_logistico'
+      'alerta_paro_ia','llegada_destino','llegada_punto_logistico',
+      'alarma_sos','alarma_corte_energia',
+      'gps_sin_senal','proveedor_caido','gps_restablecido',
+      'geocerca_entrada','geocerca_salida','geocerca_permanencia'
     ) NOT NULL`,
     ignoreDup: true,
   },
@@ -218,7 +370,7 @@ async function main() {
 
   // Verificar que las tablas existen
   LOG('Verificando tablas...');
-  const tables = ['conf_providers', 'op_coordinates', 'log_scrape', 'conf_ai_protocols', 'log_ai_calls', 'unidades_viajes', 'eventos_unidad', 'contactos_viaje'];
+  const tables = ['conf_providers', 'conf_dispositivos', 'op_coordinates', 'op_dispositivos_pendientes', 'op_dispositivos_historial', 'log_scrape', 'log_scrape_payload', 'op_paros', 'conf_geocercas', 'op_geocerca_visitas', 'conf_ai_protocols', 'log_ai_calls', 'unidades_viajes', 'eventos_unidad', 'contactos_viaje'];
   for (const table of tables) {
     try {
       const [rows] = await connection.execute(`SELECT COUNT(*) AS c FROM ${table}`);
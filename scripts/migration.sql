@@ -90,6 +90,133 @@ ALTER TABLE unidades_viajes ADD COLUMN IF NOT EXISTS fecha_salida DATETIME DEFAU
 ALTER TABLE unidades_viajes ADD COLUMN IF NOT EXISTS fecha_llegada DATETIME DEFAULT NULL;
 ALTER TABLE unidades_viajes ADD COLUMN IF NOT EXISTS fecha_llegada_estimada DATETIME DEFAULT NULL;
 
+-- Override de adaptador GPS en conf_providers (NULL = detectar por URL)
+ALTER TABLE conf_providers ADD COLUMN IF NOT EXISTS plataforma VARCHAR(30) DEFAULT NULL;
+ALTER TABLE conf_providers ADD COLUMN IF NOT EXISTS receta TEXT DEFAULT NULL;
+ALTER TABLE conf_providers ADD COLUMN IF NOT EXISTS modo_extraccion ENUM('http','browser','auto') NOT NULL DEFAULT 'http';
+ALTER TABLE conf_providers ADD COLUMN IF NOT EXISTS fallos_consecutivos INT UNSIGNED NOT NULL DEFAULT 0;
+ALTER TABLE conf_providers ADD COLUMN IF NOT EXISTS suspendido_en DATETIME DEFAULT NULL;
+ALTER TABLE conf_providers ADD COLUMN IF NOT EXISTS zona_horaria VARCHAR(64) DEFAULT NULL;
+ALTER TABLE op_coordinates ADD COLUMN IF NOT EXISTS calidad ENUM('ok','deriva','suavizado','rechazado') NOT NULL DEFAULT 'ok';
+ALTER TABLE op_coordinates ADD COLUMN IF NOT EXISTS calidad_motivo VARCHAR(100) DEFAULT NULL;
+ALTER TABLE unidades_viajes ADD COLUMN IF NOT EXISTS estado_gps ENUM('en_movimiento','detenido','sin_senal','proveedor_caido') NOT NULL DEFAULT 'en_movimiento';
+ALTER TABLE unidades_viajes ADD COLUMN IF NOT EXISTS estado_gps_desde DATETIME DEFAULT NULL;
+ALTER TABLE conf_providers MODIFY COLUMN modo_extraccion ENUM('http','browser','auto','push') NOT NULL DEFAULT 'http';
+
+-- Identidad de dispositivo: mapeo dispositivo → viaje y dispositivo por coordenada
+CREATE TABLE IF NOT EXISTS conf_dispositivos (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    provider_id INT UNSIGNED DEFAULT NULL,
+    identificador VARCHAR(100) NOT NULL,
+    nombre VARCHAR(100) DEFAULT NULL,
+    placas VARCHAR(20) DEFAULT NULL,
+    id_unidad_viaje BIGINT UNSIGNED DEFAULT NULL,
+    activo BOOLEAN DEFAULT TRUE,
+    creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+    actualizado_en DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_provider_identificador (provider_id, identificador)
+  );
+ALTER TABLE op_coordinates ADD COLUMN IF NOT EXISTS dispositivo VARCHAR(100) DEFAULT NULL;
+ALTER TABLE conf_dispositivos ADD COLUMN IF NOT EXISTS token_push CHAR(40) DEFAULT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS uk_token_push ON conf_dispositivos (token_push);
+
+-- Bandeja de dispositivos sin asignar (ultima posicion + historial en espera)
+CREATE TABLE IF NOT EXISTS op_dispositivos_pendientes (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    provider_id INT UNSIGNED NOT NULL,
+    identificador VARCHAR(100) NOT NULL,
+    nombre VARCHAR(100) DEFAULT NULL,
+    ultima_lat DECIMAL(10,8) DEFAULT NULL,
+    ultima_lng DECIMAL(11,8) DEFAULT NULL,
+    ultima_velocidad DECIMAL(8,2) DEFAULT NULL,
+    ultimo_rumbo DECIMAL(5,1) DEFAULT NULL,
+    ultima_fecha_gps DATETIME DEFAULT NULL,
+    total_posiciones INT UNSIGNED DEFAULT 0,
+    estado ENUM('pendiente','asignado','descartado') NOT NULL DEFAULT 'pendiente',
+    id_unidad_viaje BIGINT UNSIGNED DEFAULT NULL,
+    asignado_en DATETIME DEFAULT NULL,
+    primera_vez DATETIME DEFAULT CURRENT_TIMESTAMP,
+    ultima_vez DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_provider_identificador (provider_id, identificador)
+  );
+CREATE TABLE IF NOT EXISTS op_dispositivos_historial (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    id_pendiente INT UNSIGNED NOT NULL,
+    latitud DECIMAL(10,8) NOT NULL,
+    longitud DECIMAL(11,8) NOT NULL,
+    velocidad DECIMAL(8,2) DEFAULT NULL,
+    rumbo DECIMAL(5,1) DEFAULT NULL,
+    fecha_gps DATETIME DEFAULT NULL,
+    fuente VARCHAR(50) DEFAULT NULL,
+    fecha_extraccion DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_pendiente (id_pendiente, fecha_extraccion)
+  );
+
+-- Payloads crudos del scraper (detalle y diff en /logs)
+CREATE TABLE IF NOT EXISTS log_scrape_payload (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    log_scrape_id INT UNSIGNED NOT NULL,
+    provider_id INT UNSIGNED NOT NULL,
+    formato ENUM('json','text') NOT NULL DEFAULT 'json',
+    bytes_original INT UNSIGNED NOT NULL DEFAULT 0,
+    bytes_comprimido INT UNSIGNED NOT NULL DEFAULT 0,
+    truncado BOOLEAN NOT NULL DEFAULT FALSE,
+    hash_sha1 CHAR(40) DEFAULT NULL,
+    payload_gz MEDIUMTEXT NOT NULL,
+    creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_log (log_scrape_id),
+    INDEX idx_provider (provider_id, log_scrape_id),
+    INDEX idx_creado (creado_en)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Paros por viaje (stop-detector, lista en el detalle del viaje)
+CREATE TABLE IF NOT EXISTS op_paros (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    id_unidad_viaje BIGINT UNSIGNED NOT NULL,
+    inicio DATETIME NOT NULL,
+    fin DATETIME NOT NULL,
+    lat_centro DECIMAL(10,8) NOT NULL,
+    lng_centro DECIMAL(11,8) NOT NULL,
+    duracion_min INT UNSIGNED NOT NULL DEFAULT 0,
+    puntos INT UNSIGNED NOT NULL DEFAULT 0,
+    abierto BOOLEAN NOT NULL DEFAULT TRUE,
+    alertado BOOLEAN NOT NULL DEFAULT FALSE,
+    creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+    actualizado_en DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_viaje_inicio (id_unidad_viaje, inicio)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Geocercas y visitas abiertas (evaluador src/scraper/geofences.js)
+CREATE TABLE IF NOT EXISTS conf_geocercas (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL,
+    tipo ENUM('zona','destino','punto_logistico') NOT NULL DEFAULT 'zona',
+    forma ENUM('circulo','poligono') NOT NULL,
+    lat_centro DECIMAL(10,8) DEFAULT NULL,
+    lng_centro DECIMAL(11,8) DEFAULT NULL,
+    radio_m INT UNSIGNED DEFAULT NULL,
+    vertices TEXT DEFAULT NULL,
+    id_unidad_viaje BIGINT UNSIGNED DEFAULT NULL,
+    permanencia_min INT UNSIGNED DEFAULT NULL,
+    llamada_ia ENUM('no','entrada','salida','permanencia') NOT NULL DEFAULT 'no',
+    activo BOOLEAN NOT NULL DEFAULT TRUE,
+    creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+    actualizado_en DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_viaje_activo (id_unidad_viaje, activo)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS op_geocerca_visitas (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    id_geocerca INT UNSIGNED NOT NULL,
+    id_unidad_viaje BIGINT UNSIGNED NOT NULL,
+    entrada DATETIME NOT NULL,
+    salida DATETIME DEFAULT NULL,
+    permanencia_notificada BOOLEAN NOT NULL DEFAULT FALSE,
+    creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_viaje_salida (id_unidad_viaje, salida),
+    INDEX idx_geocerca (id_geocerca)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Ampliar enum en eventos_unidad (si la tabla existe)
 ALTER TABLE eventos_unidad
   MODIFY COLUMN tipo_evento ENUM(
@@ -99,7 +226,10 @@ ALTER TABLE eventos_unidad
     'llamada_ia_operador','llamada_ia_coordinador',
     'scrape_exitoso','scrape_error',
     'notif_push_proximidad','modulacion_consultada',
-    'alerta_paro_ia','llegada_destino','llegada_punto_logistico'
+    'alerta_paro_ia','llegada_destino','llegada_punto_logistico',
+    'alarma_sos','alarma_corte_energia',
+    'gps_sin_senal','proveedor_caido','gps_restablecido',
+    'geocerca_entrada','geocerca_salida','geocerca_permanencia'
   ) NOT NULL;
 
 -- Ampliar enum en contactos_viaje (si la tabla existe)
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Replay de fixtures — Corre cada adaptador contra sus intercambios grabados
+ *
+ * Uso: node scripts/replay-fixtures.js [archivo|directorio ...] [--adapter=micodus] [--update] [--verbose]
+ *   o: npm run fixtures:replay
+ *
+ * Cada fixture (fixtures/providers/<adaptador>/*.json, grabado con
+ * SCRAPER_RECORD_FIXTURES=1) se reproduce con http-fetcher sin tocar la red
+ * y su resultado se compara con el resumen grabado: conteo de coordenadas y
+ * dispositivos, campos nuevos/perdidos y valores de las coordenadas de muestra.
+ *
+ *   --adapter=nombre  Solo fixtures de ese adaptador
+ *   --update          Acepta los resultados actuales como nuevo resumen
+ *   --verbose         Muestra los logs de los adaptadores
+ *
+ * Un fixture con credenciales sin redactar (password del proveedor o campos
+ * tipo password/token en los bodies, ver fixtures.leaks) cuenta como error.
+ *
+ * Sale con codigo 1 si algun fixture cambio (sin --update) o fallo.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const fixtures = require('../src/scraper/fixtures');
+const httpFetcher = require('../src/scraper/http-fetcher');
+
+const args = process.argv.slice(2);
+const flags = {
+  update: args.includes('--update'),
+  verbose: args.includes('--verbose'),
+  adapter: (args.find(a => a.startsWith('--adapter=')) || '').split('=')[1] || null,
+};
+const targets = args.filter(a => !a.startsWith('--'));
+
+const OK = (msg) => console.log(`[Fixtures] ✓ ${msg}`);
+const CHANGED = (msg) => console.log(`[Fixtures] ~ ${msg}`);
+const ERR = (msg) => console.error(`[Fixtures] ✗ ${msg}`);
+
+// ============================================================================
+// Replay
+// ============================================================================
+
+/**
+ * Reproduce un fixture con su adaptador (forzado por plataforma).
+ * Los logs del adaptador se silencian salvo con --verbose.
+ */
+async function replayFixture(fixture) {
+  const provider = { ...fixture.provider, plataforma: fixture.adapter };
+  const restore = flags.verbose ? null : silenceConsole();
+
+  try {
+    const result = await httpFetcher.fetch(provider, { fixture, timeoutMs: 5000 });
+    return fixtures.summarize(result);
+  } finally {
+    if (restore) restore();
+  }
+}
+
+function silenceConsole() {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = console.warn = console.error = () => {};
+  return () => Object.assign(console, original);
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+async function main() {
+  const files = (targets.length > 0 ? targets : [fixtures.FIXTURES_DIR])
+    .flatMap(t => fixtures.list(path.resolve(t)));
+
+  if (files.length === 0) {
+    console.log(`[Fixtures] No hay fixtures en ${targets.join(', ') || fixtures.FIXTURES_DIR}`);
+    console.log('[Fixtures] Graba algunos con SCRAPER_RECORD_FIXTURES=1 y un ciclo del scraper o el banco de pruebas');
+    return;
+  }
+
+  let changed = 0;
+  let failed = 0;
+  let total = 0;
+
+  for (const file of files) {
+    const name = path.relative(process.cwd(), file);
+    let fixture;
+    try {
+      fixture = fixtures.load(file);
+    } catch (err) {
+      ERR(`${name}: JSON invalido (${err.message})`);
+      failed++;
+      continue;
+    }
+
+    if (flags.adapter && fixture.adapter !== flags.adapter) continue;
+    total++;
+
+    const leaks = fixtures.leaks(fixture);
+    if (leaks.length > 0) {
+      ERR(`${name}: credenciales sin redactar (${leaks.join(', ')})`);
+      failed++;
+      continue;
+    }
+
+    try {
+      const result = await replayFixture(fixture);
+      const changes = fixtures.compare(fixture.result, result);
+
+      if (changes.length === 0) {
+        OK(`${name}: ${result.count} coords, sin cambios`);
+        continue;
+      }
+
+      changed++;
+      CHANGED(`${name}:`);
+      for (const change of changes) console.log(`      ${change}`);
+
+      if (flags.update) {
+        fixtures.updateResult(file, fixture, result);
+        console.log('      resumen actualizado');
+      }
+    } catch (err) {
+      ERR(`${name}: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`[Fixtures] ${total} fixtures: ${total - changed - failed} sin cambios, ${changed} con cambios, ${failed} con error`);
+  if (failed > 0 || (changed > 0 && !flags.update)) process.exitCode = 1;
+}
+
+main().catch(err => {
+  ERR(err.message);
+  process.exit(1);
+});
@@ -339,7 +339,10 @@ ALTER TABLE eventos_unidad
     'llamada_ia_operador','llamada_ia_coordinador',
     'scrape_exitoso','scrape_error',
     'notif_push_proximidad','modulacion_consultada',
-    'alerta_paro_ia','llegada_destino','llegada_punto_logistico'
+    'alerta_paro_ia','llegada_destino','llegada_punto_logistico',
+    'alarma_sos','alarma_corte_energia',
+    'gps_sin_senal','proveedor_caido','gps_restablecido',
+    'geocerca_entrada','geocerca_salida','geocerca_permanencia'
   ) NOT NULL;
 
 -- Ampliar enum en contactos_viaje (si la tabla existe)
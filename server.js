@@ -18,12 +18,19 @@ const PORT = process.env.PORT || 8080;
 // Scraper & Scheduler — requires y estado
 // ---------------------------------------------------------------------------
 const coordinator = require('./src/scraper/coordinator');
+const browserFetcher = require('./src/scraper/browser-fetcher');
+const fixCache = require('./src/scraper/fix-cache');
+const gt06Server = require('./src/scraper/gt06-server');
+const geofences = require('./src/scraper/geofences');
+const time = require('./src/utils/time');
 const stopDetector = require('./src/ai/stop-detector');
+const feedMonitor = require('./src/ai/feed-monitor');
 const vapiTrigger = require('./src/ai/vapi-trigger');
 const monitoreoSync = require('./src/ai/monitoreo-sync');
 const monitoreoSesiones = require('./src/ai/monitoreo-sesiones');
 
 const CRON_EXPRESSION = process.env.CRON_SCHEDULE || '*/1 * * * *';
+const GT06_PORT = parseInt(process.env.GT06_PORT || '0', 10);
 let schedulerEnabled = (process.env.SCHEDULER_ENABLED || 'true') !== 'false';
 let schedulerRunning = false;
 
@@ -31,6 +38,7 @@ let schedulerRunning = false;
 let aiDetectionEnabled = (process.env.AI_DETECTION_ENABLED || 'true') !== 'false';
 let lastDetectionTime = null;
 let lastDetectionResult = null;
+let lastStopsUpdateTime = null;
 const AI_DETECTION_INTERVAL_MS = (parseInt(process.env.AI_DETECTION_INTERVAL_MIN) || 5) * 60 * 1000;
 
 // ---------------------------------------------------------------------------
@@ -69,12 +77,18 @@ app.use(session({
 app.use('/public', express.static(path.join(__dirname, 'src', 'public')));
 
 // ---------------------------------------------------------------------------
-// Locals para todas las vistas (Syncfusion, Google Maps keys)
+// Locals para todas las vistas (Syncfusion, Google Maps keys, zona horaria)
+// La zona del usuario llega en la cookie "tz" (la pone time-format.js desde
+// el navegador); sin cookie se usa APP_TIMEZONE.
 // ---------------------------------------------------------------------------
 app.use((req, res, next) => {
+  const userTimezone = time.isValidTimezone(req.cookies.tz) ? req.cookies.tz : time.APP_TIMEZONE;
+
   res.locals.googleMapsApiKey = process.env.GOOGLE_MAPS_API_KEY || '';
   res.locals.syncfusionLicense = process.env.SYNCFUSION_LICENSE || '';
   res.locals.user = req.session.user || null;
+  res.locals.userTimezone = userTimezone;
+  res.locals.formatDate = (value, options) => time.formatDate(value, userTimezone, options);
   next();
 });
 
@@ -98,6 +112,8 @@ const viajesRoutes = require('./src/routes/viajes');
 const coordinatesRoutes = require('./src/routes/coordinates');
 const aiRoutes = require('./src/routes/ai');
 const logsRoutes = require('./src/routes/logs');
+const geocercasRoutes = require('./src/routes/geocercas');
+const pushRoutes = require('./src/routes/push');
 
 app.use('/', authRoutes);
 app.use('/dashboard', requireAuth, dashboardRoutes);
@@ -106,6 +122,10 @@ app.use('/viajes', requireAuth, viajesRoutes);
 app.use('/coordinates', requireAuth, coordinatesRoutes);
 app.use('/ai', requireAuth, aiRoutes);
 app.use('/logs', requireAuth, logsRoutes);
+app.use('/geocercas', requireAuth, geocercasRoutes);
+
+// Posiciones push (OsmAnd / Traccar Client): autenticadas por token de dispositivo
+app.use('/push', pushRoutes);
 
 // Health check (Azure App Service usa esto para verificar que la app esta viva)
 app.get('/health', (req, res) => {
@@ -163,6 +183,10 @@ app.post('/api/scheduler/toggle', requireAuth, (req, res) => {
   res.json({ enabled: schedulerEnabled });
 });
 
+app.get('/api/gt06/status', requireAuth, (req, res) => {
+  res.json({ enabled: !!GT06_PORT, port: GT06_PORT || null, ...gt06Server.status() });
+});
+
 // ---------------------------------------------------------------------------
 // AI Stop Detection API — status y ejecucion manual
 // ---------------------------------------------------------------------------
@@ -208,6 +232,16 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`[JELABBC Tracking] Servidor iniciado en puerto ${PORT}`);
   console.log(`[JELABBC Tracking] Entorno: ${process.env.NODE_ENV || 'development'}`);
+
+  // Sembrar el cache de ultimo fix (dedup del scraper) antes del primer ciclo
+  fixCache.seed();
+
+  // Listener TCP de rastreadores GT06 / Concox (solo si se configura el puerto)
+  if (GT06_PORT) {
+    gt06Server.start(GT06_PORT).catch(err => {
+      console.error(`[GT06] No se pudo abrir el puerto ${GT06_PORT}: ${err.message}`);
+    });
+  }
 });
 
 // ---------------------------------------------------------------------------
@@ -264,6 +298,18 @@ const schedulerTask = cron.schedule(CRON_EXPRESSION, async () => {
       console.error('[Monitoreo] Error en watchdog:', wdErr.message);
     }
 
+    // --- Geocercas con llamada IA (eventos del scraping y de push) ---
+    // Los eventos ya quedaron en eventos_unidad; aqui solo se llama
+    const geofenceAlerts = geofences.takeAlerts();
+    if (aiDetectionEnabled && geofenceAlerts.length > 0) {
+      try {
+        console.log(`[AI] ${geofenceAlerts.length} eventos de geocerca con llamada, avisando a coordinadores...`);
+        await vapiTrigger.processGeofenceAlerts(geofenceAlerts);
+      } catch (geoErr) {
+        console.error('[AI] Error en llamadas de geocercas:', geoErr.message);
+      }
+    }
+
     // --- Fase 3: Deteccion de paros IA ---
     // Se ejecuta despues del scraping, respetando su propio intervalo
     if (aiDetectionEnabled) {
@@ -272,15 +318,23 @@ const schedulerTask = cron.schedule(CRON_EXPRESSION, async () => {
 
       if (shouldRunDetection) {
         try {
+          // Primero el estado del feed: sin senal / proveedor caido no es paro
+          const feedAlerts = await feedMonitor.checkFeeds();
           const stops = await stopDetector.detectStops();
           lastDetectionTime = new Date();
 
+          if (feedAlerts.length > 0) {
+            console.log(`[AI] ${feedAlerts.length} viajes sin senal GPS o con proveedor caido, avisando a coordinadores...`);
+            await vapiTrigger.processFeedAlerts(feedAlerts);
+          }
+
           if (stops.length > 0) {
             console.log(`[AI] ${stops.length} paros detectados, iniciando protocolo de llamadas...`);
             const callResult = await vapiTrigger.processStopAlerts(stops);
             lastDetectionResult = {
               time: lastDetectionTime.toISOString(),
               stops: stops.length,
+              feed: feedAlerts.length,
               calls: callResult.calls,
               answered: callResult.callsAnswered,
             };
@@ -289,6 +343,7 @@ const schedulerTask = cron.schedule(CRON_EXPRESSION, async () => {
             lastDetectionResult = {
               time: lastDetectionTime.toISOString(),
               stops: 0,
+              feed: feedAlerts.length,
               calls: 0,
               answered: 0,
             };
@@ -298,6 +353,12 @@ const schedulerTask = cron.schedule(CRON_EXPRESSION, async () => {
           lastDetectionResult = { time: new Date().toISOString(), error: aiErr.message };
         }
       }
+    } else if (!lastStopsUpdateTime || (Date.now() - lastStopsUpdateTime.getTime()) >= AI_DETECTION_INTERVAL_MS) {
+      // Sin deteccion IA el estado del GPS y los paros (op_paros) se siguen
+      // actualizando para el detalle del viaje, sin llamadas
+      lastStopsUpdateTime = new Date();
+      await feedMonitor.checkFeeds();
+      await stopDetector.updateStops();
     }
   } catch (err) {
     console.error('[Scheduler] Error en ciclo:', err.message);
@@ -315,6 +376,8 @@ console.log(`[AI] Deteccion de paros: ${aiDetectionEnabled ? 'habilitada' : 'des
 async function gracefulShutdown(signal) {
   console.log(`[Cleanup] ${signal} recibido, cerrando...`);
   schedulerTask.stop();
+  await gt06Server.stop().catch(() => {});
+  await browserFetcher.closeAll().catch(() => {});
   process.exit(0);
 }
 
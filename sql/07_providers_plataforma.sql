@@ -0,0 +1,18 @@
+-- ============================================================
+-- JELABBC Tracking - Script 07: Override de plataforma GPS
+-- Agrega conf_providers.plataforma para forzar el adaptador de
+-- http-fetcher cuando la URL es ambigua (ej. Traccar white-label
+-- en un dominio propio). NULL = deteccion automatica por URL.
+--
+-- Valores validos: nombre de un adaptador en src/scraper/adapters/
+--   micodus, gpswox, traccar, wialon, generic
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+ALTER TABLE conf_providers
+  ADD COLUMN plataforma VARCHAR(30) DEFAULT NULL
+    COMMENT 'Adaptador forzado (micodus, gpswox, traccar, wialon, generic). NULL = detectar por URL'
+    AFTER url;
@@ -0,0 +1,18 @@
+-- ============================================================
+-- JELABBC Tracking - Script 08: Proveedores por receta
+-- Agrega conf_providers.receta: JSON declarativo (URL con tokens,
+-- metodo, body, headers y mapeo JSONPath de campos) que ejecuta el
+-- adaptador 'recipe' de http-fetcher. Se usa junto con
+-- conf_providers.plataforma = 'recipe'.
+--
+-- Formato documentado en src/scraper/adapters/recipe.js
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+ALTER TABLE conf_providers
+  ADD COLUMN receta TEXT DEFAULT NULL
+    COMMENT 'Receta JSON del adaptador recipe (request + mapeo de campos)'
+    AFTER plataforma;
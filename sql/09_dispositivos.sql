@@ -0,0 +1,44 @@
+-- ============================================================
+-- JELABBC Tracking - Script 09: Identidad de dispositivo GPS
+-- Un share link puede traer varios vehiculos. Cada coordenada se
+-- enruta SOLO al viaje de su dispositivo.
+--
+--   1. conf_dispositivos       - Mapeo dispositivo → viaje (por id o por placas)
+--   2. op_coordinates.dispositivo - Dispositivo que reporto cada coordenada
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+-- -----------------------------------------------------------
+-- 1. conf_dispositivos
+--    identificador = deviceId que devuelve el adaptador
+--    (IMEI / uniqueId / nombre del dispositivo en la plataforma).
+--    Se asigna a un viaje por id_unidad_viaje o, si el camion
+--    cambia de viaje, por placas (contra unidades_viajes.placas_unidad).
+--    provider_id NULL = aplica a cualquier proveedor.
+-- -----------------------------------------------------------
+CREATE TABLE IF NOT EXISTS conf_dispositivos (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  provider_id INT UNSIGNED DEFAULT NULL COMMENT 'FK conf_providers.id (NULL = cualquier proveedor)',
+  identificador VARCHAR(100) NOT NULL COMMENT 'IMEI, uniqueId o nombre reportado por la plataforma',
+  nombre VARCHAR(100) DEFAULT NULL COMMENT 'Nombre descriptivo del dispositivo',
+  placas VARCHAR(20) DEFAULT NULL COMMENT 'Asignar al viaje en ruta con estas placas_unidad',
+  id_unidad_viaje BIGINT UNSIGNED DEFAULT NULL COMMENT 'Asignar a este viaje (tiene prioridad sobre placas)',
+  activo BOOLEAN DEFAULT TRUE,
+  creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+  actualizado_en DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_provider_identificador (provider_id, identificador),
+  INDEX idx_viaje (id_unidad_viaje),
+  INDEX idx_placas (placas)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- -----------------------------------------------------------
+-- 2. op_coordinates.dispositivo
+-- -----------------------------------------------------------
+ALTER TABLE op_coordinates
+  ADD COLUMN dispositivo VARCHAR(100) DEFAULT NULL
+    COMMENT 'deviceId reportado por el adaptador (NULL = plataforma sin identidad)'
+    AFTER provider_id,
+  ADD INDEX idx_provider_dispositivo (provider_id, dispositivo);
@@ -0,0 +1,60 @@
+-- ============================================================
+-- JELABBC Tracking - Script 10: Bandeja de dispositivos sin asignar
+-- Cuando un scrape encuentra dispositivos que no se enrutan a ningun
+-- viaje activo, se guardan aqui (ya no en op_coordinates con
+-- id_unidad_viaje NULL). Desde /providers/dispositivos se asignan a
+-- un viaje y su historial se copia a op_coordinates.
+--
+--   1. op_dispositivos_pendientes - Un renglon por proveedor + dispositivo
+--   2. op_dispositivos_historial  - Posiciones en espera de asignacion
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+-- -----------------------------------------------------------
+-- 1. op_dispositivos_pendientes
+--    Ultima posicion y primera/ultima vez visto de cada
+--    dispositivo sin viaje. Estados:
+--      pendiente  = esperando asignacion
+--      asignado   = ya tiene viaje (ver conf_dispositivos)
+--      descartado = no es de interes, no se guarda historial
+-- -----------------------------------------------------------
+CREATE TABLE IF NOT EXISTS op_dispositivos_pendientes (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  provider_id INT UNSIGNED NOT NULL COMMENT 'FK conf_providers.id',
+  identificador VARCHAR(100) NOT NULL COMMENT 'deviceId del adaptador ((sin id) si la plataforma no identifica)',
+  nombre VARCHAR(100) DEFAULT NULL COMMENT 'deviceName reportado por la plataforma',
+  ultima_lat DECIMAL(10,8) DEFAULT NULL,
+  ultima_lng DECIMAL(11,8) DEFAULT NULL,
+  ultima_velocidad DECIMAL(8,2) DEFAULT NULL,
+  ultimo_rumbo DECIMAL(5,1) DEFAULT NULL,
+  ultima_fecha_gps DATETIME DEFAULT NULL,
+  total_posiciones INT UNSIGNED DEFAULT 0 COMMENT 'Posiciones recibidas mientras estuvo sin viaje',
+  estado ENUM('pendiente','asignado','descartado') NOT NULL DEFAULT 'pendiente',
+  id_unidad_viaje BIGINT UNSIGNED DEFAULT NULL COMMENT 'Viaje asignado (estado = asignado)',
+  asignado_en DATETIME DEFAULT NULL,
+  primera_vez DATETIME DEFAULT CURRENT_TIMESTAMP,
+  ultima_vez DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_provider_identificador (provider_id, identificador),
+  INDEX idx_estado (estado)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- -----------------------------------------------------------
+-- 2. op_dispositivos_historial
+--    Buffer de posiciones de un dispositivo pendiente. Al asignarlo
+--    se copian a op_coordinates y se borran de aqui.
+-- -----------------------------------------------------------
+CREATE TABLE IF NOT EXISTS op_dispositivos_historial (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  id_pendiente INT UNSIGNED NOT NULL COMMENT 'FK op_dispositivos_pendientes.id',
+  latitud DECIMAL(10,8) NOT NULL,
+  longitud DECIMAL(11,8) NOT NULL,
+  velocidad DECIMAL(8,2) DEFAULT NULL,
+  rumbo DECIMAL(5,1) DEFAULT NULL,
+  fecha_gps DATETIME DEFAULT NULL,
+  fuente VARCHAR(50) DEFAULT NULL,
+  fecha_extraccion DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_pendiente (id_pendiente, fecha_extraccion)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
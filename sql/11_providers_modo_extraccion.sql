@@ -0,0 +1,20 @@
+-- ============================================================
+-- JELABBC Tracking - Script 11: Modo de extraccion por proveedor
+-- Agrega conf_providers.modo_extraccion para elegir el camino del
+-- coordinator:
+--   http    = solo http-fetcher (default, comportamiento actual)
+--   browser = solo navegador headless (portales con login)
+--   auto    = HTTP y, si falla o trae 0 coords, navegador
+--
+-- El camino que produjo los datos queda en log_scrape.fuentes_usadas
+-- (ej. http_micodus, browser_network).
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+ALTER TABLE conf_providers
+  ADD COLUMN modo_extraccion ENUM('http','browser','auto') NOT NULL DEFAULT 'http'
+    COMMENT 'Camino de extraccion: http, browser o auto (HTTP con fallback a navegador)'
+    AFTER receta;
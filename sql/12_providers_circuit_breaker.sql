@@ -0,0 +1,22 @@
+-- ============================================================
+-- JELABBC Tracking - Script 12: Circuit breaker de proveedores
+-- Un proveedor que falla (ej. token del share link expirado) ya no
+-- se reintenta cada intervalo para siempre:
+--   - fallos_consecutivos: backoff exponencial (intervalo * 2^fallos,
+--     tope SCRAPER_BACKOFF_MAX_MIN)
+--   - suspendido_en: al llegar a SCRAPER_MAX_FAILURES fallos el
+--     scheduler lo deja de ejecutar. Un /api/scraper/run manual
+--     exitoso lo reactiva.
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+ALTER TABLE conf_providers
+  ADD COLUMN fallos_consecutivos INT UNSIGNED NOT NULL DEFAULT 0
+    COMMENT 'Fallos seguidos desde el ultimo scraping exitoso'
+    AFTER ultimo_error,
+  ADD COLUMN suspendido_en DATETIME DEFAULT NULL
+    COMMENT 'Suspendido automaticamente por el circuit breaker (NULL = activo)'
+    AFTER fallos_consecutivos;
@@ -0,0 +1,18 @@
+-- ============================================================
+-- JELABBC Tracking - Script 13: Zona horaria de proveedores
+-- Las plataformas GPS sirven fechas sin zona en la hora local de la
+-- cuenta (ej. MiCODUS en hora de China). zona_horaria indica como
+-- interpretarlas; coordinator las convierte a UTC antes de guardar
+-- op_coordinates.fecha_gps (ver src/utils/time.js).
+--   NULL = GPS_DEFAULT_TIMEZONE (default America/Mexico_City)
+--   Valores: nombre IANA (America/Tijuana) u offset fijo (+08:00)
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+ALTER TABLE conf_providers
+  ADD COLUMN zona_horaria VARCHAR(64) DEFAULT NULL
+    COMMENT 'Zona de las fechas sin offset del proveedor (IANA u offset, NULL = default)'
+    AFTER modo_extraccion;
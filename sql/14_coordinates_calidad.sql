@@ -0,0 +1,24 @@
+-- ============================================================
+-- JELABBC Tracking - Script 14: Calidad de coordenadas GPS
+-- coordinator pasa cada fix por src/scraper/fix-filter.js antes de
+-- guardarlo:
+--   ok        = fix tal como lo sirvio la plataforma
+--   deriva    = vehiculo detenido, posicion colapsada a la del fix anterior
+--   suavizado = posicion suavizada (SCRAPER_SMOOTHING_ALPHA)
+--   rechazado = salto imposible o punto de respaldo en 0,0; se conserva
+--               para auditoria pero no cuenta para ultima posicion,
+--               polilinea ni deteccion de paros
+-- calidad_motivo explica la decision (ej. "Salto de 412.3 km (8200 km/h, max 200)").
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+ALTER TABLE op_coordinates
+  ADD COLUMN calidad ENUM('ok','deriva','suavizado','rechazado') NOT NULL DEFAULT 'ok'
+    COMMENT 'Resultado del filtro de calidad (fix-filter)'
+    AFTER fuente,
+  ADD COLUMN calidad_motivo VARCHAR(100) DEFAULT NULL
+    COMMENT 'Motivo de deriva/suavizado/rechazo'
+    AFTER calidad;
@@ -0,0 +1,31 @@
+-- ============================================================
+-- JELABBC Tracking - Script 15: Payloads crudos del scraper
+-- coordinator guarda la respuesta cruda de cada extraccion
+-- (src/scraper/payload-archive.js), ligada a su renglon de log_scrape.
+-- El detalle de /logs la muestra y la compara contra el ultimo scrape
+-- exitoso del mismo proveedor para ver que cambio en la plataforma.
+--   payload_gz     = gzip en base64 (maximo SCRAPER_PAYLOAD_MAX_KB sin comprimir)
+--   truncado       = 1 si el payload original excedia ese limite
+--   hash_sha1      = hash del texto guardado (payloads identicos no se comparan)
+-- Se borran despues de SCRAPER_PAYLOAD_RETENTION_DAYS dias (default 7).
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+CREATE TABLE IF NOT EXISTS log_scrape_payload (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  log_scrape_id INT UNSIGNED NOT NULL,
+  provider_id INT UNSIGNED NOT NULL,
+  formato ENUM('json','text') NOT NULL DEFAULT 'json',
+  bytes_original INT UNSIGNED NOT NULL DEFAULT 0,
+  bytes_comprimido INT UNSIGNED NOT NULL DEFAULT 0,
+  truncado BOOLEAN NOT NULL DEFAULT FALSE,
+  hash_sha1 CHAR(40) DEFAULT NULL,
+  payload_gz MEDIUMTEXT NOT NULL,
+  creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_log (log_scrape_id),
+  INDEX idx_provider (provider_id, log_scrape_id),
+  INDEX idx_creado (creado_en)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
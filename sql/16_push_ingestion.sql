@@ -0,0 +1,26 @@
+-- ============================================================
+-- JELABBC Tracking - Script 16: Posiciones push (OsmAnd / Traccar Client)
+-- Un proveedor con modo_extraccion = 'push' no se scrapea: sus
+-- dispositivos (celulares con OsmAnd o Traccar Client) envian las
+-- posiciones a /push/osmand o /push/batch.
+--
+-- Cada dispositivo de un proveedor push se autentica con su
+-- conf_dispositivos.token_push (por ?token=, Authorization: Bearer o
+-- usandolo como id del dispositivo en la app). Las posiciones pasan por el
+-- mismo filtro, dedup y mapeo a viaje del coordinator y se guardan en
+-- op_coordinates con fuente = 'push'.
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+ALTER TABLE conf_providers
+  MODIFY COLUMN modo_extraccion ENUM('http','browser','auto','push') NOT NULL DEFAULT 'http'
+    COMMENT 'Camino de extraccion: http, browser, auto (HTTP con fallback a navegador) o push (el dispositivo envia)';
+
+ALTER TABLE conf_dispositivos
+  ADD COLUMN token_push CHAR(40) DEFAULT NULL
+    COMMENT 'Token del dispositivo para /push (proveedores modo push)'
+    AFTER id_unidad_viaje,
+  ADD UNIQUE KEY uk_token_push (token_push);
@@ -0,0 +1,38 @@
+-- ============================================================
+-- JELABBC Tracking - Script 17: Rastreadores GT06 / Concox (TCP)
+-- El listener GT06 (src/scraper/gt06-server.js, habilitado con
+-- GT06_PORT) recibe las posiciones de los rastreadores por TCP.
+-- Cada equipo se registra en conf_dispositivos bajo un proveedor
+-- modo 'push' con identificador = IMEI; sus posiciones se guardan en
+-- op_coordinates con fuente = 'gt06'.
+--
+-- Las alarmas SOS y corte de energia del equipo se registran en
+-- eventos_unidad del viaje asignado.
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+ALTER TABLE eventos_unidad
+  MODIFY COLUMN tipo_evento ENUM(
+    'creacion',
+    'inicio_ruta',
+    'ubicacion_actualizada',
+    'detencion_detectada',
+    'reinicio_movimiento',
+    'llamada_operador',
+    'llamada_cliente',
+    'llamada_propietario',
+    'llamada_ia_operador',
+    'llamada_ia_coordinador',
+    'scrape_exitoso',
+    'scrape_error',
+    'notif_push_proximidad',
+    'modulacion_consultada',
+    'alerta_paro_ia',
+    'llegada_destino',
+    'llegada_punto_logistico',
+    'alarma_sos',
+    'alarma_corte_energia'
+  ) NOT NULL;
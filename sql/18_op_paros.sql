@@ -0,0 +1,32 @@
+-- ============================================================
+-- JELABBC Tracking - Script 18: Paros por viaje
+-- stop-detector (src/ai/stop-detector.js) recorre las coordenadas de
+-- cada viaje en ruta en orden de fecha GPS y guarda cada paro
+-- (segmento donde el vehiculo se quedo dentro de STOP_RADIUS_METERS
+-- al menos STOP_MIN_MINUTES):
+--   inicio / fin     = primer y ultimo fix del segmento (UTC, fecha GPS)
+--   lat/lng_centro   = centroide de los fixes del segmento
+--   abierto          = 1 mientras el vehiculo siga en el paro (el ultimo)
+--   alertado         = 1 si el paro disparo la alerta de llamadas IA
+-- El detalle del viaje lista todos los paros historicos.
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+CREATE TABLE IF NOT EXISTS op_paros (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  id_unidad_viaje BIGINT UNSIGNED NOT NULL,
+  inicio DATETIME NOT NULL,
+  fin DATETIME NOT NULL,
+  lat_centro DECIMAL(10,8) NOT NULL,
+  lng_centro DECIMAL(11,8) NOT NULL,
+  duracion_min INT UNSIGNED NOT NULL DEFAULT 0,
+  puntos INT UNSIGNED NOT NULL DEFAULT 0,
+  abierto BOOLEAN NOT NULL DEFAULT TRUE,
+  alertado BOOLEAN NOT NULL DEFAULT FALSE,
+  creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+  actualizado_en DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_viaje_inicio (id_unidad_viaje, inicio)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,55 @@
+-- ============================================================
+-- JELABBC Tracking - Script 19: Estado del GPS por viaje
+-- feed-monitor (src/ai/feed-monitor.js) compara el avance de
+-- fecha_gps contra la extraccion y clasifica cada viaje en ruta:
+--   en_movimiento   = fecha_gps avanza y no hay paro abierto
+--   detenido        = fecha_gps avanza dentro de un paro (op_paros)
+--   sin_senal       = el proveedor responde pero fecha_gps no avanza
+--                     desde hace GPS_STALE_MIN (feed congelado o
+--                     dispositivo sin senal)
+--   proveedor_caido = el proveedor acumula PROVIDER_DOWN_FAILURES fallos
+--                     seguidos o esta suspendido por el circuit breaker
+-- estado_gps_desde = cuando entro al estado actual (UTC).
+--
+-- Los cambios a sin_senal / proveedor_caido y el regreso a la normalidad
+-- se registran en eventos_unidad. Mientras el viaje esta en esos estados
+-- no se disparan llamadas de paro al operador.
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+ALTER TABLE unidades_viajes
+  ADD COLUMN estado_gps ENUM('en_movimiento','detenido','sin_senal','proveedor_caido') NOT NULL DEFAULT 'en_movimiento'
+    COMMENT 'Clasificacion del feed GPS (feed-monitor)'
+    AFTER umbral_paro_minutos,
+  ADD COLUMN estado_gps_desde DATETIME DEFAULT NULL
+    COMMENT 'Inicio del estado_gps actual (UTC)'
+    AFTER estado_gps;
+
+ALTER TABLE eventos_unidad
+  MODIFY COLUMN tipo_evento ENUM(
+    'creacion',
+    'inicio_ruta',
+    'ubicacion_actualizada',
+    'detencion_detectada',
+    'reinicio_movimiento',
+    'llamada_operador',
+    'llamada_cliente',
+    'llamada_propietario',
+    'llamada_ia_operador',
+    'llamada_ia_coordinador',
+    'scrape_exitoso',
+    'scrape_error',
+    'notif_push_proximidad',
+    'modulacion_consultada',
+    'alerta_paro_ia',
+    'llegada_destino',
+    'llegada_punto_logistico',
+    'alarma_sos',
+    'alarma_corte_energia',
+    'gps_sin_senal',
+    'proveedor_caido',
+    'gps_restablecido'
+  ) NOT NULL;
@@ -0,0 +1,83 @@
+-- ============================================================
+-- JELABBC Tracking - Script 20: Geocercas
+-- conf_geocercas guarda zonas dibujadas en el mapa (/geocercas):
+--   forma = 'circulo'  -> lat_centro / lng_centro / radio_m
+--   forma = 'poligono' -> vertices (JSON [[lat,lng],...], minimo 3)
+--   id_unidad_viaje    = NULL aplica a todos los viajes en ruta,
+--                        con valor solo a ese viaje
+--   tipo               = 'destino' / 'punto_logistico' registran
+--                        llegada_destino / llegada_punto_logistico
+--                        al entrar; 'zona' registra geocerca_entrada
+--   permanencia_min    = minutos dentro de la zona para registrar
+--                        geocerca_permanencia (NULL = no aplica)
+--   llamada_ia         = evento que dispara el flujo de llamada
+--                        'geocercas' (monitoreo_prompts) a los
+--                        coordinadores del viaje
+--
+-- El evaluador (src/scraper/geofences.js) corre despues de guardar
+-- cada lote de coordenadas (scrape y push) y lleva las visitas
+-- abiertas en op_geocerca_visitas.
+--
+-- Ejecutar UNA SOLA VEZ contra jela_logistica.
+-- ============================================================
+
+USE jela_logistica;
+
+CREATE TABLE IF NOT EXISTS conf_geocercas (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL,
+  tipo ENUM('zona','destino','punto_logistico') NOT NULL DEFAULT 'zona',
+  forma ENUM('circulo','poligono') NOT NULL,
+  lat_centro DECIMAL(10,8) DEFAULT NULL,
+  lng_centro DECIMAL(11,8) DEFAULT NULL,
+  radio_m INT UNSIGNED DEFAULT NULL,
+  vertices TEXT DEFAULT NULL COMMENT 'JSON [[lat,lng],...] para poligonos',
+  id_unidad_viaje BIGINT UNSIGNED DEFAULT NULL COMMENT 'NULL = global',
+  permanencia_min INT UNSIGNED DEFAULT NULL,
+  llamada_ia ENUM('no','entrada','salida','permanencia') NOT NULL DEFAULT 'no',
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+  actualizado_en DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_viaje_activo (id_unidad_viaje, activo)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS op_geocerca_visitas (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  id_geocerca INT UNSIGNED NOT NULL,
+  id_unidad_viaje BIGINT UNSIGNED NOT NULL,
+  entrada DATETIME NOT NULL,
+  salida DATETIME DEFAULT NULL,
+  permanencia_notificada BOOLEAN NOT NULL DEFAULT FALSE,
+  creado_en DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_viaje_salida (id_unidad_viaje, salida),
+  INDEX idx_geocerca (id_geocerca)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE eventos_unidad
+  MODIFY COLUMN tipo_evento ENUM(
+    'creacion',
+    'inicio_ruta',
+    'ubicacion_actualizada',
+    'detencion_detectada',
+    'reinicio_movimiento',
+    'llamada_operador',
+    'llamada_cliente',
+    'llamada_propietario',
+    'llamada_ia_operador',
+    'llamada_ia_coordinador',
+    'scrape_exitoso',
+    'scrape_error',
+    'notif_push_proximidad',
+    'modulacion_consultada',
+    'alerta_paro_ia',
+    'llegada_destino',
+    'llegada_punto_logistico',
+    'alarma_sos',
+    'alarma_corte_energia',
+    'gps_sin_senal',
+    'proveedor_caido',
+    'gps_restablecido',
+    'geocerca_entrada',
+    'geocerca_salida',
+    'geocerca_permanencia'
+  ) NOT NULL;
@@ -0,0 +1,323 @@
+/**
+ * Feed Monitor - Distingue vehiculo detenido de GPS sin senal o proveedor caido
+ *
+ * Responsabilidades:
+ *  - Comparar el avance de fecha_gps de cada viaje en ruta contra la
+ *    extraccion: si el proveedor sigue respondiendo pero la fecha GPS no
+ *    avanza, el feed esta congelado (la plataforma re-sirve el ultimo fix)
+ *    y NO es un paro
+ *  - Clasificar cada viaje en unidades_viajes.estado_gps:
+ *      en_movimiento | detenido | sin_senal | proveedor_caido
+ *  - Registrar en eventos_unidad la entrada a sin_senal / proveedor_caido
+ *    y el regreso (gps_restablecido)
+ *  - Retornar alertas para vapi-trigger.processFeedAlerts: van al
+ *    coordinador con el prompt de seguimiento, no al operador
+ *
+ * Umbrales:
+ *  - GPS_STALE_MIN (default 30): minutos sin fecha_gps nueva para sin_senal
+ *  - PROVIDER_DOWN_FAILURES (default 3): fallos seguidos del proveedor
+ *    (conf_providers.fallos_consecutivos) o suspension del circuit breaker
+ *
+ * Un viaje cuyos fixes no traen fecha_gps solo se puede marcar
+ * proveedor_caido (un feed congelado se ve igual que un vehiculo
+ * estacionado); si el proveedor responde conserva su estado.
+ */
+
+'use strict';
+
+const { internalClient: api } = require('../api/client');
+const time = require('../utils/time');
+
+const LOG_PREFIX = '[FeedMonitor]';
+
+// Minutos sin fecha_gps nueva para considerar el GPS sin senal
+const GPS_STALE_MINUTES = Math.max(1, parseInt(process.env.GPS_STALE_MIN || '30', 10));
+
+// Fallos seguidos de scraping para considerar el proveedor caido
+const PROVIDER_DOWN_FAILURES = Math.max(1, parseInt(process.env.PROVIDER_DOWN_FAILURES || '3', 10));
+
+/** Estados que disparan evento y alerta al coordinador */
+const FEED_ALERT_EVENTS = {
+  sin_senal: 'gps_sin_senal',
+  proveedor_caido: 'proveedor_caido',
+};
+
+// ---------------------------------------------------------------------------
+// Clasificacion
+// ---------------------------------------------------------------------------
+
+/**
+ * Clasifica el feed GPS de un viaje.
+ *
+ * @param {object} info
+ * @param {object|null} info.provider - Fila de conf_providers (modo_extraccion, fallos_consecutivos, suspendido_en)
+ * @param {Date|null} info.lastGps - fecha_gps mas reciente del viaje
+ * @param {boolean} info.hasFixes - El viaje tiene fixes (con o sin fecha_gps)
+ * @param {Date|null} info.trackingStart - fecha_inicio_tracking (viajes sin fixes)
+ * @param {boolean} info.stopOpen - Hay un paro abierto en op_paros
+ * @param {number} [now]
+ * @returns {{estado: string, minutos: number|null, desde: Date}|null} null = no se puede clasificar
+ *   (minutos = null: proveedor caido en un feed sin fecha_gps)
+ */
+function classify(info, now = Date.now()) {
+  const { provider, lastGps, hasFixes, trackingStart, stopOpen } = info;
+
+  const reference = hasFixes ? lastGps : trackingStart;
+  const minutos = reference ? Math.max(0, Math.round((now - reference.getTime()) / 60000)) : null;
+
+  // La salud del proveedor no depende de fecha_gps: se evalua primero
+  const scraped = provider && provider.modo_extraccion !== 'push';
+  if (scraped && (provider.suspendido_en || (parseInt(provider.fallos_consecutivos) || 0) >= PROVIDER_DOWN_FAILURES)) {
+    return { estado: 'proveedor_caido', minutos, desde: new Date(now) };
+  }
+
+  // Sin fecha_gps no hay forma de saber si el feed avanza
+  if (!reference) return null;
+
+  if (minutos >= GPS_STALE_MINUTES) {
+    return { estado: 'sin_senal', minutos, desde: reference };
+  }
+
+  return { estado: stopOpen ? 'detenido' : 'en_movimiento', minutos, desde: new Date(now) };
+}
+
+// ---------------------------------------------------------------------------
+// Funcion principal: checkFeeds()
+// ---------------------------------------------------------------------------
+
+/**
+ * Clasifica el feed de todos los viajes en ruta y registra los cambios.
+ * Correr antes de stop-detector: un viaje sin_senal / proveedor_caido no
+ * dispara llamada de paro.
+ *
+ * @returns {Promise<Array<{
+ *   tripId: number,
+ *   tripInfo: object,
+ *   estado: string,
+ *   reason: string,
+ *   minutes: number|null,
+ *   umbral: number,
+ *   stoppedMinutes: number,
+ *   lastLat: number,
+ *   lastLng: number,
+ *   motivo: string
+ * }>>} Alertas de viajes con IA activa que acaban de entrar a sin_senal / proveedor_caido
+ */
+async function checkFeeds() {
+  const alerts = [];
+
+  try {
+    await api.ensureToken();
+
+    const trips = await _loadActiveTrips();
+    if (trips.length === 0) return alerts;
+
+    const ids = trips.map(t => parseInt(t.id));
+    const [fixes, openStops] = await Promise.all([_loadLastFixes(ids), _loadOpenStops(ids)]);
+
+    for (const trip of trips) {
+      try {
+        const fix = fixes.get(parseInt(trip.id));
+        const stopOpen = openStops.has(parseInt(trip.id));
+        let result = classify({
+          provider: trip.provider_id ? trip : null,
+          lastGps: fix ? time.parseDbDate(fix.ultima_gps) : null,
+          hasFixes: !!fix,
+          trackingStart: time.parseDbDate(trip.fecha_inicio_tracking),
+          stopOpen,
+        });
+
+        // Feed sin fecha_gps cuyo proveedor volvio a responder: sale de proveedor_caido
+        if (!result && trip.estado_gps === 'proveedor_caido') {
+          result = { estado: stopOpen ? 'detenido' : 'en_movimiento', minutos: null, desde: new Date() };
+        }
+        if (!result) continue;
+
+        const alert = await _applyState(trip, result);
+        if (alert) alerts.push(alert);
+      } catch (err) {
+        log('error', `Error clasificando feed del viaje ${trip.id}: ${err.message}`);
+      }
+    }
+
+    if (alerts.length > 0) {
+      log('info', `${alerts.length} viajes sin senal GPS o con proveedor caido`);
+    }
+  } catch (err) {
+    log('error', 'Error critico revisando feeds:', err.message);
+  }
+
+  return alerts;
+}
+
+/**
+ * Guarda el estado nuevo del viaje y registra el evento del cambio.
+ * @returns {Promise<object|null>} Alerta para el coordinador, o null
+ * @private
+ */
+async function _applyState(trip, result) {
+  const previous = trip.estado_gps || 'en_movimiento';
+  if (result.estado === previous) return null;
+
+  await api.update('unidades_viajes', trip.id, {
+    estado_gps: result.estado,
+    estado_gps_desde: time.toDbDate(result.desde),
+  });
+
+  const wasAlert = !!FEED_ALERT_EVENTS[previous];
+  const tipoEvento = FEED_ALERT_EVENTS[result.estado];
+
+  if (!tipoEvento) {
+    if (wasAlert) {
+      const since = time.parseDbDate(trip.estado_gps_desde);
+      const minutes = since ? Math.round((Date.now() - since.getTime()) / 60000) : null;
+      log('info', `Viaje ${trip.id}: GPS restablecido (${previous} → ${result.estado})`);
+      await _logEvent(trip.id, 'gps_restablecido',
+        `GPS restablecido${minutes !== null ? ` despues de ${minutes} min` : ''} (${_label(previous)})`);
+    }
+    return null;
+  }
+
+  const motivo = _buildMotivo(trip, result);
+  log('warn', `Viaje ${trip.id}: ${result.estado} - ${motivo}`);
+  await _logEvent(trip.id, tipoEvento, motivo);
+
+  // Pasar de sin_senal a proveedor_caido (o al reves) no vuelve a llamar
+  if (wasAlert || Number(trip.ia_llamadas_activas) !== 1) return null;
+
+  return {
+    tripId: trip.id,
+    tripInfo: trip,
+    estado: result.estado,
+    reason: result.estado === 'sin_senal' ? 'gps_offline' : 'provider_down',
+    minutes: result.minutos,
+    umbral: result.estado === 'sin_senal' ? GPS_STALE_MINUTES : PROVIDER_DOWN_FAILURES,
+    stoppedMinutes: 0,
+    lastLat: parseFloat(trip.ultima_lat) || 0,
+    lastLng: parseFloat(trip.ultima_lng) || 0,
+    motivo,
+  };
+}
+
+/**
+ * Descripcion del estado para eventos y para la llamada.
+ * @private
+ */
+function _buildMotivo(trip, result) {
+  if (result.estado === 'proveedor_caido') {
+    const fallos = parseInt(trip.fallos_consecutivos) || 0;
+    return `Proveedor GPS${trip.provider_nombre ? ` ${trip.provider_nombre}` : ''} sin responder: ${fallos} fallos seguidos` +
+      (trip.suspendido_en ? ' (suspendido)' : '') +
+      (trip.ultimo_error ? `. Ultimo error: ${String(trip.ultimo_error).slice(0, 150)}` : '') +
+      (result.minutos !== null ? `. Ultima posicion conocida hace ${result.minutos} min.` : '. El feed no trae fecha GPS.');
+  }
+
+  const source = trip.modo_extraccion === 'push'
+    ? 'el dispositivo no ha enviado posiciones nuevas'
+    : `${trip.provider_nombre || 'el proveedor GPS'} sigue respondiendo pero la fecha GPS no avanza`;
+  return `Sin senal GPS desde hace ${result.minutos} min: ${source}. ` +
+    'Puede ser GPS apagado, sin cobertura o feed congelado; no se confirma un paro.';
+}
+
+function _label(estado) {
+  return estado === 'proveedor_caido' ? 'proveedor caido' : 'sin senal';
+}
+
+// ---------------------------------------------------------------------------
+// Consultas auxiliares
+// ---------------------------------------------------------------------------
+
+/**
+ * Carga viajes en ruta con los datos de salud de su proveedor.
+ * @private
+ */
+async function _loadActiveTrips() {
+  try {
+    const trips = await api.query(
+      `SELECT uv.id, uv.placas_unidad, uv.provider_id,
+              uv.nombre_operador, uv.telefono_operador,
+              uv.ultima_lat, uv.ultima_lng, uv.estado_actual,
+              uv.umbral_paro_minutos, uv.ia_llamadas_activas,
+              uv.frecuencia_monitoreo_min, uv.fecha_inicio_tracking,
+              uv.estado_gps, uv.estado_gps_desde,
+              cp.nombre AS provider_nombre, cp.modo_extraccion,
+              cp.ultimo_scrape, cp.ultimo_error,
+              cp.fallos_consecutivos, cp.suspendido_en
+       FROM unidades_viajes uv
+       LEFT JOIN conf_providers cp ON uv.provider_id = cp.id
+       WHERE uv.estado_actual = 'en_ruta'
+       ORDER BY uv.id DESC`
+    );
+    return trips || [];
+  } catch (err) {
+    log('error', 'Error cargando viajes en ruta:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Ultima fecha_gps por viaje (sin rechazados ni tracks importados).
+ * @param {number[]} ids
+ * @returns {Promise<Map<number, {ultima_gps: string|null}>>}
+ * @private
+ */
+async function _loadLastFixes(ids) {
+  const rows = await api.query(
+    `SELECT id_unidad_viaje, MAX(fecha_gps) AS ultima_gps
+     FROM op_coordinates
+     WHERE id_unidad_viaje IN (${ids.join(',')})
+       AND calidad <> 'rechazado'
+       AND (fuente IS NULL OR fuente <> 'import')
+     GROUP BY id_unidad_viaje`
+  );
+  return new Map((rows || []).map(r => [parseInt(r.id_unidad_viaje), r]));
+}
+
+/**
+ * Viajes con un paro abierto en op_paros (ciclo anterior de stop-detector).
+ * @private
+ */
+async function _loadOpenStops(ids) {
+  const rows = await api.query(
+    `SELECT DISTINCT id_unidad_viaje FROM op_paros
+     WHERE abierto = 1 AND id_unidad_viaje IN (${ids.join(',')})`
+  ).catch(() => []);
+  return new Set((rows || []).map(r => parseInt(r.id_unidad_viaje)));
+}
+
+/**
+ * Registra un evento de feed en eventos_unidad.
+ * @private
+ */
+async function _logEvent(tripId, tipoEvento, descripcion) {
+  try {
+    await api.insert('eventos_unidad', {
+      id_unidad_viaje: tripId,
+      tipo_evento: tipoEvento,
+      descripcion,
+      ocurrido_en: time.toDbDate(),
+    });
+  } catch (err) {
+    log('error', `Error registrando ${tipoEvento} para viaje ${tripId}:`, err.message);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  checkFeeds,
+  classify,
+  GPS_STALE_MINUTES,
+  PROVIDER_DOWN_FAILURES,
+};
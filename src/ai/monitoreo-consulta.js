@@ -91,7 +91,8 @@ async function _cargarDatosCompletos(tripId) {
   datos.ultimasCoords = await api.query(
     `SELECT latitud, longitud, velocidad, fecha_extraccion, fecha_gps
      FROM op_coordinates
-     WHERE id_unidad_viaje = ${id}
+     WHERE id_unidad_viaje = ${id} AND calidad <> 'rechazado'
+       AND (fuente IS NULL OR fuente <> 'import')
      ORDER BY fecha_extraccion DESC
      LIMIT 5`
   ) || [];
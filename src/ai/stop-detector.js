@@ -1,93 +1,140 @@
 /**
- * Stop Detector - Detecta paros analizando coordenadas
+ * Stop Detector - Detecta paros segmentando el recorrido de cada viaje
  *
  * Responsabilidades:
- *  - Consultar coordenadas recientes de viajes activos (en_ruta)
- *  - Calcular distancia entre coordenadas consecutivas
- *  - Detectar si un vehiculo ha permanecido detenido mas tiempo
- *    del umbral configurado (umbral_paro_minutos en unidades_viajes)
+ *  - Recorrer las coordenadas de los viajes activos (en_ruta) en orden de
+ *    fecha GPS y partirlas en segmentos de paro (dwell segmentation)
+ *  - Guardar cada paro en op_paros (inicio, fin, centroide, duracion); el
+ *    ultimo queda abierto mientras el vehiculo siga ahi
+ *  - Disparar la alerta desde el paro abierto cuando su duracion supera
+ *    el umbral del viaje (umbral_paro_minutos en unidades_viajes)
  *  - Retornar lista de viajes con paros detectados para que
  *    vapi-trigger.js pueda iniciar el protocolo de llamadas IA
  *
- * Algoritmo:
- *  1. Para cada viaje activo con ia_llamadas_activas = true,
- *     obtener las ultimas N coordenadas
- *  2. Si todas las coords recientes estan dentro de un radio de ~50m
- *     y el tiempo transcurrido supera el umbral, marcar como PARO
- *  3. Excluir viajes que ya tienen una alerta activa reciente
- *     (para no duplicar llamadas)
+ * Algoritmo (segmentTrack):
+ *  1. Se agrupan fixes consecutivos mientras cada nuevo fix quede a menos
+ *     de STOP_RADIUS_METERS del centroide del grupo. Un fix aislado fuera
+ *     del radio seguido de otro dentro se ignora (salto de GPS)
+ *  2. Al salir del radio, el grupo es un paro si duro MIN_STOP_MINUTES o mas
+ *  3. El grupo que contiene el ultimo fix es el paro abierto (actual)
+ *  4. Cada ciclo retoma desde el paro abierto o, si no hay, desde el inicio
+ *     del grupo que se estaba formando en el ciclo anterior (cursor en
+ *     memoria) o el fin del ultimo paro cerrado. Sin cursor (arranque) se
+ *     lee a lo mas STOP_LOOKBACK_HOURS hacia atras
+ *  5. Se excluyen viajes que ya tienen una alerta activa reciente
+ *     (para no duplicar llamadas) y los que feed-monitor clasifico como
+ *     sin_senal / proveedor_caido (un feed congelado no es un paro)
  */
 
 'use strict';
 
 const { internalClient: api } = require('../api/client');
+const time = require('../utils/time');
+const { haversineDistance } = require('../utils/geo');
 
 const LOG_PREFIX = '[StopDetector]';
 
 // Radio maximo (en metros) para considerar que no se ha movido
 const STOP_RADIUS_METERS = 100;
 
-// Minimo de coordenadas necesarias para hacer analisis
-const MIN_COORDS_FOR_ANALYSIS = 2;
+// Duracion minima de un segmento para guardarlo como paro
+const MIN_STOP_MINUTES = parseInt(process.env.STOP_MIN_MINUTES || '10', 10);
 
-// ---------------------------------------------------------------------------
-// Funciones de utilidad: distancia Haversine
-// ---------------------------------------------------------------------------
+// Coordenadas por consulta y tope por viaje y ciclo al segmentar
+const TRACK_PAGE_SIZE = 5000;
+const MAX_TRACK_COORDS = 50000;
+
+// Horas maximas hacia atras a segmentar cuando no hay paro abierto ni cursor
+const STOP_LOOKBACK_HOURS = parseInt(process.env.STOP_LOOKBACK_HOURS || '24', 10);
+
+/** Fecha de cada fix para ordenar el recorrido */
+const TRACK_TIME = 'COALESCE(fecha_gps, fecha_extraccion)';
 
 /**
- * Calcula la distancia en metros entre dos puntos GPS (Haversine).
- * @param {number} lat1
- * @param {number} lng1
- * @param {number} lat2
- * @param {number} lng2
- * @returns {number} Distancia en metros
+ * Cursor de segmentacion por viaje: inicio (UTC) del ultimo grupo, aun sin
+ * cerrar, del ciclo anterior. Todo lo previo ya quedo segmentado.
+ * @type {Map<number, string>}
  */
-function haversineDistance(lat1, lng1, lat2, lng2) {
-  const R = 6371000; // Radio de la Tierra en metros
-  const toRad = (deg) => (deg * Math.PI) / 180;
-
-  const dLat = toRad(lat2 - lat1);
-  const dLng = toRad(lng2 - lng1);
+const trackCursors = new Map();
 
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+// ---------------------------------------------------------------------------
+// Segmentacion de paros
+// ---------------------------------------------------------------------------
 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+/**
+ * Parte un recorrido en segmentos de paro.
+ *
+ * @param {Array<{lat: number, lng: number, t: number}>} coords - Fixes en orden de fecha (t en ms)
+ * @param {object} [options]
+ * @param {number} [options.radiusMeters=STOP_RADIUS_METERS]
+ * @param {number} [options.minMinutes=MIN_STOP_MINUTES]
+ * @returns {Array<{inicio: string, fin: string, lat: number, lng: number, puntos: number, duracionMin: number, abierto: boolean}>}
+ *   Fechas en UTC "YYYY-MM-DD HH:mm:ss"; abierto = contiene el ultimo fix
+ */
+function segmentTrack(coords, options = {}) {
+  return _segment(coords, options).segments;
 }
 
 /**
- * Calcula la distancia maxima entre cualquier par de coordenadas
- * en un conjunto (para determinar si todas estan "cerca").
- * @param {Array<{latitud: number, longitud: number}>} coords
- * @returns {number} Distancia maxima en metros
+ * Segmentacion de segmentTrack; ademas regresa el inicio del ultimo grupo
+ * (paro o no), desde donde el siguiente ciclo puede retomar.
+ * @returns {{segments: Array<object>, tailStart: number|null}} tailStart en ms
+ * @private
  */
-function maxSpread(coords) {
-  let maxDist = 0;
+function _segment(coords, options = {}) {
+  const radius = options.radiusMeters || STOP_RADIUS_METERS;
+  const minMs = (options.minMinutes || MIN_STOP_MINUTES) * 60 * 1000;
+  const segments = [];
+  let group = null;
+
+  const inside = (g, c) => haversineDistance(g.sumLat / g.n, g.sumLng / g.n, c.lat, c.lng) <= radius;
+  const close = (g, open) => {
+    if (g.end - g.start < minMs) return;
+    segments.push({
+      inicio: time.toDbDate(new Date(g.start)),
+      fin: time.toDbDate(new Date(g.end)),
+      lat: Math.round((g.sumLat / g.n) * 1e6) / 1e6,
+      lng: Math.round((g.sumLng / g.n) * 1e6) / 1e6,
+      puntos: g.n,
+      duracionMin: Math.round((g.end - g.start) / 60000),
+      abierto: open,
+    });
+  };
+
   for (let i = 0; i < coords.length; i++) {
-    for (let j = i + 1; j < coords.length; j++) {
-      const d = haversineDistance(
-        coords[i].latitud, coords[i].longitud,
-        coords[j].latitud, coords[j].longitud
-      );
-      if (d > maxDist) maxDist = d;
+    const c = coords[i];
+    if (group && inside(group, c)) {
+      group.sumLat += c.lat;
+      group.sumLng += c.lng;
+      group.n++;
+      group.end = c.t;
+      continue;
     }
+
+    // Un solo fix fuera del radio y el siguiente de vuelta: salto de GPS
+    const next = coords[i + 1];
+    if (group && next && inside(group, next)) continue;
+
+    if (group) close(group, false);
+    group = { start: c.t, end: c.t, sumLat: c.lat, sumLng: c.lng, n: 1 };
   }
-  return maxDist;
+
+  if (group) close(group, true);
+  return { segments, tailStart: group ? group.start : null };
 }
 
 // ---------------------------------------------------------------------------
-// Funcion principal: detectStops()
+// Funciones principales: detectStops() y updateStops()
 // ---------------------------------------------------------------------------
 
 /**
- * Analiza todos los viajes activos con IA habilitada y detecta paros.
+ * Actualiza los paros de todos los viajes activos y detecta los que
+ * ameritan alerta (viajes con IA habilitada).
  *
  * @returns {Promise<Array<{
  *   tripId: number,
  *   tripInfo: object,
+ *   stopId: number,
  *   stoppedMinutes: number,
  *   umbral: number,
  *   lastLat: number,
@@ -102,20 +149,25 @@ async function detectStops() {
   try {
     await api.ensureToken();
 
-    // 1. Obtener viajes activos con IA habilitada
-    const trips = await _loadAIEnabledTrips();
+    // 1. Viajes en ruta (los paros se guardan para todos, la alerta solo con IA)
+    const trips = await _loadActiveTrips();
+    _pruneCursors(trips);
 
     if (!trips || trips.length === 0) {
-      log('info', 'No hay viajes con IA activa');
+      log('info', 'No hay viajes en ruta');
       return stops;
     }
 
-    log('info', `Analizando ${trips.length} viajes con IA activa...`);
+    const aiTrips = trips.filter(t => Number(t.ia_llamadas_activas) === 1).length;
+    log('info', `Analizando ${trips.length} viajes en ruta (${aiTrips} con IA activa)...`);
 
-    // 2. Para cada viaje, analizar coordenadas recientes
+    // 2. Para cada viaje, segmentar lo nuevo y evaluar el paro abierto
     for (const trip of trips) {
       try {
-        const stopInfo = await _analyzeTrip(trip);
+        const open = await updateTripStops(trip);
+        if (!open || Number(trip.ia_llamadas_activas) !== 1) continue;
+
+        const stopInfo = await _analyzeOpenStop(trip, open);
         if (stopInfo) {
           stops.push(stopInfo);
         }
@@ -135,69 +187,112 @@ async function detectStops() {
 }
 
 /**
- * Analiza un viaje individual para detectar si hay paro.
- * @param {object} trip - Datos del viaje
- * @returns {Promise<object|null>} Info del paro si se detecta, null si no
- * @private
+ * Solo actualiza op_paros de los viajes en ruta, sin alertas
+ * (cuando la deteccion IA esta deshabilitada).
+ * @returns {Promise<number>} Viajes con un paro abierto
  */
-async function _analyzeTrip(trip) {
-  const umbralMinutos = trip.umbral_paro_minutos || 30;
+async function updateStops() {
+  let open = 0;
 
-  // Ventana amplia: al menos 24h para detectar paros de vehiculos detenidos por horas
-  const lookbackMinutes = Math.max(umbralMinutos * 3, 1440);
-  const since = new Date(Date.now() - lookbackMinutes * 60 * 1000)
-    .toISOString().slice(0, 19).replace('T', ' ');
+  try {
+    await api.ensureToken();
+    const trips = await _loadActiveTrips();
+    _pruneCursors(trips);
 
-  log('info', `Viaje ${trip.id}: umbral=${umbralMinutos}min, lookback=${lookbackMinutes}min, since=${since}`);
+    for (const trip of trips) {
+      try {
+        if (await updateTripStops(trip)) open++;
+      } catch (err) {
+        log('error', `Error segmentando viaje ${trip.id}: ${err.message}`);
+      }
+    }
+  } catch (err) {
+    log('error', 'Error actualizando paros:', err.message);
+  }
 
-  const coords = await api.query(
-    `SELECT latitud, longitud, fecha_extraccion, fecha_gps, velocidad
-     FROM op_coordinates
-     WHERE id_unidad_viaje = ${trip.id}
-       AND fecha_extraccion >= '${since}'
-     ORDER BY fecha_extraccion DESC
-     LIMIT 50`
-  );
+  return open;
+}
 
-  if (!coords || coords.length < MIN_COORDS_FOR_ANALYSIS) {
-    log('info', `Viaje ${trip.id}: solo ${coords ? coords.length : 0} coords (necesita ${MIN_COORDS_FOR_ANALYSIS}), saltando`);
-    return null;
+/**
+ * Segmenta el recorrido nuevo de un viaje y actualiza op_paros.
+ * Retoma desde el paro abierto (se recalcula y se cierra si el vehiculo
+ * ya se fue); si no hay, desde el cursor del viaje o el fin del ultimo paro
+ * cerrado, nunca antes de STOP_LOOKBACK_HOURS.
+ *
+ * @param {object} trip - { id }
+ * @returns {Promise<object|null>} Fila de op_paros del paro abierto, o null
+ */
+async function updateTripStops(trip) {
+  const last = await _lastStop(trip.id);
+  const resumeOpen = !!(last && Number(last.abierto) === 1);
+  let from = last ? time.toDbDate(time.parseDbDate(resumeOpen ? last.inicio : last.fin)) : null;
+  let exclusive = !resumeOpen;
+
+  if (!resumeOpen) {
+    const cursor = trackCursors.get(trip.id);
+    if (cursor && (!from || cursor > from)) {
+      from = cursor;
+      exclusive = false;
+    }
+    const floor = time.toDbDate(new Date(Date.now() - STOP_LOOKBACK_HOURS * 60 * 60 * 1000));
+    if (!from || from < floor) {
+      from = floor;
+      exclusive = false;
+    }
   }
 
-  // Verificar si todas las coords recientes estan dentro del radio de paro
-  const spread = maxSpread(coords);
-  log('info', `Viaje ${trip.id}: ${coords.length} coords, spread=${spread.toFixed(1)}m (limite=${STOP_RADIUS_METERS}m)`);
+  const coords = await _loadTrack(trip.id, from, exclusive);
+  const { segments, tailStart } = _segment(coords);
+  if (tailStart !== null) trackCursors.set(trip.id, time.toDbDate(new Date(tailStart)));
+  let pending = segments;
+
+  if (resumeOpen) {
+    const same = segments.length > 0 && segments[0].inicio === from ? segments[0] : null;
+    if (same) {
+      await api.update('op_paros', last.id, _stopRecord(same));
+      pending = segments.slice(1);
+    } else {
+      await api.update('op_paros', last.id, { abierto: 0 });
+    }
+  }
 
-  if (spread > STOP_RADIUS_METERS) {
-    log('info', `Viaje ${trip.id}: spread ${spread.toFixed(1)}m > ${STOP_RADIUS_METERS}m, vehiculo en movimiento`);
-    return null;
+  for (const segment of pending) {
+    await api.insert('op_paros', { id_unidad_viaje: trip.id, ..._stopRecord(segment) });
   }
 
-  // Verificar tambien la velocidad - si hay coordenadas con velocidad > 5 km/h, no es paro
-  const hasMovement = coords.some(c =>
-    c.velocidad !== null && c.velocidad !== undefined && parseFloat(c.velocidad) > 5
-  );
-  if (hasMovement) {
-    log('info', `Viaje ${trip.id}: velocidad > 5 km/h detectada, no es paro`);
-    return null;
+  if (pending.length > 0) {
+    log('info', `Viaje ${trip.id}: ${pending.length} paro(s) nuevo(s)`);
   }
 
-  // Calcular cuanto tiempo ha estado detenido
-  const oldest = coords[coords.length - 1];
-  const newest = coords[0];
+  const current = segments.length > 0 && segments[segments.length - 1].abierto;
+  return current ? _lastStop(trip.id) : null;
+}
 
-  const oldestTime = new Date(oldest.fecha_extraccion || oldest.fecha_gps).getTime();
-  const newestTime = new Date(newest.fecha_extraccion || newest.fecha_gps).getTime();
-  const stoppedMs = newestTime - oldestTime;
-  const stoppedMinutes = Math.round(stoppedMs / 60000);
+/**
+ * Decide si el paro abierto de un viaje amerita alerta.
+ * @param {object} trip - Datos del viaje
+ * @param {object} stop - Fila de op_paros abierta
+ * @returns {Promise<object|null>} Info del paro si se detecta, null si no
+ * @private
+ */
+async function _analyzeOpenStop(trip, stop) {
+  const umbralMinutos = trip.umbral_paro_minutos || 30;
+  const stoppedMinutes = parseInt(stop.duracion_min) || 0;
 
-  log('info', `Viaje ${trip.id}: detenido ${stoppedMinutes}min (umbral=${umbralMinutos}min), oldest=${oldest.fecha_extraccion}, newest=${newest.fecha_extraccion}`);
+  log('info', `Viaje ${trip.id}: paro abierto desde ${stop.inicio}, ${stoppedMinutes}min (umbral=${umbralMinutos}min), ${stop.puntos} fixes`);
 
   if (stoppedMinutes < umbralMinutos) {
     log('info', `Viaje ${trip.id}: ${stoppedMinutes}min < umbral ${umbralMinutos}min, aun no`);
     return null;
   }
 
+  // Sin senal o proveedor caido: el paro no se puede confirmar (feed-monitor
+  // ya aviso al coordinador), no se llama al operador
+  if (trip.estado_gps === 'sin_senal' || trip.estado_gps === 'proveedor_caido') {
+    log('info', `Viaje ${trip.id}: paro de ${stoppedMinutes}min sin confirmar (estado_gps=${trip.estado_gps}), sin llamada`);
+    return null;
+  }
+
   // Verificar que no haya una alerta reciente para este viaje
   const hasRecentAlert = await _hasRecentAlert(trip.id);
   if (hasRecentAlert) {
@@ -207,15 +302,18 @@ async function _analyzeTrip(trip) {
 
   log('info', `Viaje ${trip.id}: *** PARO CONFIRMADO *** ${stoppedMinutes}min detenido, disparando llamada IA`);
 
+  await api.update('op_paros', stop.id, { alertado: 1 }).catch(() => {});
+
   return {
     tripId: trip.id,
     tripInfo: trip,
+    stopId: stop.id,
     stoppedMinutes,
     umbral: umbralMinutos,
-    lastLat: parseFloat(newest.latitud),
-    lastLng: parseFloat(newest.longitud),
-    lastCoordTime: newest.fecha_extraccion || newest.fecha_gps,
-    coordCount: coords.length,
+    lastLat: parseFloat(stop.lat_centro),
+    lastLng: parseFloat(stop.lng_centro),
+    lastCoordTime: stop.fin,
+    coordCount: parseInt(stop.puntos) || 0,
   };
 }
 
@@ -224,29 +322,118 @@ async function _analyzeTrip(trip) {
 // ---------------------------------------------------------------------------
 
 /**
- * Carga viajes activos con IA de llamadas habilitada.
+ * Carga viajes en ruta (con su bandera de IA de llamadas).
  * @private
  */
-async function _loadAIEnabledTrips() {
+async function _loadActiveTrips() {
   try {
     const trips = await api.query(
       `SELECT uv.id, uv.placas_unidad, uv.provider_id,
               uv.nombre_operador, uv.telefono_operador,
               uv.ultima_lat, uv.ultima_lng, uv.estado_actual,
               uv.umbral_paro_minutos, uv.ia_llamadas_activas,
-              uv.frecuencia_monitoreo_min, uv.link_cuenta_espejo
+              uv.frecuencia_monitoreo_min, uv.link_cuenta_espejo,
+              uv.estado_gps
        FROM unidades_viajes uv
        WHERE uv.estado_actual = 'en_ruta'
-         AND uv.ia_llamadas_activas = 1
        ORDER BY uv.id DESC`
     );
     return trips || [];
   } catch (err) {
-    log('error', 'Error cargando viajes con IA activa:', err.message);
+    log('error', 'Error cargando viajes en ruta:', err.message);
     return [];
   }
 }
 
+/**
+ * Descarta los cursores de viajes que ya no estan en ruta.
+ * @private
+ */
+function _pruneCursors(trips) {
+  const active = new Set((trips || []).map(t => t.id));
+  for (const tripId of trackCursors.keys()) {
+    if (!active.has(tripId)) trackCursors.delete(tripId);
+  }
+}
+
+/**
+ * Ultimo paro guardado del viaje.
+ * @private
+ */
+async function _lastStop(tripId) {
+  const rows = await api.query(
+    `SELECT * FROM op_paros
+     WHERE id_unidad_viaje = ${parseInt(tripId)}
+     ORDER BY inicio DESC, id DESC
+     LIMIT 1`
+  );
+  return rows && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Recorrido del viaje desde una fecha, en orden de fecha GPS, paginado por
+ * (fecha, id). Excluye rechazados por calidad y tracks importados (fuente
+ * 'import': historia, no disparan llamadas retroactivas).
+ * @param {number} tripId
+ * @param {string|null} from - UTC "YYYY-MM-DD HH:mm:ss" o null (todo el viaje)
+ * @param {boolean} exclusive - true: solo fixes posteriores a from
+ * @returns {Promise<Array<{lat: number, lng: number, t: number}>>}
+ * @private
+ */
+async function _loadTrack(tripId, from, exclusive) {
+  const track = [];
+  let cursor = from ? { t: from, id: exclusive ? Number.MAX_SAFE_INTEGER : 0 } : null;
+
+  while (track.length < MAX_TRACK_COORDS) {
+    const after = cursor
+      ? `AND (${TRACK_TIME} > '${cursor.t}' OR (${TRACK_TIME} = '${cursor.t}' AND id > ${cursor.id}))`
+      : '';
+    const rows = await api.query(
+      `SELECT id, latitud, longitud, ${TRACK_TIME} AS t
+       FROM op_coordinates
+       WHERE id_unidad_viaje = ${parseInt(tripId)}
+         AND calidad <> 'rechazado'
+         AND (fuente IS NULL OR fuente <> 'import')
+         ${after}
+       ORDER BY t ASC, id ASC
+       LIMIT ${TRACK_PAGE_SIZE}`
+    );
+    if (!rows || rows.length === 0) break;
+
+    for (const row of rows) {
+      const date = time.parseDbDate(row.t);
+      const lat = parseFloat(row.latitud);
+      const lng = parseFloat(row.longitud);
+      if (date && !isNaN(lat) && !isNaN(lng)) track.push({ lat, lng, t: date.getTime() });
+    }
+
+    if (rows.length < TRACK_PAGE_SIZE) break;
+    const tail = rows[rows.length - 1];
+    cursor = { t: time.toDbDate(time.parseDbDate(tail.t)), id: parseInt(tail.id) };
+  }
+
+  if (track.length >= MAX_TRACK_COORDS) {
+    log('warn', `Viaje ${tripId}: recorrido truncado a ${MAX_TRACK_COORDS} fixes`);
+  }
+  return track;
+}
+
+/**
+ * Fila de op_paros para un segmento.
+ * @private
+ */
+function _stopRecord(segment) {
+  return {
+    inicio: segment.inicio,
+    fin: segment.fin,
+    lat_centro: segment.lat,
+    lng_centro: segment.lng,
+    duracion_min: segment.duracionMin,
+    puntos: segment.puntos,
+    abierto: segment.abierto ? 1 : 0,
+  };
+}
+
 /**
  * Verifica si ya existe una alerta de paro reciente para el viaje
  * (dentro de la ultima hora) para evitar alertas duplicadas.
@@ -332,6 +519,8 @@ function log(level, ...args) {
 
 module.exports = {
   detectStops,
+  updateStops,
+  updateTripStops,
+  segmentTrack,
   logStopAlert,
-  haversineDistance,
 };
@@ -16,7 +16,9 @@
  *  2. Fallback .NET webhook: Si no hay key, envia al webhook .NET
  *
  * Protocolo de escalamiento:
- *  operador -> coordinador1 -> coordinador2 -> coordinador3 -> cliente
+ *  paro:                   operador -> coordinador1 -> coordinador2 -> coordinador3 -> cliente
+ *  sin senal / proveedor:  coordinador1 -> coordinador2 -> coordinador3 (prompt de seguimiento)
+ *  geocerca (llamada_ia):  coordinador1 -> coordinador2 -> coordinador3 (prompt de geocercas)
  *
  * Variables de entorno:
  *  - VAPI_PRIVATE_KEY: Server-side API Key de VAPI
@@ -31,6 +33,7 @@ const { internalClient: api } = require('../api/client');
 const stopDetector = require('./stop-detector');
 const monitoreoPrompts = require('./monitoreo-prompts');
 const monitoreoSesiones = require('./monitoreo-sesiones');
+const time = require('../utils/time');
 
 const LOG_PREFIX = '[VapiTrigger]';
 
@@ -59,6 +62,9 @@ if (VAPI_DIRECT_MODE) {
 // Orden de escalamiento de contactos
 const ESCALATION_ORDER = ['operador', 'coordinador1', 'coordinador2', 'coordinador3', 'cliente'];
 
+// GPS sin senal / proveedor caido y geocercas: no hay paro confirmado, se avisa al coordinador
+const FEED_ESCALATION_ORDER = ['coordinador1', 'coordinador2', 'coordinador3'];
+
 // ---------------------------------------------------------------------------
 // Funcion principal: processStopAlerts()
 // ---------------------------------------------------------------------------
@@ -112,6 +118,61 @@ async function processStopAlerts(stopAlerts) {
   return summary;
 }
 
+/**
+ * Procesa las alertas de feed-monitor (GPS sin senal / proveedor caido):
+ * llama al primer coordinador que conteste con el prompt de seguimiento.
+ *
+ * @param {Array<object>} feedAlerts - Alertas de feed-monitor.checkFeeds()
+ * @returns {Promise<object>} Resumen de las llamadas realizadas
+ */
+async function processFeedAlerts(feedAlerts) {
+  return _processCoordinatorAlerts(feedAlerts, _handleFeedAlert, 'feed');
+}
+
+/**
+ * Procesa las alertas de geofences (entrada / salida / permanencia en una
+ * geocerca con llamada_ia): llama al primer coordinador que conteste con
+ * el prompt 'geocercas'.
+ *
+ * @param {Array<object>} geofenceAlerts - Alertas de geofences.takeAlerts()
+ * @returns {Promise<object>} Resumen de las llamadas realizadas
+ */
+async function processGeofenceAlerts(geofenceAlerts) {
+  return _processCoordinatorAlerts(geofenceAlerts, _handleGeofenceAlert, 'geocercas');
+}
+
+/**
+ * Recorre alertas que van solo a coordinadores (feed y geocercas).
+ * @private
+ */
+async function _processCoordinatorAlerts(alerts, handler, label) {
+  const summary = { processed: 0, calls: 0, callsAnswered: 0, callsFailed: 0, errors: [] };
+  if (!alerts || alerts.length === 0) return summary;
+
+  try {
+    await api.ensureToken();
+
+    for (const alert of alerts) {
+      try {
+        const result = await handler(alert);
+        summary.processed++;
+        summary.calls += result.callsMade;
+        summary.callsAnswered += result.callsAnswered;
+        summary.callsFailed += result.callsFailed;
+      } catch (err) {
+        log('error', `Error procesando alerta de ${label} para viaje ${alert.tripId}: ${err.message}`);
+        summary.errors.push({ tripId: alert.tripId, error: err.message });
+      }
+    }
+  } catch (err) {
+    log('error', `Error critico procesando alertas de ${label}:`, err.message);
+    summary.errors.push({ tripId: 'general', error: err.message });
+  }
+
+  log('info', `Resumen ${label}: ${summary.processed} alertas, ${summary.calls} llamadas (${summary.callsAnswered} atendidas)`);
+  return summary;
+}
+
 // ---------------------------------------------------------------------------
 // Manejo de una alerta individual
 // ---------------------------------------------------------------------------
@@ -240,6 +301,78 @@ async function _handleStopAlert(alert) {
   return result;
 }
 
+/**
+ * Llama a los coordinadores por una alerta de feed hasta que uno conteste.
+ * El evento (gps_sin_senal / proveedor_caido) ya lo registro feed-monitor.
+ * @private
+ */
+async function _handleFeedAlert(alert) {
+  log('info', `Procesando alerta ${alert.estado} para viaje ${alert.tripId}${alert.minutes !== null ? ` (${alert.minutes} min)` : ''}`);
+
+  const feedAlert = { ...alert, promptSubtipo: 'seguimiento', callTipo: 'verificacion' };
+  const motivo = `${alert.motivo}\n\n` +
+    'Pide al coordinador que confirme con el operador la ubicacion y el estado de la unidad, ' +
+    'y que revise el equipo GPS o la plataforma del proveedor.';
+
+  return _callCoordinators(feedAlert, motivo);
+}
+
+/**
+ * Llama a los coordinadores por un evento de geocerca hasta que uno conteste.
+ * El evento (llegada / geocerca_*) ya lo registro geofences.
+ * @private
+ */
+async function _handleGeofenceAlert(alert) {
+  log('info', `Procesando alerta ${alert.estado} para viaje ${alert.tripId} (${alert.promptExtra.nombre_zona})`);
+
+  const geofenceAlert = { ...alert, promptSubtipo: 'geocercas', callTipo: 'verificacion' };
+  const motivo = `${alert.motivo}\n\n` +
+    'Pregunta al coordinador si el evento era esperado o si requiere alguna accion.';
+
+  return _callCoordinators(geofenceAlert, motivo);
+}
+
+/**
+ * Recorre FEED_ESCALATION_ORDER hasta que un coordinador conteste.
+ * @private
+ */
+async function _callCoordinators(alert, motivo) {
+  const result = { callsMade: 0, callsAnswered: 0, callsFailed: 0 };
+
+  const contacts = await _loadContacts(alert.tripId);
+  const protocol = await _loadProtocol(alert.tripId);
+
+  for (const rol of FEED_ESCALATION_ORDER) {
+    const contact = contacts.find(c => c.tipo_contacto === rol);
+    if (!contact || !contact.telefono) continue;
+
+    log('info', `Viaje ${alert.tripId}: llamando a ${rol} por ${alert.estado}`);
+
+    let callResult;
+    try {
+      callResult = await _makeCall(alert, contact, motivo, protocol);
+    } catch (err) {
+      callResult = { answered: false, resultado: 'error', duracion: 0, resumen: `Error: ${err.message}` };
+    }
+
+    result.callsMade++;
+    await _logCall(alert, contact, callResult, motivo);
+    await _logCallEvent(alert.tripId, contact, callResult);
+
+    if (callResult.answered) {
+      result.callsAnswered++;
+      break;
+    }
+    result.callsFailed++;
+  }
+
+  if (result.callsMade === 0) {
+    log('warn', `Viaje ${alert.tripId}: sin coordinadores con telefono, solo queda el evento`);
+  }
+
+  return result;
+}
+
 // ---------------------------------------------------------------------------
 // Llamada via VAPI - Modo directo (API de VAPI)
 // ---------------------------------------------------------------------------
@@ -270,11 +403,12 @@ async function _makeCallVapiDirect(alert, contact, motivo, protocol) {
     const idioma = protocol?.idioma || 'es';
     const customInstructions = protocol?.protocolo_texto || '';
 
-    // Determinar subtipo de prompt segun el rol del contacto
-    const subtipo = (contact.tipo_contacto === 'operador') ? 'paro' : 'escalamiento';
+    // Determinar subtipo de prompt segun el rol del contacto (o el de la alerta de feed / geocerca)
+    const subtipo = alert.promptSubtipo ||
+      ((contact.tipo_contacto === 'operador') ? 'paro' : 'escalamiento');
 
-    // Contexto extra para escalamiento
-    const extra = {};
+    // Contexto extra para escalamiento (y variables de la geocerca)
+    const extra = { ...alert.promptExtra };
     if (subtipo === 'escalamiento') {
       extra.resumen_operador = motivo.includes('lo que dijo')
         ? motivo.split('"')[1] || ''
@@ -293,7 +427,23 @@ async function _makeCallVapiDirect(alert, contact, motivo, protocol) {
     });
 
     let systemPrompt, firstMessage;
-    if (resolved) {
+    if (alert.promptSubtipo && resolved) {
+      // El prompt de seguimiento no trae el motivo: se agrega al contexto
+      systemPrompt = `${resolved.systemPrompt}\n\nMOTIVO DE LA LLAMADA:\n${motivo}`;
+      firstMessage = resolved.firstMessage;
+      if (customInstructions) {
+        systemPrompt += `\n\nINSTRUCCIONES ADICIONALES:\n${customInstructions}`;
+      }
+      log('info', `Usando prompt de BD: "${resolved.raw.nombre}" (id=${resolved.raw.id}) + motivo`);
+    } else if (alert.promptSubtipo === 'geocercas') {
+      systemPrompt = _buildGeofenceSystemPrompt(alert, contact, motivo, customInstructions);
+      firstMessage = _buildGeofenceFirstMessage(alert, contact);
+      log('info', 'Usando prompt de geocercas hardcoded (fallback)');
+    } else if (alert.promptSubtipo) {
+      systemPrompt = _buildFeedSystemPrompt(alert, contact, motivo, customInstructions);
+      firstMessage = _buildFeedFirstMessage(alert, contact);
+      log('info', 'Usando prompt de feed hardcoded (fallback)');
+    } else if (resolved) {
       systemPrompt = resolved.systemPrompt;
       firstMessage = resolved.firstMessage;
       if (customInstructions) {
@@ -315,7 +465,7 @@ async function _makeCallVapiDirect(alert, contact, motivo, protocol) {
       rolContacto: contact.tipo_contacto,
       idUnidadViaje: alert.tripId,
       promptId: resolved?.raw?.id || null,
-      motivo: `Paro detectado: ${alert.stoppedMinutes} min`,
+      motivo: alert.promptSubtipo ? alert.motivo.slice(0, 250) : `Paro detectado: ${alert.stoppedMinutes} min`,
     });
 
     // Construir payload para POST https://api.vapi.ai/call
@@ -336,7 +486,7 @@ async function _makeCallVapiDirect(alert, contact, motivo, protocol) {
         source: 'monitoreo',
         tripId: String(alert.tripId),
         contactRole: contact.tipo_contacto,
-        reason: 'stop_alert',
+        reason: alert.reason || 'stop_alert',
         stoppedMinutes: String(alert.stoppedMinutes),
         origin: alert.tripInfo.origen || '',
         destination: alert.tripInfo.destino || '',
@@ -485,7 +635,7 @@ async function _makeCallWebhookFallback(alert, contact, motivo, protocol) {
       contactName: contact.nombre || 'Contacto',
       contactRole: contact.tipo_contacto,
       tripId: alert.tripId,
-      reason: 'stop_alert',
+      reason: alert.reason || 'stop_alert',
       message: motivo,
       language: protocol?.idioma || 'es',
       context: {
@@ -597,6 +747,84 @@ function _buildSystemPrompt(alert, contact, motivo, idioma, customInstructions)
   return prompt;
 }
 
+/**
+ * System prompt de respaldo para alertas de feed (sin prompt de seguimiento en BD).
+ * @private
+ */
+function _buildFeedSystemPrompt(alert, contact, motivo, customInstructions) {
+  let prompt = `Eres un asistente de voz de JELABBC, una empresa de logistica y transporte. ` +
+    `Tu tarea es avisar a ${contact.nombre || contact.tipo_contacto} que se perdio el rastreo GPS de una unidad.\n\n` +
+    `CONTEXTO:\n` +
+    `- Viaje #${alert.tripId}\n` +
+    `- Unidad: ${alert.tripInfo.placas_unidad || alert.tripInfo.numero_contenedor || 'N/A'}\n` +
+    `- ${motivo}\n\n` +
+    `INSTRUCCIONES:\n` +
+    `1. Presentate como asistente de JELABBC\n` +
+    `2. Explica que no se recibe posicion GPS de la unidad; no afirmes que esta detenida\n` +
+    `3. Pide que confirme con el operador donde esta la unidad y si todo esta bien\n` +
+    `4. Agradece y despidete\n\n` +
+    `REGLAS:\n` +
+    `- Se breve y profesional\n` +
+    `- Habla en espanol de Mexico`;
+
+  if (customInstructions) {
+    prompt += `\n\nINSTRUCCIONES ADICIONALES:\n${customInstructions}`;
+  }
+
+  return prompt;
+}
+
+/**
+ * Primer mensaje de respaldo para alertas de feed.
+ * @private
+ */
+function _buildFeedFirstMessage(alert, contact) {
+  const nombre = contact.nombre || '';
+  return `Hola${nombre ? ' ' + nombre : ''}, le llamo del equipo de monitoreo de JELABBC. ` +
+    (alert.minutes !== null
+      ? `Desde hace ${alert.minutes} minutos no recibimos la posicion GPS de la unidad del viaje numero ${alert.tripId}. `
+      : `No estamos recibiendo la posicion GPS de la unidad del viaje numero ${alert.tripId}. `) +
+    `¿Nos ayuda a confirmar con el operador donde se encuentra?`;
+}
+
+/**
+ * System prompt de respaldo para eventos de geocerca (sin prompt 'geocercas' en BD).
+ * @private
+ */
+function _buildGeofenceSystemPrompt(alert, contact, motivo, customInstructions) {
+  let prompt = `Eres un asistente de voz de JELABBC, una empresa de logistica y transporte. ` +
+    `Tu tarea es avisar a ${contact.nombre || contact.tipo_contacto} de un evento de geocerca de una unidad.\n\n` +
+    `CONTEXTO:\n` +
+    `- Viaje #${alert.tripId}\n` +
+    `- Unidad: ${alert.tripInfo.placas_unidad || alert.tripInfo.numero_contenedor || 'N/A'}\n` +
+    `- ${motivo}\n\n` +
+    `INSTRUCCIONES:\n` +
+    `1. Presentate como asistente de JELABBC\n` +
+    `2. Informa que la unidad ${alert.promptExtra.evento_geocerca} la zona ${alert.promptExtra.nombre_zona}\n` +
+    `3. Pregunta si el evento era esperado o si requiere alguna accion\n` +
+    `4. Agradece y despidete\n\n` +
+    `REGLAS:\n` +
+    `- Se breve y profesional\n` +
+    `- Habla en espanol de Mexico`;
+
+  if (customInstructions) {
+    prompt += `\n\nINSTRUCCIONES ADICIONALES:\n${customInstructions}`;
+  }
+
+  return prompt;
+}
+
+/**
+ * Primer mensaje de respaldo para eventos de geocerca.
+ * @private
+ */
+function _buildGeofenceFirstMessage(alert, contact) {
+  const nombre = contact.nombre || '';
+  return `Hola${nombre ? ' ' + nombre : ''}, le llamo del equipo de monitoreo de JELABBC. ` +
+    `La unidad del viaje numero ${alert.tripId} ${alert.promptExtra.evento_geocerca} la zona ${alert.promptExtra.nombre_zona}. ` +
+    `¿Requiere alguna accion?`;
+}
+
 /**
  * Construye el primer mensaje del asistente (lo que dice al contestar).
  * @private
@@ -712,7 +940,7 @@ async function _logCall(alert, contact, callResult, motivo) {
   try {
     await api.insert('log_ai_calls', {
       id_unidad_viaje: alert.tripId,
-      tipo: 'paro',
+      tipo: alert.callTipo || 'paro',
       telefono_llamado: contact.telefono,
       destinatario_rol: contact.tipo_contacto,
       inicio_llamada: new Date().toISOString().slice(0, 19).replace('T', ' '),
@@ -723,6 +951,7 @@ async function _logCall(alert, contact, callResult, motivo) {
       motivo,
       lat_al_llamar: alert.lastLat,
       lng_al_llamar: alert.lastLng,
+      creado_en: time.toDbDate(),
     });
   } catch (err) {
     log('error', `Error registrando llamada en log_ai_calls: ${err.message}`);
@@ -813,6 +1042,7 @@ async function triggerManualCall(tripId, contactRole, customMessage) {
       motivo,
       lat_al_llamar: alert.lastLat,
       lng_al_llamar: alert.lastLng,
+      creado_en: time.toDbDate(),
     });
 
     return {
@@ -861,6 +1091,8 @@ function log(level, ...args) {
 
 module.exports = {
   processStopAlerts,
+  processFeedAlerts,
+  processGeofenceAlerts,
   triggerManualCall,
   getStatus,
 };
@@ -0,0 +1,436 @@
+/**
+ * Dispositivos sin asignar - Modulo frontend
+ * Mapa (Google Maps) + Syncfusion Grid de op_dispositivos_pendientes.
+ * Asignar un dispositivo a un viaje copia su historial en espera al viaje.
+ */
+
+var DevicesInboxModule = (function() {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Estado
+  // ---------------------------------------------------------------------------
+  var grid = null;
+  var toast = null;
+  var devices = [];
+  var historyLines = [];
+  var selectedId = null;
+
+  // ---------------------------------------------------------------------------
+  // Inicializacion
+  // ---------------------------------------------------------------------------
+
+  function init() {
+    initToast();
+    initGrid();
+    bindFilters();
+    loadDevices();
+
+    console.log('[DevicesInbox] Modulo cargado');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Toast Notifications
+  // ---------------------------------------------------------------------------
+
+  function initToast() {
+    var container = document.getElementById('toast-container');
+    if (!container || typeof ej === 'undefined') return;
+
+    toast = new ej.notifications.Toast({
+      position: { X: 'Right', Y: 'Top' },
+      newestOnTop: true,
+      showCloseButton: true,
+      timeOut: 4000,
+      animation: {
+        show: { effect: 'SlideRightIn', duration: 300 },
+        hide: { effect: 'SlideRightOut', duration: 300 }
+      }
+    });
+    toast.appendTo('#toast-container');
+  }
+
+  function showToast(title, content, cssClass) {
+    if (!toast) return;
+    toast.show({
+      title: title,
+      content: content,
+      cssClass: cssClass || 'e-toast-success'
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Carga de datos
+  // ---------------------------------------------------------------------------
+
+  function loadDevices() {
+    var params = [];
+    var provider = document.getElementById('filter-provider');
+    var estado = document.getElementById('filter-estado');
+    if (provider && provider.value) params.push('provider=' + encodeURIComponent(provider.value));
+    if (estado && estado.value) params.push('estado=' + encodeURIComponent(estado.value));
+
+    fetch('/providers/api/dispositivos' + (params.length ? '?' + params.join('&') : ''), {
+      credentials: 'same-origin'
+    })
+    .then(function(res) { return res.json(); })
+    .then(function(result) {
+      devices = result.Items || [];
+      if (grid) grid.dataSource = devices;
+      drawDeviceMarkers();
+      if (result.error) {
+        showToast('Error', result.error, 'e-toast-danger');
+      }
+    })
+    .catch(function(err) {
+      console.error('[DevicesInbox] Error cargando dispositivos:', err);
+      showToast('Error', 'No se pudo conectar con el servidor', 'e-toast-danger');
+    });
+  }
+
+  function bindFilters() {
+    ['filter-provider', 'filter-estado'].forEach(function(id) {
+      var el = document.getElementById(id);
+      if (el) el.addEventListener('change', loadDevices);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Syncfusion Grid
+  // ---------------------------------------------------------------------------
+
+  function initGrid() {
+    var gridElement = document.getElementById('devices-grid');
+    if (!gridElement || typeof ej === 'undefined') return;
+
+    grid = new ej.grids.Grid({
+      dataSource: [],
+      columns: [
+        {
+          field: 'identificador', headerText: 'Dispositivo', width: 180,
+          template: function(data) {
+            return '<p class="font-medium text-gray-900 font-mono text-sm">' + escapeHtml(data.identificador) + '</p>' +
+                   (data.nombre && data.nombre !== data.identificador
+                     ? '<p class="text-xs text-gray-500">' + escapeHtml(data.nombre) + '</p>'
+                     : '');
+          }
+        },
+        { field: 'provider_nombre', headerText: 'Proveedor', width: 140 },
+        {
+          field: 'ultima_lat', headerText: 'Ultima posicion', width: 170,
+          template: function(data) {
+            if (!data.ultima_lat || !data.ultima_lng) return '<span class="text-gray-300 text-sm">—</span>';
+            return '<span class="text-sm text-gray-600 tabular-nums">' +
+                   parseFloat(data.ultima_lat).toFixed(5) + ', ' + parseFloat(data.ultima_lng).toFixed(5) + '</span>' +
+                   (data.ultima_velocidad !== null && data.ultima_velocidad !== undefined
+                     ? '<p class="text-xs text-gray-400">' + Math.round(data.ultima_velocidad) + ' km/h</p>'
+                     : '');
+          }
+        },
+        {
+          field: 'primera_vez', headerText: 'Visto', width: 170,
+          template: function(data) {
+            return '<p class="text-xs text-gray-500">Primera: <span class="tabular-nums">' + formatDate(data.primera_vez) + '</span></p>' +
+                   '<p class="text-xs text-gray-500">Ultima: <span class="tabular-nums">' + formatDate(data.ultima_vez) + '</span></p>';
+          }
+        },
+        {
+          field: 'historial', headerText: 'Historial', width: 95, textAlign: 'Center',
+          template: function(data) {
+            return '<span class="inline-flex items-center px-2 py-0.5 rounded-md text-xs font-medium bg-blue-50 text-blue-700">' +
+                   (parseInt(data.historial) || 0) + ' pts</span>';
+          }
+        },
+        {
+          headerText: 'Asignar a viaje', width: 300,
+          allowFiltering: false, allowSorting: false,
+          template: function(data) {
+            if (data.estado === 'asignado') {
+              return '<a href="/viajes/' + data.id_unidad_viaje + '" class="text-sm text-green-700 hover:underline">Asignado al viaje #' + data.id_unidad_viaje + '</a>';
+            }
+            if (data.estado === 'descartado') {
+              return '<span class="text-sm text-gray-400">Descartado</span>';
+            }
+            return '<div class="flex items-center gap-1">' +
+                   '<select class="trip-select px-2 py-1 text-sm border border-gray-300 rounded-md bg-white max-w-[170px]" data-id="' + data.id + '">' +
+                   tripOptions() + '</select>' +
+                   '<button class="btn-assign-device px-2 py-1 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md" data-id="' + data.id + '">Asignar</button>' +
+                   '<button class="btn-discard-device p-1.5 rounded-md text-gray-400 hover:bg-red-50 hover:text-red-600" data-id="' + data.id + '" title="Descartar">' +
+                   '<svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg>' +
+                   '</button>' +
+                   '</div>';
+          }
+        }
+      ],
+      allowPaging: true,
+      pageSettings: { pageSize: 15 },
+      allowSorting: true,
+      gridLines: 'Horizontal',
+      height: 'auto',
+      rowHeight: 56,
+      rowSelected: function(args) {
+        if (args.data) selectDevice(args.data);
+      },
+      dataBound: function() {
+        bindGridActions();
+      },
+      actionComplete: function(args) {
+        if (args.requestType === 'paging' || args.requestType === 'sorting') {
+          setTimeout(bindGridActions, 100);
+        }
+      }
+    });
+
+    grid.appendTo('#devices-grid');
+  }
+
+  function bindGridActions() {
+    document.querySelectorAll('.btn-assign-device').forEach(function(btn) {
+      btn.onclick = function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        var id = parseInt(this.getAttribute('data-id'));
+        var select = document.querySelector('.trip-select[data-id="' + id + '"]');
+        assignDevice(id, select ? select.value : '', this);
+      };
+    });
+
+    document.querySelectorAll('.btn-discard-device').forEach(function(btn) {
+      btn.onclick = function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        discardDevice(parseInt(this.getAttribute('data-id')));
+      };
+    });
+
+    // El select no debe seleccionar la fila al abrirse
+    document.querySelectorAll('.trip-select').forEach(function(select) {
+      select.onclick = function(e) { e.stopPropagation(); };
+    });
+  }
+
+  function tripOptions() {
+    var trips = typeof tripsData !== 'undefined' ? tripsData : [];
+    var html = '<option value="">Selecciona viaje...</option>';
+    trips.forEach(function(t) {
+      var label = (t.numero_economico || 'Viaje #' + t.id) +
+                  (t.placas_unidad ? ' · ' + t.placas_unidad : '') +
+                  (t.nombre_operador ? ' · ' + t.nombre_operador : '');
+      html += '<option value="' + t.id + '">' + escapeHtml(label) + '</option>';
+    });
+    return html;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Acciones
+  // ---------------------------------------------------------------------------
+
+  function assignDevice(id, tripId, button) {
+    if (!tripId) {
+      showToast('Selecciona un viaje', 'Elige el viaje al que pertenece este dispositivo', 'e-toast-warning');
+      return;
+    }
+
+    if (button) button.disabled = true;
+
+    fetch('/providers/api/dispositivos/' + id + '/asignar', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id_unidad_viaje: parseInt(tripId) })
+    })
+    .then(function(res) { return res.json(); })
+    .then(function(result) {
+      if (result.success) {
+        showToast('Dispositivo asignado', (result.backfilled || 0) + ' posiciones copiadas al viaje', 'e-toast-success');
+        loadDevices();
+      } else {
+        showToast('Error', result.error || 'No se pudo asignar el dispositivo', 'e-toast-danger');
+      }
+    })
+    .catch(function(err) {
+      console.error('[DevicesInbox] Error asignando:', err);
+      showToast('Error', 'No se pudo conectar con el servidor', 'e-toast-danger');
+    })
+    .finally(function() {
+      if (button) button.disabled = false;
+    });
+  }
+
+  function discardDevice(id) {
+    if (!confirm('¿Descartar este dispositivo? Se borra su historial en espera y ya no se guardaran sus posiciones.')) return;
+
+    fetch('/providers/api/dispositivos/' + id + '/descartar', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' }
+    })
+    .then(function(res) { return res.json(); })
+    .then(function(result) {
+      if (result.success) {
+        showToast('Dispositivo descartado', 'Ya no aparecera en la bandeja', 'e-toast-success');
+        loadDevices();
+      } else {
+        showToast('Error', result.error || 'No se pudo descartar el dispositivo', 'e-toast-danger');
+      }
+    })
+    .catch(function(err) {
+      console.error('[DevicesInbox] Error descartando:', err);
+      showToast('Error', 'No se pudo conectar con el servidor', 'e-toast-danger');
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Mapa
+  // ---------------------------------------------------------------------------
+
+  function initMap() {
+    var mapEl = document.getElementById('inbox-map');
+    if (!mapEl || typeof google === 'undefined') return;
+
+    // Centro de Mexico por defecto
+    map = new google.maps.Map(mapEl, {
+      center: { lat: 23.6345, lng: -102.5528 },
+      zoom: 5,
+      mapTypeControl: false,
+      streetViewControl: false,
+      fullscreenControl: false,
+      styles: MAP_STYLES,
+      gestureHandling: 'cooperative',
+    });
+
+    infoWindow = new google.maps.InfoWindow();
+    drawDeviceMarkers();
+  }
+
+  function drawDeviceMarkers() {
+    if (!map || typeof google === 'undefined') return;
+    clearMarkers();
+
+    var bounds = new google.maps.LatLngBounds();
+    var hasMarkers = false;
+
+    devices.forEach(function(d) {
+      var lat = parseFloat(d.ultima_lat);
+      var lng = parseFloat(d.ultima_lng);
+      if (isNaN(lat) || isNaN(lng)) return;
+
+      var marker = new google.maps.Marker({
+        position: { lat: lat, lng: lng },
+        map: map,
+        title: d.nombre || d.identificador,
+        icon: createMarkerIcon(d.estado === 'asignado' ? 'en_ruta' : 'en_espera', false),
+      });
+      marker._deviceId = d.id;
+      marker.addListener('click', function() { selectDevice(d); });
+
+      markers.push(marker);
+      bounds.extend(marker.getPosition());
+      hasMarkers = true;
+    });
+
+    if (hasMarkers) {
+      map.fitBounds(bounds);
+      google.maps.event.addListenerOnce(map, 'bounds_changed', function() {
+        if (map.getZoom() > 14) map.setZoom(14);
+      });
+    }
+  }
+
+  function selectDevice(device) {
+    selectedId = device.id;
+
+    var label = document.getElementById('inbox-selected');
+    if (label) {
+      label.textContent = (device.nombre || device.identificador) + ' · ' + (device.provider_nombre || 'Proveedor ' + device.provider_id);
+    }
+
+    if (!map) return;
+
+    var marker = markers.filter(function(m) { return m._deviceId === device.id; })[0];
+    if (marker) {
+      infoWindow.setContent(
+        '<div style="font-family:Inter,system-ui,sans-serif;min-width:180px;padding:4px">' +
+        '<strong style="font-size:13px;color:#111827">' + escapeHtml(device.nombre || device.identificador) + '</strong>' +
+        '<div style="font-size:12px;color:#6b7280;margin-top:4px">' + escapeHtml(device.provider_nombre || '') + '</div>' +
+        '<div style="font-size:12px;color:#6b7280">Ultima vez: ' + formatDate(device.ultima_vez) + '</div>' +
+        '</div>'
+      );
+      infoWindow.open(map, marker);
+    }
+
+    fetch('/providers/api/dispositivos/' + device.id + '/historial', { credentials: 'same-origin' })
+      .then(function(res) { return res.json(); })
+      .then(function(result) {
+        if (selectedId !== device.id) return;
+        drawHistory(result.data || []);
+      })
+      .catch(function(err) {
+        console.error('[DevicesInbox] Error cargando historial:', err);
+      });
+  }
+
+  function drawHistory(points) {
+    historyLines.forEach(function(l) { l.setMap(null); });
+    historyLines = [];
+
+    var path = points.map(function(p) {
+      return { lat: parseFloat(p.latitud), lng: parseFloat(p.longitud) };
+    }).filter(function(p) {
+      return !isNaN(p.lat) && !isNaN(p.lng);
+    });
+    if (path.length < 2) return;
+
+    var line = new google.maps.Polyline({
+      path: path,
+      geodesic: true,
+      strokeColor: '#d97706',
+      strokeOpacity: 0.8,
+      strokeWeight: 3,
+      map: map,
+    });
+    historyLines.push(line);
+
+    var bounds = new google.maps.LatLngBounds();
+    path.forEach(function(p) { bounds.extend(p); });
+    map.fitBounds(bounds);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function formatDate(value) {
+    if (!value) return '—';
+    var d = parseServerDate(value);
+    if (!d) return String(value);
+    return d.toLocaleDateString('es-MX', { day: '2-digit', month: '2-digit' }) +
+           ' ' + d.toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit' });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inicializar
+  // ---------------------------------------------------------------------------
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ---------------------------------------------------------------------------
+  // API publica
+  // ---------------------------------------------------------------------------
+
+  return {
+    initMap: initMap,
+    reload: loadDevices,
+    showToast: showToast
+  };
+
+})();
+
+// Callback de Google Maps API
+function initInboxMap() {
+  DevicesInboxModule.initMap();
+}
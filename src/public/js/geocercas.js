@@ -0,0 +1,475 @@
+/**
+ * Geocercas - Modulo frontend
+ * Lista de conf_geocercas y editor en Google Maps: circulos (clic = centro,
+ * radio editable) y poligonos (cada clic agrega un vertice, los vertices se
+ * arrastran para ajustar). La libreria Drawing de Google Maps esta
+ * deprecada, por eso el dibujo se hace con Circle / Polygon editables.
+ */
+
+var GeocercasModule = (function() {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Estado
+  // ---------------------------------------------------------------------------
+  var DEFAULT_RADIUS_M = 500;
+  var SHAPE_COLOR = '#2563eb';
+  var FENCE_COLORS = {
+    zona: '#7c3aed',
+    destino: '#059669',
+    punto_logistico: '#d97706'
+  };
+  var TYPE_LABELS = {
+    zona: 'Zona',
+    destino: 'Destino',
+    punto_logistico: 'Punto logistico'
+  };
+  var CALL_LABELS = {
+    entrada: 'Llama al entrar',
+    salida: 'Llama al salir',
+    permanencia: 'Llama por permanencia'
+  };
+
+  var fences = [];
+  var selectedId = null;
+  var mode = null;
+  var shape = null;       // { forma, overlay } en edicion
+  var overlays = [];      // geocercas guardadas (solo lectura)
+
+  // ---------------------------------------------------------------------------
+  // Inicializacion
+  // ---------------------------------------------------------------------------
+
+  function init() {
+    var filter = document.getElementById('filter-viaje');
+    if (filter) filter.addEventListener('change', load);
+
+    var radio = document.getElementById('geo-radio');
+    if (radio) radio.addEventListener('change', function() {
+      var value = parseFloat(radio.value);
+      if (shape && shape.forma === 'circulo' && value > 0) shape.overlay.setRadius(value);
+    });
+
+    startNew();
+    load();
+  }
+
+  function initMap() {
+    var mapEl = document.getElementById('geofence-map');
+    if (!mapEl || typeof google === 'undefined') return;
+
+    // Centro de Mexico por defecto
+    map = new google.maps.Map(mapEl, {
+      center: { lat: 23.6345, lng: -102.5528 },
+      zoom: 5,
+      mapTypeControl: false,
+      streetViewControl: false,
+      fullscreenControl: false,
+      styles: MAP_STYLES,
+      gestureHandling: 'cooperative',
+      clickableIcons: false,
+    });
+
+    map.addListener('click', function(e) { onMapClick(e.latLng); });
+
+    // Viaje preseleccionado: centrar en su ultima posicion
+    var trip = tripsData.filter(function(t) { return Number(t.id) === selectedViajeId; })[0];
+    if (trip && trip.ultima_lat && trip.ultima_lng) {
+      var position = { lat: parseFloat(trip.ultima_lat), lng: parseFloat(trip.ultima_lng) };
+      map.setCenter(position);
+      map.setZoom(13);
+      markers.push(new google.maps.Marker({ position: position, map: map, icon: createCurrentPositionIcon(), title: 'Ultima posicion' }));
+    }
+
+    drawFences();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Carga de datos
+  // ---------------------------------------------------------------------------
+
+  function load() {
+    var filter = document.getElementById('filter-viaje');
+    var viaje = filter ? filter.value : '';
+
+    fetch('/geocercas/api/list' + (viaje ? '?viaje=' + encodeURIComponent(viaje) : ''), {
+      credentials: 'same-origin'
+    })
+    .then(function(res) { return res.json(); })
+    .then(function(result) {
+      if (!result.success) throw new Error(result.error || 'Error');
+      fences = result.data || [];
+      renderList();
+      drawFences();
+    })
+    .catch(function(err) {
+      document.getElementById('geo-list').innerHTML =
+        '<p class="p-5 text-sm text-red-600">No se pudieron cargar las geocercas: ' + escapeHtml(err.message) + '</p>';
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Formulario
+  // ---------------------------------------------------------------------------
+
+  function startNew() {
+    selectedId = null;
+    clearShape();
+    setMode(null);
+
+    var filter = document.getElementById('filter-viaje');
+    document.getElementById('form-title').textContent = 'Nueva geocerca';
+    document.getElementById('geo-nombre').value = '';
+    document.getElementById('geo-tipo').value = 'zona';
+    document.getElementById('geo-viaje').value = filter ? filter.value : '';
+    document.getElementById('geo-radio').value = '';
+    document.getElementById('geo-permanencia').value = '';
+    document.getElementById('geo-llamada').value = 'no';
+    document.getElementById('geo-activo').checked = true;
+    document.getElementById('geo-delete').classList.add('hidden');
+
+    renderList();
+    drawFences();
+  }
+
+  function select(id) {
+    var fence = fences.filter(function(f) { return Number(f.id) === id; })[0];
+    if (!fence) return;
+
+    selectedId = id;
+    setMode(null);
+    clearShape();
+
+    document.getElementById('form-title').textContent = 'Editar geocerca';
+    document.getElementById('geo-nombre').value = fence.nombre || '';
+    document.getElementById('geo-tipo').value = fence.tipo || 'zona';
+    document.getElementById('geo-viaje').value = fence.id_unidad_viaje || '';
+    document.getElementById('geo-radio').value = fence.radio_m || '';
+    document.getElementById('geo-permanencia').value = fence.permanencia_min || '';
+    document.getElementById('geo-llamada').value = fence.llamada_ia || 'no';
+    document.getElementById('geo-activo').checked = Number(fence.activo) === 1;
+    document.getElementById('geo-delete').classList.remove('hidden');
+
+    if (typeof google !== 'undefined' && map) {
+      if (fence.forma === 'circulo') {
+        createCircle({ lat: parseFloat(fence.lat_centro), lng: parseFloat(fence.lng_centro) }, parseInt(fence.radio_m));
+      } else {
+        createPolygon(parseVertices(fence.vertices));
+      }
+      fitShape();
+    }
+
+    renderList();
+    drawFences();
+  }
+
+  function save() {
+    var body = {
+      nombre: document.getElementById('geo-nombre').value.trim(),
+      tipo: document.getElementById('geo-tipo').value,
+      id_unidad_viaje: document.getElementById('geo-viaje').value || null,
+      permanencia_min: document.getElementById('geo-permanencia').value || null,
+      llamada_ia: document.getElementById('geo-llamada').value,
+      activo: document.getElementById('geo-activo').checked ? 1 : 0
+    };
+
+    if (!body.nombre) {
+      notify('Ingresa el nombre de la geocerca');
+      return;
+    }
+    if (!shape) {
+      notify('Dibuja un circulo o un poligono en el mapa');
+      return;
+    }
+
+    body.forma = shape.forma;
+    if (shape.forma === 'circulo') {
+      var center = shape.overlay.getCenter();
+      body.lat_centro = center.lat();
+      body.lng_centro = center.lng();
+      body.radio_m = Math.round(shape.overlay.getRadius());
+    } else {
+      body.vertices = shape.overlay.getPath().getArray().map(function(p) { return [p.lat(), p.lng()]; });
+      if (body.vertices.length < 3) {
+        notify('El poligono necesita al menos 3 vertices');
+        return;
+      }
+    }
+
+    var url = selectedId ? '/geocercas/api/update/' + selectedId : '/geocercas/api/create';
+    var btn = document.getElementById('geo-save');
+    btn.disabled = true;
+
+    fetch(url, {
+      method: selectedId ? 'PUT' : 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+    .then(function(res) { return res.json(); })
+    .then(function(result) {
+      btn.disabled = false;
+      if (!result.success) throw new Error(result.error || 'Error');
+      startNew();
+      load();
+    })
+    .catch(function(err) {
+      btn.disabled = false;
+      notify(err.message);
+    });
+  }
+
+  function remove() {
+    if (!selectedId) return;
+    if (!confirm('La geocerca dejara de evaluarse y sus visitas abiertas se cerraran. ¿Eliminar?')) return;
+
+    fetch('/geocercas/api/delete/' + selectedId, { method: 'DELETE', credentials: 'same-origin' })
+      .then(function(res) { return res.json(); })
+      .then(function(result) {
+        if (!result.success) throw new Error(result.error || 'Error');
+        startNew();
+        load();
+      })
+      .catch(function(err) {
+        notify(err.message);
+      });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Dibujo
+  // ---------------------------------------------------------------------------
+
+  function setMode(next) {
+    mode = next;
+    if (mode && shape && shape.forma !== mode) clearShape();
+
+    ['circulo', 'poligono'].forEach(function(m) {
+      var btn = document.getElementById(m === 'circulo' ? 'draw-circle' : 'draw-polygon');
+      if (!btn) return;
+      btn.classList.toggle('bg-blue-50', mode === m);
+      btn.classList.toggle('border-blue-500', mode === m);
+    });
+
+    var hint = document.getElementById('draw-hint');
+    if (hint) {
+      hint.textContent = mode === 'circulo'
+        ? 'Haz clic en el centro del circulo; despues arrastra el borde para ajustar el radio.'
+        : mode === 'poligono'
+          ? 'Haz clic para agregar cada vertice; arrastra los vertices para ajustar.'
+          : 'Elige Circulo o Poligono y haz clic en el mapa.';
+    }
+    if (map && map.setOptions) map.setOptions({ draggableCursor: mode ? 'crosshair' : null });
+  }
+
+  function onMapClick(latLng) {
+    if (mode === 'circulo') {
+      var radius = parseFloat(document.getElementById('geo-radio').value) || DEFAULT_RADIUS_M;
+      clearShape();
+      createCircle(latLng, radius);
+      setMode(null);
+    } else if (mode === 'poligono') {
+      if (!shape) createPolygon([]);
+      shape.overlay.getPath().push(latLng);
+    }
+  }
+
+  function createCircle(center, radius) {
+    var circle = new google.maps.Circle({
+      map: map,
+      center: center,
+      radius: radius,
+      editable: true,
+      draggable: true,
+      strokeColor: SHAPE_COLOR,
+      strokeWeight: 2,
+      fillColor: SHAPE_COLOR,
+      fillOpacity: 0.15,
+      zIndex: 20
+    });
+    circle.addListener('radius_changed', function() {
+      document.getElementById('geo-radio').value = Math.round(circle.getRadius());
+      describeShape();
+    });
+
+    shape = { forma: 'circulo', overlay: circle };
+    document.getElementById('geo-radio').value = Math.round(radius);
+    describeShape();
+  }
+
+  function createPolygon(vertices) {
+    var polygon = new google.maps.Polygon({
+      map: map,
+      paths: vertices.map(function(v) { return { lat: v[0], lng: v[1] }; }),
+      editable: true,
+      draggable: true,
+      strokeColor: SHAPE_COLOR,
+      strokeWeight: 2,
+      fillColor: SHAPE_COLOR,
+      fillOpacity: 0.15,
+      zIndex: 20
+    });
+    // Los clics sobre el poligono no llegan al mapa: tambien agregan vertices
+    polygon.addListener('click', function(e) {
+      if (mode === 'poligono' && e.vertex === undefined) onMapClick(e.latLng);
+    });
+    ['insert_at', 'remove_at', 'set_at'].forEach(function(evt) {
+      polygon.getPath().addListener(evt, describeShape);
+    });
+
+    shape = { forma: 'poligono', overlay: polygon };
+    describeShape();
+  }
+
+  function clearShape() {
+    if (shape) shape.overlay.setMap(null);
+    shape = null;
+    describeShape();
+  }
+
+  function describeShape() {
+    var el = document.getElementById('geo-shape');
+    if (!el) return;
+    if (!shape) {
+      el.textContent = 'Sin forma dibujada';
+    } else if (shape.forma === 'circulo') {
+      el.textContent = 'Circulo de ' + Math.round(shape.overlay.getRadius()) + ' m';
+    } else {
+      var count = shape.overlay.getPath().getLength();
+      el.textContent = 'Poligono de ' + count + ' vertice' + (count !== 1 ? 's' : '') + (count < 3 ? ' (minimo 3)' : '');
+    }
+  }
+
+  function fitShape() {
+    if (!shape || !map) return;
+    if (shape.forma === 'circulo') {
+      map.fitBounds(shape.overlay.getBounds());
+      return;
+    }
+    var bounds = new google.maps.LatLngBounds();
+    shape.overlay.getPath().forEach(function(p) { bounds.extend(p); });
+    if (!bounds.isEmpty()) map.fitBounds(bounds);
+  }
+
+  /**
+   * Dibuja las geocercas guardadas (menos la que se edita), solo lectura.
+   */
+  function drawFences() {
+    overlays.forEach(function(o) { o.setMap(null); });
+    overlays = [];
+    if (typeof google === 'undefined' || !map) return;
+
+    fences.forEach(function(f) {
+      if (Number(f.id) === selectedId) return;
+      var color = FENCE_COLORS[f.tipo] || FENCE_COLORS.zona;
+      var options = {
+        map: map,
+        strokeColor: color,
+        strokeWeight: 1.5,
+        strokeOpacity: Number(f.activo) === 1 ? 0.9 : 0.4,
+        fillColor: color,
+        fillOpacity: Number(f.activo) === 1 ? 0.12 : 0.04,
+        zIndex: 10
+      };
+
+      var overlay;
+      if (f.forma === 'circulo') {
+        options.center = { lat: parseFloat(f.lat_centro), lng: parseFloat(f.lng_centro) };
+        options.radius = parseInt(f.radio_m);
+        overlay = new google.maps.Circle(options);
+      } else {
+        options.paths = parseVertices(f.vertices).map(function(v) { return { lat: v[0], lng: v[1] }; });
+        overlay = new google.maps.Polygon(options);
+      }
+      overlay.addListener('click', function(e) {
+        // Mientras se dibuja, el clic es un vertice / centro, no seleccionar
+        if (mode) onMapClick(e.latLng);
+        else select(Number(f.id));
+      });
+      overlays.push(overlay);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Render
+  // ---------------------------------------------------------------------------
+
+  function renderList() {
+    var el = document.getElementById('geo-list');
+    document.getElementById('geo-count').textContent = fences.length ? fences.length + ' geocercas' : '';
+
+    if (fences.length === 0) {
+      el.innerHTML = '<p class="p-5 text-sm text-gray-400">Sin geocercas. Dibuja una en el mapa.</p>';
+      return;
+    }
+
+    el.innerHTML = fences.map(function(f) {
+      var color = FENCE_COLORS[f.tipo] || FENCE_COLORS.zona;
+      var scope = f.id_unidad_viaje
+        ? 'Viaje #' + f.id_unidad_viaje + (f.placas_unidad ? ' ' + escapeHtml(f.placas_unidad) : '')
+        : 'Global';
+      var details = [
+        f.forma === 'circulo' ? 'Circulo ' + f.radio_m + ' m' : 'Poligono',
+        f.permanencia_min ? 'Permanencia ' + f.permanencia_min + ' min' : null,
+        CALL_LABELS[f.llamada_ia] || null
+      ].filter(Boolean).join(' · ');
+
+      return '<div onclick="GeocercasModule.select(' + Number(f.id) + ')" ' +
+        'class="px-5 py-3 cursor-pointer hover:bg-gray-50' + (Number(f.id) === selectedId ? ' bg-blue-50' : '') + '">' +
+        '<div class="flex items-center justify-between gap-2">' +
+        '<span class="flex items-center gap-2 text-sm font-medium ' + (Number(f.activo) === 1 ? 'text-gray-900' : 'text-gray-400') + '">' +
+        '<span class="inline-block w-3 h-3 rounded-full" style="background:' + color + '"></span>' + escapeHtml(f.nombre) + '</span>' +
+        '<span class="text-xs text-gray-500">' + escapeHtml(TYPE_LABELS[f.tipo] || f.tipo) + '</span>' +
+        '</div>' +
+        '<p class="text-xs text-gray-500 mt-0.5">' + scope + ' · ' + escapeHtml(details) +
+        (Number(f.activo) === 1 ? '' : ' · <span class="text-red-600">Inactiva</span>') + '</p>' +
+        '</div>';
+    }).join('');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function parseVertices(value) {
+    try {
+      var list = typeof value === 'string' ? JSON.parse(value) : value;
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function notify(message) {
+    alert(message);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inicializar
+  // ---------------------------------------------------------------------------
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ---------------------------------------------------------------------------
+  // API publica
+  // ---------------------------------------------------------------------------
+
+  return {
+    initMap: initMap,
+    startNew: startNew,
+    select: select,
+    save: save,
+    remove: remove,
+    setMode: setMode,
+    clearShape: clearShape
+  };
+
+})();
+
+// Callback de Google Maps API
+function initGeofenceMap() {
+  GeocercasModule.initMap();
+}
@@ -0,0 +1,25 @@
+/**
+ * JELABBC Tracking - Escape de HTML para los modulos de las vistas
+ *
+ * Los modulos (dispositivos, push, geocercas...) arman filas y tarjetas con
+ * innerHTML; todo valor que viene de la API pasa por escapeHtml(). Se carga
+ * en partials/head para todas las vistas.
+ */
+(function() {
+  'use strict';
+
+  /**
+   * Escapa &, <, > y " (texto y atributos entre comillas dobles).
+   * @param {*} value
+   * @returns {string} '' para null / undefined
+   */
+  function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  window.escapeHtml = escapeHtml;
+})();
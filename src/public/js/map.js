@@ -254,7 +254,10 @@ function addViajeMarkers(viajes) {
 // ---------------------------------------------------------------------------
 
 function drawRoute(coords) {
-  var path = coords.map(function(c) {
+  // Los fixes rechazados por calidad (saltos, 0,0) se ven en el grid, no en la ruta
+  var path = coords.filter(function(c) {
+    return c.calidad !== 'rechazado';
+  }).map(function(c) {
     return { lat: parseFloat(c.latitud), lng: parseFloat(c.longitud) };
   }).filter(function(p) {
     return !isNaN(p.lat) && !isNaN(p.lng);
@@ -0,0 +1,307 @@
+/**
+ * Banco de pruebas de proveedores - Modulo frontend
+ * Ejecuta POST /providers/api/test-url (dry-run, no guarda nada) y muestra
+ * plataforma detectada, requests, payload crudo, coordenadas en el mapa
+ * y el desglose por dispositivo.
+ */
+
+var ProviderTestModule = (function() {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Estado
+  // ---------------------------------------------------------------------------
+  var testMap = null;
+  var testMarkers = [];
+  var lastResult = null;
+  var running = false;
+
+  // ---------------------------------------------------------------------------
+  // Inicializacion
+  // ---------------------------------------------------------------------------
+
+  function init() {
+    loadPlatforms();
+  }
+
+  function loadPlatforms() {
+    fetch('/providers/api/platforms', { credentials: 'same-origin' })
+      .then(function(res) { return res.json(); })
+      .then(function(result) {
+        var select = document.getElementById('test-platform');
+        if (!select || !result.success) return;
+        (result.data || []).forEach(function(p) {
+          var option = document.createElement('option');
+          option.value = p.name;
+          option.textContent = p.label || p.name;
+          select.appendChild(option);
+        });
+      })
+      .catch(function() {});
+  }
+
+  // ---------------------------------------------------------------------------
+  // Ejecutar prueba
+  // ---------------------------------------------------------------------------
+
+  function useMirrorLink() {
+    var mirror = document.getElementById('link-cuenta-espejo');
+    var input = document.getElementById('test-url');
+    if (mirror && input) input.value = mirror.value.trim();
+  }
+
+  function run() {
+    if (running) return;
+
+    var url = document.getElementById('test-url').value.trim();
+    if (!url) {
+      showToast('Ingresa el link a probar', 'error');
+      return;
+    }
+
+    var body = {
+      url: url,
+      plataforma: document.getElementById('test-platform').value || null,
+      username: document.getElementById('test-username').value.trim() || null,
+      password: document.getElementById('test-password').value || null,
+      zona_horaria: document.getElementById('test-timezone').value.trim() || null,
+      browser: document.getElementById('test-browser').checked,
+    };
+
+    var btn = document.getElementById('btn-test-url');
+    running = true;
+    btn.disabled = true;
+    btn.textContent = body.browser ? 'Probando (navegador)...' : 'Probando...';
+
+    fetch('/providers/api/test-url', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+    .then(function(res) { return res.json(); })
+    .then(function(result) {
+      lastResult = result;
+      renderResult(result);
+    })
+    .catch(function(err) {
+      showToast('Error: ' + err.message, 'error');
+    })
+    .then(function() {
+      running = false;
+      btn.disabled = false;
+      btn.textContent = 'Probar link';
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Render
+  // ---------------------------------------------------------------------------
+
+  function renderResult(result) {
+    document.getElementById('test-result').classList.remove('hidden');
+
+    var errorEl = document.getElementById('test-error');
+    if (result.error) {
+      errorEl.textContent = result.error + (result.errors ? ': ' + result.errors.join('; ') : '');
+      errorEl.classList.remove('hidden');
+    } else {
+      errorEl.classList.add('hidden');
+    }
+
+    var platform = result.platform || '—';
+    if (result.detectedPlatform && result.detectedPlatform !== result.platform) {
+      platform += ' (detectada: ' + result.detectedPlatform + ')';
+    }
+    document.getElementById('test-summary').innerHTML =
+      summaryItem('Plataforma', escapeHtml(platform)) +
+      summaryItem('Coordenadas', String(result.count || 0)) +
+      summaryItem('Dispositivos', String((result.devices || []).length)) +
+      summaryItem('Duracion', result.durationMs !== undefined ? (result.durationMs / 1000).toFixed(1) + ' s' : '—');
+
+    renderDevices(result.devices || []);
+    renderTimeline(result.timeline || []);
+    renderBrowser(result.browser);
+    document.getElementById('test-raw').textContent = result.rawPreview || '(sin payload)';
+    drawCoords();
+  }
+
+  function summaryItem(label, value) {
+    return '<div><p class="text-xs text-gray-500 uppercase">' + label + '</p>' +
+      '<p class="text-sm font-semibold text-gray-900 mt-1">' + value + '</p></div>';
+  }
+
+  function renderDevices(devices) {
+    var el = document.getElementById('test-devices');
+    if (devices.length === 0) {
+      el.innerHTML = '<p class="text-sm text-gray-400">Sin coordenadas</p>';
+      return;
+    }
+
+    var rows = devices.map(function(d) {
+      var last = d.last || {};
+      return '<tr class="border-t border-gray-100">' +
+        '<td class="py-2 pr-3 font-mono text-xs text-gray-700">' + escapeHtml(d.deviceId) + '</td>' +
+        '<td class="py-2 pr-3 text-sm text-gray-600">' + escapeHtml(d.deviceName || '—') + '</td>' +
+        '<td class="py-2 pr-3 text-sm tabular-nums text-gray-700">' + d.count + '</td>' +
+        '<td class="py-2 pr-3 font-mono text-xs text-gray-700">' + formatCoord(last) + '</td>' +
+        '<td class="py-2 pr-3 text-xs tabular-nums text-gray-500">' + formatFix(last) + '</td>' +
+        '</tr>';
+    }).join('');
+
+    el.innerHTML = '<table class="w-full text-left">' +
+      '<thead><tr class="text-xs text-gray-500 uppercase">' +
+      '<th class="py-1 pr-3">Dispositivo</th><th class="py-1 pr-3">Nombre</th><th class="py-1 pr-3">Coords</th>' +
+      '<th class="py-1 pr-3">Ultima posicion</th><th class="py-1 pr-3">Fecha GPS</th>' +
+      '</tr></thead><tbody>' + rows + '</tbody></table>';
+  }
+
+  function renderTimeline(timeline) {
+    var el = document.getElementById('test-timeline');
+    if (timeline.length === 0) {
+      el.innerHTML = '<p class="text-sm text-gray-400">El adaptador no hizo requests HTTP</p>';
+      return;
+    }
+
+    el.innerHTML = timeline.map(function(t, i) {
+      var ok = t.status && t.status < 400 && !t.error;
+      var statusCls = ok ? 'bg-emerald-100 text-emerald-700' : 'bg-red-100 text-red-700';
+      return '<details class="border-t border-gray-100 py-2">' +
+        '<summary class="flex items-center gap-3 cursor-pointer text-xs">' +
+        '<span class="text-gray-400 tabular-nums">' + (i + 1) + '</span>' +
+        '<span class="font-semibold text-gray-700">' + escapeHtml(t.method) + '</span>' +
+        '<span class="inline-flex px-2 py-0.5 rounded-full font-medium ' + statusCls + '">' + (t.status || 'ERR') + '</span>' +
+        '<span class="font-mono text-gray-600 truncate flex-1" title="' + escapeHtml(t.url) + '">' + escapeHtml(t.url) + '</span>' +
+        '<span class="text-gray-400 tabular-nums">+' + t.offsetMs + ' ms</span>' +
+        '<span class="text-gray-600 tabular-nums">' + t.durationMs + ' ms</span>' +
+        '<span class="text-gray-400 tabular-nums">' + formatBytes(t.bytes) + '</span>' +
+        '</summary>' +
+        '<div class="mt-2 text-xs text-gray-500">' +
+        (t.error ? '<p class="text-red-600 mb-1">' + escapeHtml(t.error) + '</p>' : '') +
+        (t.contentType ? '<p class="mb-1">' + escapeHtml(t.contentType) + '</p>' : '') +
+        '<pre class="bg-gray-50 rounded p-2 overflow-auto font-mono">' + escapeHtml(t.preview || '') + '</pre>' +
+        '</div>' +
+        '</details>';
+    }).join('');
+  }
+
+  function renderBrowser(browser) {
+    var el = document.getElementById('test-browser-result');
+    if (!browser) {
+      el.classList.add('hidden');
+      return;
+    }
+
+    var strategies = browser.strategies
+      ? Object.keys(browser.strategies).map(function(name) {
+          var s = browser.strategies[name] || {};
+          return escapeHtml(name) + ': ' + (s.count || 0);
+        }).join(' · ')
+      : '—';
+
+    el.innerHTML = '<p class="text-xs font-semibold text-gray-600 uppercase tracking-wider mb-2">Navegador</p>' +
+      '<div class="px-3 py-2 rounded-lg text-sm ' + (browser.success ? 'bg-gray-50 text-gray-700' : 'bg-red-50 text-red-700') + '">' +
+      (browser.error ? escapeHtml(browser.error) + '<br>' : '') +
+      browser.count + ' coordenadas en ' + (browser.durationMs / 1000).toFixed(1) + ' s (' + escapeHtml(browser.source || 'browser') + ')' +
+      '<br><span class="text-xs text-gray-500">Estrategias: ' + strategies + '</span>' +
+      (browser.login && browser.login.required
+        ? '<br><span class="text-xs text-gray-500">Login: ' + (browser.login.success ? 'correcto' : 'fallido') + '</span>'
+        : '') +
+      '</div>';
+    el.classList.remove('hidden');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Mapa
+  // ---------------------------------------------------------------------------
+
+  function initMap() {
+    var mapEl = document.getElementById('test-map');
+    if (!mapEl || typeof google === 'undefined') return;
+
+    testMap = new google.maps.Map(mapEl, {
+      center: { lat: 23.6345, lng: -102.5528 },
+      zoom: 5,
+      mapTypeControl: false,
+      streetViewControl: false,
+      fullscreenControl: false,
+      styles: MAP_STYLES,
+      gestureHandling: 'cooperative',
+    });
+    drawCoords();
+  }
+
+  function drawCoords() {
+    if (!testMap || !lastResult) return;
+
+    testMarkers.forEach(function(m) { m.setMap(null); });
+    testMarkers = [];
+
+    var coords = (lastResult.coords || []).map(function(c) { return { c: c, estado: 'en_ruta' }; })
+      .concat(((lastResult.browser && lastResult.browser.coords) || []).map(function(c) { return { c: c, estado: 'cargando' }; }));
+    if (coords.length === 0) return;
+
+    var bounds = new google.maps.LatLngBounds();
+    coords.forEach(function(item) {
+      var c = item.c;
+      var marker = new google.maps.Marker({
+        position: { lat: c.lat, lng: c.lng },
+        map: testMap,
+        title: (c.deviceName || c.deviceId || 'Sin id') + ' · ' + formatFix(c),
+        icon: createMarkerIcon(item.estado, false),
+      });
+      testMarkers.push(marker);
+      bounds.extend(marker.getPosition());
+    });
+
+    testMap.fitBounds(bounds);
+    google.maps.event.addListenerOnce(testMap, 'bounds_changed', function() {
+      if (testMap.getZoom() > 14) testMap.setZoom(14);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function formatCoord(c) {
+    if (!c || typeof c.lat !== 'number') return '—';
+    return c.lat.toFixed(6) + ', ' + c.lng.toFixed(6);
+  }
+
+  function formatFix(c) {
+    if (!c || !c.timestamp) return c && c.rawTimestamp ? escapeHtml(c.rawTimestamp) + ' (sin zona)' : '—';
+    return formatServerDate(c.timestamp, { dateStyle: 'short', timeStyle: 'medium' });
+  }
+
+  function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    return bytes < 1024 ? bytes + ' B' : (bytes / 1024).toFixed(1) + ' KB';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inicializar
+  // ---------------------------------------------------------------------------
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ---------------------------------------------------------------------------
+  // API publica
+  // ---------------------------------------------------------------------------
+
+  return {
+    run: run,
+    useMirrorLink: useMirrorLink,
+    initMap: initMap
+  };
+
+})();
+
+// Callback de Google Maps API
+function initProviderTestMap() {
+  ProviderTestModule.initMap();
+}
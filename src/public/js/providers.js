@@ -15,6 +15,29 @@ var ProvidersModule = (function() {
   var toast = null;
   var editingId = null; // null = crear, number = editar
 
+  // Ejemplo de receta (ver src/scraper/adapters/recipe.js)
+  var RECIPE_EXAMPLE = {
+    tokens: { token: 'query:access_token' },
+    warmup: false,
+    request: {
+      url: '{{origin}}/api/share/{{token}}/devices',
+      method: 'GET',
+      headers: { 'X-Requested-With': 'XMLHttpRequest' }
+    },
+    items: '$.data[*]',
+    fields: {
+      lat: '$.lat',
+      lng: '$.lng',
+      speed: '$.speed',
+      heading: '$.course',
+      timestamp: '$.time',
+      deviceId: '$.imei',
+      deviceName: '$.name'
+    },
+    speedUnit: 'kmh',
+    timestampFormat: 'raw'
+  };
+
   // ---------------------------------------------------------------------------
   // Inicializacion
   // ---------------------------------------------------------------------------
@@ -78,12 +101,33 @@ var ProvidersModule = (function() {
         { field: 'id', headerText: 'ID', width: 65, textAlign: 'Center', isPrimaryKey: true },
         {
           field: 'nombre', headerText: 'Nombre', width: 160,
-          template: '<span class="font-medium text-gray-900">${nombre}</span>'
+          template: function(data) {
+            var html = '<span class="font-medium text-gray-900">' + (data.nombre || '') + '</span>';
+            var pending = parseInt(data.dispositivos_pendientes) || 0;
+            if (pending > 0) {
+              html += '<a href="/providers/dispositivos?provider=' + data.id + '" class="block text-xs text-amber-700 hover:underline" title="Dispositivos sin viaje asignado">' +
+                      pending + ' sin asignar</a>';
+            }
+            return html;
+          }
         },
         {
           field: 'url', headerText: 'URL', width: 260,
           template: '<a href="${url}" target="_blank" rel="noopener" class="text-blue-600 hover:text-blue-800 hover:underline text-sm truncate block max-w-[240px]" title="${url}">${url}</a>'
         },
+        {
+          field: 'plataforma_detectada', headerText: 'Plataforma', width: 130,
+          template: function(data) {
+            var name = data.plataforma_detectada || 'generic';
+            var mode = data.modo_extraccion && data.modo_extraccion !== 'http'
+              ? '<span class="block text-xs text-purple-600 mt-0.5" title="Modo de extraccion">' + data.modo_extraccion + '</span>'
+              : '';
+            if (data.plataforma) {
+              return '<span class="inline-flex items-center px-2 py-0.5 rounded-md text-xs font-medium bg-amber-50 text-amber-700" title="Forzada manualmente">' + name + '</span>' + mode;
+            }
+            return '<span class="inline-flex items-center px-2 py-0.5 rounded-md text-xs font-medium bg-gray-100 text-gray-600" title="Detectada por URL">' + name + '</span>' + mode;
+          }
+        },
         { field: 'username', headerText: 'Usuario', width: 120 },
         {
           field: 'intervalo_minutos', headerText: 'Intervalo', width: 100, textAlign: 'Center',
@@ -97,6 +141,11 @@ var ProvidersModule = (function() {
         {
           field: 'activo', headerText: 'Estado', width: 100, textAlign: 'Center',
           template: function(data) {
+            if (data.activo && data.suspendido_en) {
+              return '<span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800" title="' + escapeAttr(data.ultimo_error || '') + '">' +
+                     '<span class="w-1.5 h-1.5 rounded-full bg-red-500 mr-1.5"></span>Suspendido</span>' +
+                     '<span class="block text-xs text-red-600 mt-0.5">' + (parseInt(data.fallos_consecutivos) || 0) + ' fallos</span>';
+            }
             if (data.activo) {
               return '<span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">' +
                      '<span class="w-1.5 h-1.5 rounded-full bg-green-500 mr-1.5 animate-pulse"></span>Activo</span>';
@@ -111,17 +160,22 @@ var ProvidersModule = (function() {
             if (!data.ultimo_scrape) {
               return '<span class="text-gray-300 text-sm">Nunca</span>';
             }
-            var d = new Date(data.ultimo_scrape);
+            var d = parseServerDate(data.ultimo_scrape);
             var formatted = d.toLocaleDateString('es-MX', { day: '2-digit', month: '2-digit', year: 'numeric' }) +
                             ' ' + d.toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit' });
             return '<span class="text-sm text-gray-600 tabular-nums">' + formatted + '</span>';
           }
         },
         {
-          headerText: 'Acciones', width: 120, textAlign: 'Center',
+          headerText: 'Acciones', width: 140, textAlign: 'Center',
           allowFiltering: false, allowSorting: false,
           template: function(data) {
-            return '<div class="flex items-center justify-center gap-1">' +
+            var retry = data.suspendido_en
+              ? '<button class="btn-retry-provider p-1.5 rounded-md text-amber-600 hover:bg-amber-50 hover:text-amber-700 transition-colors" data-id="' + data.id + '" title="Reintentar y reactivar">' +
+                '<svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/></svg>' +
+                '</button>'
+              : '';
+            return '<div class="flex items-center justify-center gap-1">' + retry +
                    '<button class="btn-edit-provider p-1.5 rounded-md text-blue-600 hover:bg-blue-50 hover:text-blue-700 transition-colors" data-id="' + data.id + '" title="Editar">' +
                    '<svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"/></svg>' +
                    '</button>' +
@@ -177,6 +231,16 @@ var ProvidersModule = (function() {
         confirmDelete(id, name);
       };
     });
+
+    // Botones reintentar (proveedores suspendidos)
+    var retryBtns = document.querySelectorAll('.btn-retry-provider');
+    retryBtns.forEach(function(btn) {
+      btn.onclick = function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        retryProvider(parseInt(this.getAttribute('data-id')), this);
+      };
+    });
   }
 
   function refreshGrid() {
@@ -297,6 +361,29 @@ var ProvidersModule = (function() {
       });
     }
 
+    // Mostrar editor de receta solo con plataforma = recipe
+    var plataformaSelect = document.getElementById('prov-plataforma');
+    if (plataformaSelect) {
+      plataformaSelect.addEventListener('change', function() {
+        toggleRecipeEditor(this.value === 'recipe');
+      });
+    }
+
+    var recipeExampleBtn = document.getElementById('btn-receta-ejemplo');
+    if (recipeExampleBtn) {
+      recipeExampleBtn.addEventListener('click', function() {
+        if (getVal('prov-receta') && !confirm('¿Reemplazar la receta actual por el ejemplo?')) return;
+        setVal('prov-receta', JSON.stringify(RECIPE_EXAMPLE, null, 2));
+      });
+    }
+
+    var recipeTestBtn = document.getElementById('btn-receta-probar');
+    if (recipeTestBtn) {
+      recipeTestBtn.addEventListener('click', function() {
+        testRecipe();
+      });
+    }
+
     // Submit con Enter
     var formInputs = document.querySelectorAll('#provider-dialog input:not([type="checkbox"])');
     formInputs.forEach(function(input) {
@@ -380,6 +467,10 @@ var ProvidersModule = (function() {
   function populateForm(data) {
     setVal('prov-nombre', data.nombre || '');
     setVal('prov-url', data.url || '');
+    setVal('prov-plataforma', data.plataforma || '');
+    setVal('prov-receta', formatRecipe(data.receta));
+    setVal('prov-modo', data.modo_extraccion || 'http');
+    setVal('prov-zona', data.zona_horaria || '');
     setVal('prov-username', data.username || '');
     setVal('prov-password', data.password || '');
     setVal('prov-selector-user', data.selector_user || '');
@@ -396,12 +487,18 @@ var ProvidersModule = (function() {
     if (wrap) {
       wrap.classList.toggle('hidden', !data.login_in_iframe);
     }
+
+    toggleRecipeEditor(data.plataforma === 'recipe');
   }
 
   function resetForm() {
     editingId = null;
     setVal('prov-nombre', '');
     setVal('prov-url', '');
+    setVal('prov-plataforma', '');
+    setVal('prov-receta', '');
+    setVal('prov-modo', 'http');
+    setVal('prov-zona', '');
     setVal('prov-username', '');
     setVal('prov-password', '');
     setVal('prov-selector-user', '');
@@ -414,6 +511,7 @@ var ProvidersModule = (function() {
 
     var wrap = document.getElementById('prov-iframe-selector-wrap');
     if (wrap) wrap.classList.add('hidden');
+    toggleRecipeEditor(false);
 
     // Limpiar errores de validacion
     var errorEls = document.querySelectorAll('#provider-dialog .field-error');
@@ -475,6 +573,22 @@ var ProvidersModule = (function() {
       isValid = false;
     }
 
+    // Receta requerida y con JSON valido
+    if (getVal('prov-plataforma') === 'recipe') {
+      var receta = getVal('prov-receta');
+      if (!receta) {
+        markError('prov-receta', 'La plataforma receta requiere una receta');
+        isValid = false;
+      } else {
+        try {
+          JSON.parse(receta);
+        } catch (e) {
+          markError('prov-receta', 'JSON invalido: ' + e.message);
+          isValid = false;
+        }
+      }
+    }
+
     // Intervalo valido
     var intervalo = parseInt(getVal('prov-intervalo'));
     if (isNaN(intervalo) || intervalo < 1 || intervalo > 60) {
@@ -512,6 +626,10 @@ var ProvidersModule = (function() {
     var data = {
       nombre: getVal('prov-nombre'),
       url: getVal('prov-url'),
+      plataforma: getVal('prov-plataforma') || null,
+      receta: getVal('prov-plataforma') === 'recipe' ? (getVal('prov-receta') || null) : null,
+      modo_extraccion: getVal('prov-modo') || 'http',
+      zona_horaria: getVal('prov-zona') || null,
       username: getVal('prov-username') || null,
       password: getVal('prov-password') || null,
       selector_user: getVal('prov-selector-user') || null,
@@ -561,6 +679,87 @@ var ProvidersModule = (function() {
     });
   }
 
+  // ---------------------------------------------------------------------------
+  // Receta: editor y prueba
+  // ---------------------------------------------------------------------------
+
+  function toggleRecipeEditor(visible) {
+    var wrap = document.getElementById('prov-receta-wrap');
+    if (wrap) wrap.classList.toggle('hidden', !visible);
+    if (!visible) {
+      var result = document.getElementById('prov-receta-result');
+      if (result) result.classList.add('hidden');
+    }
+  }
+
+  function formatRecipe(receta) {
+    if (!receta) return '';
+    try {
+      var obj = typeof receta === 'string' ? JSON.parse(receta) : receta;
+      return JSON.stringify(obj, null, 2);
+    } catch (e) {
+      return String(receta);
+    }
+  }
+
+  function showRecipeResult(summary, cssClass, output) {
+    var result = document.getElementById('prov-receta-result');
+    var summaryEl = document.getElementById('prov-receta-summary');
+    var outputEl = document.getElementById('prov-receta-output');
+    if (!result) return;
+    summaryEl.textContent = summary;
+    summaryEl.className = 'text-sm font-medium ' + cssClass;
+    outputEl.textContent = output || '';
+    result.classList.remove('hidden');
+  }
+
+  function testRecipe() {
+    var url = getVal('prov-url');
+    var receta = getVal('prov-receta');
+
+    if (!url || !receta) {
+      showRecipeResult('Captura la URL y la receta antes de probar', 'text-amber-600', '');
+      return;
+    }
+
+    var btn = document.getElementById('btn-receta-probar');
+    if (btn) btn.disabled = true;
+    showRecipeResult('Ejecutando receta...', 'text-blue-600', '');
+
+    fetch('/providers/api/recipe/test', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        url: url,
+        receta: receta,
+        username: getVal('prov-username') || null,
+        password: getVal('prov-password') || null
+      })
+    })
+    .then(function(res) { return res.json(); })
+    .then(function(result) {
+      if (result.errors) {
+        showRecipeResult(result.error, 'text-red-600', result.errors.join('\n'));
+        return;
+      }
+      var req = result.request ? result.request.method + ' ' + result.request.url + ' → ' + result.request.status + '\n\n' : '';
+      if (result.success && result.count > 0) {
+        showRecipeResult(result.count + ' coordenadas validas', 'text-emerald-600',
+          req + JSON.stringify(result.coords.slice(0, 5), null, 2));
+      } else {
+        showRecipeResult(result.error || '0 coordenadas validas — revisa items y fields', 'text-red-600',
+          req + (result.rawPreview || ''));
+      }
+    })
+    .catch(function(err) {
+      showRecipeResult('No se pudo conectar con el servidor', 'text-red-600', err.message);
+    })
+    .finally(function() {
+      if (btn) btn.disabled = false;
+    });
+  }
+
   // ---------------------------------------------------------------------------
   // Eliminar
   // ---------------------------------------------------------------------------
@@ -597,6 +796,42 @@ var ProvidersModule = (function() {
     });
   }
 
+  // ---------------------------------------------------------------------------
+  // Reintentar proveedor suspendido
+  // ---------------------------------------------------------------------------
+
+  function retryProvider(id, btn) {
+    if (btn) btn.disabled = true;
+
+    fetch('/api/scraper/run', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ providerId: id })
+    })
+    .then(function(res) { return res.json(); })
+    .then(function(result) {
+      var data = result.data || {};
+      if (result.success && data.success) {
+        showToast('Proveedor reactivado', (data.coordsFound || 0) + ' coordenadas obtenidas', 'e-toast-success');
+      } else {
+        showToast('Sigue fallando', data.error || result.error || 'El proveedor no respondio', 'e-toast-danger');
+      }
+      refreshGrid();
+    })
+    .catch(function(err) {
+      console.error('[Providers] Error reintentando:', err);
+      showToast('Error', 'No se pudo conectar con el servidor', 'e-toast-danger');
+    })
+    .finally(function() {
+      if (btn) btn.disabled = false;
+    });
+  }
+
+  function escapeAttr(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
   // ---------------------------------------------------------------------------
   // Helpers botones dialog
   // ---------------------------------------------------------------------------
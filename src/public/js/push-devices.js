@@ -0,0 +1,165 @@
+/**
+ * Dispositivos push - Modulo frontend
+ * Alta de celulares (OsmAnd / Traccar Client) en proveedores modo push,
+ * con su token y los URLs para configurar la app.
+ */
+
+var PushDevicesModule = (function() {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Inicializacion
+  // ---------------------------------------------------------------------------
+
+  function init() {
+    if (!document.getElementById('push-devices')) return;
+
+    var base = window.location.origin + '/push/osmand';
+    document.getElementById('push-url-osmand').textContent =
+      base + '?token=TOKEN&lat={0}&lon={1}&timestamp={2}&speed={5}&bearing={6}';
+    document.getElementById('push-url-traccar').textContent = base;
+
+    load();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Carga y acciones
+  // ---------------------------------------------------------------------------
+
+  function load() {
+    fetch('/providers/api/push-devices', { credentials: 'same-origin' })
+      .then(function(res) { return res.json(); })
+      .then(function(result) {
+        if (!result.success) throw new Error(result.error || 'Error');
+        render(result.data || []);
+      })
+      .catch(function(err) {
+        document.getElementById('push-devices').innerHTML =
+          '<p class="text-sm text-red-600">No se pudieron cargar los dispositivos: ' + escapeHtml(err.message) + '</p>';
+      });
+  }
+
+  function create() {
+    var body = {
+      provider_id: document.getElementById('push-provider').value,
+      identificador: document.getElementById('push-identificador').value.trim(),
+      nombre: document.getElementById('push-nombre').value.trim() || null,
+      id_unidad_viaje: document.getElementById('push-viaje').value || null,
+    };
+    if (!body.identificador) {
+      notify('Ingresa el identificador del dispositivo', 'error');
+      return;
+    }
+
+    post('/providers/api/push-devices', body, function() {
+      document.getElementById('push-identificador').value = '';
+      document.getElementById('push-nombre').value = '';
+      notify('Dispositivo listo: copia su token a la app', 'success');
+      load();
+    });
+  }
+
+  function rotate(id, revoke) {
+    var message = revoke
+      ? 'El dispositivo dejara de poder enviar posiciones. ¿Revocar el token?'
+      : 'El token actual dejara de funcionar. ¿Generar uno nuevo?';
+    if (!confirm(message)) return;
+
+    post('/providers/api/push-devices/' + id + '/token', { revoke: !!revoke }, function() {
+      notify(revoke ? 'Token revocado' : 'Token nuevo generado', 'success');
+      load();
+    });
+  }
+
+  function post(url, body, onSuccess) {
+    fetch(url, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+    .then(function(res) { return res.json(); })
+    .then(function(result) {
+      if (!result.success) throw new Error(result.error || 'Error');
+      onSuccess(result);
+    })
+    .catch(function(err) {
+      notify(err.message, 'error');
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Render
+  // ---------------------------------------------------------------------------
+
+  function render(devices) {
+    var el = document.getElementById('push-devices');
+    if (devices.length === 0) {
+      el.innerHTML = '<p class="text-sm text-gray-400">Sin dispositivos push</p>';
+      return;
+    }
+
+    var rows = devices.map(function(d) {
+      var token = d.token_push
+        ? '<code class="font-mono text-xs text-gray-700 select-all">' + escapeHtml(d.token_push) + '</code>'
+        : '<span class="text-xs text-red-600">Revocado</span>';
+      var trip = d.id_unidad_viaje
+        ? '<a href="/viajes/' + d.id_unidad_viaje + '" class="text-blue-600 hover:underline">#' + d.id_unidad_viaje + '</a>'
+        : (d.placas ? escapeHtml(d.placas) : '<span class="text-gray-400">Bandeja</span>');
+
+      return '<tr class="border-t border-gray-100">' +
+        '<td class="py-2 pr-3"><p class="font-mono text-sm text-gray-900">' + escapeHtml(d.identificador) + '</p>' +
+        (d.nombre ? '<p class="text-xs text-gray-500">' + escapeHtml(d.nombre) + '</p>' : '') + '</td>' +
+        '<td class="py-2 pr-3 text-sm text-gray-600">' + escapeHtml(d.provider_nombre) + '</td>' +
+        '<td class="py-2 pr-3 text-sm">' + trip + '</td>' +
+        '<td class="py-2 pr-3">' + token + '</td>' +
+        '<td class="py-2 pr-3 text-xs text-gray-500 tabular-nums">' +
+        (d.ultimo_push ? formatServerDate(d.ultimo_push, { dateStyle: 'short', timeStyle: 'medium' }) : '—') + '</td>' +
+        '<td class="py-2 text-right whitespace-nowrap">' +
+        '<button class="px-2 py-1 text-xs font-medium text-blue-700 hover:bg-blue-50 rounded-md" onclick="PushDevicesModule.rotate(' + d.id + ')">Nuevo token</button>' +
+        (d.token_push
+          ? '<button class="px-2 py-1 text-xs font-medium text-red-600 hover:bg-red-50 rounded-md" onclick="PushDevicesModule.rotate(' + d.id + ', true)">Revocar</button>'
+          : '') +
+        '</td>' +
+        '</tr>';
+    }).join('');
+
+    el.innerHTML = '<table class="w-full text-left">' +
+      '<thead><tr class="text-xs text-gray-500 uppercase">' +
+      '<th class="py-1 pr-3">Dispositivo</th><th class="py-1 pr-3">Proveedor</th><th class="py-1 pr-3">Viaje</th>' +
+      '<th class="py-1 pr-3">Token</th><th class="py-1 pr-3">Ultima posicion</th><th class="py-1"></th>' +
+      '</tr></thead><tbody>' + rows + '</tbody></table>';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function notify(message, type) {
+    if (typeof DevicesInboxModule !== 'undefined' && DevicesInboxModule.showToast) {
+      DevicesInboxModule.showToast(type === 'error' ? 'Error' : 'Listo', message, type === 'error' ? 'e-toast-danger' : 'e-toast-success');
+    } else if (type === 'error') {
+      alert(message);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inicializar
+  // ---------------------------------------------------------------------------
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ---------------------------------------------------------------------------
+  // API publica
+  // ---------------------------------------------------------------------------
+
+  return {
+    create: create,
+    rotate: rotate
+  };
+
+})();
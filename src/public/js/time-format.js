@@ -0,0 +1,54 @@
+/**
+ * JELABBC Tracking - Fechas en la zona del usuario
+ *
+ * La BD guarda todas las fechas en UTC sin zona ("2026-03-01 16:00:00").
+ * new Date() las leeria como hora local del navegador (desfase de horas),
+ * asi que las vistas usan parseServerDate() / formatServerDate().
+ *
+ * Tambien guarda la zona del navegador en la cookie "tz" para que el
+ * servidor calcule "hoy" y formatee las vistas EJS en la misma zona.
+ */
+(function() {
+  'use strict';
+
+  var userTimezone = 'America/Mexico_City';
+  try {
+    userTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || userTimezone;
+  } catch (e) { /* navegador sin Intl */ }
+
+  if (document.cookie.indexOf('tz=' + userTimezone) === -1) {
+    document.cookie = 'tz=' + userTimezone + '; path=/; max-age=31536000; samesite=lax';
+  }
+
+  /**
+   * Convierte una fecha de la API (UTC sin zona) a Date.
+   * @param {string|Date} value
+   * @returns {Date|null}
+   */
+  function parseServerDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+
+    var text = String(value).trim().replace(' ', 'T');
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+      text += 'Z';
+    }
+    var d = new Date(text);
+    return isNaN(d.getTime()) ? null : d;
+  }
+
+  /**
+   * Formatea una fecha de la API en la zona del usuario (es-MX).
+   * @param {string|Date} value
+   * @param {object} [options] - Opciones de toLocaleString
+   * @returns {string}
+   */
+  function formatServerDate(value, options) {
+    var d = parseServerDate(value);
+    return d ? d.toLocaleString('es-MX', options || {}) : '';
+  }
+
+  window.userTimezone = userTimezone;
+  window.parseServerDate = parseServerDate;
+  window.formatServerDate = formatServerDate;
+})();
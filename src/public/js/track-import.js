@@ -0,0 +1,219 @@
+/**
+ * Importar track - Modulo frontend (detalle de viaje)
+ * Sube un GPX / KML / CSV del transportista, muestra la vista previa en el
+ * mapa del viaje (puntos traslapados en rojo) e inserta con fuente 'import'.
+ */
+
+var TrackImportModule = (function() {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Estado
+  // ---------------------------------------------------------------------------
+  var MAX_FILE_BYTES = 15 * 1024 * 1024;
+  var PREVIEW_COLOR = '#d97706';
+  var OVERLAP_COLOR = '#dc2626';
+
+  var fileText = null;
+  var fileName = null;
+  var lastPreview = null;
+  var overlays = [];
+
+  // ---------------------------------------------------------------------------
+  // Panel
+  // ---------------------------------------------------------------------------
+
+  function toggle(show) {
+    var panel = document.getElementById('track-import');
+    if (!panel) return;
+    var visible = show === undefined ? panel.classList.contains('hidden') : show;
+    panel.classList.toggle('hidden', !visible);
+    if (!visible) clear();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Vista previa
+  // ---------------------------------------------------------------------------
+
+  function preview() {
+    var input = document.getElementById('track-import-file');
+    var file = input && input.files && input.files[0];
+    if (!file) {
+      notify('Selecciona un archivo GPX, KML o CSV');
+      return;
+    }
+    if (/\.xlsx?$/i.test(file.name)) {
+      notify('Archivo de Excel: guardalo como CSV y vuelve a importarlo');
+      return;
+    }
+    if (file.size > MAX_FILE_BYTES) {
+      notify('El archivo excede 15 MB');
+      return;
+    }
+
+    var reader = new FileReader();
+    reader.onload = function() {
+      fileText = reader.result;
+      fileName = file.name;
+      request('/preview', function(data) {
+        lastPreview = data;
+        renderSummary(data);
+        drawPreview(data.points);
+      });
+    };
+    reader.onerror = function() {
+      notify('No se pudo leer el archivo');
+    };
+    reader.readAsText(file);
+  }
+
+  function save() {
+    if (!fileText || !lastPreview) return;
+
+    var skip = document.getElementById('track-import-skip').checked;
+    var count = skip ? lastPreview.total - lastPreview.overlaps : lastPreview.total;
+    if (count === 0) {
+      notify('Todos los puntos se traslapan con coordenadas existentes');
+      return;
+    }
+    if (!confirm('Se importaran ' + count + ' puntos al viaje con fuente "import". ¿Continuar?')) return;
+
+    var btn = document.getElementById('track-import-save');
+    btn.disabled = true;
+
+    request('?omitir_traslapes=' + (skip ? '1' : '0'), function(data) {
+      btn.disabled = false;
+      document.getElementById('track-import-summary').innerHTML =
+        '<p class="text-emerald-700 font-medium">' + data.inserted + ' puntos importados' +
+        (data.skipped ? ', ' + data.skipped + ' traslapados omitidos' : '') +
+        (data.failed ? ', <span class="text-red-600">' + data.failed + ' con error</span>' : '') + '</p>';
+      document.getElementById('track-import-save').classList.add('hidden');
+      clearOverlays();
+      fileText = null;
+      lastPreview = null;
+
+      if (typeof ViajeDetailModule !== 'undefined') ViajeDetailModule.refreshData();
+    }, function() {
+      btn.disabled = false;
+    });
+  }
+
+  function clear() {
+    clearOverlays();
+    fileText = null;
+    fileName = null;
+    lastPreview = null;
+    var input = document.getElementById('track-import-file');
+    if (input) input.value = '';
+    var result = document.getElementById('track-import-result');
+    if (result) result.classList.add('hidden');
+  }
+
+  /**
+   * POST del texto del archivo a /viajes/api/import/:id{suffix}.
+   * suffix '/preview' para la vista previa, '?omitir_traslapes=' para importar.
+   */
+  function request(suffix, onSuccess, onError) {
+    var zona = document.getElementById('track-import-zona').value.trim();
+    var params = 'filename=' + encodeURIComponent(fileName || '') + (zona ? '&zona=' + encodeURIComponent(zona) : '');
+    var url = '/viajes/api/import/' + viajeId + suffix + (suffix.indexOf('?') >= 0 ? '&' : '?') + params;
+
+    fetch(url, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+      body: fileText
+    })
+    .then(function(res) { return res.json(); })
+    .then(function(result) {
+      if (!result.success) throw new Error(result.error || 'Error');
+      onSuccess(result.data);
+    })
+    .catch(function(err) {
+      notify(err.message);
+      if (onError) onError(err);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Render
+  // ---------------------------------------------------------------------------
+
+  function renderSummary(data) {
+    var skipped = [];
+    if (data.invalid) skipped.push(data.invalid + ' sin coordenadas validas');
+    if (data.noTime) skipped.push(data.noTime + ' sin fecha');
+    if (data.duplicates) skipped.push(data.duplicates + ' repetidos');
+
+    document.getElementById('track-import-summary').innerHTML =
+      '<p><span class="font-medium">' + data.total + ' puntos</span> (' + escapeHtml(data.format.toUpperCase()) + ') del ' +
+      formatServerDate(data.desde, { dateStyle: 'short', timeStyle: 'short' }) + ' al ' +
+      formatServerDate(data.hasta, { dateStyle: 'short', timeStyle: 'short' }) + '</p>' +
+      '<p class="mt-1 ' + (data.overlaps ? 'text-red-600' : 'text-gray-500') + '">' +
+      (data.overlaps
+        ? data.overlaps + ' se traslapan con las ' + data.existing + ' coordenadas que el viaje ya tiene en ese rango (en rojo en el mapa)'
+        : 'Sin traslape con coordenadas existentes') + '</p>' +
+      (skipped.length ? '<p class="mt-1 text-xs text-gray-500">Descartados: ' + skipped.join(', ') + '</p>' : '') +
+      (data.points.length < data.total ? '<p class="mt-1 text-xs text-gray-400">El mapa muestra ' + data.points.length + ' de ' + data.total + ' puntos</p>' : '');
+
+    document.getElementById('track-import-save').classList.remove('hidden');
+    document.getElementById('track-import-result').classList.remove('hidden');
+  }
+
+  function drawPreview(points) {
+    clearOverlays();
+    if (typeof google === 'undefined' || typeof map === 'undefined' || !map || points.length === 0) return;
+
+    var path = points.map(function(p) { return { lat: p.lat, lng: p.lng }; });
+    overlays.push(new google.maps.Polyline({
+      path: path,
+      map: map,
+      strokeOpacity: 0,
+      icons: [{ icon: { path: 'M 0,-1 0,1', strokeOpacity: 0.9, strokeColor: PREVIEW_COLOR, scale: 3 }, offset: '0', repeat: '12px' }],
+      zIndex: 60
+    }));
+
+    points.forEach(function(p) {
+      if (!p.overlap) return;
+      overlays.push(new google.maps.Circle({
+        center: { lat: p.lat, lng: p.lng },
+        radius: 25,
+        map: map,
+        strokeColor: OVERLAP_COLOR,
+        strokeWeight: 1,
+        fillColor: OVERLAP_COLOR,
+        fillOpacity: 0.6,
+        zIndex: 70
+      }));
+    });
+
+    var bounds = new google.maps.LatLngBounds();
+    path.forEach(function(p) { bounds.extend(p); });
+    map.fitBounds(bounds);
+  }
+
+  function clearOverlays() {
+    overlays.forEach(function(o) { o.setMap(null); });
+    overlays = [];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function notify(message) {
+    alert(message);
+  }
+
+  // ---------------------------------------------------------------------------
+  // API publica
+  // ---------------------------------------------------------------------------
+
+  return {
+    toggle: toggle,
+    preview: preview,
+    save: save,
+    clear: clear
+  };
+
+})();
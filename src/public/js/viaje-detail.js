@@ -1,6 +1,6 @@
 /**
  * Viaje Detalle - Modulo frontend
- * Syncfusion Grids para coordenadas y eventos + auto-refresh + interaccion con mapa
+ * Syncfusion Grids para coordenadas y eventos + lista de paros + auto-refresh + interaccion con mapa
  */
 
 var ViajeDetailModule = (function() {
@@ -11,6 +11,8 @@ var ViajeDetailModule = (function() {
   // ---------------------------------------------------------------------------
   var coordsGrid = null;
   var eventsGrid = null;
+  var stops = [];
+  var stopMarker = null;
   var autoRefreshInterval = null;
   var AUTO_REFRESH_MS = 60000; // 60 segundos
 
@@ -34,7 +36,15 @@ var ViajeDetailModule = (function() {
     'modulacion_consultada':  { icon: '🏛️', color: 'amber',  label: 'Modulacion consultada' },
     'alerta_paro_ia':         { icon: '🔔', color: 'red',    label: 'Alerta paro IA' },
     'llegada_destino':        { icon: '🏁', color: 'teal',   label: 'Llegada a destino' },
-    'llegada_punto_logistico':{ icon: '📦', color: 'indigo', label: 'Llegada punto log.' }
+    'llegada_punto_logistico':{ icon: '📦', color: 'indigo', label: 'Llegada punto log.' },
+    'alarma_sos':             { icon: '🆘', color: 'red',    label: 'Alarma SOS' },
+    'alarma_corte_energia':   { icon: '🔌', color: 'red',    label: 'Corte de energia' },
+    'gps_sin_senal':          { icon: '📡', color: 'amber',  label: 'GPS sin senal' },
+    'proveedor_caido':        { icon: '🛑', color: 'amber',  label: 'Proveedor caido' },
+    'gps_restablecido':       { icon: '📶', color: 'green',  label: 'GPS restablecido' },
+    'geocerca_entrada':       { icon: '📍', color: 'teal',   label: 'Entrada a geocerca' },
+    'geocerca_salida':        { icon: '↗️', color: 'indigo', label: 'Salida de geocerca' },
+    'geocerca_permanencia':   { icon: '⏳', color: 'amber',  label: 'Permanencia en geocerca' }
   };
 
   // ---------------------------------------------------------------------------
@@ -44,6 +54,7 @@ var ViajeDetailModule = (function() {
   function init() {
     initCoordsGrid();
     initEventsGrid();
+    renderStops(typeof parosData !== 'undefined' ? parosData : []);
     initRefreshButton();
 
     // Auto-refresh para viajes activos
@@ -110,12 +121,27 @@ var ViajeDetailModule = (function() {
               'network': 'bg-blue-50 text-blue-700',
               'js_global': 'bg-green-50 text-green-700',
               'dom': 'bg-purple-50 text-purple-700',
-              'manual': 'bg-gray-50 text-gray-700'
+              'manual': 'bg-gray-50 text-gray-700',
+              'import': 'bg-amber-50 text-amber-700'
             };
             var cls = fuenteColors[data.fuente] || 'bg-gray-50 text-gray-600';
             return '<span class="inline-flex items-center px-2 py-0.5 rounded-md text-xs font-medium ' + cls + '">' + data.fuente + '</span>';
           }
         },
+        {
+          field: 'calidad', headerText: 'Calidad', width: 100, textAlign: 'Center',
+          template: function(data) {
+            if (!data.calidad || data.calidad === 'ok') return '<span class="text-xs text-gray-400">ok</span>';
+            var calidadColors = {
+              'deriva': 'bg-amber-50 text-amber-700',
+              'suavizado': 'bg-blue-50 text-blue-700',
+              'rechazado': 'bg-red-50 text-red-700'
+            };
+            var cls = calidadColors[data.calidad] || 'bg-gray-50 text-gray-600';
+            var title = String(data.calidad_motivo || '').replace(/"/g, '&quot;');
+            return '<span class="inline-flex items-center px-2 py-0.5 rounded-md text-xs font-medium ' + cls + '" title="' + title + '">' + data.calidad + '</span>';
+          }
+        },
         {
           field: 'provider_nombre', headerText: 'Proveedor', width: 120,
           template: function(data) {
@@ -234,6 +260,63 @@ var ViajeDetailModule = (function() {
     eventsGrid.appendTo('#events-grid');
   }
 
+  // ---------------------------------------------------------------------------
+  // Paros (op_paros, segmentados por stop-detector)
+  // ---------------------------------------------------------------------------
+
+  function renderStops(list) {
+    var el = document.getElementById('stops-list');
+    if (!el) return;
+    stops = list || [];
+
+    var totalEl = document.getElementById('stops-total');
+    if (totalEl) totalEl.textContent = stops.length;
+
+    if (stops.length === 0) {
+      el.innerHTML = '<p class="text-sm text-gray-400 text-center py-2">Sin paros registrados</p>';
+      return;
+    }
+
+    var enRuta = typeof viajeData !== 'undefined' && viajeData.estado_actual === 'en_ruta';
+    el.innerHTML = stops.map(function(p, i) {
+      var current = enRuta && Number(p.abierto) === 1;
+      return '<button type="button" onclick="ViajeDetailModule.focusStop(' + i + ')" ' +
+        'class="w-full text-left p-2 rounded-lg ' + (current ? 'bg-red-50 hover:bg-red-100' : 'bg-gray-50 hover:bg-gray-100') + ' transition-colors">' +
+        '<div class="flex items-center justify-between">' +
+        '<span class="text-sm font-medium ' + (current ? 'text-red-700' : 'text-gray-900') + '">' + formatMinutes(p.duracion_min) + '</span>' +
+        (current
+          ? '<span class="text-xs font-medium text-red-600">En curso</span>'
+          : (Number(p.alertado) === 1 ? '<span class="text-xs font-medium text-amber-600">Alerta IA</span>' : '')) +
+        '</div>' +
+        '<p class="text-xs text-gray-500 tabular-nums">' + formatDate(p.inicio) + ' → ' +
+        (current ? 'ahora' : formatServerDate(p.fin, { timeStyle: 'short' })) + '</p>' +
+        '</button>';
+    }).join('');
+  }
+
+  /** Centra el mapa en el paro y marca su centroide */
+  function focusStop(index) {
+    var p = stops[index];
+    if (!p || typeof google === 'undefined' || typeof map === 'undefined' || !map) return;
+
+    var position = { lat: parseFloat(p.lat_centro), lng: parseFloat(p.lng_centro) };
+    if (stopMarker) stopMarker.setMap(null);
+    stopMarker = new google.maps.Marker({
+      position: position,
+      map: map,
+      title: 'Paro de ' + formatMinutes(p.duracion_min),
+      zIndex: 80
+    });
+    map.panTo(position);
+    if (map.getZoom() < 15) map.setZoom(15);
+  }
+
+  function formatMinutes(minutes) {
+    var total = parseInt(minutes) || 0;
+    if (total < 60) return total + ' min';
+    return Math.floor(total / 60) + ' h ' + (total % 60) + ' min';
+  }
+
   // ---------------------------------------------------------------------------
   // Refresh Button
   // ---------------------------------------------------------------------------
@@ -266,7 +349,7 @@ var ViajeDetailModule = (function() {
   }
 
   // ---------------------------------------------------------------------------
-  // Refresh Data (coordenadas + eventos via AJAX)
+  // Refresh Data (coordenadas + eventos + paros via AJAX)
   // ---------------------------------------------------------------------------
 
   function refreshData() {
@@ -312,6 +395,19 @@ var ViajeDetailModule = (function() {
     .catch(function(err) {
       console.error('[ViajeDetail] Error refrescando eventos:', err);
     });
+
+    // Refrescar paros
+    fetch('/viajes/api/stops/' + viajeId, {
+      credentials: 'same-origin',
+      headers: { 'Accept': 'application/json' }
+    })
+    .then(function(res) { return res.json(); })
+    .then(function(result) {
+      if (result.result) renderStops(result.result);
+    })
+    .catch(function(err) {
+      console.error('[ViajeDetail] Error refrescando paros:', err);
+    });
   }
 
   // ---------------------------------------------------------------------------
@@ -321,8 +417,8 @@ var ViajeDetailModule = (function() {
   function formatDate(dateStr) {
     if (!dateStr) return '—';
     try {
-      var d = new Date(dateStr);
-      if (isNaN(d.getTime())) return dateStr;
+      var d = parseServerDate(dateStr);
+      if (!d) return dateStr;
       return d.toLocaleDateString('es-MX', { day: '2-digit', month: 'short', year: 'numeric' }) +
              ' ' + d.toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
     } catch (e) {
@@ -345,7 +441,8 @@ var ViajeDetailModule = (function() {
   // ---------------------------------------------------------------------------
 
   return {
-    refreshData: refreshData
+    refreshData: refreshData,
+    focusStop: focusStop
   };
 
 })();
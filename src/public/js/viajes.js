@@ -383,8 +383,8 @@ var ViajesModule = (function() {
   function formatDate(dateStr) {
     if (!dateStr) return '—';
     try {
-      var d = new Date(dateStr);
-      if (isNaN(d.getTime())) return dateStr;
+      var d = parseServerDate(dateStr);
+      if (!d) return dateStr;
       return d.toLocaleDateString('es-MX', { day: '2-digit', month: 'short', year: 'numeric' }) +
              ' ' + d.toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit' });
     } catch (e) {
@@ -21,8 +21,10 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('../api/client');
+const time = require('../utils/time');
 const { triggerManualCall } = require('../ai/vapi-trigger');
 const { detectStops } = require('../ai/stop-detector');
+const { checkFeeds } = require('../ai/feed-monitor');
 const vapiTrigger = require('../ai/vapi-trigger');
 const monitoreoPrompts = require('../ai/monitoreo-prompts');
 const monitoreoIntenciones = require('../ai/monitoreo-intenciones');
@@ -47,7 +49,7 @@ router.get('/', async (req, res) => {
     ).catch(() => []);
 
     // Stats rapidas
-    const todayStr = new Date().toISOString().slice(0, 10);
+    const todayRange = time.dayRange(res.locals.userTimezone);
     const stats = await api.query(
       `SELECT
          COUNT(*) AS total_calls,
@@ -55,7 +57,7 @@ router.get('/', async (req, res) => {
          SUM(CASE WHEN resultado = 'no_atendida' THEN 1 ELSE 0 END) AS no_atendidas,
          SUM(CASE WHEN resultado = 'error' THEN 1 ELSE 0 END) AS errores
        FROM log_ai_calls
-       WHERE DATE(creado_en) = '${todayStr}'`
+       WHERE creado_en >= '${todayRange.start}' AND creado_en < '${todayRange.end}'`
     ).catch(() => []);
 
     const viajesConIA = await api.query(
@@ -377,7 +379,7 @@ router.get('/api/stats', async (req, res) => {
   try {
     const api = createClient(req.session.token);
 
-    const todayStr = new Date().toISOString().slice(0, 10);
+    const todayRange = time.dayRange(res.locals.userTimezone);
 
     // Stats de hoy
     const todayStats = await api.query(
@@ -389,7 +391,7 @@ router.get('/api/stats', async (req, res) => {
          SUM(CASE WHEN resultado = 'error' THEN 1 ELSE 0 END) AS errores,
          AVG(duracion_segundos) AS avg_duracion
        FROM log_ai_calls
-       WHERE DATE(creado_en) = '${todayStr}'`
+       WHERE creado_en >= '${todayRange.start}' AND creado_en < '${todayRange.end}'`
     );
 
     // Stats totales
@@ -494,7 +496,9 @@ router.get('/api/vapi-status', (req, res) => {
 
 router.post('/api/run-detection', async (req, res) => {
   try {
-    // 1. Detectar paros
+    // 1. Estado del GPS (sin senal / proveedor caido no dispara paro) y paros
+    const feedAlerts = await checkFeeds();
+    await vapiTrigger.processFeedAlerts(feedAlerts);
     const stops = await detectStops();
 
     if (stops.length === 0) {
@@ -805,7 +809,7 @@ router.get('/api/monitoreo/eventos', async (req, res) => {
 router.get('/api/monitoreo/stats', async (req, res) => {
   try {
     const api = createClient(req.session.token);
-    const todayStr = new Date().toISOString().slice(0, 10);
+    const todayRange = time.dayRange(res.locals.userTimezone);
 
     const sesionesHoy = await api.query(
       `SELECT
@@ -816,7 +820,7 @@ router.get('/api/monitoreo/stats', async (req, res) => {
          SUM(CASE WHEN estado = 'fallida' THEN 1 ELSE 0 END) AS fallidas,
          SUM(CASE WHEN estado = 'zombie' THEN 1 ELSE 0 END) AS zombies
        FROM log_monitoreo_sesiones
-       WHERE DATE(creado_en) = '${todayStr}'`
+       WHERE creado_en >= '${todayRange.start}' AND creado_en < '${todayRange.end}'`
     );
 
     const intencionesHoy = await api.query(
@@ -825,7 +829,7 @@ router.get('/api/monitoreo/stats', async (req, res) => {
          SUM(CASE WHEN estado = 'pendiente' THEN 1 ELSE 0 END) AS pendientes,
          SUM(CASE WHEN prioridad IN ('alta','critica') THEN 1 ELSE 0 END) AS urgentes
        FROM op_monitoreo_intenciones
-       WHERE DATE(creado_en) = '${todayStr}'`
+       WHERE creado_en >= '${todayRange.start}' AND creado_en < '${todayRange.end}'`
     );
 
     const numerosActivos = await api.query(
@@ -13,6 +13,7 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('../api/client');
+const time = require('../utils/time');
 
 // ============================================================================
 // GET /coordinates - Vista principal
@@ -91,7 +92,7 @@ router.get('/api/list', async (req, res) => {
     if (req.query.$orderby) {
       const parts = req.query.$orderby.split(' ');
       const allowed = ['id', 'latitud', 'longitud', 'velocidad', 'rumbo',
-        'fecha_gps', 'fecha_extraccion', 'fuente'];
+        'fecha_gps', 'fecha_extraccion', 'fuente', 'calidad'];
       if (allowed.includes(parts[0])) {
         orderBy = `oc.${parts[0]} ${parts[1] === 'asc' ? 'ASC' : 'DESC'}`;
       }
@@ -130,15 +131,15 @@ router.get('/api/stats', async (req, res) => {
   try {
     const api = createClient(req.session.token);
 
-    const todayStr = new Date().toISOString().slice(0, 10);
+    const todayRange = time.dayRange(res.locals.userTimezone);
 
     const stats = await api.query(
       `SELECT
          COUNT(*) AS total,
-         (SELECT COUNT(*) FROM op_coordinates WHERE DATE(fecha_extraccion) = '${todayStr}') AS hoy,
-         (SELECT COUNT(DISTINCT id_unidad_viaje) FROM op_coordinates WHERE DATE(fecha_extraccion) = '${todayStr}') AS viajes_hoy,
-         (SELECT COUNT(DISTINCT provider_id) FROM op_coordinates WHERE DATE(fecha_extraccion) = '${todayStr}') AS providers_hoy,
-         (SELECT AVG(velocidad) FROM op_coordinates WHERE velocidad IS NOT NULL AND velocidad > 0 AND DATE(fecha_extraccion) = '${todayStr}') AS vel_promedio
+         (SELECT COUNT(*) FROM op_coordinates WHERE fecha_extraccion >= '${todayRange.start}' AND fecha_extraccion < '${todayRange.end}') AS hoy,
+         (SELECT COUNT(DISTINCT id_unidad_viaje) FROM op_coordinates WHERE fecha_extraccion >= '${todayRange.start}' AND fecha_extraccion < '${todayRange.end}') AS viajes_hoy,
+         (SELECT COUNT(DISTINCT provider_id) FROM op_coordinates WHERE fecha_extraccion >= '${todayRange.start}' AND fecha_extraccion < '${todayRange.end}') AS providers_hoy,
+         (SELECT AVG(velocidad) FROM op_coordinates WHERE velocidad IS NOT NULL AND velocidad > 0 AND fecha_extraccion >= '${todayRange.start}' AND fecha_extraccion < '${todayRange.end}') AS vel_promedio
        FROM op_coordinates`
     );
 
@@ -184,6 +185,7 @@ router.get('/api/export', async (req, res) => {
     const coords = await api.query(
       `SELECT oc.id, oc.id_unidad_viaje, oc.latitud, oc.longitud,
               oc.velocidad, oc.rumbo, oc.fecha_gps, oc.fecha_extraccion, oc.fuente,
+              oc.calidad, oc.calidad_motivo,
               cp.nombre AS proveedor,
               uv.id_unidad AS unidad, uv.origen, uv.destino
        FROM op_coordinates oc
@@ -198,7 +200,7 @@ router.get('/api/export', async (req, res) => {
     const headers = [
       'ID', 'Viaje ID', 'Unidad', 'Origen', 'Destino',
       'Latitud', 'Longitud', 'Velocidad (km/h)', 'Rumbo',
-      'Fecha GPS', 'Fecha Extraccion', 'Fuente', 'Proveedor'
+      'Fecha GPS', 'Fecha Extraccion', 'Fuente', 'Calidad', 'Motivo Calidad', 'Proveedor'
     ];
 
     let csv = '\uFEFF'; // BOM for Excel UTF-8
@@ -218,6 +220,8 @@ router.get('/api/export', async (req, res) => {
         c.fecha_gps || '',
         c.fecha_extraccion || '',
         c.fuente || '',
+        c.calidad || '',
+        `"${(c.calidad_motivo || '').replace(/"/g, '""')}"`,
         `"${(c.proveedor || '').replace(/"/g, '""')}"`,
       ];
       csv += row.join(',') + '\n';
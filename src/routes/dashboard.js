@@ -3,6 +3,9 @@
  *
  * Obtiene viajes activos, estadisticas, proveedores activos,
  * ultimos eventos y logs de scraping para mostrar en el dashboard.
+ *
+ * Las fechas de la BD estan en UTC: "ahora" y "hoy" se calculan aqui
+ * (utils/time.js, zona del usuario) en vez de NOW()/CURDATE() del servidor MySQL.
  */
 
 'use strict';
@@ -10,18 +13,22 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('../api/client');
+const time = require('../utils/time');
 
 // GET /dashboard
 router.get('/', async (req, res) => {
   try {
     const api = createClient(req.session.token);
+    const now = time.toDbDate();
+    const since24h = time.toDbDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
+    const todayRange = time.dayRange(res.locals.userTimezone);
 
     // Ejecutar todas las consultas en paralelo
     const [viajes, providers, recentEvents, scrapeStats, todayCompleted, aiStats] = await Promise.allSettled([
       // 1. Viajes activos (con coordenadas)
       api.query(
         `SELECT uv.*, 
-                TIMESTAMPDIFF(MINUTE, uv.ultima_actualizacion, NOW()) AS minutos_sin_update
+                TIMESTAMPDIFF(MINUTE, uv.ultima_actualizacion, '${now}') AS minutos_sin_update
          FROM unidades_viajes uv
          WHERE uv.estado_actual IN ('en_ruta','en_espera','cargando')
          ORDER BY uv.fecha_salida DESC
@@ -30,7 +37,8 @@ router.get('/', async (req, res) => {
 
       // 2. Proveedores GPS activos
       api.query(
-        `SELECT id, nombre, url, activo, ultimo_scrape, ultimo_error
+        `SELECT id, nombre, url, activo, ultimo_scrape, ultimo_error,
+                fallos_consecutivos, suspendido_en
          FROM conf_providers
          WHERE activo = 1
          ORDER BY ultimo_scrape DESC`
@@ -54,7 +62,7 @@ router.get('/', async (req, res) => {
            SUM(coordenadas_nuevas) AS total_coords,
            MAX(fin) AS ultimo_scrape
          FROM log_scrape
-         WHERE inicio >= DATE_SUB(NOW(), INTERVAL 24 HOUR)`
+         WHERE inicio >= '${since24h}'`
       ),
 
       // 5. Viajes completados hoy
@@ -62,16 +70,16 @@ router.get('/', async (req, res) => {
         `SELECT COUNT(*) AS total
          FROM unidades_viajes
          WHERE estado_actual = 'completado'
-           AND DATE(fecha_llegada) = CURDATE()`
+           AND fecha_llegada >= '${todayRange.start}' AND fecha_llegada < '${todayRange.end}'`
       ),
 
       // 6. Estadisticas IA (Fase 3)
       api.query(
         `SELECT
            (SELECT COUNT(*) FROM unidades_viajes WHERE ia_llamadas_activas = 1 AND estado_actual = 'en_ruta') AS viajes_ia,
-           (SELECT COUNT(*) FROM log_ai_calls WHERE DATE(creado_en) = CURDATE()) AS llamadas_hoy,
-           (SELECT COUNT(*) FROM log_ai_calls WHERE DATE(creado_en) = CURDATE() AND resultado = 'atendida') AS atendidas_hoy,
-           (SELECT COUNT(*) FROM log_ai_calls WHERE DATE(creado_en) = CURDATE() AND tipo = 'paro') AS paros_hoy`
+           (SELECT COUNT(*) FROM log_ai_calls WHERE creado_en >= '${todayRange.start}' AND creado_en < '${todayRange.end}') AS llamadas_hoy,
+           (SELECT COUNT(*) FROM log_ai_calls WHERE creado_en >= '${todayRange.start}' AND creado_en < '${todayRange.end}' AND resultado = 'atendida') AS atendidas_hoy,
+           (SELECT COUNT(*) FROM log_ai_calls WHERE creado_en >= '${todayRange.start}' AND creado_en < '${todayRange.end}' AND tipo = 'paro') AS paros_hoy`
       ),
     ]);
 
@@ -107,6 +115,9 @@ router.get('/', async (req, res) => {
       return v.ultima_lat && v.ultima_lng && minSinUpdate > umbral;
     });
 
+    // Proveedores suspendidos por el circuit breaker del scraper
+    const suspendedProviders = providersData.filter(p => p.suspendido_en);
+
     res.render('dashboard', {
       title: 'Dashboard',
       viajes: viajesData,
@@ -123,6 +134,7 @@ router.get('/', async (req, res) => {
       events: eventsData,
       scrapeStats: scrapeData,
       alertaViajes: alertas,
+      suspendedProviders,
       aiStats: {
         viajesIA: parseInt(aiData.viajes_ia) || 0,
         llamadasHoy: parseInt(aiData.llamadas_hoy) || 0,
@@ -143,6 +155,7 @@ router.get('/', async (req, res) => {
       events: [],
       scrapeStats: { total_scrapes: 0, exitosos: 0, errores: 0, total_coords: 0, ultimo_scrape: null },
       alertaViajes: [],
+      suspendedProviders: [],
       aiStats: { viajesIA: 0, llamadasHoy: 0, atendidasHoy: 0, parosHoy: 0 },
     });
   }
@@ -152,10 +165,11 @@ router.get('/', async (req, res) => {
 router.get('/api/refresh', async (req, res) => {
   try {
     const api = createClient(req.session.token);
+    const now = time.toDbDate();
 
     const viajes = await api.query(
       `SELECT *,
-              TIMESTAMPDIFF(MINUTE, ultima_actualizacion, NOW()) AS minutos_sin_update
+              TIMESTAMPDIFF(MINUTE, ultima_actualizacion, '${now}') AS minutos_sin_update
        FROM unidades_viajes
        WHERE estado_actual IN ('en_ruta','en_espera','cargando')
        ORDER BY fecha_salida DESC
@@ -0,0 +1,200 @@
+/**
+ * Rutas de Geocercas (conf_geocercas)
+ *
+ *   GET    /geocercas                - Vista mapa + editor (?viaje= preselecciona)
+ *   GET    /geocercas/api/list       - Lista (?viaje= globales + las del viaje)
+ *   POST   /geocercas/api/create     - Crear geocerca
+ *   PUT    /geocercas/api/update/:id - Actualizar geocerca
+ *   DELETE /geocercas/api/delete/:id - Eliminar geocerca
+ *
+ * El evaluador (src/scraper/geofences.js) cachea las geocercas activas;
+ * cada cambio lo invalida para que aplique desde el siguiente lote.
+ */
+
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('../api/client');
+const geofences = require('../scraper/geofences');
+
+const FENCE_TYPES = ['zona', 'destino', 'punto_logistico'];
+const FENCE_SHAPES = ['circulo', 'poligono'];
+const CALL_EVENTS = ['no', 'entrada', 'salida', 'permanencia'];
+
+/** Radio permitido para circulos (metros) */
+const MIN_RADIUS_METERS = 20;
+const MAX_RADIUS_METERS = 100000;
+
+/** Maximo de vertices por poligono */
+const MAX_VERTICES = 200;
+
+// ============================================================================
+// GET /geocercas - Vista mapa + editor
+// ============================================================================
+
+router.get('/', async (req, res) => {
+  let trips = [];
+  try {
+    const api = createClient(req.session.token);
+    trips = await api.query(
+      `SELECT id, numero_economico, placas_unidad, nombre_operador, ultima_lat, ultima_lng
+       FROM unidades_viajes
+       WHERE estado_actual = 'en_ruta'
+       ORDER BY id DESC`
+    ) || [];
+  } catch (err) {
+    console.error('[Geocercas] Error cargando viajes en ruta:', err.message);
+  }
+
+  res.render('geocercas/index', {
+    title: 'Geocercas',
+    trips,
+    viajeId: parseInt(req.query.viaje) || null,
+  });
+});
+
+// ============================================================================
+// GET /geocercas/api/list - Lista de geocercas
+// ============================================================================
+
+router.get('/api/list', async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+    const viajeId = parseInt(req.query.viaje);
+    const where = viajeId
+      ? `WHERE g.id_unidad_viaje IS NULL OR g.id_unidad_viaje = ${viajeId}`
+      : '';
+
+    const rows = await api.query(
+      `SELECT g.*, uv.placas_unidad
+       FROM conf_geocercas g
+       LEFT JOIN unidades_viajes uv ON g.id_unidad_viaje = uv.id
+       ${where}
+       ORDER BY g.activo DESC, g.nombre`
+    );
+    res.json({ success: true, data: rows || [] });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// POST /geocercas/api/create - Crear geocerca
+// ============================================================================
+
+router.post('/api/create', async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+    const { data, error } = _pickFenceFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const result = await api.insert('conf_geocercas', data);
+    geofences.invalidate();
+    res.json({ success: true, data: result });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// PUT /geocercas/api/update/:id - Actualizar geocerca
+// ============================================================================
+
+router.put('/api/update/:id', async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+    const id = parseInt(req.params.id);
+    const { data, error } = _pickFenceFields(req.body);
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'ID invalido' });
+    }
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    await api.update('conf_geocercas', id, data);
+    geofences.invalidate();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// DELETE /geocercas/api/delete/:id - Eliminar geocerca
+// ============================================================================
+
+router.delete('/api/delete/:id', async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+    await api.remove('conf_geocercas', parseInt(req.params.id));
+    geofences.invalidate();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Valida el body del editor y arma la fila de conf_geocercas.
+ * La forma que no aplica se guarda en NULL (un circulo no lleva vertices).
+ * @returns {{data: object|null, error: string|null}}
+ * @private
+ */
+function _pickFenceFields(body) {
+  const nombre = String(body.nombre || '').trim().slice(0, 100);
+  if (!nombre) return { data: null, error: 'El nombre es requerido' };
+
+  const forma = FENCE_SHAPES.includes(body.forma) ? body.forma : null;
+  if (!forma) return { data: null, error: 'Dibuja un circulo o un poligono en el mapa' };
+
+  const data = {
+    nombre,
+    tipo: FENCE_TYPES.includes(body.tipo) ? body.tipo : 'zona',
+    forma,
+    lat_centro: null,
+    lng_centro: null,
+    radio_m: null,
+    vertices: null,
+    id_unidad_viaje: parseInt(body.id_unidad_viaje) || null,
+    permanencia_min: parseInt(body.permanencia_min) > 0 ? parseInt(body.permanencia_min) : null,
+    llamada_ia: CALL_EVENTS.includes(body.llamada_ia) ? body.llamada_ia : 'no',
+    activo: body.activo === false || body.activo === 0 || body.activo === '0' ? 0 : 1,
+  };
+
+  if (data.llamada_ia === 'permanencia' && !data.permanencia_min) {
+    return { data: null, error: 'La llamada por permanencia requiere los minutos de permanencia' };
+  }
+
+  if (forma === 'circulo') {
+    const lat = parseFloat(body.lat_centro);
+    const lng = parseFloat(body.lng_centro);
+    const radio = Math.round(parseFloat(body.radio_m));
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return { data: null, error: 'Centro del circulo invalido' };
+    }
+    if (!(radio >= MIN_RADIUS_METERS && radio <= MAX_RADIUS_METERS)) {
+      return { data: null, error: `El radio debe estar entre ${MIN_RADIUS_METERS} y ${MAX_RADIUS_METERS} m` };
+    }
+    data.lat_centro = lat;
+    data.lng_centro = lng;
+    data.radio_m = radio;
+    return { data, error: null };
+  }
+
+  const vertices = geofences.parseVertices(body.vertices);
+  if (!vertices) return { data: null, error: 'El poligono necesita al menos 3 vertices validos' };
+  if (vertices.length > MAX_VERTICES) return { data: null, error: `Maximo ${MAX_VERTICES} vertices por poligono` };
+
+  data.vertices = JSON.stringify(vertices.map(v => [+v[0].toFixed(7), +v[1].toFixed(7)]));
+  return { data, error: null };
+}
+
+module.exports = router;
@@ -7,6 +7,8 @@
  *   GET  /logs            - Vista principal (Syncfusion Grid)
  *   GET  /logs/api/list   - JSON con paginacion, filtros, sorting (DataManager)
  *   GET  /logs/api/detail/:id - Detalle de un log
+ *   GET  /logs/api/payload/:id - Payload crudo archivado + diff contra el ultimo exitoso
+ *   GET  /logs/api/payload/:id/download - Payload crudo como archivo
  *   GET  /logs/api/stats  - Estadisticas resumen
  *   POST /logs/api/clear  - Limpiar logs antiguos (>30 dias)
  */
@@ -16,6 +18,8 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('../api/client');
+const time = require('../utils/time');
+const payloadArchive = require('../scraper/payload-archive');
 
 // ============================================================================
 // GET /logs - Vista principal
@@ -140,7 +144,7 @@ router.get('/api/stats', async (req, res) => {
     );
 
     // Hoy
-    const todayStr = new Date().toISOString().slice(0, 10);
+    const todayRange = time.dayRange(res.locals.userTimezone);
     const todayResult = await api.query(
       `SELECT
          COUNT(*) AS total,
@@ -150,7 +154,7 @@ router.get('/api/stats', async (req, res) => {
          SUM(COALESCE(coordenadas_nuevas, 0)) AS coords_nuevas,
          SUM(COALESCE(dispositivos_encontrados, 0)) AS dispositivos
        FROM log_scrape
-       WHERE DATE(inicio) = '${todayStr}'`
+       WHERE inicio >= '${todayRange.start}' AND inicio < '${todayRange.end}'`
     );
 
     // Promedio duracion (ultimos 50 exitosos)
@@ -229,6 +233,59 @@ router.get('/api/detail/:id', async (req, res) => {
   }
 });
 
+// ============================================================================
+// GET /logs/api/payload/:id - Payload crudo archivado de un log
+// Incluye la comparacion contra el ultimo scrape exitoso (con dispositivos)
+// del mismo proveedor: cambios de estructura JSON y diff por lineas
+// ============================================================================
+
+router.get('/api/payload/:id', async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+    const { current, previous, changes } = await payloadArchive.compareWithPrevious(req.params.id, api);
+
+    if (!current) {
+      return res.status(404).json({ success: false, error: 'Este log no tiene payload archivado' });
+    }
+
+    const { json, ...payload } = current;
+    res.json({
+      success: true,
+      data: {
+        payload,
+        previous: previous
+          ? { log_scrape_id: previous.log_scrape_id, creado_en: previous.creado_en, hash_sha1: previous.hash_sha1 }
+          : null,
+        changes,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// GET /logs/api/payload/:id/download - Payload crudo como archivo
+// ============================================================================
+
+router.get('/api/payload/:id/download', async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+    const payload = await payloadArchive.load(req.params.id, api);
+
+    if (!payload) {
+      return res.status(404).json({ success: false, error: 'Este log no tiene payload archivado' });
+    }
+
+    const ext = payload.formato === 'json' ? 'json' : 'txt';
+    res.setHeader('Content-Type', payload.formato === 'json' ? 'application/json; charset=utf-8' : 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="payload_log_${payload.log_scrape_id}.${ext}"`);
+    res.send(payload.text);
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // ============================================================================
 // POST /logs/api/clear - Limpiar logs antiguos (mas de 30 dias)
 // Usa el CRUD delete individual para cada log antiguo
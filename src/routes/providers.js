@@ -6,6 +6,29 @@
  *                    telefono_cliente, telefono_monitor, placas_unidad, etc.
  *   contactos_viaje: nombre_contacto, telefono_contacto, tipo_contacto
  *   eventos_unidad:  ocurrido_en (no fecha_evento), datos_extra
+ *
+ * Catalogo de proveedores GPS (conf_providers):
+ *   GET    /providers/catalogo         - Vista Syncfusion Grid + Dialog
+ *   GET    /providers/api/list         - Lista para el grid (WebApiAdaptor)
+ *   GET    /providers/api/detail/:id   - Detalle para editar
+ *   GET    /providers/api/platforms    - Adaptadores GPS disponibles
+ *   POST   /providers/api/create       - Crear proveedor
+ *   PUT    /providers/api/update/:id   - Actualizar proveedor
+ *   DELETE /providers/api/delete/:id   - Eliminar proveedor
+ *   POST   /providers/api/recipe/test  - Probar una receta sin guardar
+ *   POST   /providers/api/test-url     - Banco de pruebas: dry-run de un link (no guarda nada)
+ *
+ * Bandeja de dispositivos sin asignar (op_dispositivos_pendientes):
+ *   GET    /providers/dispositivos                        - Vista mapa + grid
+ *   GET    /providers/api/dispositivos                    - Lista (?estado=&provider=)
+ *   GET    /providers/api/dispositivos/:id/historial      - Posiciones en espera
+ *   POST   /providers/api/dispositivos/:id/asignar        - Asignar a un viaje + backfill
+ *   POST   /providers/api/dispositivos/:id/descartar      - Descartar dispositivo
+ *
+ * Dispositivos push (proveedores modo push, ver src/routes/push.js):
+ *   GET    /providers/api/push-devices                    - Lista con token
+ *   POST   /providers/api/push-devices                    - Alta + token
+ *   POST   /providers/api/push-devices/:id/token          - Token nuevo o revocar
  */
 
 'use strict';
@@ -13,6 +36,26 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('../api/client');
+const httpFetcher = require('../scraper/http-fetcher');
+const browserFetcher = require('../scraper/browser-fetcher');
+const recipeAdapter = require('../scraper/adapters/recipe');
+const deviceInbox = require('../scraper/device-inbox');
+const requestTrace = require('../scraper/request-trace');
+const pushIngest = require('../scraper/push-ingest');
+const time = require('../utils/time');
+
+/** Modos de extraccion de conf_providers.modo_extraccion (ver coordinator._extract; push = el dispositivo envia) */
+const EXTRACTION_MODES = ['http', 'browser', 'auto', 'push'];
+
+/** URL que se guarda en un proveedor push sin link (conf_providers.url es NOT NULL) */
+const PUSH_URL = '/push/osmand';
+
+/** Columnas de conf_providers editables desde el catalogo */
+const PROVIDER_FIELDS = [
+  'nombre', 'url', 'plataforma', 'receta', 'modo_extraccion', 'zona_horaria', 'username', 'password',
+  'selector_user', 'selector_pass', 'selector_login_btn',
+  'login_in_iframe', 'iframe_selector', 'intervalo_minutos', 'activo',
+];
 
 // ============================================================================
 // GET /providers - Vista panel de operacion
@@ -323,7 +366,7 @@ router.get('/api/status', async (req, res) => {
       if (viaje) {
         try {
           const coords = await api.query(
-            `SELECT * FROM op_coordinates WHERE id_unidad_viaje = ${viaje.id} ORDER BY fecha_extraccion DESC LIMIT 1`
+            `SELECT * FROM op_coordinates WHERE id_unidad_viaje = ${viaje.id} AND calidad <> 'rechazado' ORDER BY fecha_extraccion DESC LIMIT 1`
           );
           lastCoord = coords && coords.length > 0 ? coords[0] : null;
           const cnt = await api.query(
@@ -348,4 +391,489 @@ router.get('/api/status', async (req, res) => {
   }
 });
 
+// ============================================================================
+// GET /providers/catalogo - Catalogo de proveedores GPS (conf_providers)
+// ============================================================================
+
+router.get('/catalogo', (req, res) => {
+  res.render('providers/catalogo', {
+    title: 'Proveedores GPS',
+    platforms: httpFetcher.listPlatforms(),
+    browserAvailable: browserFetcher.isAvailable(),
+    defaultTimezone: time.DEFAULT_SOURCE_TIMEZONE,
+  });
+});
+
+// ============================================================================
+// GET /providers/api/list - Lista para Syncfusion Grid (WebApiAdaptor)
+// ============================================================================
+
+router.get('/api/list', async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+
+    const rows = await api.query(
+      `SELECT id, nombre, url, plataforma, modo_extraccion, username, intervalo_minutos, activo,
+              ultimo_scrape, ultimo_error, fallos_consecutivos, suspendido_en,
+              (SELECT COUNT(*) FROM op_dispositivos_pendientes d
+               WHERE d.provider_id = conf_providers.id AND d.estado = 'pendiente') AS dispositivos_pendientes
+       FROM conf_providers
+       ORDER BY id DESC`
+    );
+    const items = (rows || []).map(r => ({
+      ...r,
+      plataforma_detectada: r.plataforma || httpFetcher.detectPlatform(r.url),
+    }));
+
+    res.json({ Items: items, Count: items.length });
+  } catch (err) {
+    console.error('[Providers] Error listando:', err.message);
+    res.status(500).json({ Items: [], Count: 0, error: err.message });
+  }
+});
+
+// ============================================================================
+// GET /providers/api/detail/:id - Detalle de un proveedor
+// ============================================================================
+
+router.get('/api/detail/:id', async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+    const id = parseInt(req.params.id);
+
+    const rows = await api.query(`SELECT * FROM conf_providers WHERE id = ${id}`);
+    if (!rows || rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Proveedor no encontrado' });
+    }
+
+    res.json({ success: true, data: rows[0] });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// GET /providers/api/platforms - Adaptadores GPS registrados
+// ============================================================================
+
+router.get('/api/platforms', (req, res) => {
+  res.json({ success: true, data: httpFetcher.listPlatforms() });
+});
+
+// ============================================================================
+// POST /providers/api/create - Crear proveedor
+// ============================================================================
+
+router.post('/api/create', async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+    const data = _pickProviderFields(req.body);
+
+    if (data.modo_extraccion === 'push' && !data.url) data.url = PUSH_URL;
+    if (!data.nombre || !data.url) {
+      return res.status(400).json({ success: false, error: 'Nombre y URL son requeridos' });
+    }
+    const recipeError = _checkRecipe(data) || _checkTimezone(data);
+    if (recipeError) {
+      return res.status(400).json({ success: false, error: recipeError });
+    }
+
+    const result = await api.insert('conf_providers', data);
+    res.json({ success: true, data: result });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// PUT /providers/api/update/:id - Actualizar proveedor
+// ============================================================================
+
+router.put('/api/update/:id', async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+    const id = parseInt(req.params.id);
+    const data = _pickProviderFields(req.body);
+
+    if (data.modo_extraccion === 'push' && data.url === '') data.url = PUSH_URL;
+    if (data.nombre === '' || data.url === '') {
+      return res.status(400).json({ success: false, error: 'Nombre y URL son requeridos' });
+    }
+    const recipeError = _checkRecipe(data) || _checkTimezone(data);
+    if (recipeError) {
+      return res.status(400).json({ success: false, error: recipeError });
+    }
+
+    await api.update('conf_providers', id, data);
+    pushIngest.invalidateAuth({ providerId: id });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// DELETE /providers/api/delete/:id - Eliminar proveedor
+// ============================================================================
+
+router.delete('/api/delete/:id', async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+    await api.remove('conf_providers', parseInt(req.params.id));
+    pushIngest.invalidateAuth({ providerId: parseInt(req.params.id) });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// POST /providers/api/recipe/test - Ejecutar una receta sin guardar nada
+// ============================================================================
+
+router.post('/api/recipe/test', async (req, res) => {
+  try {
+    const { url, receta, username, password } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ success: false, error: 'La URL es requerida' });
+    }
+
+    const recipe = recipeAdapter.parseRecipe(receta);
+    const errors = recipeAdapter.validateRecipe(recipe);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Receta invalida', errors });
+    }
+
+    const result = await httpFetcher.fetch(
+      { url, username, password, plataforma: 'recipe', receta: recipe },
+      { timeoutMs: 30000 }
+    );
+
+    let rawPreview = '';
+    try {
+      rawPreview = typeof result.raw === 'string' ? result.raw : JSON.stringify(result.raw);
+    } catch {}
+
+    res.json({
+      success: !result.error,
+      error: result.error || null,
+      request: result.request || null,
+      count: (result.coords || []).length,
+      coords: (result.coords || []).slice(0, 50),
+      rawPreview: (rawPreview || '').substring(0, 2000),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// POST /providers/api/test-url - Banco de pruebas de un link (dry-run)
+// Ejecuta httpFetcher.fetch (y opcionalmente el navegador) sin guardar nada:
+// ni op_coordinates, ni log_scrape, ni estado del proveedor.
+// ============================================================================
+
+router.post('/api/test-url', async (req, res) => {
+  try {
+    const { url, plataforma, username, password, zona_horaria } = req.body;
+
+    if (!url || !/^https?:\/\//i.test(String(url).trim())) {
+      return res.status(400).json({ success: false, error: 'La URL (http/https) es requerida' });
+    }
+
+    const provider = {
+      url: String(url).trim(),
+      plataforma: plataforma || null,
+      username: username || null,
+      password: password || null,
+      zona_horaria,
+    };
+    const timezoneError = _checkTimezone(provider);
+    if (timezoneError) {
+      return res.status(400).json({ success: false, error: timezoneError });
+    }
+    if (plataforma === 'recipe') {
+      provider.receta = recipeAdapter.parseRecipe(req.body.receta);
+      const errors = recipeAdapter.validateRecipe(provider.receta);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Receta invalida', errors });
+      }
+    }
+
+    const { result, timeline, durationMs } = await requestTrace.capture(
+      () => httpFetcher.fetch(provider, { timeoutMs: 30000 })
+    );
+    const coords = _previewCoords(result.coords, provider.zona_horaria);
+
+    let browser = null;
+    if (req.body.browser === true || req.body.browser === 'true') {
+      const startedAt = Date.now();
+      const browserResult = browserFetcher.isAvailable()
+        ? await browserFetcher.fetch(provider)
+        : { coords: [], source: 'browser', error: 'Modo navegador no disponible en este servidor' };
+      browser = {
+        success: !browserResult.error,
+        error: browserResult.error || null,
+        source: browserResult.source,
+        strategies: browserResult.strategies || null,
+        login: browserResult.login || null,
+        durationMs: Date.now() - startedAt,
+        count: (browserResult.coords || []).length,
+        coords: _previewCoords(browserResult.coords, provider.zona_horaria).slice(0, 200),
+      };
+    }
+
+    let rawPreview = '';
+    try {
+      rawPreview = typeof result.raw === 'string' ? result.raw : JSON.stringify(result.raw);
+    } catch {}
+
+    res.json({
+      success: !result.error,
+      error: result.error || null,
+      platform: result.platform,
+      detectedPlatform: httpFetcher.detectPlatform(provider.url),
+      source: result.source,
+      durationMs,
+      timeline,
+      rawPreview: (rawPreview || '').substring(0, 4000),
+      count: coords.length,
+      coords: coords.slice(0, 200),
+      devices: _deviceBreakdown(coords),
+      browser,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// GET /providers/dispositivos - Bandeja de dispositivos sin asignar
+// ============================================================================
+
+router.get('/dispositivos', async (req, res) => {
+  let trips = [];
+  let providers = [];
+  try {
+    const api = createClient(req.session.token);
+    trips = await api.query(
+      `SELECT id, numero_economico, placas_unidad, nombre_operador
+       FROM unidades_viajes
+       WHERE estado_actual = 'en_ruta'
+       ORDER BY id DESC`
+    ) || [];
+    providers = await api.query('SELECT id, nombre, modo_extraccion FROM conf_providers ORDER BY nombre') || [];
+  } catch (err) {
+    console.error('[Providers] Error cargando viajes para la bandeja:', err.message);
+  }
+
+  res.render('providers/dispositivos', {
+    title: 'Proveedores - Dispositivos sin asignar',
+    trips,
+    providers,
+    providerId: parseInt(req.query.provider) || null,
+  });
+});
+
+// ============================================================================
+// GET /providers/api/dispositivos - Lista para el grid (WebApiAdaptor)
+// ============================================================================
+
+router.get('/api/dispositivos', async (req, res) => {
+  try {
+    const items = await deviceInbox.listPending({
+      estado: ['pendiente', 'asignado', 'descartado', 'todos'].includes(req.query.estado) ? req.query.estado : 'pendiente',
+      providerId: parseInt(req.query.provider) || null,
+    });
+    res.json({ Items: items, Count: items.length });
+  } catch (err) {
+    console.error('[Providers] Error listando dispositivos:', err.message);
+    res.status(500).json({ Items: [], Count: 0, error: err.message });
+  }
+});
+
+// ============================================================================
+// GET /providers/api/dispositivos/:id/historial - Posiciones en espera
+// ============================================================================
+
+router.get('/api/dispositivos/:id/historial', async (req, res) => {
+  try {
+    const data = await deviceInbox.getHistory(parseInt(req.params.id));
+    res.json({ success: true, data });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// POST /providers/api/dispositivos/:id/asignar - Asignar a un viaje
+// ============================================================================
+
+router.post('/api/dispositivos/:id/asignar', async (req, res) => {
+  try {
+    const tripId = parseInt(req.body.id_unidad_viaje);
+    if (!tripId) {
+      return res.status(400).json({ success: false, error: 'Selecciona un viaje' });
+    }
+
+    const result = await deviceInbox.assign(parseInt(req.params.id), tripId);
+    if (result.success) pushIngest.invalidateAuth();
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// POST /providers/api/dispositivos/:id/descartar - Descartar dispositivo
+// ============================================================================
+
+router.post('/api/dispositivos/:id/descartar', async (req, res) => {
+  try {
+    const result = await deviceInbox.discard(parseInt(req.params.id));
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// GET /providers/api/push-devices - Dispositivos de proveedores push
+// ============================================================================
+
+router.get('/api/push-devices', async (req, res) => {
+  try {
+    const data = await pushIngest.listDevices();
+    res.json({ success: true, data });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// POST /providers/api/push-devices - Alta de dispositivo push (genera token)
+// ============================================================================
+
+router.post('/api/push-devices', async (req, res) => {
+  try {
+    const result = await pushIngest.createDevice(req.body || {});
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ============================================================================
+// POST /providers/api/push-devices/:id/token - Token nuevo (o revocar con revoke=true)
+// ============================================================================
+
+router.post('/api/push-devices/:id/token', async (req, res) => {
+  try {
+    const revoke = req.body && (req.body.revoke === true || req.body.revoke === 'true');
+    const result = await pushIngest.rotateToken(parseInt(req.params.id), revoke);
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * Valida y normaliza la receta del body (se guarda como string JSON).
+ * @returns {string|null} Mensaje de error o null si es valida
+ * @private
+ */
+function _checkRecipe(data) {
+  if (data.receta === undefined) return null;
+  if (data.receta === null || data.receta === '') {
+    data.receta = null;
+    return data.plataforma === 'recipe' ? 'La plataforma receta requiere una receta' : null;
+  }
+
+  const recipe = recipeAdapter.parseRecipe(data.receta);
+  const errors = recipeAdapter.validateRecipe(recipe);
+  if (errors.length > 0) return 'Receta invalida: ' + errors.join('; ');
+
+  data.receta = JSON.stringify(recipe);
+  return null;
+}
+
+/**
+ * Valida zona_horaria (nombre IANA u offset fijo). Vacia se guarda como NULL.
+ * @returns {string|null} Mensaje de error o null si es valida
+ * @private
+ */
+function _checkTimezone(data) {
+  if (data.zona_horaria === undefined) return null;
+  const zone = data.zona_horaria ? String(data.zona_horaria).trim() : '';
+  if (!zone) {
+    data.zona_horaria = null;
+    return null;
+  }
+  if (!time.isValidTimezone(zone)) return `Zona horaria invalida: ${zone} (usa IANA, ej. America/Mexico_City, u offset +08:00)`;
+  data.zona_horaria = zone;
+  return null;
+}
+
+/**
+ * Coordenadas del banco de pruebas con fecha_gps ya normalizada a UTC
+ * (como las guardaria coordinator) y la fecha original en rawTimestamp.
+ * @private
+ */
+function _previewCoords(coords, zonaHoraria) {
+  return (coords || []).map(c => ({
+    lat: c.lat,
+    lng: c.lng,
+    speed: c.speed ?? null,
+    heading: c.heading ?? null,
+    deviceId: c.deviceId || null,
+    deviceName: c.deviceName || null,
+    source: c.source || null,
+    rawTimestamp: c.timestamp || null,
+    timestamp: c.timestamp ? time.normalizeGpsTimestamp(c.timestamp, zonaHoraria) : null,
+  }));
+}
+
+/**
+ * Resumen por dispositivo: cuantas coordenadas y el fix mas reciente.
+ * @private
+ */
+function _deviceBreakdown(coords) {
+  const byDevice = new Map();
+  for (const c of coords) {
+    const key = c.deviceId || deviceInbox.NO_ID;
+    if (!byDevice.has(key)) {
+      byDevice.set(key, { deviceId: key, deviceName: c.deviceName, count: 0, last: null });
+    }
+    const entry = byDevice.get(key);
+    entry.count++;
+    if (!entry.last || (c.timestamp && (!entry.last.timestamp || c.timestamp > entry.last.timestamp))) {
+      entry.last = c;
+    }
+  }
+  return [...byDevice.values()];
+}
+
+/**
+ * Filtra el body a las columnas editables de conf_providers.
+ * plataforma vacia se guarda como NULL (deteccion automatica por URL) y un
+ * modo_extraccion desconocido como 'http'.
+ * @private
+ */
+function _pickProviderFields(body) {
+  const data = {};
+  for (const field of PROVIDER_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  if (data.plataforma !== undefined) {
+    const platform = data.plataforma ? String(data.plataforma).trim().toLowerCase() : '';
+    const known = httpFetcher.listPlatforms().some(p => p.name === platform);
+    data.plataforma = known ? platform : null;
+  }
+  if (data.modo_extraccion !== undefined) {
+    data.modo_extraccion = EXTRACTION_MODES.includes(data.modo_extraccion) ? data.modo_extraccion : 'http';
+  }
+  return data;
+}
+
 module.exports = router;
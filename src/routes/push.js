@@ -0,0 +1,85 @@
+/**
+ * Rutas de posiciones push (OsmAnd / Traccar Client)
+ * Sin sesion: cada dispositivo se autentica con su token
+ * (conf_dispositivos.token_push, ver src/scraper/push-ingest.js).
+ *
+ * Endpoints:
+ *   GET|POST /push/osmand  - Protocolo OsmAnd (?id=&lat=&lon=&timestamp=&speed=&bearing=)
+ *   POST     /push/batch   - Lote JSON (arreglo, { positions: [...] } o JSON de Traccar Client)
+ *
+ * Configuracion en la app:
+ *   OsmAnd:         https://<host>/push/osmand?token=TOKEN&lat={0}&lon={1}&timestamp={2}&speed={5}&bearing={6}
+ *   Traccar Client: URL del servidor https://<host>/push/osmand, identificador del dispositivo = TOKEN
+ */
+
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const pushIngest = require('../scraper/push-ingest');
+
+// ============================================================================
+// GET|POST /push/osmand - Una posicion (protocolo OsmAnd)
+// OsmAnd y Traccar Client solo revisan el status: 200 = entregada
+// ============================================================================
+
+router.all('/osmand', async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).send('Metodo no permitido');
+  }
+
+  try {
+    const auth = await pushIngest.authenticate(pushIngest.tokenFromRequest(req));
+
+    // Traccar Client v9 manda JSON al mismo URL
+    if (req.is('application/json') && req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+      const batch = pushIngest.parseBatch(req.body);
+      if (batch.coords.length === 0) return res.status(400).send('Ninguna posicion valida');
+      const result = await pushIngest.ingest(auth, batch.coords, batch.ids);
+      return res.status(200).send(`OK ${result.received}`);
+    }
+
+    const params = { ...(req.body || {}), ...req.query };
+    const coord = pushIngest.parseOsmAnd(params);
+    const ids = params.id !== undefined ? [String(params.id)] : [];
+    await pushIngest.ingest(auth, [coord], ids);
+
+    res.status(200).send('OK');
+  } catch (err) {
+    _sendError(res, err, false);
+  }
+});
+
+// ============================================================================
+// POST /push/batch - Lote JSON de posiciones
+// ============================================================================
+
+router.post('/batch', async (req, res) => {
+  try {
+    const auth = await pushIngest.authenticate(pushIngest.tokenFromRequest(req));
+    const batch = pushIngest.parseBatch(req.body);
+
+    if (batch.coords.length === 0) {
+      return res.status(400).json({ success: false, error: 'Ninguna posicion valida', invalid: batch.errors });
+    }
+
+    const result = await pushIngest.ingest(auth, batch.coords, batch.ids);
+    res.json({ success: true, ...result, invalid: batch.errors });
+  } catch (err) {
+    _sendError(res, err, true);
+  }
+});
+
+/**
+ * Responde el error con su status (401/403/400) o 500.
+ * @private
+ */
+function _sendError(res, err, json) {
+  const status = err.status && err.status < 500 ? err.status : 500;
+  if (status === 500) console.error('[Push] Error:', err.message);
+
+  if (json) return res.status(status).json({ success: false, error: err.message });
+  res.status(status).send(err.message);
+}
+
+module.exports = router;
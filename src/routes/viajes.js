@@ -6,6 +6,14 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('../api/client');
+const trackImport = require('../scraper/track-import');
+const time = require('../utils/time');
+
+/** El archivo llega como texto plano (el JSON global tiene limite de 100kb) */
+const importBody = express.text({ type: 'text/plain', limit: '15mb' });
+
+/** Puntos que se mandan al mapa en la vista previa */
+const PREVIEW_MAX_POINTS = 2000;
 
 // ---------------------------------------------------------------------------
 // GET /viajes - Listar viajes (pagina principal con stats)
@@ -208,6 +216,129 @@ router.get('/api/contacts/:id', async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// GET /viajes/api/stops/:id - Paros del viaje (op_paros, stop-detector)
+// ---------------------------------------------------------------------------
+router.get('/api/stops/:id', async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+    const id = parseInt(req.params.id);
+    const stops = await api.query(
+      `SELECT * FROM op_paros
+       WHERE id_unidad_viaje = ${id}
+       ORDER BY inicio DESC
+       LIMIT 200`
+    );
+    res.json({ result: stops || [], count: (stops || []).length });
+  } catch (err) {
+    console.error('[Viajes API] Stops error:', err.message);
+    res.json({ result: [], count: 0 });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /viajes/api/import/:id/preview - Vista previa de un track GPX/KML/CSV
+// Body: texto del archivo. Query: filename, zona (para fechas sin zona)
+// ---------------------------------------------------------------------------
+router.post('/api/import/:id/preview', importBody, async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+    const { trip, parsed } = await _loadImport(api, req);
+    const { overlaps, existing } = await trackImport.markOverlaps(api, trip.id, parsed.points);
+    const points = parsed.points;
+
+    res.json({
+      success: true,
+      data: {
+        format: parsed.format,
+        total: points.length,
+        overlaps,
+        existing,
+        invalid: parsed.invalid,
+        noTime: parsed.noTime,
+        duplicates: parsed.duplicates,
+        desde: points[0].fecha_gps,
+        hasta: points[points.length - 1].fecha_gps,
+        points: _previewPoints(points),
+      },
+    });
+  } catch (err) {
+    _sendImportError(res, err);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /viajes/api/import/:id - Inserta el track con fuente = 'import'
+// Query: filename, zona, omitir_traslapes (1 por defecto), dispositivo
+// ---------------------------------------------------------------------------
+router.post('/api/import/:id', importBody, async (req, res) => {
+  try {
+    const api = createClient(req.session.token);
+    const { trip, parsed } = await _loadImport(api, req);
+    await trackImport.markOverlaps(api, trip.id, parsed.points);
+
+    const result = await trackImport.save(api, trip, parsed.points, {
+      skipOverlaps: req.query.omitir_traslapes !== '0',
+      device: req.query.dispositivo || null,
+    });
+    res.json({ success: true, data: result });
+  } catch (err) {
+    _sendImportError(res, err);
+  }
+});
+
+/**
+ * Viaje y puntos parseados del request de importacion.
+ * @private
+ */
+async function _loadImport(api, req) {
+  const id = parseInt(req.params.id);
+  const rows = await api.query(`SELECT id, provider_id FROM unidades_viajes WHERE id = ${id} LIMIT 1`);
+  if (!rows || rows.length === 0) throw _statusError(404, 'Viaje no encontrado');
+
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    throw _statusError(400, 'Archivo vacio');
+  }
+
+  const zona = req.query.zona ? String(req.query.zona).trim() : null;
+  if (zona && !time.isValidTimezone(zona)) {
+    throw _statusError(400, `Zona horaria invalida: ${zona}`);
+  }
+
+  const parsed = trackImport.parse(req.body, String(req.query.filename || ''), zona);
+  return { trip: rows[0], parsed };
+}
+
+/**
+ * Submuestreo uniforme para el mapa; los traslapes siempre se incluyen.
+ * @private
+ */
+function _previewPoints(points) {
+  if (points.length <= PREVIEW_MAX_POINTS) return points;
+  const step = (points.length - 1) / (PREVIEW_MAX_POINTS - 1);
+  const keep = new Set();
+  for (let k = 0; k < PREVIEW_MAX_POINTS; k++) keep.add(Math.round(k * step));
+  return points.filter((p, i) => p.overlap || keep.has(i));
+}
+
+/**
+ * @private
+ */
+function _statusError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * @private
+ */
+function _sendImportError(res, err) {
+  const status = err.status && err.status < 500 ? err.status : 500;
+  if (status === 500) console.error('[Viajes API] Import error:', err.message);
+  res.status(status).json({ success: false, error: err.message });
+}
+
 // ---------------------------------------------------------------------------
 // GET /viajes/:id - Detalle de viaje (pagina completa)
 // ---------------------------------------------------------------------------
@@ -216,9 +347,9 @@ router.get('/:id', async (req, res) => {
     const api = createClient(req.session.token);
     const id = parseInt(req.params.id);
 
-    const [viajes, coords, eventos, contactos] = await Promise.all([
+    const [viajes, coords, eventos, contactos, paros] = await Promise.all([
       api.query(
-        `SELECT uv.*, cp.nombre AS provider_nombre
+        `SELECT uv.*, cp.nombre AS provider_nombre, cp.zona_horaria AS provider_zona_horaria
          FROM unidades_viajes uv
          LEFT JOIN conf_providers cp ON uv.provider_id = cp.id
          WHERE uv.id = ${id}`
@@ -241,7 +372,14 @@ router.get('/:id', async (req, res) => {
         `SELECT * FROM contactos_viaje
          WHERE id_unidad_viaje = ${id}
          ORDER BY tipo_contacto ASC`
-      )
+      ),
+      // op_paros puede no existir si aun no se corre sql/18
+      api.query(
+        `SELECT * FROM op_paros
+         WHERE id_unidad_viaje = ${id}
+         ORDER BY inicio DESC
+         LIMIT 200`
+      ).catch(() => [])
     ]);
 
     if (!viajes || viajes.length === 0) {
@@ -256,7 +394,8 @@ router.get('/:id', async (req, res) => {
       viaje: viajes[0],
       coordenadas: coords || [],
       eventos: eventos || [],
-      contactos: contactos || []
+      contactos: contactos || [],
+      paros: paros || []
     });
   } catch (err) {
     console.error('[Viajes] Detail error:', err.message);
@@ -0,0 +1,144 @@
+/**
+ * Adaptador Generico — fallback para plataformas no reconocidas
+ *
+ * Descarga el HTML y busca coordenadas en links de Google Maps, scripts
+ * embebidos y el documento completo con coord-detector.
+ */
+
+'use strict';
+
+const axios = require('axios');
+const coordDetector = require('../coord-detector');
+const { browserHeaders, dedup } = require('../http-helpers');
+
+const LOG_PREFIX = '[HttpFetcher]';
+
+// ---------------------------------------------------------------------------
+// Metadatos del adaptador
+// ---------------------------------------------------------------------------
+
+const NAME = 'generic';
+const LABEL = 'Generico (HTML)';
+const PRIORITY = 1000;
+
+const CAPABILITIES = {
+  shareLink: true,
+  credentials: false,
+  deviceIdentity: false,
+  telemetry: [],
+  fallback: true,         // se usa cuando ningun otro adaptador reconoce la URL
+};
+
+// ---------------------------------------------------------------------------
+// Deteccion y entrada del adaptador
+// ---------------------------------------------------------------------------
+
+/**
+ * El adaptador generico acepta cualquier URL.
+ * @returns {boolean}
+ */
+function detect() {
+  return true;
+}
+
+/**
+ * @param {object} provider - Fila de conf_providers (minimo { url })
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=90000]
+ */
+async function fetch(provider, opts = {}) {
+  return _fetchGeneric(provider.url, opts.timeoutMs || 90000);
+}
+
+// ---------------------------------------------------------------------------
+// Generico — Fallback para plataformas no reconocidas
+// ---------------------------------------------------------------------------
+
+/**
+ * Descarga el HTML de la pagina y extrae coordenadas con coord-detector.
+ * Funciona como fallback cuando la plataforma no tiene un fetcher dedicado.
+ * @private
+ */
+async function _fetchGeneric(shareUrl, timeoutMs) {
+  log('info', 'Generico: descargando pagina...');
+
+  const res = await axios.get(shareUrl, {
+    timeout: timeoutMs,
+    headers: browserHeaders(),
+    maxRedirects: 5,
+    validateStatus: () => true,
+  });
+
+  const html = typeof res.data === 'string' ? res.data : JSON.stringify(res.data);
+  const coords = [];
+
+  // Buscar links de mapas (Google @lat,lng / q= / ll=, Apple Maps, Waze)
+  for (const c of coordDetector.detectFromMapUrls(html)) {
+    c.source = 'http_generic';
+    coords.push(c);
+  }
+
+  // Buscar JSON embebido en scripts
+  const scriptRe = /<script[^>]*>([\s\S]*?)<\/script>/gi;
+  let scriptMatch;
+  while ((scriptMatch = scriptRe.exec(html)) !== null) {
+    const scriptContent = scriptMatch[1];
+    if (scriptContent.length > 20 && scriptContent.length < 100000) {
+      const found = coordDetector.detectFromText(scriptContent);
+      for (const c of found) {
+        c.source = 'http_generic_script';
+        coords.push(c);
+      }
+    }
+  }
+
+  // Fallback: coord-detector sobre la respuesta completa (JSON, GeoJSON, NMEA...)
+  if (coords.length === 0) {
+    const detected = coordDetector.detectFromAny(
+      typeof res.data === 'string' ? html.substring(0, 200000) : res.data
+    );
+    if (detected.format) log('info', `Generico: formato detectado ${detected.format} (confianza ${detected.confidence})`);
+    for (const c of detected.coords) {
+      c.source = 'http_generic';
+      coords.push(c);
+    }
+  }
+
+  // Deduplicar
+  const deduped = dedup(coords);
+
+  log('info', `Generico: ${deduped.length} coordenadas extraidas`);
+
+  return {
+    coords: deduped,
+    platform: 'generic',
+    source: 'http_generic',
+    raw: res.data,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  name: NAME,
+  label: LABEL,
+  priority: PRIORITY,
+  capabilities: CAPABILITIES,
+  detect,
+  fetch,
+};
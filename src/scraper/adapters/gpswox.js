@@ -0,0 +1,253 @@
+/**
+ * Adaptador GPSWox — share links /sharing/<hash> y accesos con user_api_hash
+ *
+ * Consulta los endpoints JSON que usa la pagina de sharing. Si no devuelven
+ * posiciones, parsea los links de Google Maps del HTML como fallback.
+ */
+
+'use strict';
+
+const axios = require('axios');
+const coordDetector = require('../coord-detector');
+const { browserHeaders, truncate } = require('../http-helpers');
+
+const LOG_PREFIX = '[HttpFetcher]';
+
+// ---------------------------------------------------------------------------
+// Metadatos del adaptador
+// ---------------------------------------------------------------------------
+
+const NAME = 'gpswox';
+const LABEL = 'GPSWox';
+const PRIORITY = 20;
+
+const CAPABILITIES = {
+  shareLink: true,
+  credentials: false,
+  deviceIdentity: true,
+  telemetry: ['speed', 'heading', 'timestamp', 'isStop'],
+};
+
+// ---------------------------------------------------------------------------
+// Deteccion y entrada del adaptador
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} url
+ * @returns {boolean}
+ */
+function detect(url) {
+  const lower = (url || '').toLowerCase();
+  return lower.includes('gpswox.com') || lower.includes('gpswox');
+}
+
+/**
+ * @param {object} provider - Fila de conf_providers (minimo { url })
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=90000]
+ */
+async function fetch(provider, opts = {}) {
+  return _fetchGpswox(provider.url, opts.timeoutMs || 90000);
+}
+
+// ---------------------------------------------------------------------------
+// GPSWox — Fetcher via endpoints JSON (fallback: HTML con links Google Maps)
+// ---------------------------------------------------------------------------
+
+/**
+ * Extrae coordenadas de GPSWox.
+ *
+ * Formatos de link soportados:
+ *   https://<host>/sharing/<hash>                  (share link)
+ *   https://<host>/...?user_api_hash=<hash>        (acceso API de cuenta)
+ *
+ * Flujo:
+ *  1. Extraer el hash del link
+ *  2. Probar los endpoints JSON que usa la propia pagina de sharing
+ *  3. Aplanar grupos → items y mapear telemetria completa por dispositivo
+ *  4. Si ningun endpoint devuelve coordenadas, parsear el HTML (links Google Maps)
+ *
+ * @private
+ */
+async function _fetchGpswox(shareUrl, timeoutMs) {
+  const urlObj = new URL(shareUrl);
+  const baseUrl = `${urlObj.protocol}//${urlObj.host}`;
+
+  const sharingMatch = urlObj.pathname.match(/\/sharing\/([^/?#]+)/i);
+  const sharingHash = sharingMatch ? sharingMatch[1] : urlObj.searchParams.get('hash');
+  const apiHash = urlObj.searchParams.get('user_api_hash');
+
+  const endpoints = [];
+  if (sharingHash) {
+    endpoints.push(`${baseUrl}/sharing/${sharingHash}/devices`);
+    endpoints.push(`${baseUrl}/api/sharing/${sharingHash}/devices`);
+  }
+  if (apiHash) {
+    endpoints.push(`${baseUrl}/api/get_devices?lang=en&user_api_hash=${encodeURIComponent(apiHash)}`);
+  }
+
+  for (const endpoint of endpoints) {
+    try {
+      log('info', `GPSWox: consultando ${truncate(endpoint, 100)}`);
+
+      const res = await axios.get(endpoint, {
+        timeout: timeoutMs,
+        headers: {
+          ...browserHeaders(),
+          'Accept': 'application/json, text/javascript, */*; q=0.01',
+          'X-Requested-With': 'XMLHttpRequest',
+          'Referer': shareUrl,
+        },
+        validateStatus: (s) => s < 500,
+      });
+
+      if (res.status !== 200 || !res.data || typeof res.data !== 'object') {
+        log('info', `GPSWox: endpoint sin JSON (status ${res.status})`);
+        continue;
+      }
+
+      const coords = _parseGpswoxDevices(res.data);
+      if (coords.length > 0) {
+        log('info', `GPSWox: ${coords.length} coordenadas extraidas via JSON`);
+        return {
+          coords,
+          platform: 'gpswox',
+          source: 'http_gpswox',
+          raw: res.data,
+        };
+      }
+
+      log('info', 'GPSWox: endpoint JSON sin dispositivos con posicion');
+    } catch (err) {
+      log('warn', `GPSWox: endpoint fallo (${err.message})`);
+    }
+  }
+
+  log('info', 'GPSWox: sin datos JSON, usando fallback HTML');
+  return _fetchGpswoxHtml(shareUrl, timeoutMs);
+}
+
+/**
+ * Aplana la respuesta de GPSWox y la convierte al formato estandar.
+ * Acepta:
+ *   - [{ title, items: [device, ...] }, ...]   (devices agrupados, get_devices)
+ *   - { items: [device, ...] } / { data: [...] } / { devices: [...] }
+ *   - [device, ...]
+ * device = { name, lat, lng, speed (km/h), course, time, timestamp, device_data: { imei } }
+ * @private
+ */
+function _parseGpswoxDevices(data) {
+  let list = data;
+  if (list && !Array.isArray(list)) {
+    list = list.items || list.data || list.devices || [];
+  }
+  if (!Array.isArray(list)) return [];
+
+  // Aplanar grupos
+  const devices = [];
+  for (const entry of list) {
+    if (entry && Array.isArray(entry.items)) devices.push(...entry.items);
+    else if (entry) devices.push(entry);
+  }
+
+  const coords = [];
+
+  for (const dev of devices) {
+    if (!dev || typeof dev !== 'object') continue;
+
+    const lat = parseFloat(dev.lat);
+    const lng = parseFloat(dev.lng);
+
+    if (isNaN(lat) || isNaN(lng)) continue;
+    if (!coordDetector.isValidPair(lat, lng)) continue;
+
+    const coord = {
+      lat,
+      lng,
+      source: 'http_gpswox',
+    };
+
+    const deviceData = dev.device_data || {};
+    const imei = dev.imei || deviceData.imei;
+
+    if (dev.speed !== undefined && dev.speed !== null) coord.speed = parseFloat(dev.speed);
+    if (dev.course !== undefined && dev.course !== null) coord.heading = parseFloat(dev.course);
+    if (dev.timestamp) coord.timestamp = new Date(dev.timestamp * 1000).toISOString();
+    else if (dev.time) coord.timestamp = dev.time;
+    if (dev.name) coord.deviceName = dev.name;
+    if (imei) coord.uniqueId = String(imei);
+    if (dev.online === 'ack' || dev.online === 'online') coord.isStop = dev.online === 'ack';
+
+    coords.push(coord);
+  }
+
+  return coords;
+}
+
+/**
+ * Fallback: GPSWox expone coords en el HTML via links de mapas.
+ * Solo devuelve lat/lng (sin velocidad, rumbo ni dispositivo).
+ * @private
+ */
+async function _fetchGpswoxHtml(shareUrl, timeoutMs) {
+  log('info', 'GPSWox: descargando pagina HTML...');
+
+  const res = await axios.get(shareUrl, {
+    timeout: timeoutMs,
+    headers: browserHeaders(),
+    maxRedirects: 5,
+  });
+
+  const html = typeof res.data === 'string' ? res.data : '';
+  const coords = [];
+
+  // Estrategia 1: Links de mapas (Google @lat,lng / q= / ll= / !3d!4d, Apple Maps, Waze)
+  for (const c of coordDetector.detectFromMapUrls(html)) {
+    c.source = 'http_gpswox_html';
+    coords.push(c);
+  }
+
+  // Estrategia 2: Buscar con coord-detector en el HTML completo
+  if (coords.length === 0) {
+    const found = coordDetector.detectFromText(html);
+    for (const c of found) {
+      c.source = 'http_gpswox_html';
+      coords.push(c);
+    }
+  }
+
+  log('info', `GPSWox: ${coords.length} coordenadas extraidas del HTML`);
+
+  return {
+    coords,
+    platform: 'gpswox',
+    source: 'http_gpswox_html',
+    raw: res.data,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  name: NAME,
+  label: LABEL,
+  priority: PRIORITY,
+  capabilities: CAPABILITIES,
+  detect,
+  fetch,
+};
@@ -0,0 +1,174 @@
+/**
+ * Registro de adaptadores GPS
+ *
+ * Cada plataforma vive en su propio modulo dentro de src/scraper/adapters/
+ * y se carga automaticamente al primer uso. Para agregar una plataforma basta
+ * con crear el archivo; no hay que tocar http-fetcher.js.
+ *
+ * Contrato de un adaptador:
+ *   {
+ *     name:         'traccar',                  // id unico (conf_providers.plataforma)
+ *     label:        'Traccar',                  // nombre para la UI
+ *     priority:     30,                         // orden de deteccion (menor = primero)
+ *     capabilities: { shareLink, credentials, deviceIdentity, telemetry, fallback? },
+ *     detect(url)             → boolean
+ *     fetch(provider, opts)   → Promise<{ coords, platform, source, raw? }>
+ *   }
+ *
+ * Responsabilidades:
+ *  - Cargar y validar los adaptadores del directorio
+ *  - Resolver el adaptador de un proveedor (override plataforma → deteccion por URL)
+ *  - Exponer metadatos para la UI
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const LOG_PREFIX = '[Adapters]';
+
+/** Adaptador usado cuando ningun otro reconoce la URL */
+const FALLBACK_ADAPTER = 'generic';
+
+/** @type {Array<object>|null} Adaptadores cargados, ordenados por prioridad */
+let adapters = null;
+
+// ---------------------------------------------------------------------------
+// Carga
+// ---------------------------------------------------------------------------
+
+/**
+ * Carga todos los modulos del directorio (excepto este) y los ordena.
+ * Un adaptador invalido se omite con warning; no rompe a los demas.
+ * @private
+ */
+function _loadAdapters() {
+  const loaded = [];
+  const files = fs.readdirSync(__dirname)
+    .filter(f => f.endsWith('.js') && f !== 'index.js');
+
+  for (const file of files) {
+    try {
+      const adapter = require(path.join(__dirname, file));
+
+      if (!adapter || !adapter.name || typeof adapter.detect !== 'function' || typeof adapter.fetch !== 'function') {
+        log('warn', `${file}: no cumple el contrato (name, detect, fetch), omitido`);
+        continue;
+      }
+      if (loaded.some(a => a.name === adapter.name)) {
+        log('warn', `${file}: nombre duplicado "${adapter.name}", omitido`);
+        continue;
+      }
+
+      loaded.push({
+        priority: 500,
+        capabilities: {},
+        label: adapter.name,
+        ...adapter,
+      });
+    } catch (err) {
+      log('error', `${file}: error al cargar: ${err.message}`);
+    }
+  }
+
+  loaded.sort((a, b) => a.priority - b.priority);
+
+  log('info', `${loaded.length} adaptadores cargados: ${loaded.map(a => a.name).join(', ')}`);
+  return loaded;
+}
+
+/**
+ * Devuelve los adaptadores cargados (lazy).
+ * @private
+ */
+function _all() {
+  if (!adapters) adapters = _loadAdapters();
+  return adapters;
+}
+
+// ---------------------------------------------------------------------------
+// Resolucion
+// ---------------------------------------------------------------------------
+
+/**
+ * Busca un adaptador por nombre.
+ * @param {string} name
+ * @returns {object|null}
+ */
+function getAdapter(name) {
+  if (!name) return null;
+  const key = String(name).trim().toLowerCase();
+  return _all().find(a => a.name === key) || null;
+}
+
+/**
+ * Detecta el adaptador por URL. Si ninguno la reconoce devuelve el fallback.
+ * @param {string} url
+ * @returns {object}
+ */
+function detectAdapter(url) {
+  for (const adapter of _all()) {
+    if (adapter.capabilities.fallback) continue;
+    try {
+      if (adapter.detect(url || '')) return adapter;
+    } catch (err) {
+      log('warn', `${adapter.name}.detect fallo: ${err.message}`);
+    }
+  }
+  return getAdapter(FALLBACK_ADAPTER);
+}
+
+/**
+ * Resuelve el adaptador de un proveedor.
+ * conf_providers.plataforma tiene prioridad sobre la deteccion por URL
+ * (ej. un Traccar white-label en un dominio propio).
+ *
+ * @param {object} provider - Fila de conf_providers ({ url, plataforma? })
+ * @returns {{ adapter: object, forced: boolean }}
+ */
+function resolveAdapter(provider) {
+  if (provider && provider.plataforma) {
+    const forced = getAdapter(provider.plataforma);
+    if (forced) return { adapter: forced, forced: true };
+    log('warn', `Plataforma "${provider.plataforma}" no registrada, usando deteccion por URL`);
+  }
+  return { adapter: detectAdapter(provider && provider.url), forced: false };
+}
+
+/**
+ * Metadatos de los adaptadores (para selects y diagnostico en la UI).
+ * @returns {Array<{name: string, label: string, priority: number, capabilities: object}>}
+ */
+function listAdapters() {
+  return _all().map(a => ({
+    name: a.name,
+    label: a.label,
+    priority: a.priority,
+    capabilities: a.capabilities,
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  getAdapter,
+  detectAdapter,
+  resolveAdapter,
+  listAdapters,
+};
@@ -0,0 +1,353 @@
+/**
+ * Adaptador Micodus — share links mtrack.html?access_token=...
+ *
+ * POST a ajax/DevicesAjax.asmx/GetTrackingForShareStatic con el access_token
+ * del link (probado y validado en produccion).
+ */
+
+'use strict';
+
+const axios = require('axios');
+const coordDetector = require('../coord-detector');
+const { browserHeaders, responseError } = require('../http-helpers');
+
+const LOG_PREFIX = '[HttpFetcher]';
+
+// ---------------------------------------------------------------------------
+// Metadatos del adaptador
+// ---------------------------------------------------------------------------
+
+const NAME = 'micodus';
+const LABEL = 'MiCODUS';
+const PRIORITY = 10;
+
+const CAPABILITIES = {
+  shareLink: true,        // funciona solo con el link compartido
+  credentials: false,     // no usa conf_providers.username/password
+  deviceIdentity: false,  // no devuelve deviceName/uniqueId
+  telemetry: ['speed', 'heading', 'timestamp', 'isStop', 'battery', 'signal', 'satellites'],
+};
+
+// ---------------------------------------------------------------------------
+// Deteccion y entrada del adaptador
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} url
+ * @returns {boolean}
+ */
+function detect(url) {
+  const lower = (url || '').toLowerCase();
+  return lower.includes('micodus.net') || lower.includes('mtrackone');
+}
+
+/**
+ * @param {object} provider - Fila de conf_providers (minimo { url })
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=90000]
+ */
+async function fetch(provider, opts = {}) {
+  return _fetchMicodus(provider.url, opts.timeoutMs || 90000);
+}
+
+// ---------------------------------------------------------------------------
+// Micodus — Fetcher principal (probado y validado)
+// ---------------------------------------------------------------------------
+
+/**
+ * Extrae coordenadas de Micodus via su API AJAX interna.
+ *
+ * Flujo:
+ *  1. Extraer access_token de la URL del share link
+ *  2. GET la pagina para establecer cookies de sesion
+ *  3. POST a GetTrackingForShareStatic con las cookies
+ *  4. Parsear la respuesta JSON → coordenadas
+ *
+ * Formato de respuesta Micodus:
+ *   { "d": "{\"lat\":\"20.60814\",\"lng\":\"-103.49088\",\"speed\":\"0.00\",...}" }
+ *   o directamente:
+ *   { "lat":"20.60814", "lng":"-103.49088", "speed":"0.00", ... }
+ *
+ * @private
+ */
+async function _fetchMicodus(shareUrl, timeoutMs) {
+  // 1. Extraer access_token de la URL
+  const urlObj = new URL(shareUrl);
+  const accessToken = urlObj.searchParams.get('access_token');
+
+  if (!accessToken) {
+    throw new Error('No se encontro access_token en la URL de Micodus');
+  }
+
+  log('info', `Micodus: access_token=${accessToken.substring(0, 8)}...`);
+
+  // Base URL de Micodus
+  const baseUrl = `${urlObj.protocol}//${urlObj.host}`;
+  const ajaxUrl = `${baseUrl}/ajax/DevicesAjax.asmx/GetTrackingForShareStatic`;
+
+  // 2. GET la pagina para obtener cookies de sesion (si las hay)
+  let cookies = '';
+  try {
+    const pageRes = await axios.get(shareUrl, {
+      timeout: timeoutMs,
+      headers: browserHeaders(),
+      maxRedirects: 5,
+      validateStatus: () => true,
+    });
+
+    const setCookies = pageRes.headers['set-cookie'];
+    if (setCookies) {
+      cookies = (Array.isArray(setCookies) ? setCookies : [setCookies])
+        .map(c => c.split(';')[0])
+        .join('; ');
+    }
+
+    log('info', `Micodus: pagina cargada (status ${pageRes.status}), cookies: ${cookies ? 'si' : 'no'}`);
+  } catch (err) {
+    log('warn', `Micodus: no se pudo cargar pagina (${err.message}), prosiguiendo con AJAX directo`);
+  }
+
+  // 3. POST al endpoint AJAX
+  //    Micodus usa el parametro "Key" (descubierto del JS de la pagina):
+  //    $.ajax({ url: "ajax/DevicesAjax.asmx/GetTrackingForShareStatic",
+  //             data: "{ Key: '" + access_token + "'}" })
+  const bodies = [
+    { Key: accessToken },
+    { key: accessToken },
+    { access_token: accessToken },
+  ];
+
+  let responseData = null;
+  let lastResponse;
+  let responseMeta = null;
+
+  const safePreview = (value, max = 1500) => {
+    try {
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      if (!text) return '';
+      return text.length > max ? text.substring(0, max) + '...' : text;
+    } catch {
+      return '[unserializable]';
+    }
+  };
+
+  for (const body of bodies) {
+    const bodyIndex = bodies.indexOf(body) + 1;
+    try {
+      log('info', `Micodus AJAX intento #${bodyIndex}: body=${JSON.stringify(body)} token=${accessToken.substring(0, 8)}... cookies=${cookies ? 'si' : 'no'}`);
+
+      const res = await axios.post(ajaxUrl, JSON.stringify(body), {
+        timeout: timeoutMs,
+        headers: {
+          ...browserHeaders(),
+          'Content-Type': 'application/json; charset=utf-8',
+          'Accept': 'application/json, text/javascript, */*; q=0.01',
+          'X-Requested-With': 'XMLHttpRequest',
+          'Origin': baseUrl,
+          'Referer': shareUrl,
+          ...(cookies ? { 'Cookie': cookies } : {}),
+        },
+        validateStatus: (s) => s < 500,
+      });
+
+      const contentType = res.headers && (res.headers['content-type'] || res.headers['Content-Type']) || 'unknown';
+      const rawPreview = safePreview(res.data);
+      let keys = [];
+      let payloadType = Array.isArray(res.data) ? 'array' : typeof res.data;
+      if (res.data && typeof res.data === 'object' && !Array.isArray(res.data)) {
+        keys = Object.keys(res.data).slice(0, 15);
+      }
+
+      if (res.data && res.data.d !== undefined) {
+        const dVal = res.data.d;
+        payloadType = `asmx.d(${Array.isArray(dVal) ? 'array' : typeof dVal})`;
+        if (dVal && typeof dVal === 'object' && !Array.isArray(dVal)) {
+          keys = Object.keys(dVal).slice(0, 15);
+        }
+      }
+
+      log('info', `Micodus AJAX intento #${bodyIndex}: status=${res.status} content-type=${contentType} payloadType=${payloadType} keys=${keys.join(',') || 'none'}`);
+      log('info', `Micodus AJAX intento #${bodyIndex}: response-preview=${rawPreview}`);
+      lastResponse = res.data;
+
+      if (res.status === 200 && res.data) {
+        responseData = res.data;
+        responseMeta = { bodyIndex, payloadType, keys };
+        log('info', `Micodus: AJAX respondio OK con body #${bodyIndex}`);
+        break;
+      }
+    } catch (err) {
+      log('warn', `Micodus: AJAX fallo con body #${bodyIndex}: ${err.message}`);
+      if (err.response) lastResponse = err.response.data;
+    }
+  }
+
+  if (!responseData) {
+    throw responseError('Micodus: ninguna variante de request funciono', lastResponse);
+  }
+
+  // 4. Parsear la respuesta
+  const coords = _parseMicodusResponse(responseData);
+
+  if (coords.length === 0) {
+    const payloadType = responseMeta && responseMeta.payloadType ? responseMeta.payloadType : 'unknown';
+    const keys = responseMeta && responseMeta.keys ? responseMeta.keys.join(',') : 'none';
+    log('warn', `Micodus: 0 coordenadas parseadas. Motivo probable: payload sin lat/lng validos. payloadType=${payloadType} keys=${keys}`);
+  }
+
+  log('info', `Micodus: ${coords.length} coordenadas extraidas`);
+
+  return {
+    coords,
+    platform: 'micodus',
+    source: 'http_micodus',
+    raw: responseData,
+  };
+}
+
+/**
+ * Parsea la respuesta de Micodus que puede venir en varios formatos:
+ *   - { d: '{"lat":"20.60814",...}' }   (ASMX wrapper con string JSON)
+ *   - { d: { lat: "20.60814", ... } }   (ASMX wrapper con objeto)
+ *   - { lat: "20.60814", ... }            (objeto directo)
+ *   - [{ lat: "20.60814", ... }, ...]     (array de dispositivos)
+ * @private
+ */
+function _parseMicodusResponse(data) {
+  const coords = [];
+
+  // Desenwrapper ASMX "d" si existe
+  let payload = data;
+  if (data && data.d !== undefined) {
+    payload = data.d;
+
+    if (typeof payload === 'string') {
+      log('info', `Micodus parser: raw d type=string length=${payload.length}`);
+      log('info', `Micodus parser: raw d first500=${payload.substring(0, 500)}`);
+      log('info', `Micodus parser: raw d last200=${payload.substring(Math.max(0, payload.length - 200))}`);
+    }
+  }
+
+  // Si es string, intentar parsear como JSON
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload);
+
+      if (typeof payload === 'string') {
+        log('info', 'Micodus parser: detectado double-encoding en d, haciendo segundo JSON.parse');
+        try {
+          payload = JSON.parse(payload);
+        } catch (doubleParseErr) {
+          log('warn', `Micodus parser: segundo JSON.parse FALLO: ${doubleParseErr.message}`);
+          const found = coordDetector.detectFromText(payload);
+          for (const c of found) {
+            c.source = 'http_micodus';
+            coords.push(c);
+          }
+          return coords;
+        }
+      }
+
+      log('info', `Micodus parser: after unwrap, type=${typeof payload}, isArray=${Array.isArray(payload)}`);
+      if (payload && typeof payload === 'object') {
+        const allKeys = Array.isArray(payload)
+          ? (payload ? Object.keys(payload).join(',') : 'empty_array')
+          : Object.keys(payload).join(',');
+        log('info', `Micodus parser: keys=${allKeys}`);
+        log('info', `Micodus parser: parsed-preview=${JSON.stringify(payload).substring(0, 1500)}`);
+      }
+    } catch (parseErr) {
+      log('warn', `Micodus parser: JSON.parse FALLO: ${parseErr.message}`);
+      log('info', `Micodus parser: intentando coord-detector sobre string raw (length=${payload.length})`);
+      // Intentar extraer de texto con coord-detector
+      const found = coordDetector.detectFromText(payload);
+      log('info', `Micodus parser: coord-detector encontro ${found.length} coords en raw string`);
+      for (const c of found) {
+        c.source = 'http_micodus';
+        coords.push(c);
+      }
+      return coords;
+    }
+  }
+
+  // Si es array, procesar cada elemento
+  const items = Array.isArray(payload) ? payload : [payload];
+
+  for (const item of items) {
+    if (!item || typeof item !== 'object') continue;
+
+    const lat = parseFloat(
+      item.lat || item.latitude || item.Lat || item.LAT ||
+      item.flat || item.fLat || item.Latitude ||
+      item.gpslat || item.gpsLat || item.GPS_Lat ||
+      item.lastLat || item.last_lat || item.device_lat
+    );
+    const lng = parseFloat(
+      item.lng || item.lon || item.longitude || item.Lng || item.LON ||
+      item.flng || item.fLng || item.Longitude || item.flon || item.fLon ||
+      item.gpslon || item.gpsLng || item.GPS_Lng || item.GPS_Lon ||
+      item.lastLng || item.last_lng || item.last_lon || item.device_lng
+    );
+
+    if (isNaN(lat) || isNaN(lng)) continue;
+    if (!coordDetector.isValidPair(lat, lng)) continue;
+
+    const coord = {
+      lat,
+      lng,
+      source: 'http_micodus',
+    };
+
+    // Metadatos opcionales
+    if (item.speed !== undefined) coord.speed = parseFloat(item.speed);
+    if (item.course !== undefined) coord.heading = parseFloat(item.course);
+    if (item.positionTime) coord.timestamp = item.positionTime;
+    if (item.isStop !== undefined) coord.isStop = String(item.isStop) === '1' || item.isStop === true;
+    if (item.battery !== undefined) coord.battery = parseFloat(item.battery);
+    if (item.signal !== undefined) coord.signal = parseInt(item.signal);
+    if (item.satellite !== undefined) coord.satellites = parseInt(item.satellite);
+
+    coords.push(coord);
+  }
+
+  if (coords.length === 0 && payload) {
+    const payloadStr = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    log('info', 'Micodus parser: 0 coords del parser de campos, intentando coord-detector como fallback');
+    const found = coordDetector.detectFromText(payloadStr);
+    for (const c of found) {
+      c.source = 'http_micodus_fallback';
+      coords.push(c);
+    }
+    if (found.length > 0) {
+      log('info', `Micodus parser: coord-detector encontro ${found.length} coords como fallback`);
+    }
+  }
+
+  return coords;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  name: NAME,
+  label: LABEL,
+  priority: PRIORITY,
+  capabilities: CAPABILITIES,
+  detect,
+  fetch,
+};
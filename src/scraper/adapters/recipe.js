@@ -0,0 +1,486 @@
+/**
+ * Adaptador Receta — proveedores declarativos configurados desde la UI
+ *
+ * La mayoria de las paginas de share GPS se reducen a: un GET o POST a un
+ * endpoint XHR y leer lat/lng/speed/time/dispositivo de un JSON. En lugar de
+ * escribir un adaptador, el proveedor guarda una receta JSON en
+ * conf_providers.receta y fuerza conf_providers.plataforma = 'recipe'.
+ *
+ * Formato de la receta:
+ *   {
+ *     "tokens":  { "token": "query:access_token", "hash": "path:1", "id": "regex:/s/(\\w+)" },
+ *     "warmup":  true,                                  // GET previo al share link para cookies
+ *     "request": {
+ *       "url":     "{{origin}}/api/share/{{token}}/devices",
+ *       "method":  "POST",
+ *       "headers": { "X-Requested-With": "XMLHttpRequest" },
+ *       "body":    { "Key": "{{token}}" }               // objeto (JSON) o string
+ *     },
+ *     "items":   "$.data.devices[*]",                   // lista de dispositivos
+ *     "fields":  { "lat": "$.lat", "lng": "$.lng", "speed": "$.speed", "heading": "$.course",
+ *                  "timestamp": "$.time", "deviceId": "$.imei", "deviceName": "$.name" },
+ *     "speedUnit":       "kmh",                         // kmh | knots | mph | ms
+ *     "timestampFormat": "raw"                          // raw | unix | unix_ms
+ *   }
+ *
+ * Tokens siempre disponibles: {{url}}, {{origin}}, {{host}}, {{path}},
+ * {{username}}, {{password}}. Los tokens propios se extraen del share link con:
+ *   query:<param>   parametro de query string
+ *   path:<n>        segmento n del path (0 = primero)
+ *   regex:<expr>    primer grupo de captura sobre la URL completa
+ *
+ * JSONPath soportado: $ . ['clave'] [n] [*]. Si un nodo intermedio es un
+ * string con JSON (ej. ASMX { d: "{...}" }) se parsea automaticamente.
+ */
+
+'use strict';
+
+const axios = require('axios');
+const coordDetector = require('../coord-detector');
+const { browserHeaders, responseError } = require('../http-helpers');
+
+const LOG_PREFIX = '[HttpFetcher]';
+
+// ---------------------------------------------------------------------------
+// Metadatos del adaptador
+// ---------------------------------------------------------------------------
+
+const NAME = 'recipe';
+const LABEL = 'Receta (configurable)';
+const PRIORITY = 900;
+
+const CAPABILITIES = {
+  shareLink: true,
+  credentials: true,      // {{username}} / {{password}} disponibles en la receta
+  deviceIdentity: true,   // si la receta mapea deviceId / deviceName
+  telemetry: ['speed', 'heading', 'timestamp'],
+  configurable: true,     // requiere conf_providers.receta
+};
+
+/** Factores de conversion a km/h */
+const SPEED_FACTORS = {
+  kmh: 1,
+  knots: 1.852,
+  mph: 1.609344,
+  ms: 3.6,
+};
+
+/** Campos que puede mapear una receta */
+const RECIPE_FIELDS = ['lat', 'lng', 'speed', 'heading', 'timestamp', 'deviceId', 'deviceName'];
+
+// ---------------------------------------------------------------------------
+// Deteccion y entrada del adaptador
+// ---------------------------------------------------------------------------
+
+/**
+ * Una receta nunca se detecta por URL: se usa solo con plataforma = 'recipe'.
+ * @returns {boolean}
+ */
+function detect() {
+  return false;
+}
+
+/**
+ * @param {object} provider - Fila de conf_providers ({ url, receta, username, password })
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=90000]
+ */
+async function fetch(provider, opts = {}) {
+  const timeoutMs = opts.timeoutMs || 90000;
+  const recipe = parseRecipe(provider.receta);
+
+  const errors = validateRecipe(recipe);
+  if (errors.length > 0) {
+    throw new Error(`Receta invalida: ${errors.join('; ')}`);
+  }
+
+  return _runRecipe(recipe, provider, timeoutMs);
+}
+
+// ---------------------------------------------------------------------------
+// Receta — parseo y validacion
+// ---------------------------------------------------------------------------
+
+/**
+ * Acepta la receta como objeto o como string JSON (columna TEXT).
+ * @param {object|string} raw
+ * @returns {object|null}
+ */
+function parseRecipe(raw) {
+  if (!raw) return null;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Valida la estructura de una receta.
+ * @param {object|null} recipe
+ * @returns {string[]} Lista de errores (vacia si es valida)
+ */
+function validateRecipe(recipe) {
+  const errors = [];
+
+  if (!recipe || typeof recipe !== 'object') {
+    return ['la receta no es un JSON valido'];
+  }
+
+  const request = recipe.request || {};
+  if (!request.url || typeof request.url !== 'string') {
+    errors.push('request.url es requerido');
+  }
+  if (request.method && !['GET', 'POST'].includes(String(request.method).toUpperCase())) {
+    errors.push('request.method debe ser GET o POST');
+  }
+
+  const fields = recipe.fields || {};
+  if (!fields.lat || !fields.lng) {
+    errors.push('fields.lat y fields.lng son requeridos');
+  }
+  for (const key of Object.keys(fields)) {
+    if (!RECIPE_FIELDS.includes(key)) errors.push(`fields.${key} no es un campo soportado`);
+  }
+
+  if (recipe.speedUnit && !SPEED_FACTORS[recipe.speedUnit]) {
+    errors.push(`speedUnit debe ser uno de: ${Object.keys(SPEED_FACTORS).join(', ')}`);
+  }
+  if (recipe.timestampFormat && !['raw', 'unix', 'unix_ms'].includes(recipe.timestampFormat)) {
+    errors.push('timestampFormat debe ser raw, unix o unix_ms');
+  }
+
+  for (const [name, spec] of Object.entries(recipe.tokens || {})) {
+    if (typeof spec !== 'string' || !/^(query|path|regex):.+/.test(spec)) {
+      errors.push(`tokens.${name} debe ser query:<param>, path:<n> o regex:<expr>`);
+    }
+  }
+
+  return errors;
+}
+
+// ---------------------------------------------------------------------------
+// Receta — ejecucion
+// ---------------------------------------------------------------------------
+
+/**
+ * Ejecuta la receta: resuelve tokens → request → JSONPath → coordenadas.
+ * @private
+ */
+async function _runRecipe(recipe, provider, timeoutMs) {
+  const tokens = _extractTokens(recipe.tokens || {}, provider);
+  const request = recipe.request;
+  const method = String(request.method || 'GET').toUpperCase();
+  const url = _fillTemplate(request.url, tokens, true);
+
+  log('info', `Receta: ${method} ${url.substring(0, 100)}`);
+
+  // Warmup opcional: GET al share link para obtener cookies de sesion
+  let cookies = '';
+  if (recipe.warmup) {
+    try {
+      const pageRes = await axios.get(provider.url, {
+        timeout: timeoutMs,
+        headers: browserHeaders(),
+        maxRedirects: 5,
+        validateStatus: () => true,
+      });
+      const setCookies = pageRes.headers['set-cookie'];
+      if (setCookies) {
+        cookies = (Array.isArray(setCookies) ? setCookies : [setCookies])
+          .map(c => c.split(';')[0])
+          .join('; ');
+      }
+      log('info', `Receta: warmup status ${pageRes.status}, cookies: ${cookies ? 'si' : 'no'}`);
+    } catch (err) {
+      log('warn', `Receta: warmup fallo (${err.message}), prosiguiendo`);
+    }
+  }
+
+  const headers = {
+    ...browserHeaders(),
+    'Accept': 'application/json, text/javascript, */*; q=0.01',
+    'Referer': provider.url,
+    ...(cookies ? { 'Cookie': cookies } : {}),
+  };
+  for (const [key, value] of Object.entries(request.headers || {})) {
+    headers[key] = _fillTemplate(String(value), tokens, false);
+  }
+
+  let data;
+  if (method === 'POST' && request.body !== undefined) {
+    if (typeof request.body === 'string') {
+      data = _fillTemplate(request.body, tokens, false);
+    } else {
+      data = JSON.stringify(_fillObject(request.body, tokens));
+      if (!Object.keys(headers).some(h => h.toLowerCase() === 'content-type')) {
+        headers['Content-Type'] = 'application/json; charset=utf-8';
+      }
+    }
+  }
+
+  const res = await axios({
+    method,
+    url,
+    data,
+    headers,
+    timeout: timeoutMs,
+    maxRedirects: 5,
+    validateStatus: (s) => s < 500,
+  });
+
+  log('info', `Receta: status ${res.status}`);
+
+  if (res.status !== 200) {
+    throw responseError(`Receta: el endpoint respondio ${res.status}`, res.data);
+  }
+
+  const coords = _mapItems(res.data, recipe);
+
+  log('info', `Receta: ${coords.length} coordenadas extraidas`);
+
+  return {
+    coords,
+    platform: 'recipe',
+    source: 'http_recipe',
+    raw: res.data,
+    request: { method, url, status: res.status },
+  };
+}
+
+/**
+ * Aplica items + fields de la receta sobre la respuesta.
+ * @private
+ */
+function _mapItems(payload, recipe) {
+  const fields = recipe.fields;
+  const speedFactor = SPEED_FACTORS[recipe.speedUnit || 'kmh'];
+  const items = recipe.items ? jsonPath(payload, recipe.items) : [payload];
+  const coords = [];
+
+  for (const item of items) {
+    if (!item || typeof item !== 'object') continue;
+
+    const lat = parseFloat(_first(item, fields.lat));
+    const lng = parseFloat(_first(item, fields.lng));
+
+    if (isNaN(lat) || isNaN(lng)) continue;
+    if (!coordDetector.isValidPair(lat, lng)) continue;
+
+    const coord = {
+      lat,
+      lng,
+      source: 'http_recipe',
+    };
+
+    const speed = parseFloat(_first(item, fields.speed));
+    if (!isNaN(speed)) coord.speed = Math.round(speed * speedFactor * 100) / 100;
+
+    const heading = parseFloat(_first(item, fields.heading));
+    if (!isNaN(heading)) coord.heading = heading;
+
+    const timestamp = _first(item, fields.timestamp);
+    if (timestamp !== undefined && timestamp !== null && timestamp !== '') {
+      coord.timestamp = _formatTimestamp(timestamp, recipe.timestampFormat);
+    }
+
+    const deviceId = _first(item, fields.deviceId);
+    if (deviceId !== undefined && deviceId !== null && deviceId !== '') coord.uniqueId = String(deviceId);
+
+    const deviceName = _first(item, fields.deviceName);
+    if (deviceName) coord.deviceName = String(deviceName);
+
+    coords.push(coord);
+  }
+
+  return coords;
+}
+
+/**
+ * Primer valor de un JSONPath relativo al item (undefined si no hay path).
+ * @private
+ */
+function _first(item, path) {
+  if (!path) return undefined;
+  const matches = jsonPath(item, path);
+  return matches.length > 0 ? matches[0] : undefined;
+}
+
+/**
+ * @private
+ */
+function _formatTimestamp(value, format) {
+  if (format === 'unix' || format === 'unix_ms') {
+    const num = parseFloat(value);
+    if (isNaN(num)) return value;
+    return new Date(format === 'unix' ? num * 1000 : num).toISOString();
+  }
+  return value;
+}
+
+// ---------------------------------------------------------------------------
+// Tokens y plantillas
+// ---------------------------------------------------------------------------
+
+/**
+ * Resuelve los tokens de la receta a partir del share link.
+ * @private
+ */
+function _extractTokens(specs, provider) {
+  const urlObj = new URL(provider.url);
+  const segments = urlObj.pathname.split('/').filter(Boolean);
+
+  const tokens = {
+    url: provider.url,
+    origin: `${urlObj.protocol}//${urlObj.host}`,
+    host: urlObj.host,
+    path: urlObj.pathname,
+    username: provider.username || '',
+    password: provider.password || '',
+  };
+
+  for (const [name, spec] of Object.entries(specs)) {
+    const sep = spec.indexOf(':');
+    const kind = spec.substring(0, sep);
+    const arg = spec.substring(sep + 1);
+    let value = null;
+
+    if (kind === 'query') {
+      value = urlObj.searchParams.get(arg);
+    } else if (kind === 'path') {
+      value = segments[parseInt(arg)] || null;
+    } else if (kind === 'regex') {
+      const match = provider.url.match(new RegExp(arg));
+      value = match ? (match[1] !== undefined ? match[1] : match[0]) : null;
+    }
+
+    if (value === null || value === undefined) {
+      throw new Error(`Receta: no se pudo extraer el token "${name}" (${spec}) del link`);
+    }
+    tokens[name] = value;
+  }
+
+  return tokens;
+}
+
+/**
+ * Reemplaza {{token}} en un string. En URLs los tokens propios se codifican.
+ * @private
+ */
+function _fillTemplate(template, tokens, isUrl) {
+  const raw = ['url', 'origin', 'host', 'path'];
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (tokens[name] === undefined) return match;
+    const value = String(tokens[name]);
+    return isUrl && !raw.includes(name) ? encodeURIComponent(value) : value;
+  });
+}
+
+/**
+ * Reemplaza tokens en cada string de un objeto (body JSON).
+ * @private
+ */
+function _fillObject(value, tokens) {
+  if (typeof value === 'string') return _fillTemplate(value, tokens, false);
+  if (Array.isArray(value)) return value.map(v => _fillObject(v, tokens));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = _fillObject(v, tokens);
+    return out;
+  }
+  return value;
+}
+
+// ---------------------------------------------------------------------------
+// JSONPath (subconjunto)
+// ---------------------------------------------------------------------------
+
+/**
+ * Evalua un JSONPath simple: $ . ['clave'] [n] [*] .*
+ * Un path sin "$" se toma relativo a la raiz ("lat" == "$.lat").
+ *
+ * @param {any} root
+ * @param {string} path
+ * @returns {Array} Valores encontrados
+ */
+function jsonPath(root, path) {
+  const expr = String(path).trim().replace(/^\$/, '');
+  const steps = [];
+  const stepRe = /\.?([A-Za-z_$][\w$-]*|\*)|\[(\d+|\*|'[^']*'|"[^"]*")\]/g;
+  let match;
+  let consumed = 0;
+
+  while ((match = stepRe.exec(expr)) !== null) {
+    if (match.index !== consumed) break;
+    consumed = stepRe.lastIndex;
+    let step = match[1] !== undefined ? match[1] : match[2];
+    if (/^['"]/.test(step)) step = step.slice(1, -1);
+    else if (/^\d+$/.test(step) && match[2] !== undefined) step = parseInt(step);
+    steps.push(step);
+  }
+
+  if (consumed !== expr.length) return [];
+
+  let nodes = [root];
+  for (const step of steps) {
+    const next = [];
+    for (let node of nodes) {
+      node = _maybeParseJson(node);
+      if (node === null || typeof node !== 'object') continue;
+
+      if (step === '*') {
+        next.push(...(Array.isArray(node) ? node : Object.values(node)));
+      } else if (node[step] !== undefined) {
+        next.push(node[step]);
+      }
+    }
+    nodes = next;
+  }
+
+  return nodes.map(_maybeParseJson);
+}
+
+/**
+ * Parsea strings que contienen JSON (objetos o arrays), como el "d" de ASMX.
+ * @private
+ */
+function _maybeParseJson(value) {
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (!/^[[{]/.test(trimmed)) return value;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return value;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  name: NAME,
+  label: LABEL,
+  priority: PRIORITY,
+  capabilities: CAPABILITIES,
+  detect,
+  fetch,
+  parseRecipe,
+  validateRecipe,
+  jsonPath,
+};
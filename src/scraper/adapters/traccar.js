@@ -0,0 +1,225 @@
+/**
+ * Adaptador Traccar — instancias publicas y self-hosted
+ *
+ * REST API /api/session + /api/devices + /api/positions, con share link
+ * (?token=...) o con usuario/password del proveedor.
+ */
+
+'use strict';
+
+const axios = require('axios');
+const coordDetector = require('../coord-detector');
+const { browserHeaders, responseError } = require('../http-helpers');
+
+const LOG_PREFIX = '[HttpFetcher]';
+
+// ---------------------------------------------------------------------------
+// Metadatos del adaptador
+// ---------------------------------------------------------------------------
+
+const NAME = 'traccar';
+const LABEL = 'Traccar';
+const PRIORITY = 30;
+
+const CAPABILITIES = {
+  shareLink: true,
+  credentials: true,
+  deviceIdentity: true,
+  telemetry: ['speed', 'heading', 'timestamp', 'isStop', 'battery', 'satellites'],
+};
+
+// ---------------------------------------------------------------------------
+// Deteccion y entrada del adaptador
+// ---------------------------------------------------------------------------
+
+/**
+ * Solo reconoce dominios con "traccar"; los dominios white-label se fuerzan
+ * con conf_providers.plataforma = 'traccar'.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function detect(url) {
+  const lower = (url || '').toLowerCase();
+  return lower.includes('traccar.org') || lower.includes('traccar');
+}
+
+/**
+ * @param {object} provider - Fila de conf_providers ({ url, username, password })
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=90000]
+ */
+async function fetch(provider, opts = {}) {
+  return _fetchTraccar(provider.url, opts.timeoutMs || 90000, {
+    username: provider.username,
+    password: provider.password,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Traccar — Fetcher via REST API
+// ---------------------------------------------------------------------------
+
+/** Factor de conversion nudos → km/h (Traccar reporta speed en nudos) */
+const KNOTS_TO_KMH = 1.852;
+
+/**
+ * Extrae coordenadas de Traccar via su REST API.
+ *
+ * Flujo:
+ *  1. Abrir sesion: GET /api/session?token=... (share link con token)
+ *     o POST /api/session con email/password (credenciales del proveedor)
+ *  2. GET /api/devices para obtener nombre y uniqueId de cada dispositivo
+ *  3. GET /api/positions para la ultima posicion de cada dispositivo
+ *  4. Cruzar posiciones con dispositivos → coordenadas
+ *
+ * Soporta instancias self-hosted: la base URL se toma del share link.
+ *
+ * @private
+ */
+async function _fetchTraccar(shareUrl, timeoutMs, credentials = {}) {
+  const urlObj = new URL(shareUrl);
+  const baseUrl = `${urlObj.protocol}//${urlObj.host}`;
+  const token = urlObj.searchParams.get('token');
+  const { username, password } = credentials;
+
+  if (!token && !(username && password)) {
+    throw new Error('Traccar: la URL no trae token y el proveedor no tiene usuario/password');
+  }
+
+  const apiHeaders = {
+    ...browserHeaders(),
+    'Accept': 'application/json',
+  };
+
+  // 1. Abrir sesion (token del share link tiene prioridad sobre credenciales)
+  let sessionRes;
+  if (token) {
+    log('info', `Traccar: sesion por token=${token.substring(0, 8)}...`);
+    sessionRes = await axios.get(`${baseUrl}/api/session`, {
+      timeout: timeoutMs,
+      headers: apiHeaders,
+      params: { token },
+      validateStatus: (s) => s < 500,
+    });
+  } else {
+    log('info', `Traccar: sesion por credenciales (${username})`);
+    const form = new URLSearchParams({ email: username, password }).toString();
+    sessionRes = await axios.post(`${baseUrl}/api/session`, form, {
+      timeout: timeoutMs,
+      headers: {
+        ...apiHeaders,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      validateStatus: (s) => s < 500,
+    });
+  }
+
+  if (sessionRes.status !== 200) {
+    throw responseError(`Traccar: no se pudo abrir sesion (status ${sessionRes.status})`, sessionRes.data);
+  }
+
+  const setCookies = sessionRes.headers['set-cookie'];
+  const cookies = setCookies
+    ? (Array.isArray(setCookies) ? setCookies : [setCookies]).map(c => c.split(';')[0]).join('; ')
+    : '';
+
+  log('info', `Traccar: sesion abierta (cookies: ${cookies ? 'si' : 'no'})`);
+
+  const sessionHeaders = {
+    ...apiHeaders,
+    ...(cookies ? { 'Cookie': cookies } : {}),
+  };
+
+  // 2 y 3. Dispositivos y ultimas posiciones
+  const [devicesRes, positionsRes] = await Promise.all([
+    axios.get(`${baseUrl}/api/devices`, { timeout: timeoutMs, headers: sessionHeaders }),
+    axios.get(`${baseUrl}/api/positions`, { timeout: timeoutMs, headers: sessionHeaders }),
+  ]);
+
+  const devices = Array.isArray(devicesRes.data) ? devicesRes.data : [];
+  const positions = Array.isArray(positionsRes.data) ? positionsRes.data : [];
+
+  log('info', `Traccar: ${devices.length} dispositivos, ${positions.length} posiciones`);
+
+  // 4. Parsear
+  const coords = _parseTraccarPositions(positions, devices);
+
+  log('info', `Traccar: ${coords.length} coordenadas extraidas`);
+
+  return {
+    coords,
+    platform: 'traccar',
+    source: 'http_traccar',
+    raw: { devices, positions },
+  };
+}
+
+/**
+ * Convierte posiciones Traccar al formato estandar de coordenadas,
+ * agregando nombre y uniqueId del dispositivo a cada una.
+ * @private
+ */
+function _parseTraccarPositions(positions, devices) {
+  const devicesById = new Map(devices.map(d => [d.id, d]));
+  const coords = [];
+
+  for (const pos of positions) {
+    if (!pos || typeof pos !== 'object') continue;
+
+    const lat = parseFloat(pos.latitude);
+    const lng = parseFloat(pos.longitude);
+
+    if (isNaN(lat) || isNaN(lng)) continue;
+    if (!coordDetector.isValidPair(lat, lng)) continue;
+
+    const device = devicesById.get(pos.deviceId) || {};
+    const attrs = pos.attributes || {};
+
+    const coord = {
+      lat,
+      lng,
+      source: 'http_traccar',
+    };
+
+    if (pos.speed !== undefined && pos.speed !== null) {
+      coord.speed = Math.round(parseFloat(pos.speed) * KNOTS_TO_KMH * 100) / 100;
+    }
+    if (pos.course !== undefined && pos.course !== null) coord.heading = parseFloat(pos.course);
+    if (pos.fixTime || pos.deviceTime) coord.timestamp = pos.fixTime || pos.deviceTime;
+    if (device.name) coord.deviceName = device.name;
+    if (device.uniqueId) coord.uniqueId = String(device.uniqueId);
+    if (attrs.motion !== undefined) coord.isStop = attrs.motion === false;
+    if (attrs.batteryLevel !== undefined) coord.battery = parseFloat(attrs.batteryLevel);
+    if (attrs.sat !== undefined) coord.satellites = parseInt(attrs.sat);
+
+    coords.push(coord);
+  }
+
+  return coords;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  name: NAME,
+  label: LABEL,
+  priority: PRIORITY,
+  capabilities: CAPABILITIES,
+  detect,
+  fetch,
+};
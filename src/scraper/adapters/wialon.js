@@ -0,0 +1,243 @@
+/**
+ * Adaptador Wialon (Gurtam) — links "Locator" de Wialon Hosting y Wialon Local
+ *
+ * Usado por los transportistas con hardware EPCOM. token/login con el token
+ * del locator y core/search_items para la ultima posicion de cada unidad.
+ */
+
+'use strict';
+
+const axios = require('axios');
+const coordDetector = require('../coord-detector');
+const { browserHeaders, responseError } = require('../http-helpers');
+
+const LOG_PREFIX = '[HttpFetcher]';
+
+// ---------------------------------------------------------------------------
+// Metadatos del adaptador
+// ---------------------------------------------------------------------------
+
+const NAME = 'wialon';
+const LABEL = 'Wialon (Gurtam)';
+const PRIORITY = 40;
+
+const CAPABILITIES = {
+  shareLink: true,
+  credentials: false,
+  deviceIdentity: true,
+  telemetry: ['speed', 'heading', 'timestamp', 'satellites'],
+};
+
+// ---------------------------------------------------------------------------
+// Deteccion y entrada del adaptador
+// ---------------------------------------------------------------------------
+
+/**
+ * Host de Wialon/Gurtam, o un locator en dominio propio (/locator con su
+ * token t= o token=): un /locator de otra plataforma no basta.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function detect(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return false;
+  }
+
+  const host = urlObj.hostname.toLowerCase();
+  if (host.includes('wialon') || host.includes('gurtam')) return true;
+
+  const hasToken = urlObj.searchParams.has('t') || urlObj.searchParams.has('token');
+  return /\/locator(\/|$)/i.test(urlObj.pathname) && hasToken;
+}
+
+/**
+ * @param {object} provider - Fila de conf_providers (minimo { url })
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=90000]
+ */
+async function fetch(provider, opts = {}) {
+  return _fetchWialon(provider.url, opts.timeoutMs || 90000);
+}
+
+// ---------------------------------------------------------------------------
+// Wialon (Gurtam) — Fetcher via Remote API para links "Locator"
+// ---------------------------------------------------------------------------
+
+/** Host de la Remote API para Wialon Hosting (hosting.wialon.com) */
+const WIALON_HOSTING_API = 'https://hst-api.wialon.com';
+
+/**
+ * Flags de core/search_items:
+ *   0x0001 base (nombre), 0x0100 propiedades avanzadas (uid), 0x0400 ultima posicion
+ */
+const WIALON_UNIT_FLAGS = 0x0001 | 0x0100 | 0x0400;
+
+/**
+ * Extrae coordenadas de un link Locator de Wialon.
+ *
+ * Formato del link:
+ *   https://hosting.wialon.com/locator/index.html?t=<token>
+ *   https://<dominio-partner>/locator/?t=<token>   (Wialon Local / EPCOM)
+ *
+ * Flujo:
+ *  1. Extraer el token del parametro "t" (o "token")
+ *  2. svc=token/login con el token → sid (sesion)
+ *  3. svc=core/search_items de unidades (avl_unit) con ultima posicion
+ *  4. Mapear item.pos → coordenadas (speed km/h, course, fecha unix)
+ *
+ * @private
+ */
+async function _fetchWialon(shareUrl, timeoutMs) {
+  // 1. Extraer token del locator
+  const urlObj = new URL(shareUrl);
+  const token = urlObj.searchParams.get('t') || urlObj.searchParams.get('token');
+
+  if (!token) {
+    throw new Error('No se encontro token (t=) en la URL del locator Wialon');
+  }
+
+  log('info', `Wialon: token=${token.substring(0, 8)}...`);
+
+  // Wialon Hosting usa un host de API dedicado; instalaciones propias usan el mismo host
+  const host = urlObj.host.toLowerCase();
+  const apiBase = host.endsWith('wialon.com')
+    ? WIALON_HOSTING_API
+    : `${urlObj.protocol}//${urlObj.host}`;
+  const ajaxUrl = `${apiBase}/wialon/ajax.html`;
+
+  // 2. Login con el token del locator
+  const login = await _wialonCall(ajaxUrl, 'token/login', { token, fl: 1 }, null, timeoutMs);
+  const sid = login.eid;
+
+  if (!sid) {
+    throw responseError('Wialon: token/login no devolvio sesion (eid)', login);
+  }
+
+  log('info', `Wialon: sesion abierta en ${apiBase}`);
+
+  // 3. Buscar unidades con ultima posicion
+  const search = await _wialonCall(ajaxUrl, 'core/search_items', {
+    spec: {
+      itemsType: 'avl_unit',
+      propName: 'sys_name',
+      propValueMask: '*',
+      sortType: 'sys_name',
+    },
+    force: 1,
+    flags: WIALON_UNIT_FLAGS,
+    from: 0,
+    to: 0,
+  }, sid, timeoutMs);
+
+  const items = Array.isArray(search.items) ? search.items : [];
+
+  // 4. Parsear
+  const coords = _parseWialonUnits(items);
+
+  log('info', `Wialon: ${items.length} unidades, ${coords.length} coordenadas extraidas`);
+
+  // Cerrar sesion (no bloqueante)
+  _wialonCall(ajaxUrl, 'core/logout', {}, sid, timeoutMs).catch(() => {});
+
+  return {
+    coords,
+    platform: 'wialon',
+    source: 'http_wialon',
+    raw: search,
+  };
+}
+
+/**
+ * Ejecuta una llamada a la Remote API de Wialon.
+ * Wialon responde HTTP 200 aun con error; el error viene en { error: N }.
+ * @private
+ */
+async function _wialonCall(ajaxUrl, svc, params, sid, timeoutMs) {
+  const form = new URLSearchParams({ params: JSON.stringify(params) });
+  if (sid) form.append('sid', sid);
+
+  const res = await axios.post(`${ajaxUrl}?svc=${svc}`, form.toString(), {
+    timeout: timeoutMs,
+    headers: {
+      ...browserHeaders(),
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json',
+    },
+  });
+
+  const data = res.data;
+  if (!data || typeof data !== 'object') {
+    throw responseError(`Wialon: respuesta invalida de ${svc}`, data);
+  }
+  if (data.error) {
+    throw responseError(`Wialon: ${svc} devolvio error ${data.error}${data.reason ? ` (${data.reason})` : ''}`, data);
+  }
+
+  return data;
+}
+
+/**
+ * Convierte unidades Wialon (item.pos) al formato estandar de coordenadas.
+ *   pos = { t: unix, y: lat, x: lng, s: km/h, c: curso, sc: satelites }
+ * @private
+ */
+function _parseWialonUnits(items) {
+  const coords = [];
+
+  for (const unit of items) {
+    const pos = unit && unit.pos;
+    if (!pos || typeof pos !== 'object') continue;
+
+    const lat = parseFloat(pos.y);
+    const lng = parseFloat(pos.x);
+
+    if (isNaN(lat) || isNaN(lng)) continue;
+    if (!coordDetector.isValidPair(lat, lng)) continue;
+
+    const coord = {
+      lat,
+      lng,
+      source: 'http_wialon',
+    };
+
+    if (pos.s !== undefined) coord.speed = parseFloat(pos.s);
+    if (pos.c !== undefined) coord.heading = parseFloat(pos.c);
+    if (pos.t) coord.timestamp = new Date(pos.t * 1000).toISOString();
+    if (pos.sc !== undefined) coord.satellites = parseInt(pos.sc);
+    if (unit.nm) coord.deviceName = unit.nm;
+    if (unit.uid) coord.uniqueId = String(unit.uid);
+
+    coords.push(coord);
+  }
+
+  return coords;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  name: NAME,
+  label: LABEL,
+  priority: PRIORITY,
+  capabilities: CAPABILITIES,
+  detect,
+  fetch,
+};
@@ -0,0 +1,227 @@
+/**
+ * Browser Fetcher — Extraccion de coordenadas con navegador headless (Puppeteer)
+ *
+ * Camino alterno a http-fetcher para portales que solo funcionan con login
+ * o que arman los datos en el navegador. Reusa browser.js (pool + login
+ * generico) y extractor.js (red, JS globals y DOM).
+ *
+ * Puppeteer esta en devDependencies: si no esta instalado, fetch() devuelve
+ * error sin romper al coordinator (el proveedor queda con el resultado HTTP).
+ * Con SCRAPE_SERVICE_URL el navegador corre en el microservicio
+ * scrape-service.js (container con Chromium) y aqui solo se hace el POST.
+ *
+ * Devuelve el mismo formato que http-fetcher:
+ *   { coords, platform: 'browser', source, strategies?, error? }
+ * source = estrategias con datos (ej. 'browser_network,browser_dom') o 'browser'.
+ */
+
+'use strict';
+
+const axios = require('axios');
+const { truncate } = require('./http-helpers');
+
+const LOG_PREFIX = '[BrowserFetcher]';
+
+/** Microservicio de scraping (scrape-service.js). Vacio = Puppeteer local */
+const SCRAPE_SERVICE_URL = process.env.SCRAPE_SERVICE_URL || '';
+const SCRAPE_SERVICE_TOKEN = process.env.SCRAPE_SERVICE_TOKEN || '';
+const REMOTE_TIMEOUT_MS = 180000;   // navegacion + login + 3 estrategias
+
+/** Columnas de conf_providers que necesita el navegador */
+const SCRAPE_FIELDS = [
+  'nombre', 'url', 'username', 'password',
+  'selector_user', 'selector_pass', 'selector_login_btn',
+  'login_in_iframe', 'iframe_selector',
+];
+
+/** Cache del require de browser.js/extractor.js (null = Puppeteer no disponible) */
+let modules;
+
+// ---------------------------------------------------------------------------
+// Disponibilidad
+// ---------------------------------------------------------------------------
+
+/**
+ * Carga browser.js y extractor.js bajo demanda.
+ * @returns {{browser: object, extractor: object}|null}
+ * @private
+ */
+function _loadModules() {
+  if (modules !== undefined) return modules;
+  try {
+    modules = {
+      browser: require('./browser'),
+      extractor: require('./extractor'),
+    };
+  } catch (err) {
+    log('warn', `Puppeteer no disponible: ${err.message}`);
+    modules = null;
+  }
+  return modules;
+}
+
+/**
+ * Indica si el modo navegador puede usarse (microservicio o Puppeteer local).
+ * @returns {boolean}
+ */
+function isAvailable() {
+  return !!SCRAPE_SERVICE_URL || _loadModules() !== null;
+}
+
+// ---------------------------------------------------------------------------
+// Fetcher principal
+// ---------------------------------------------------------------------------
+
+/**
+ * Extrae coordenadas con navegador. Si SCRAPE_SERVICE_URL esta configurado
+ * usa el microservicio remoto (scrape-service.js); si no, Puppeteer local.
+ *
+ * @param {object} provider - Fila de conf_providers
+ * @returns {Promise<{coords: Array, platform: string, source: string, strategies?: object, error?: string}>}
+ */
+async function fetch(provider) {
+  if (SCRAPE_SERVICE_URL) return _fetchRemote(provider);
+  return scrapeLocal(provider);
+}
+
+/**
+ * Abre el share link en un navegador del pool, hace login si la pagina lo
+ * pide y el proveedor tiene selectores configurados, y ejecuta las 3
+ * estrategias del extractor.
+ *
+ * @param {object} provider - Fila de conf_providers (o config equivalente)
+ * @param {object} [options] - Opciones de extractor.extractAll (urlFilters, networkOnly)
+ * @returns {Promise<{coords: Array, platform: string, source: string, strategies?: object, login?: object, error?: string}>}
+ */
+async function scrapeLocal(provider, options = {}) {
+  const mods = _loadModules();
+  if (!mods) {
+    return { coords: [], platform: 'browser', source: 'browser', error: 'Puppeteer no esta instalado en este servidor' };
+  }
+
+  const { browser: browserManager, extractor } = mods;
+  const login = { required: false, success: null };
+  let browser = null;
+  let failed = false;
+
+  log('info', `Abriendo navegador para: ${truncate(provider.url, 80)}`);
+
+  try {
+    browser = await browserManager.acquireBrowser();
+    if (!browser) {
+      return { coords: [], platform: 'browser', source: 'browser', error: 'No hay navegador libre en el pool' };
+    }
+
+    const page = await browserManager.createPage(browser);
+    await browserManager.navigateTo(page, provider.url);
+
+    if (_hasLoginConfig(provider) && await browserManager.needsLogin(page)) {
+      login.required = true;
+      const result = await browserManager.performLogin(page, provider);
+      login.success = result.success;
+      if (!result.success) {
+        login.error = result.error;
+        return { coords: [], platform: 'browser', source: 'browser', login, error: `Login fallido: ${result.error}` };
+      }
+    }
+
+    const { coords, strategies } = await extractor.extractAll(page, options);
+
+    const used = Object.keys(strategies).filter(name => strategies[name].success && strategies[name].count > 0);
+    const source = used.length > 0 ? used.map(name => `browser_${name}`).join(',') : 'browser';
+
+    log('info', `${coords.length} coords via navegador (${source})`);
+    return { coords, platform: 'browser', source, strategies, login };
+  } catch (err) {
+    failed = true;
+    log('error', `Error en navegador: ${err.message}`);
+    return { coords: [], platform: 'browser', source: 'browser', login, error: err.message };
+  } finally {
+    if (browser) {
+      // Un navegador que fallo a medio camino se cierra en vez de reusarse
+      await browserManager.releaseBrowser(browser, failed).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Llama al microservicio de scraping (POST /scrape).
+ * @private
+ */
+async function _fetchRemote(provider) {
+  log('info', `Scrape remoto (${SCRAPE_SERVICE_URL}) para: ${truncate(provider.url, 80)}`);
+
+  try {
+    const body = {};
+    for (const field of SCRAPE_FIELDS) {
+      if (provider[field] !== undefined && provider[field] !== null) body[field] = provider[field];
+    }
+
+    const res = await axios.post(`${SCRAPE_SERVICE_URL.replace(/\/+$/, '')}/scrape`, body, {
+      timeout: REMOTE_TIMEOUT_MS,
+      headers: SCRAPE_SERVICE_TOKEN ? { Authorization: `Bearer ${SCRAPE_SERVICE_TOKEN}` } : {},
+      validateStatus: () => true,
+    });
+
+    const data = res.data || {};
+    if (res.status >= 400 && !Array.isArray(data.coords)) {
+      return { coords: [], platform: 'browser', source: 'browser_remote', error: data.error || `HTTP ${res.status}` };
+    }
+
+    return {
+      coords: data.coords || [],
+      platform: 'browser',
+      source: data.source || 'browser_remote',
+      strategies: data.strategies,
+      login: data.login,
+      error: data.error || null,
+    };
+  } catch (err) {
+    log('error', `Error en microservicio de scraping: ${err.message}`);
+    return { coords: [], platform: 'browser', source: 'browser_remote', error: err.message };
+  }
+}
+
+/**
+ * Cierra el pool de navegadores (al apagar el servidor).
+ * No carga Puppeteer si nunca se uso.
+ * @returns {Promise<void>}
+ */
+async function closeAll() {
+  if (!modules) return;
+  await modules.browser.closeAll();
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * El proveedor tiene usuario, password y selectores para el login generico.
+ * @private
+ */
+function _hasLoginConfig(provider) {
+  return !!(provider.username && provider.password &&
+    provider.selector_user && provider.selector_pass && provider.selector_login_btn);
+}
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  fetch,
+  scrapeLocal,
+  isAvailable,
+  closeAll,
+  SCRAPE_FIELDS,
+};
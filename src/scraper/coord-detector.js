@@ -2,10 +2,13 @@
  * Coord Detector - Heuristicas universales para detectar coordenadas GPS
  *
  * Responsabilidades:
- *  - Parsear coordenadas en multiples formatos (decimal, DMS, con/sin prefijo)
+ *  - Parsear coordenadas en multiples formatos: decimal, DMS, grados con
+ *    minutos decimales (DDM), sentencias NMEA ($GPRMC/$GPGGA), GeoJSON
+ *    ([lng, lat]) y links de mapas (Google, Apple, Waze)
  *  - Validar rangos de latitud (-90..90) y longitud (-180..180)
  *  - Extraer velocidad, rumbo y timestamp si estan disponibles
  *  - Detectar pares lat/lng de texto libre, objetos JSON y strings HTML
+ *  - Asignar a cada resultado una confianza segun el formato (FORMAT_CONFIDENCE)
  */
 
 'use strict';
@@ -24,6 +27,29 @@ const LNG_MAX = 180;
 // Precision minima para considerar una coordenada valida (al menos 3 decimales)
 const MIN_DECIMAL_PLACES = 2;
 
+/**
+ * Confianza (0..1) de cada formato detectado. Los formatos con estructura
+ * explicita (NMEA, GeoJSON, links de mapas, llaves conocidas) pesan mas que
+ * un par de numeros sueltos en texto.
+ */
+const FORMAT_CONFIDENCE = {
+  nmea: 0.95,
+  map_url: 0.9,
+  geojson: 0.9,
+  object_keys: 0.85,
+  json_keys: 0.8,
+  dms: 0.75,
+  ddm: 0.75,
+  array_pair: 0.5,
+  pair_text: 0.4,
+};
+
+/** Nudos a km/h (velocidad NMEA) */
+const KNOTS_TO_KMH = 1.852;
+
+/** Tipos GeoJSON cuyas "coordinates" son posiciones [lng, lat] */
+const GEOJSON_TYPES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon'];
+
 // ---------------------------------------------------------------------------
 // Regex patterns
 // ---------------------------------------------------------------------------
@@ -46,6 +72,40 @@ const PAIR_RE = /(-?\d{1,3}\.\d{2,8})\s*[,|\s]\s*(-?\d{1,3}\.\d{2,8})/g;
  */
 const DMS_RE = /(\d{1,3})\s*[°]\s*(\d{1,2})\s*[′']\s*([\d.]+)\s*[″"]\s*([NSEWnsew])/g;
 
+/**
+ * Patron DDM (Degrees Decimal Minutes)
+ * Captura: 19°25.957'N  o  99° 07.988' W
+ */
+const DDM_RE = /(\d{1,3})\s*[°]\s*(\d{1,2}(?:\.\d+)?)\s*[′']\s*([NSEWnsew])/g;
+
+/**
+ * Sentencias NMEA 0183 RMC y GGA (cualquier talker: GP, GN, GL, GA, BD)
+ * Captura: $GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*6A
+ */
+const NMEA_RE = /\$(?:GP|GN|GL|GA|BD)(RMC|GGA),([^*\r\n$]*)(?:\*[0-9A-Fa-f]{2})?/g;
+
+/**
+ * Arreglos "coordinates" de GeoJSON en texto: [lng, lat] o anidados
+ */
+const GEOJSON_RE = /["']coordinates["']\s*:\s*(\[[\d\s,.eE+\-[\]]*\])/g;
+
+/**
+ * Links de mapas: Google Maps, Apple Maps y Waze
+ */
+const MAP_URL_RE = /(?:https?:\/\/)?(?:[\w-]+\.)*(?:google\.[a-z.]+\/maps|maps\.google\.[a-z.]+|maps\.apple\.com|waze\.com)[^\s"'<>]*/gi;
+
+/**
+ * Coordenadas dentro de un link de mapa:
+ *  - "/@19.4326,-99.1332,15z" (Google)
+ *  - "?q=19.43,-99.13", "ll=19.43%2C-99.13", "daddr=", "destination=", "center="
+ *  - "!3d19.4326!4d-99.1332" (Google, datos de un lugar)
+ */
+const MAP_URL_COORD_RES = [
+  /@(-?\d{1,3}\.\d+),\s*(-?\d{1,3}\.\d+)/,
+  /[?&;](?:q|query|ll|sll|daddr|destination|center)=(?:loc:)?(-?\d{1,3}\.\d+)\s*(?:,|%2C)\s*(-?\d{1,3}\.\d+)/i,
+  /!3d(-?\d{1,3}\.\d+)!4d(-?\d{1,3}\.\d+)/,
+];
+
 /**
  * Patron para detectar coordenadas en objetos JSON comunes de plataformas GPS
  * Busca patrones como: "lat":19.4326, "lng":-99.1332
@@ -70,9 +130,11 @@ const SPEED_RE = /["']?(?:speed|velocidad|vel|Speed|Velocidad|Vel)["']?\s*[:=]\s
 const HEADING_RE = /["']?(?:heading|rumbo|course|bearing|Heading|Course|Bearing|Rumbo)["']?\s*[:=]\s*([\d.]+)/gi;
 
 /**
- * Patron para timestamp GPS
+ * Patron para timestamp GPS: fecha ISO/local, ASP.NET /Date(ms)/ o epoch
+ * (s o ms). Se captura crudo; coordinator lo normaliza a UTC con
+ * utils/time.js segun la zona del proveedor.
  */
-const TIMESTAMP_RE = /["']?(?:timestamp|time|fecha|date|dateTime|DeviceTime|GPSTime|gps_time|fecha_gps)["']?\s*[:=]\s*["']?(\d{4}[-/]\d{2}[-/]\d{2}[\sT]\d{2}:\d{2}:\d{2}[^"',}]*)["']?/gi;
+const TIMESTAMP_RE = /["']?(?:timestamp|time|fecha|date|dateTime|DeviceTime|GPSTime|gps_time|fecha_gps)["']?\s*[:=]\s*["']?(\d{4}[-/]\d{2}[-/]\d{2}[\sT]\d{2}:\d{2}:\d{2}[^"',}]*|\\?\/Date\(-?\d+(?:[+-]\d{4})?\)\\?\/|\d{10}(?:\d{3})?(?![\d.]))["']?/gi;
 
 // ---------------------------------------------------------------------------
 // Funciones de validacion
@@ -130,6 +192,21 @@ function dmsToDecimal(degrees, minutes, seconds, direction) {
   return decimal;
 }
 
+/**
+ * Convierte una coordenada NMEA (ddmm.mmmm / dddmm.mmmm) a decimal.
+ * @param {string} value - Ej: "1925.9570" o "09907.9880"
+ * @param {string} hemisphere - N, S, E, W
+ * @returns {number} NaN si el valor no es valido
+ */
+function nmeaToDecimal(value, hemisphere) {
+  const raw = parseFloat(value);
+  if (isNaN(raw)) return NaN;
+  const degrees = Math.floor(raw / 100);
+  const minutes = raw - degrees * 100;
+  if (minutes >= 60) return NaN;
+  return dmsToDecimal(degrees, minutes, 0, hemisphere);
+}
+
 // ---------------------------------------------------------------------------
 // Funciones de deteccion principales
 // ---------------------------------------------------------------------------
@@ -146,12 +223,19 @@ function detectFromText(text) {
 
   const results = [];
   const seen = new Set(); // Evitar duplicados
+  const consumed = []; // Rangos ya interpretados (el par suelto no los relee)
 
-  // Estrategia 1: Buscar pares explicitos lat/lng
-  _detectPairsFromText(text, results, seen);
+  // Estrategia 1: Formatos estructurados (orden de lat/lng conocido)
+  _detectNMEA(text, results, seen, consumed);
+  _detectMapUrls(text, results, seen, consumed);
+  _detectGeoJSONText(text, results, seen, consumed);
 
-  // Estrategia 2: Buscar coordenadas DMS
+  // Estrategia 2: Buscar pares explicitos lat/lng
+  _detectPairsFromText(text, results, seen, consumed);
+
+  // Estrategia 3: Buscar coordenadas DMS y DDM
   _detectDMS(text, results, seen);
+  _detectDDM(text, results, seen);
 
   // Enriquecer con velocidad, rumbo, timestamp si hay
   _enrichResults(text, results);
@@ -178,6 +262,76 @@ function detectFromObject(data, maxDepth = 10) {
   return results;
 }
 
+/**
+ * Detecta coordenadas en cualquier entrada (texto, JSON en texto, objeto o
+ * Buffer) y reporta que formato coincidio.
+ *
+ * Los resultados se ordenan por confianza; format es el formato del
+ * resultado mas confiable y formats cuenta cuantos hubo de cada uno.
+ *
+ * @param {string|Buffer|object} input
+ * @returns {{coords: Array<object>, format: string|null, confidence: number, formats: Object<string, number>}}
+ */
+function detectFromAny(input) {
+  let data = input;
+  if (Buffer.isBuffer(data)) data = data.toString('utf8');
+
+  const coords = [];
+  const seen = new Set();
+  const collect = (found) => {
+    for (const coord of found) {
+      const key = `${coord.lat.toFixed(6)},${coord.lng.toFixed(6)}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      coords.push(coord);
+    }
+  };
+
+  if (typeof data === 'string') {
+    const trimmed = data.trim();
+    if (/^[[{]/.test(trimmed)) {
+      try {
+        collect(detectFromObject(JSON.parse(trimmed)));
+      } catch {
+        // No es JSON valido, se analiza como texto
+      }
+    }
+    collect(detectFromText(data));
+  } else if (data && typeof data === 'object') {
+    collect(detectFromObject(data));
+  }
+
+  // Orden estable por confianza
+  const sorted = coords
+    .map((coord, index) => ({ coord, index }))
+    .sort((a, b) => (b.coord.confidence || 0) - (a.coord.confidence || 0) || a.index - b.index)
+    .map(item => item.coord);
+
+  const formats = {};
+  for (const coord of sorted) {
+    formats[coord.source] = (formats[coord.source] || 0) + 1;
+  }
+
+  return {
+    coords: sorted,
+    format: sorted.length > 0 ? sorted[0].source : null,
+    confidence: sorted.length > 0 ? sorted[0].confidence : 0,
+    formats,
+  };
+}
+
+/**
+ * Detecta coordenadas solo en links de mapas (Google, Apple, Waze).
+ * @param {string} text - Texto o HTML con links
+ * @returns {Array<{lat: number, lng: number, source: string, confidence: number}>}
+ */
+function detectFromMapUrls(text) {
+  if (!text || typeof text !== 'string') return [];
+  const results = [];
+  _detectMapUrls(text, results, new Set(), []);
+  return results;
+}
+
 /**
  * Detecta coordenadas combinando multiples fuentes de texto.
  * Util para combinar resultados de network + DOM + globals.
@@ -213,7 +367,7 @@ function detectFromMultipleSources(texts) {
  * Busca pares de coordenadas decimales en texto.
  * @private
  */
-function _detectPairsFromText(text, results, seen) {
+function _detectPairsFromText(text, results, seen, consumed = []) {
   // Primero intentar con JSON keys
   const latMatches = [];
   const lngMatches = [];
@@ -265,15 +419,7 @@ function _detectPairsFromText(text, results, seen) {
     }
 
     if (bestLng && bestDist < 500 && isValidPair(lat.value, bestLng.value)) {
-      const key = `${lat.value.toFixed(6)},${bestLng.value.toFixed(6)}`;
-      if (!seen.has(key)) {
-        seen.add(key);
-        results.push({
-          lat: lat.value,
-          lng: bestLng.value,
-          source: 'json_keys',
-        });
-      }
+      _addResult(results, seen, lat.value, bestLng.value, 'json_keys');
     }
   }
 
@@ -281,6 +427,8 @@ function _detectPairsFromText(text, results, seen) {
   PAIR_RE.lastIndex = 0;
   let pairMatch;
   while ((pairMatch = PAIR_RE.exec(text)) !== null) {
+    if (_isConsumed(consumed, pairMatch.index, pairMatch.index + pairMatch[0].length)) continue;
+
     const a = parseFloat(pairMatch[1]);
     const b = parseFloat(pairMatch[2]);
 
@@ -298,11 +446,7 @@ function _detectPairsFromText(text, results, seen) {
 
     if (!isValidPair(lat, lng)) continue;
 
-    const key = `${lat.toFixed(6)},${lng.toFixed(6)}`;
-    if (!seen.has(key)) {
-      seen.add(key);
-      results.push({ lat, lng, source: 'pair_text' });
-    }
+    _addResult(results, seen, lat, lng, 'pair_text');
   }
 }
 
@@ -341,17 +485,167 @@ function _detectDMS(text, results, seen) {
       const lng = dmsValues[j].value;
 
       if (isValidPair(lat, lng)) {
-        const key = `${lat.toFixed(6)},${lng.toFixed(6)}`;
-        if (!seen.has(key)) {
-          seen.add(key);
-          results.push({ lat, lng, source: 'dms' });
-        }
+        _addResult(results, seen, lat, lng, 'dms');
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Busca coordenadas DDM (grados y minutos decimales) en texto.
+ * @private
+ */
+function _detectDDM(text, results, seen) {
+  DDM_RE.lastIndex = 0;
+  const lats = [];
+  const lngs = [];
+  let match;
+
+  while ((match = DDM_RE.exec(text)) !== null) {
+    const minutes = parseFloat(match[2]);
+    if (minutes >= 60) continue;
+    const dir = match[3].toUpperCase();
+    const value = dmsToDecimal(parseInt(match[1]), minutes, 0, dir);
+    (dir === 'N' || dir === 'S' ? lats : lngs).push({ value, index: match.index });
+  }
+
+  // Emparejar cada lat con la siguiente lng
+  for (const lat of lats) {
+    const lng = lngs.find(l => l.index > lat.index) || lngs[0];
+    if (lng && isValidPair(lat.value, lng.value)) {
+      _addResult(results, seen, lat.value, lng.value, 'ddm');
+    }
+  }
+}
+
+/**
+ * Busca sentencias NMEA $xxRMC / $xxGGA en texto. RMC con estado "V"
+ * (sin fix) y GGA con calidad 0 se descartan.
+ * @private
+ */
+function _detectNMEA(text, results, seen, consumed) {
+  if (text.indexOf('$') === -1) return;
+
+  NMEA_RE.lastIndex = 0;
+  let match;
+
+  while ((match = NMEA_RE.exec(text)) !== null) {
+    consumed.push([match.index, match.index + match[0].length]);
+    const fields = match[2].split(',');
+    const extra = {};
+    let lat;
+    let lng;
+
+    if (match[1] === 'RMC') {
+      // hhmmss.ss,A,ddmm.mmmm,N,dddmm.mmmm,W,nudos,rumbo,ddmmyy
+      const [time, status, latRaw, latHem, lngRaw, lngHem, knots, course, date] = fields;
+      if (status !== 'A') continue;
+      lat = nmeaToDecimal(latRaw, latHem);
+      lng = nmeaToDecimal(lngRaw, lngHem);
+      if (knots) extra.speed = Math.round(parseFloat(knots) * KNOTS_TO_KMH * 10) / 10;
+      if (course) extra.heading = parseFloat(course);
+      const ts = _nmeaTimestamp(time, date);
+      if (ts) extra.timestamp = ts;
+    } else {
+      // hhmmss.ss,ddmm.mmmm,N,dddmm.mmmm,W,calidad,satelites,hdop,altitud
+      const [, latRaw, latHem, lngRaw, lngHem, quality] = fields;
+      if (!quality || quality === '0') continue;
+      lat = nmeaToDecimal(latRaw, latHem);
+      lng = nmeaToDecimal(lngRaw, lngHem);
+    }
+
+    for (const key of Object.keys(extra)) {
+      if (typeof extra[key] === 'number' && isNaN(extra[key])) delete extra[key];
+    }
+    if (isValidPair(lat, lng)) {
+      _addResult(results, seen, lat, lng, 'nmea', extra);
+    }
+  }
+}
+
+/**
+ * Fecha NMEA (hhmmss + ddmmyy, siempre UTC) a ISO con Z.
+ * @private
+ */
+function _nmeaTimestamp(time, date) {
+  if (!/^\d{6}/.test(time || '') || !/^\d{6}$/.test(date || '')) return null;
+  const yy = parseInt(date.slice(4, 6), 10);
+  return `${yy >= 80 ? 1900 + yy : 2000 + yy}-${date.slice(2, 4)}-${date.slice(0, 2)}T` +
+    `${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}Z`;
+}
+
+/**
+ * Busca coordenadas en links de Google Maps, Apple Maps y Waze.
+ * @private
+ */
+function _detectMapUrls(text, results, seen, consumed) {
+  MAP_URL_RE.lastIndex = 0;
+  let match;
+
+  while ((match = MAP_URL_RE.exec(text)) !== null) {
+    consumed.push([match.index, match.index + match[0].length]);
+    for (const re of MAP_URL_COORD_RES) {
+      const coord = match[0].match(re);
+      if (!coord) continue;
+      const lat = parseFloat(coord[1]);
+      const lng = parseFloat(coord[2]);
+      if (isValidPair(lat, lng)) {
+        _addResult(results, seen, lat, lng, 'map_url');
         break;
       }
     }
   }
 }
 
+/**
+ * Busca arreglos "coordinates" de GeoJSON en texto (orden [lng, lat]).
+ * @private
+ */
+function _detectGeoJSONText(text, results, seen, consumed) {
+  if (text.indexOf('coordinates') === -1) return;
+
+  GEOJSON_RE.lastIndex = 0;
+  let match;
+
+  while ((match = GEOJSON_RE.exec(text)) !== null) {
+    let parsed;
+    try {
+      parsed = JSON.parse(match[1]);
+    } catch {
+      continue; // Arreglo cortado o no numerico
+    }
+    consumed.push([match.index, match.index + match[0].length]);
+    _addGeoJSONPositions(parsed, results, seen);
+  }
+}
+
+/**
+ * Agrega las posiciones [lng, lat(, alt)] de un arreglo GeoJSON (anidado o no).
+ * @private
+ */
+function _addGeoJSONPositions(coordinates, results, seen, depth = 4) {
+  if (!Array.isArray(coordinates) || depth <= 0) return;
+
+  if (typeof coordinates[0] === 'number' && typeof coordinates[1] === 'number') {
+    const [lng, lat] = coordinates;
+    if (isValidPair(lat, lng)) _addResult(results, seen, lat, lng, 'geojson');
+    return;
+  }
+
+  for (const item of coordinates) {
+    _addGeoJSONPositions(item, results, seen, depth - 1);
+  }
+}
+
+/**
+ * Indica si el rango [start, end) se traslapa con uno ya interpretado.
+ * @private
+ */
+function _isConsumed(consumed, start, end) {
+  return consumed.some(([s, e]) => start < e && end > s);
+}
+
 /**
  * Enriquece los resultados con velocidad, rumbo y timestamp si se encuentran.
  * @private
@@ -423,6 +717,19 @@ function _walkObject(obj, results, seen, depth, path) {
 
   if (typeof obj !== 'object') return;
 
+  // GeoJSON: { type: 'Point', coordinates: [lng, lat] } o un Feature con
+  // geometry + properties (FeatureCollection llega aqui por la recursion)
+  const geometry = obj.type === 'Feature' && obj.geometry ? obj.geometry : obj;
+  if (Array.isArray(geometry.coordinates) &&
+      (GEOJSON_TYPES.includes(geometry.type) || typeof geometry.coordinates[0] === 'number')) {
+    const before = results.length;
+    _addGeoJSONPositions(geometry.coordinates, results, seen);
+    if (results.length > before) {
+      _enrichFromKeys(obj.properties || obj, results[before]);
+      return;
+    }
+  }
+
   // Buscar propiedades conocidas de lat/lng
   const latKeys = ['lat', 'latitude', 'latitud', 'Lat', 'LAT', 'LastLatitude', 'flat', 'y'];
   const lngKeys = ['lng', 'lon', 'long', 'longitude', 'longitud', 'Lng', 'Lon', 'LON', 'LNG', 'LastLongitude', 'flon', 'flng', 'x'];
@@ -448,19 +755,7 @@ function _walkObject(obj, results, seen, depth, path) {
     const coord = { lat: latVal, lng: lngVal, source: 'object_keys' };
 
     // Extraer metadatos si existen
-    const speedKeys = ['speed', 'velocidad', 'vel', 'Speed', 'Velocidad'];
-    const headingKeys = ['heading', 'rumbo', 'course', 'bearing', 'Heading', 'Course'];
-    const timeKeys = ['timestamp', 'time', 'fecha', 'date', 'dateTime', 'DeviceTime', 'GPSTime', 'gps_time', 'fecha_gps'];
-
-    for (const k of speedKeys) {
-      if (obj[k] !== undefined) { coord.speed = parseFloat(obj[k]); break; }
-    }
-    for (const k of headingKeys) {
-      if (obj[k] !== undefined) { coord.heading = parseFloat(obj[k]); break; }
-    }
-    for (const k of timeKeys) {
-      if (obj[k] !== undefined) { coord.timestamp = String(obj[k]); break; }
-    }
+    _enrichFromKeys(obj, coord);
 
     _addResult(results, seen, coord.lat, coord.lng, coord.source, coord);
     return; // No recursear mas dentro de este objeto
@@ -475,6 +770,28 @@ function _walkObject(obj, results, seen, depth, path) {
   }
 }
 
+/**
+ * Copia velocidad, rumbo y timestamp de las llaves conocidas de un objeto.
+ * @private
+ */
+function _enrichFromKeys(obj, coord) {
+  if (!obj || typeof obj !== 'object' || !coord) return;
+
+  const speedKeys = ['speed', 'velocidad', 'vel', 'Speed', 'Velocidad'];
+  const headingKeys = ['heading', 'rumbo', 'course', 'bearing', 'Heading', 'Course'];
+  const timeKeys = ['timestamp', 'time', 'fecha', 'date', 'dateTime', 'DeviceTime', 'GPSTime', 'gps_time', 'fecha_gps'];
+
+  for (const k of speedKeys) {
+    if (obj[k] !== undefined) { coord.speed = parseFloat(obj[k]); break; }
+  }
+  for (const k of headingKeys) {
+    if (obj[k] !== undefined) { coord.heading = parseFloat(obj[k]); break; }
+  }
+  for (const k of timeKeys) {
+    if (obj[k] !== undefined) { coord.timestamp = String(obj[k]); break; }
+  }
+}
+
 /**
  * Agrega un resultado evitando duplicados.
  * @private
@@ -488,6 +805,7 @@ function _addResult(results, seen, lat, lng, source, extra = {}) {
     lat,
     lng,
     source,
+    confidence: FORMAT_CONFIDENCE[source] || 0.5,
     ...extra,
     lat, // override por si extra tenia lat/lng como string
     lng,
@@ -501,9 +819,13 @@ function _addResult(results, seen, lat, lng, source, extra = {}) {
 module.exports = {
   detectFromText,
   detectFromObject,
+  detectFromAny,
+  detectFromMapUrls,
   detectFromMultipleSources,
   isValidLat,
   isValidLng,
   isValidPair,
   dmsToDecimal,
+  nmeaToDecimal,
+  FORMAT_CONFIDENCE,
 };
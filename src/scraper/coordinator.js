@@ -4,16 +4,26 @@
  * Responsabilidades:
  *  - Cargar proveedores activos de la BD (conf_providers)
  *  - Cargar viajes activos (unidades_viajes en_ruta)
- *  - Para cada proveedor: extraer coordenadas via HTTP directo (http-fetcher)
- *  - Matchear coordenadas extraidas con viajes activos
+ *  - Para cada proveedor: extraer coordenadas segun su modo_extraccion
+ *    (http-fetcher, browser-fetcher o auto: HTTP y si falla navegador)
+ *  - Normalizar fecha_gps a UTC segun la zona del proveedor (zona_horaria)
+ *  - Enrutar cada coordenada al viaje de su dispositivo (conf_dispositivos)
+ *  - Mandar los dispositivos sin viaje a la bandeja (device-inbox)
+ *  - Filtrar la calidad de cada fix (fix-filter) antes de guardarlo
  *  - Guardar nuevas coordenadas en op_coordinates via API
  *  - Actualizar ultima posicion en unidades_viajes
+ *  - Evaluar geocercas (geofences) con los fixes aceptados de cada lote
  *  - Registrar logs en log_scrape
  *  - Registrar eventos en eventos_unidad
+ *  - Recibir posiciones push (push-ingest, gt06-server) por el mismo camino
+ *    de guardado y sus alarmas como eventos del viaje
+ *  - Circuit breaker por proveedor: backoff exponencial y suspension automatica
+ *  - Procesar proveedores en paralelo con limite global y por host
  *  - Manejo robusto de errores (un proveedor fallido no afecta a los demas)
  *
- * NOTA: Se usa http-fetcher (llamadas HTTP directas) en lugar de Puppeteer.
- * Puppeteer/extractor.js se mantiene para desarrollo local si se necesita.
+ * NOTA: El camino por defecto es http-fetcher (llamadas HTTP directas).
+ * Puppeteer (browser-fetcher → browser.js + extractor.js) solo se usa en
+ * proveedores con modo 'browser' o 'auto' y si esta instalado.
  *
  * Se ejecuta periodicamente via node-cron desde server.js
  */
@@ -21,10 +31,34 @@
 'use strict';
 
 const httpFetcher = require('./http-fetcher');
+const browserFetcher = require('./browser-fetcher');
+const deviceInbox = require('./device-inbox');
+const fixCache = require('./fix-cache');
+const fixFilter = require('./fix-filter');
+const geofences = require('./geofences');
+const payloadArchive = require('./payload-archive');
+const time = require('../utils/time');
 const { internalClient: api } = require('../api/client');
 
 const LOG_PREFIX = '[Coordinator]';
 
+/** Valores validos de conf_providers.modo_extraccion */
+const EXTRACTION_MODES = ['http', 'browser', 'auto'];
+
+// Circuit breaker: fallos consecutivos antes de suspender y tope del backoff
+const MAX_CONSECUTIVE_FAILURES = parseInt(process.env.SCRAPER_MAX_FAILURES || '6', 10);
+const BACKOFF_MAX_MINUTES = parseInt(process.env.SCRAPER_BACKOFF_MAX_MIN || '120', 10);
+
+// Concurrencia del ciclo: proveedores simultaneos y maximo por host (mismo portal)
+const MAX_CONCURRENCY = Math.max(1, parseInt(process.env.SCRAPER_CONCURRENCY || '3', 10));
+const MAX_PER_HOST = Math.max(1, parseInt(process.env.SCRAPER_PER_HOST || '1', 10));
+
+/** Maximo de coordenadas que se guardan por viaje en un ciclo (las mas recientes) */
+const MAX_COORDS_PER_TRIP = 50;
+
+/** Viajes activos y mapeos reutilizados entre posiciones push */
+const PUSH_CONTEXT_TTL_MS = 30 * 1000;
+
 // ---------------------------------------------------------------------------
 // Estado global del coordinator
 // ---------------------------------------------------------------------------
@@ -33,6 +67,12 @@ let isRunning = false;
 let lastRunTime = null;
 let lastRunResult = null;
 
+/** Proveedores en proceso: providerId -> { providerId, provider, host, startedAt, promise } */
+const inFlight = new Map();
+
+/** Contexto de push: { at, activeTrips, devices, loading } */
+let pushContext = null;
+
 // ---------------------------------------------------------------------------
 // Funcion principal: run()
 // ---------------------------------------------------------------------------
@@ -62,6 +102,7 @@ async function run() {
     totalNewCoords: 0,
     errors: [],
     details: [],
+    timings: [],
   };
 
   try {
@@ -77,27 +118,13 @@ async function run() {
       return _finishRun(summary, startTime);
     }
 
-    // 3. Cargar viajes activos (en_ruta)
+    // 3. Cargar viajes activos (en_ruta) y mapeo de dispositivos
     const activeTrips = await _loadActiveTrips();
-    log('info', `${providers.length} proveedores activos, ${activeTrips.length} viajes en ruta`);
-
-    // 4. Procesar cada proveedor
-    for (const provider of providers) {
-      const providerResult = await _fetchProvider(provider, activeTrips);
-      summary.details.push(providerResult);
-
-      if (providerResult.success) {
-        summary.providersSuccess++;
-        summary.totalCoords += providerResult.coordsFound;
-        summary.totalNewCoords += providerResult.coordsSaved;
-      } else {
-        summary.providersFailed++;
-        summary.errors.push({
-          provider: provider.nombre,
-          error: providerResult.error,
-        });
-      }
-    }
+    const devices = await _loadDeviceMappings();
+    log('info', `${providers.length} proveedores activos, ${activeTrips.length} viajes en ruta, ${devices.length} dispositivos mapeados`);
+
+    // 4. Procesar proveedores (en paralelo, con limite global y por host)
+    await _processProviders(providers, activeTrips, devices, summary);
   } catch (err) {
     log('error', 'Error critico en ciclo de scraping:', err.message);
     summary.errors.push({ provider: 'general', error: err.message });
@@ -107,14 +134,138 @@ async function run() {
 }
 
 // ---------------------------------------------------------------------------
-// Extraccion por proveedor (HTTP directo, sin Puppeteer)
+// Concurrencia: cola de proveedores con limite global y por host
+// ---------------------------------------------------------------------------
+
+/**
+ * Procesa una lista de proveedores con hasta MAX_CONCURRENCY en paralelo y
+ * no mas de MAX_PER_HOST contra el mismo host (no saturar un portal que
+ * comparten varias cuentas). Un proveedor lento ya no retrasa a los demas.
+ * Acumula resultados y tiempos en summary.
+ * @private
+ */
+function _processProviders(providers, activeTrips, devices, summary) {
+  const queue = providers.map(provider => ({
+    provider,
+    host: _providerHost(provider),
+    queuedAt: Date.now(),
+  }));
+  const perHost = new Map();
+  let running = 0;
+
+  return new Promise((resolve) => {
+    if (queue.length === 0) return resolve();
+
+    const launch = () => {
+      while (running < MAX_CONCURRENCY) {
+        // Siguiente proveedor cuyo host tenga cupo (respeta el orden de la cola)
+        const idx = queue.findIndex(item => (perHost.get(item.host) || 0) < MAX_PER_HOST);
+        if (idx === -1) break;
+
+        const [item] = queue.splice(idx, 1);
+        perHost.set(item.host, (perHost.get(item.host) || 0) + 1);
+        running++;
+
+        _runProvider(item, activeTrips, devices, summary).finally(() => {
+          running--;
+          perHost.set(item.host, perHost.get(item.host) - 1);
+          if (queue.length === 0 && running === 0) resolve();
+          else launch();
+        });
+      }
+    };
+
+    launch();
+  });
+}
+
+/**
+ * Procesa un proveedor de la cola y agrega su resultado y tiempos al resumen.
+ * @private
+ */
+async function _runProvider(item, activeTrips, devices, summary) {
+  const { provider, host, queuedAt } = item;
+  const startedAt = Date.now();
+  const providerResult = await _fetchTracked(provider, host, activeTrips, devices);
+
+  summary.details.push(providerResult);
+  summary.timings.push({
+    providerId: provider.id,
+    provider: provider.nombre,
+    host,
+    waitMs: startedAt - queuedAt,
+    durationMs: Date.now() - startedAt,
+    success: !!providerResult.success,
+  });
+
+  if (providerResult.success) {
+    summary.providersSuccess++;
+    summary.totalCoords += providerResult.coordsFound;
+    summary.totalNewCoords += providerResult.coordsSaved;
+  } else {
+    summary.providersFailed++;
+    summary.errors.push({
+      provider: provider.nombre,
+      error: providerResult.error,
+    });
+  }
+}
+
+/**
+ * _fetchProvider registrado en inFlight mientras corre (visible en status()).
+ * Si el proveedor ya esta en proceso (ciclo o ejecucion manual) no se
+ * scrapea dos veces: se espera el resultado de la ejecucion en curso.
+ * Nunca lanza: un error inesperado se devuelve como resultado fallido.
+ * @private
+ */
+function _fetchTracked(provider, host, activeTrips, devices) {
+  const running = inFlight.get(provider.id);
+  if (running) {
+    log('info', `${provider.nombre}: ya en proceso desde ${running.startedAt}, esperando su resultado`);
+    return running.promise;
+  }
+
+  const entry = {
+    providerId: provider.id,
+    provider: provider.nombre,
+    host,
+    startedAt: new Date().toISOString(),
+  };
+  entry.promise = (async () => {
+    try {
+      return await _fetchProvider(provider, activeTrips, devices);
+    } catch (err) {
+      log('error', `${provider.nombre}: error inesperado - ${err.message}`);
+      return { success: false, provider: provider.nombre, providerId: provider.id, error: err.message };
+    } finally {
+      inFlight.delete(provider.id);
+    }
+  })();
+  inFlight.set(provider.id, entry);
+  return entry.promise;
+}
+
+/**
+ * Host del share link (clave del limite por host). URL invalida = su propio grupo.
+ * @private
+ */
+function _providerHost(provider) {
+  try {
+    return new URL(provider.url).hostname.toLowerCase();
+  } catch {
+    return `provider-${provider.id}`;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Extraccion por proveedor
 // ---------------------------------------------------------------------------
 
 /**
- * Procesa un proveedor GPS usando llamadas HTTP directas.
+ * Procesa un proveedor GPS: extrae, enruta y guarda sus coordenadas.
  * @private
  */
-async function _fetchProvider(provider, activeTrips) {
+async function _fetchProvider(provider, activeTrips, devices) {
   const startTime = new Date();
   let logId = null;
 
@@ -128,21 +279,34 @@ async function _fetchProvider(provider, activeTrips) {
   }
 
   try {
-    // 1. Extraer coordenadas via HTTP directo
-    const fetchResult = await httpFetcher.fetch(provider.url);
+    // 1. Extraer coordenadas (HTTP, navegador o auto)
+    const fetchResult = await _extract(provider);
     const coords = fetchResult.coords || [];
 
     log('info', `${provider.nombre}: ${coords.length} coordenadas extraidas (${fetchResult.platform}, ${fetchResult.source})`);
 
-    // 2. Matchear con viajes activos y guardar
-    const savedCount = await _processAndSaveCoords(coords, provider, activeTrips);
+    // Respuesta cruda para el detalle de /logs (tambien cuando falla)
+    if (logId) await payloadArchive.save(logId, provider, fetchResult.raw);
+
+    // Error del fetcher sin datos cuenta como fallo (token expirado, portal caido...)
+    if (fetchResult.error && coords.length === 0) {
+      throw new Error(fetchResult.error);
+    }
+
+    // 2. fecha_gps a UTC (epoch, /Date()/, ISO o local en la zona del proveedor)
+    _normalizeTimestamps(coords, provider);
 
-    // 3. Actualizar proveedor
-    await _updateProviderStatus(provider.id, null);
+    // 3. Matchear con viajes activos y guardar
+    const processed = await _processAndSaveCoords(coords, provider, activeTrips, devices);
+    const savedCount = processed.saved;
 
-    // 4. Actualizar log de scrape
+    // 4. Actualizar proveedor (un exito cierra el circuit breaker)
+    await _recordSuccess(provider);
+
+    // 5. Actualizar log de scrape
     if (logId) {
-      await _updateScrapeLog(logId, 'success', coords.length, savedCount, fetchResult.source);
+      const deviceCount = new Set(coords.map(c => c.deviceId || null)).size;
+      await _updateScrapeLog(logId, 'success', deviceCount, savedCount, fetchResult.source);
     }
 
     const result = {
@@ -152,6 +316,8 @@ async function _fetchProvider(provider, activeTrips) {
       platform: fetchResult.platform,
       coordsFound: coords.length,
       coordsSaved: savedCount,
+      coordsUnmatched: processed.unmatched,
+      unmatchedDevices: processed.unmatchedDevices,
       source: fetchResult.source,
       duration: Date.now() - startTime.getTime(),
     };
@@ -166,137 +332,333 @@ async function _fetchProvider(provider, activeTrips) {
     if (logId) {
       await _updateScrapeLog(logId, 'error', 0, 0, null, err.message).catch(() => {});
     }
-    await _updateProviderStatus(provider.id, err.message).catch(() => {});
+    const breaker = await _recordFailure(provider, err.message, activeTrips, devices);
 
     return {
       success: false,
       provider: provider.nombre,
       providerId: provider.id,
       error: err.message,
+      failures: breaker.failures,
+      suspended: breaker.suspended,
       duration: Date.now() - startTime.getTime(),
     };
   }
 }
 
+/**
+ * Extrae coordenadas segun conf_providers.modo_extraccion:
+ *  - http    (default): solo http-fetcher
+ *  - browser: solo navegador headless (portales con login)
+ *  - auto:    http-fetcher; si falla o trae 0 coords, reintenta con navegador
+ *
+ * source del resultado indica que camino produjo los datos (se guarda en
+ * log_scrape.fuentes_usadas). Si en auto ninguno trae datos se registran ambos.
+ * @private
+ */
+async function _extract(provider) {
+  const mode = EXTRACTION_MODES.includes(provider.modo_extraccion) ? provider.modo_extraccion : 'http';
+
+  if (mode === 'browser') {
+    return browserFetcher.fetch(provider);
+  }
+
+  const httpResult = await httpFetcher.fetch(provider);
+  const httpCoords = (httpResult.coords || []).length;
+
+  if (mode === 'http' || (httpCoords > 0 && !httpResult.error)) {
+    return httpResult;
+  }
+
+  log('info', `${provider.nombre}: HTTP sin datos (${httpResult.error || '0 coords'}), reintentando con navegador`);
+  const browserResult = await browserFetcher.fetch(provider);
+
+  if ((browserResult.coords || []).length > 0) {
+    return browserResult;
+  }
+
+  // Ninguno trajo datos: conservar lo que haya de HTTP y registrar ambos intentos
+  return {
+    ...(httpCoords > 0 ? httpResult : browserResult),
+    source: `${httpResult.source},${browserResult.source}`,
+    raw: httpResult.raw,
+    error: httpCoords > 0 ? null : (browserResult.error || httpResult.error || null),
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Procesamiento y guardado de coordenadas
 // ---------------------------------------------------------------------------
 
 /**
- * Procesa coordenadas extraidas: matchea con viajes y guarda en BD.
+ * Procesa coordenadas extraidas: enruta cada una a su viaje y guarda en BD.
+ *
+ * Cada coordenada va SOLO al viaje de su dispositivo (ver _resolveTrip).
+ * Las que no se pueden asignar van a la bandeja de dispositivos sin asignar
+ * (device-inbox), nunca a un viaje ajeno.
+ *
+ * Por viaje se arma el lote en memoria (ver _saveTripBatch): una consulta de
+ * dedup, un insertMany, una actualizacion de ultima posicion y un evento.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.quiet] - Sin log de coordenadas ni evento (push)
+ * @param {number} [options.maxPerTrip=MAX_COORDS_PER_TRIP] - Tope por viaje
+ * @returns {Promise<{saved: number, unmatched: number, unmatchedDevices: string[]}>}
  * @private
  */
-async function _processAndSaveCoords(coords, provider, activeTrips) {
-  if (!coords || coords.length === 0) return 0;
+async function _processAndSaveCoords(coords, provider, activeTrips, devices = [], options = {}) {
+  const result = { saved: 0, unmatched: 0, unmatchedDevices: [] };
+  if (!coords || coords.length === 0) return result;
+
+  // Loguear las coordenadas encontradas (push las recibe una a una: sin log)
+  if (!options.quiet) {
+    for (const c of coords.slice(0, 5)) {
+      log('info', `  Coord: ${c.lat.toFixed(6)}, ${c.lng.toFixed(6)} | speed=${c.speed ?? '-'} | stop=${c.isStop ?? '-'} | dev=${c.deviceId || '-'} | ${c.timestamp || '-'}`);
+    }
+    if (coords.length > 5) log('info', `  ... y ${coords.length - 5} mas`);
+  }
 
-  let savedCount = 0;
+  // Agrupar por viaje
+  const byTrip = new Map();
+  const unmatched = [];
 
-  // Loguear siempre las coordenadas encontradas
-  for (const c of coords.slice(0, 5)) {
-    log('info', `  Coord: ${c.lat.toFixed(6)}, ${c.lng.toFixed(6)} | speed=${c.speed ?? '-'} | stop=${c.isStop ?? '-'} | ${c.timestamp || '-'}`);
+  for (const coord of coords) {
+    const trip = _resolveTrip(coord, coords, provider, activeTrips, devices);
+    if (!trip) {
+      unmatched.push(coord);
+      continue;
+    }
+    if (!byTrip.has(trip.id)) byTrip.set(trip.id, { trip, coords: [] });
+    byTrip.get(trip.id).coords.push(coord);
   }
-  if (coords.length > 5) log('info', `  ... y ${coords.length - 5} mas`);
-
-  // Sin viajes activos: guardar con id_unidad_viaje = NULL para verificar scraping
-  if (activeTrips.length === 0) {
-    log('info', `Sin viajes activos, guardando ${Math.min(coords.length, 50)} coords sin viaje asociado`);
 
-    for (const coord of coords.slice(0, 50)) {
-      try {
-        await api.insert('op_coordinates', {
-          id_unidad_viaje: null,
-          provider_id: provider.id,
-          latitud: coord.lat,
-          longitud: coord.lng,
-          velocidad: coord.speed || null,
-          rumbo: coord.heading || null,
-          fecha_gps: coord.timestamp || null,
-          fuente: coord.source || 'http',
-        });
-        savedCount++;
-      } catch (err) {
-        log('error', `Error guardando coord sin viaje: ${err.message}`);
-      }
+  for (const { trip, coords: tripCoords } of byTrip.values()) {
+    try {
+      // Los mas recientes por fecha_gps (un feed con historia ascendente no pierde lo ultimo)
+      const newest = fixCache.sortByGpsTime(tripCoords).slice(-(options.maxPerTrip || MAX_COORDS_PER_TRIP));
+      result.saved += await _saveTripBatch(trip, newest, provider, options);
+    } catch (err) {
+      log('error', `Error guardando coords para viaje ${trip.id}: ${err.message}`);
     }
-    return savedCount;
   }
 
-  // Con viajes activos: matchear por proveedor
-  const providerTrips = activeTrips.filter(t =>
-    t.provider_id === provider.id || !t.provider_id
-  );
+  // Sin viaje: a la bandeja de dispositivos sin asignar (/providers/dispositivos)
+  if (unmatched.length > 0) {
+    result.unmatchedDevices = [...new Set(unmatched.map(c => c.deviceId || deviceInbox.NO_ID))];
+    log('info', `${unmatched.length} coords sin viaje asignado (${result.unmatchedDevices.length} dispositivos: ${result.unmatchedDevices.slice(0, 5).join(', ')})`);
+
+    const staged = await deviceInbox.stage(provider, unmatched);
+    result.unmatched = staged.buffered;
+  }
+
+  return result;
+}
+
+/**
+ * Guarda el lote de coordenadas de un viaje:
+ *  1. Control de calidad contra el ultimo fix aceptado (fix-filter): saltos
+ *     imposibles y puntos en 0,0 se marcan 'rechazado', la deriva de un
+ *     vehiculo detenido se colapsa a la ultima posicion
+ *  2. Dedup contra el ultimo fix del viaje/dispositivo (fix-cache: fecha_gps
+ *     + posicion + heartbeat), sin consultar la BD
+ *  3. insertMany a op_coordinates (los rechazados tambien, con su motivo)
+ *  4. Ultima posicion del viaje = el fix aceptado mas reciente por fecha_gps
+ *  5. Entradas / salidas / permanencia en geocercas (geofences)
+ *  6. Un solo evento scrape_exitoso con el resumen del ciclo (no en push:
+ *     llegan posiciones cada pocos segundos)
+ *
+ * @returns {Promise<number>} Coordenadas guardadas
+ * @private
+ */
+async function _saveTripBatch(trip, tripCoords, provider, options = {}) {
+  const before = fixCache.snapshot(trip.id);
+  const fresh = [];
+
+  // En orden de fecha_gps para que cada fix se compare con el anterior
+  // (un mismo punto repetido dentro del lote tambien es duplicado)
+  for (const raw of fixCache.sortByGpsTime(tripCoords)) {
+    const verdict = fixFilter.evaluate(
+      fixCache.last(trip.id, raw.deviceId), raw, fixCache.lastRejected(trip.id, raw.deviceId)
+    );
+    const coord = { ...raw, lat: verdict.lat, lng: verdict.lng, quality: verdict.quality, qualityReason: verdict.reason };
+
+    if (fixCache.isDuplicate(trip.id, coord)) continue;
+    _rememberFix(trip.id, coord);
+    fresh.push(coord);
+  }
 
-  // Si no hay viajes del proveedor, usar el primer viaje activo como fallback
-  const tripsToUse = providerTrips.length > 0 ? providerTrips : [activeTrips[0]];
+  if (fresh.length === 0) return 0;
 
-  if (providerTrips.length === 0) {
-    log('info', `No hay viajes del proveedor ${provider.nombre}, usando viaje fallback ID=${activeTrips[0].id}`);
+  const results = await api.insertMany('op_coordinates', fresh.map(c => _coordRecord(c, provider, trip.id)));
+  const saved = fresh.filter((c, i) => results[i] && results[i].success);
+  const failed = fresh.length - saved.length;
+
+  if (failed > 0) {
+    const firstError = results.find(r => !r.success);
+    log('error', `Viaje ${trip.id}: ${failed}/${fresh.length} coords no se guardaron (${firstError && firstError.error})`);
+
+    // El cache solo debe reflejar lo que quedo en la BD
+    fixCache.restore(trip.id, before);
+    saved.forEach(c => _rememberFix(trip.id, c));
   }
+  if (saved.length === 0) return 0;
 
-  for (const trip of tripsToUse) {
-    for (const coord of coords.slice(0, 50)) {
-      try {
-        const isDuplicate = await _isCoordDuplicate(trip.id, coord);
-        if (isDuplicate) continue;
+  const accepted = saved.filter(c => c.quality !== fixFilter.QUALITY.REJECTED);
+  const rejectedCount = saved.length - accepted.length;
+  if (rejectedCount > 0) {
+    log('warn', `Viaje ${trip.id}: ${rejectedCount} fix(es) rechazado(s) por calidad (${saved.find(c => c.quality === fixFilter.QUALITY.REJECTED).qualityReason})`);
+  }
+  if (accepted.length === 0) return saved.length;
 
-        await api.insert('op_coordinates', {
-          id_unidad_viaje: trip.id,
-          provider_id: provider.id,
-          latitud: coord.lat,
-          longitud: coord.lng,
-          velocidad: coord.speed || null,
-          rumbo: coord.heading || null,
-          fecha_gps: coord.timestamp || null,
-          fuente: coord.source || 'http',
-        });
-        savedCount++;
+  const newest = _newestCoord(accepted);
 
-        await api.update('unidades_viajes', trip.id, {
-          ultima_lat: coord.lat,
-          ultima_lng: coord.lng,
-          ultima_actualizacion: new Date().toISOString().slice(0, 19).replace('T', ' '),
-        }).catch(() => {});
+  await api.update('unidades_viajes', trip.id, {
+    ultima_lat: newest.lat,
+    ultima_lng: newest.lng,
+    ultima_actualizacion: new Date().toISOString().slice(0, 19).replace('T', ' '),
+  }).catch(() => {});
 
-        await _logEvent(trip.id, 'scrape_exitoso',
-          `Coordenada extraida: ${coord.lat.toFixed(6)}, ${coord.lng.toFixed(6)} (${coord.source})`
-        ).catch(() => {});
+  await geofences.evaluate(trip, accepted);
 
-      } catch (err) {
-        log('error', `Error guardando coord para viaje ${trip.id}: ${err.message}`);
-      }
+  if (options.quiet) return saved.length;
+
+  const sources = [...new Set(saved.map(c => c.source || 'http'))].join(',');
+  await _logEvent(trip.id, 'scrape_exitoso',
+    `${accepted.length} coordenada${accepted.length !== 1 ? 's' : ''} extraida${accepted.length !== 1 ? 's' : ''} (${sources}). ` +
+    `Ultima: ${newest.lat.toFixed(6)}, ${newest.lng.toFixed(6)}${newest.timestamp ? ` @ ${newest.timestamp}` : ''}` +
+    (rejectedCount > 0 ? `. ${rejectedCount} rechazada${rejectedCount !== 1 ? 's' : ''} por calidad` : '')
+  );
+
+  return saved.length;
+}
+
+/**
+ * Registra el fix en fix-cache: los rechazados no mueven el ultimo fix aceptado.
+ * @private
+ */
+function _rememberFix(tripId, coord) {
+  if (coord.quality === fixFilter.QUALITY.REJECTED) {
+    fixCache.rememberRejected(tripId, coord);
+  } else {
+    fixCache.remember(tripId, coord);
+  }
+}
+
+/**
+ * Fix mas reciente por timestamp. Sin fechas validas: el ultimo del lote.
+ * @private
+ */
+function _newestCoord(coords) {
+  let newest = coords[coords.length - 1];
+  let newestTime = -Infinity;
+
+  for (const coord of coords) {
+    const time = coord.timestamp ? Date.parse(coord.timestamp) : NaN;
+    if (!isNaN(time) && time > newestTime) {
+      newest = coord;
+      newestTime = time;
+    }
+  }
+  return newest;
+}
+
+/**
+ * Determina el viaje de una coordenada. Orden:
+ *  1. conf_dispositivos del dispositivo (por id_unidad_viaje o por placas)
+ *  2. deviceId / deviceName igual a placas_unidad de un viaje activo
+ *  3. Feed de un solo dispositivo (o sin identidad) y un solo viaje del proveedor
+ * Si nada aplica devuelve null: la coordenada queda sin viaje.
+ * @private
+ */
+function _resolveTrip(coord, allCoords, provider, activeTrips, devices) {
+  const deviceKey = coord.deviceId ? String(coord.deviceId).trim() : deviceInbox.NO_ID;
+
+  // 1. Mapeo explicito en conf_dispositivos (el del proveedor gana al global).
+  //    Un feed sin identidad solo se mapea por proveedor (asignado desde la bandeja).
+  const mapping = devices.find(d => d.identificador === deviceKey && d.provider_id === Number(provider.id))
+    || (coord.deviceId ? devices.find(d => d.identificador === deviceKey && !d.provider_id) : null);
+
+  if (mapping) {
+    if (mapping.id_unidad_viaje) {
+      const trip = activeTrips.find(t => Number(t.id) === mapping.id_unidad_viaje);
+      if (trip) return trip;
+    }
+    if (mapping.placas) {
+      const trip = activeTrips.find(t => _samePlate(t.placas_unidad, mapping.placas));
+      if (trip) return trip;
     }
+    return null;
   }
 
-  return savedCount;
+  // 2. El dispositivo se llama igual que las placas del viaje
+  for (const name of [coord.deviceId, coord.deviceName]) {
+    if (!name) continue;
+    const trip = activeTrips.find(t => _samePlate(t.placas_unidad, name));
+    if (trip) return trip;
+  }
+
+  // 3. Un solo dispositivo en el feed y un solo viaje ligado al proveedor
+  const providerTrips = activeTrips.filter(t => Number(t.provider_id) === Number(provider.id));
+  const deviceCount = new Set(allCoords.map(c => c.deviceId || null)).size;
+
+  if (providerTrips.length === 1 && deviceCount === 1) {
+    return providerTrips[0];
+  }
+
+  return null;
 }
 
 /**
- * Verifica si una coordenada ya fue guardada recientemente (dedup).
+ * Compara placas ignorando mayusculas, espacios y guiones.
  * @private
  */
-async function _isCoordDuplicate(tripId, coord) {
-  try {
-    // Ventana de dedup: misma coord exacta en los ultimos 4 minutos
-    // (el scraper corre cada 5 min, asi siempre pasa al menos 1 por ciclo
-    // incluso para vehiculos detenidos con coord identica)
-    const fourMinAgo = new Date(Date.now() - 4 * 60 * 1000)
-      .toISOString().slice(0, 19).replace('T', ' ');
-
-    const existing = await api.query(
-      `SELECT id FROM op_coordinates
-       WHERE id_unidad_viaje = ${tripId}
-         AND ABS(latitud - ${coord.lat}) < 0.00001
-         AND ABS(longitud - ${coord.lng}) < 0.00001
-         AND fecha_extraccion > '${fourMinAgo}'
-       LIMIT 1`
-    );
+function _samePlate(a, b) {
+  if (!a || !b) return false;
+  const norm = (v) => String(v).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const na = norm(a);
+  return na.length > 0 && na === norm(b);
+}
 
-    return existing && existing.length > 0;
-  } catch {
-    return false;
+/**
+ * Convierte el timestamp de cada coordenada a UTC "YYYY-MM-DD HH:mm:ss".
+ * Las fechas sin zona se interpretan en conf_providers.zona_horaria
+ * (o GPS_DEFAULT_TIMEZONE). Un formato no reconocido queda sin fecha_gps.
+ * @private
+ */
+function _normalizeTimestamps(coords, provider) {
+  let unparsed = 0;
+  for (const coord of coords) {
+    if (coord.timestamp === undefined || coord.timestamp === null || coord.timestamp === '') continue;
+    const normalized = time.normalizeGpsTimestamp(coord.timestamp, provider.zona_horaria);
+    if (!normalized) unparsed++;
+    coord.timestamp = normalized || undefined;
+  }
+  if (unparsed > 0) {
+    log('warn', `${provider.nombre}: ${unparsed} fechas GPS con formato no reconocido, se guardan sin fecha_gps`);
   }
 }
 
+/**
+ * Fila de op_coordinates para una coordenada.
+ * @private
+ */
+function _coordRecord(coord, provider, tripId) {
+  return {
+    id_unidad_viaje: tripId,
+    provider_id: provider.id,
+    dispositivo: coord.deviceId || null,
+    latitud: coord.lat,
+    longitud: coord.lng,
+    velocidad: coord.speed || null,
+    rumbo: coord.heading || null,
+    fecha_gps: coord.timestamp || null,
+    fecha_extraccion: time.toDbDate(),
+    fuente: coord.source || 'http',
+    calidad: coord.quality || fixFilter.QUALITY.OK,
+    calidad_motivo: coord.qualityReason ? String(coord.qualityReason).slice(0, 100) : null,
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Carga de datos
 // ---------------------------------------------------------------------------
@@ -307,8 +669,9 @@ async function _isCoordDuplicate(tripId, coord) {
  */
 async function _loadActiveProviders() {
   try {
+    // Los proveedores push no se scrapean: sus dispositivos envian (push-ingest)
     const providers = await api.query(
-      'SELECT * FROM conf_providers WHERE activo = 1 ORDER BY intervalo_minutos ASC'
+      "SELECT * FROM conf_providers WHERE activo = 1 AND modo_extraccion <> 'push' ORDER BY intervalo_minutos ASC"
     );
     return providers || [];
   } catch (err) {
@@ -330,6 +693,12 @@ async function _loadActiveTrips() {
        WHERE estado_actual = 'en_ruta'
        ORDER BY id DESC`
     );
+
+    // Cache de ultimo fix: se siembra una vez y se limpia de viajes cerrados
+    await fixCache.seed();
+    fixCache.prune((trips || []).map(t => t.id));
+    geofences.prune((trips || []).map(t => t.id));
+
     return trips || [];
   } catch (err) {
     log('error', 'Error cargando viajes activos:', err.message);
@@ -337,6 +706,29 @@ async function _loadActiveTrips() {
   }
 }
 
+/**
+ * Carga los mapeos dispositivo → viaje (conf_dispositivos).
+ * @private
+ */
+async function _loadDeviceMappings() {
+  try {
+    const rows = await api.query(
+      `SELECT id, provider_id, identificador, placas, id_unidad_viaje
+       FROM conf_dispositivos
+       WHERE activo = 1`
+    );
+    return (rows || []).map(r => ({
+      ...r,
+      identificador: r.identificador ? String(r.identificador).trim() : r.identificador,
+      provider_id: r.provider_id ? parseInt(r.provider_id) : null,
+      id_unidad_viaje: r.id_unidad_viaje ? parseInt(r.id_unidad_viaje) : null,
+    }));
+  } catch (err) {
+    log('error', 'Error cargando conf_dispositivos:', err.message);
+    return [];
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Logging y actualizaciones de BD
 // ---------------------------------------------------------------------------
@@ -370,14 +762,14 @@ async function _createScrapeLog(providerId, startTime) {
  * Actualiza un registro de log_scrape al terminar.
  * @private
  */
-async function _updateScrapeLog(logId, estado, coordsFound, coordsNew, fuentes, errorMsg = null) {
+async function _updateScrapeLog(logId, estado, devicesFound, coordsNew, fuentes, errorMsg = null) {
   if (!logId) return;
 
   try {
     const data = {
       fin: new Date().toISOString().slice(0, 19).replace('T', ' '),
       estado,
-      dispositivos_encontrados: coordsFound || 0,
+      dispositivos_encontrados: devicesFound || 0,
       coordenadas_nuevas: coordsNew || 0,
       fuentes_usadas: fuentes || null,
       error_mensaje: errorMsg || null,
@@ -390,19 +782,112 @@ async function _updateScrapeLog(logId, estado, coordsFound, coordsNew, fuentes,
 }
 
 /**
- * Actualiza el estado del proveedor despues de un scraping.
+ * Registra un scraping exitoso: ultimo_scrape y cierra el circuit breaker
+ * (reinicia fallos y quita la suspension, ej. tras un /api/scraper/run manual).
  * @private
  */
-async function _updateProviderStatus(providerId, errorMsg) {
+async function _recordSuccess(provider) {
   try {
     const data = {
       ultimo_scrape: new Date().toISOString().slice(0, 19).replace('T', ' '),
+      ultimo_error: null,
+    };
+    if (parseInt(provider.fallos_consecutivos) > 0 || provider.suspendido_en) {
+      data.fallos_consecutivos = 0;
+      data.suspendido_en = null;
+      log('info', `${provider.nombre}: circuit breaker reiniciado`);
+    }
+    await api.update('conf_providers', provider.id, data);
+  } catch (err) {
+    log('error', `Error actualizando proveedor ${provider.id}:`, err.message);
+  }
+}
+
+/**
+ * Registra un fallo del proveedor. Al llegar a MAX_CONSECUTIVE_FAILURES lo
+ * suspende (suspendido_en) y registra scrape_error en sus viajes activos.
+ * @returns {Promise<{failures: number, suspended: boolean}>}
+ * @private
+ */
+async function _recordFailure(provider, errorMsg, activeTrips = [], devices = []) {
+  const failures = (parseInt(provider.fallos_consecutivos) || 0) + 1;
+  const alreadySuspended = !!provider.suspendido_en;
+  const suspend = !alreadySuspended && failures >= MAX_CONSECUTIVE_FAILURES;
+
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+  try {
+    const data = {
+      ultimo_scrape: now,
       ultimo_error: errorMsg || null,
+      fallos_consecutivos: failures,
     };
-    await api.update('conf_providers', providerId, data);
+    if (suspend) data.suspendido_en = now;
+    await api.update('conf_providers', provider.id, data);
   } catch (err) {
-    log('error', `Error actualizando proveedor ${providerId}:`, err.message);
+    log('error', `Error actualizando proveedor ${provider.id}:`, err.message);
+  }
+
+  if (suspend) {
+    log('warn', `${provider.nombre}: SUSPENDIDO tras ${failures} fallos consecutivos (${errorMsg})`);
+
+    const tripIds = _providerTripIds(provider, activeTrips, devices);
+    for (const tripId of tripIds) {
+      await _logEvent(tripId, 'scrape_error',
+        `Proveedor GPS "${provider.nombre}" suspendido tras ${failures} fallos consecutivos: ${String(errorMsg || '').substring(0, 200)}`
+      );
+    }
+  } else if (!alreadySuspended) {
+    const nextMinutes = _backoffMinutes(provider.intervalo_minutos, failures);
+    log('warn', `${provider.nombre}: fallo ${failures}/${MAX_CONSECUTIVE_FAILURES}, siguiente intento en ${nextMinutes} min`);
+  }
+
+  return { failures, suspended: suspend || alreadySuspended };
+}
+
+/**
+ * Viajes activos que dependen del proveedor (ligados por provider_id o
+ * por un dispositivo de conf_dispositivos del proveedor).
+ * @private
+ */
+function _providerTripIds(provider, activeTrips, devices) {
+  const ids = new Set();
+  for (const t of activeTrips) {
+    if (Number(t.provider_id) === Number(provider.id)) ids.add(Number(t.id));
+  }
+  for (const d of devices) {
+    if (d.provider_id === Number(provider.id) && d.id_unidad_viaje &&
+        activeTrips.some(t => Number(t.id) === d.id_unidad_viaje)) {
+      ids.add(d.id_unidad_viaje);
+    }
   }
+  return [...ids];
+}
+
+/**
+ * Indica si un proveedor toca en este ciclo: no suspendido y ya paso su
+ * intervalo, multiplicado por el backoff si viene fallando.
+ * @private
+ */
+function _isDue(provider, now) {
+  if (provider.suspendido_en) return false;
+  if (!provider.ultimo_scrape) return true;
+
+  const waitMs = _backoffMinutes(provider.intervalo_minutos, parseInt(provider.fallos_consecutivos) || 0) * 60 * 1000;
+  // ultimo_scrape esta en UTC sin zona: no depender de la zona del servidor Node
+  const lastScrape = time.parseDbDate(provider.ultimo_scrape);
+  return !lastScrape || (now - lastScrape.getTime()) >= waitMs;
+}
+
+/**
+ * Minutos de espera: intervalo * 2^fallos, con tope BACKOFF_MAX_MINUTES
+ * (nunca menos que el intervalo del proveedor).
+ * @private
+ */
+function _backoffMinutes(intervalo, failures) {
+  const base = parseInt(intervalo) || 5;
+  if (!failures) return base;
+  return Math.max(base, Math.min(base * Math.pow(2, Math.min(failures, 10)), BACKOFF_MAX_MINUTES));
 }
 
 /**
@@ -444,6 +929,11 @@ function _finishRun(summary, startTime) {
     `Proveedores: ${summary.providersSuccess}/${summary.providers} OK | ` +
     `Coords: ${summary.totalNewCoords} nuevas de ${summary.totalCoords} encontradas`);
 
+  const slowest = summary.timings.reduce((max, t) => (!max || t.durationMs > max.durationMs ? t : max), null);
+  if (slowest) {
+    log('info', `Proveedor mas lento: ${slowest.provider} (${(slowest.durationMs / 1000).toFixed(1)}s, espera ${(slowest.waitMs / 1000).toFixed(1)}s)`);
+  }
+
   return summary;
 }
 
@@ -472,10 +962,12 @@ async function runDueProviders() {
     providersSuccess: 0,
     providersFailed: 0,
     providersSkipped: 0,
+    providersSuspended: 0,
     totalCoords: 0,
     totalNewCoords: 0,
     errors: [],
     details: [],
+    timings: [],
   };
 
   try {
@@ -488,17 +980,13 @@ async function runDueProviders() {
       return _finishRun(summary, startTime);
     }
 
-    // Filtrar solo los que estan "due" segun su intervalo
+    // Filtrar solo los que estan "due" segun su intervalo (y backoff por fallos)
     const now = Date.now();
-    const dueProviders = allProviders.filter(p => {
-      const intervaloMs = (p.intervalo_minutos || 5) * 60 * 1000;
-      if (!p.ultimo_scrape) return true;
-      const lastScrape = new Date(p.ultimo_scrape).getTime();
-      return (now - lastScrape) >= intervaloMs;
-    });
+    const dueProviders = allProviders.filter(p => _isDue(p, now));
 
     summary.providers = allProviders.length;
     summary.providersSkipped = allProviders.length - dueProviders.length;
+    summary.providersSuspended = allProviders.filter(p => p.suspendido_en).length;
 
     if (dueProviders.length === 0) {
       log('info', `${allProviders.length} proveedores activos, ninguno necesita scraping aun`);
@@ -508,24 +996,10 @@ async function runDueProviders() {
     log('info', `${dueProviders.length}/${allProviders.length} proveedores necesitan scraping`);
 
     const activeTrips = await _loadActiveTrips();
-    log('info', `${activeTrips.length} viajes en ruta`);
-
-    for (const provider of dueProviders) {
-      const providerResult = await _fetchProvider(provider, activeTrips);
-      summary.details.push(providerResult);
-
-      if (providerResult.success) {
-        summary.providersSuccess++;
-        summary.totalCoords += providerResult.coordsFound;
-        summary.totalNewCoords += providerResult.coordsSaved;
-      } else {
-        summary.providersFailed++;
-        summary.errors.push({
-          provider: provider.nombre,
-          error: providerResult.error,
-        });
-      }
-    }
+    const devices = await _loadDeviceMappings();
+    log('info', `${activeTrips.length} viajes en ruta, ${devices.length} dispositivos mapeados`);
+
+    await _processProviders(dueProviders, activeTrips, devices, summary);
   } catch (err) {
     log('error', 'Error critico en ciclo de scraping:', err.message);
     summary.errors.push({ provider: 'general', error: err.message });
@@ -556,15 +1030,89 @@ async function runForProvider(providerId) {
     if (!providers || providers.length === 0) {
       return { success: false, error: 'Proveedor no encontrado' };
     }
+    if (providers[0].modo_extraccion === 'push') {
+      return { success: false, error: 'Proveedor push: sus dispositivos envian las posiciones, no se scrapea' };
+    }
 
     const activeTrips = await _loadActiveTrips();
+    const devices = await _loadDeviceMappings();
 
-    return await _fetchProvider(providers[0], activeTrips);
+    return await _fetchTracked(providers[0], _providerHost(providers[0]), activeTrips, devices);
   } catch (err) {
     return { success: false, error: err.message };
   }
 }
 
+// ---------------------------------------------------------------------------
+// Posiciones push (OsmAnd / Traccar Client / GT06, ver push-ingest.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * Guarda posiciones enviadas por un dispositivo por el mismo camino que el
+ * scraper: fecha_gps a UTC, mapeo a viaje, filtro de calidad, dedup y
+ * op_coordinates (o la bandeja si no tiene viaje). Sin log_scrape ni evento
+ * por posicion. Sin el tope por viaje del scraper: el cliente borra de su
+ * buffer offline todo lo que se le confirma.
+ *
+ * @param {object} provider - { id, nombre, zona_horaria } del proveedor push
+ * @param {Array<object>} coords - Coordenadas con deviceId y source 'push' o 'gt06'
+ * @returns {Promise<{saved: number, unmatched: number, unmatchedDevices: string[]}>}
+ */
+async function ingestPush(provider, coords) {
+  _normalizeTimestamps(coords, provider);
+  const { activeTrips, devices } = await _loadPushContext();
+  return _processAndSaveCoords(coords, provider, activeTrips, devices, { quiet: true, maxPerTrip: Infinity });
+}
+
+/**
+ * Registra una alarma de un dispositivo push (GT06: SOS, corte de energia)
+ * como evento del viaje al que lo mapea _resolveTrip.
+ *
+ * @param {object} provider - { id, nombre, zona_horaria } del proveedor push
+ * @param {object} coord - Con deviceId; lat/lng/timestamp si el equipo tenia GPS
+ * @param {string} tipo - eventos_unidad.tipo_evento
+ * @param {string} descripcion
+ * @returns {Promise<number|null>} Id del viaje o null si el dispositivo no tiene viaje
+ */
+async function ingestAlarm(provider, coord, tipo, descripcion) {
+  const { activeTrips, devices } = await _loadPushContext();
+  const trip = _resolveTrip(coord, [coord], provider, activeTrips, devices);
+  if (!trip) {
+    log('warn', `${provider.nombre}: alarma ${tipo} de ${coord.deviceId || deviceInbox.NO_ID} sin viaje asignado`);
+    return null;
+  }
+
+  await _logEvent(trip.id, tipo, descripcion);
+  return trip.id;
+}
+
+/**
+ * Viajes activos y mapeos para push, recargados cada PUSH_CONTEXT_TTL_MS
+ * (una posicion cada pocos segundos por dispositivo no debe consultar la BD
+ * cada vez). Cargas simultaneas comparten la misma promesa.
+ * @private
+ */
+async function _loadPushContext() {
+  if (pushContext && Date.now() - pushContext.at < PUSH_CONTEXT_TTL_MS) return pushContext;
+  if (pushContext && pushContext.loading) return pushContext.loading;
+
+  const loading = (async () => {
+    await api.ensureToken();
+    const activeTrips = await _loadActiveTrips();
+    const devices = await _loadDeviceMappings();
+    pushContext = { at: Date.now(), activeTrips, devices, loading: null };
+    return pushContext;
+  })();
+
+  pushContext = { ...(pushContext || { at: 0, activeTrips: [], devices: [] }), loading };
+  try {
+    return await loading;
+  } catch (err) {
+    pushContext = null;
+    throw err;
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Status (para monitoreo)
 // ---------------------------------------------------------------------------
@@ -579,6 +1127,20 @@ function status() {
     lastRunTime: lastRunTime ? lastRunTime.toISOString() : null,
     lastRunResult,
     mode: 'http',
+    breaker: {
+      maxFailures: MAX_CONSECUTIVE_FAILURES,
+      backoffMaxMinutes: BACKOFF_MAX_MINUTES,
+    },
+    concurrency: {
+      max: MAX_CONCURRENCY,
+      perHost: MAX_PER_HOST,
+    },
+    fixCache: fixCache.stats(),
+    fixFilter: fixFilter.config(),
+    inFlight: [...inFlight.values()].map(({ promise, ...f }) => ({
+      ...f,
+      elapsedMs: Date.now() - new Date(f.startedAt).getTime(),
+    })),
   };
 }
 
@@ -599,5 +1161,7 @@ module.exports = {
   run,
   runDueProviders,
   runForProvider,
+  ingestPush,
+  ingestAlarm,
   status,
 };
@@ -0,0 +1,445 @@
+/**
+ * Device Inbox - Bandeja de dispositivos GPS sin viaje asignado
+ *
+ * Cuando el coordinator no logra enrutar una coordenada a ningun viaje
+ * activo, el dispositivo se guarda aqui en lugar de perderse o quedar en
+ * op_coordinates con id_unidad_viaje = NULL.
+ *
+ * Responsabilidades:
+ *  - Registrar dispositivos pendientes con su ultima posicion y primera/ultima vez visto
+ *  - Guardar el historial de posiciones en espera (op_dispositivos_historial)
+ *  - Asignar un dispositivo a un viaje: crear el mapeo en conf_dispositivos y
+ *    copiar su historial a op_coordinates (backfill)
+ *  - Descartar dispositivos que no interesan (ya no se guarda su historial)
+ */
+
+'use strict';
+
+const { internalClient: api } = require('../api/client');
+const time = require('../utils/time');
+
+const LOG_PREFIX = '[DeviceInbox]';
+
+/** Identificador usado cuando la plataforma no reporta identidad de dispositivo */
+const NO_ID = '(sin id)';
+
+/** Maximo de posiciones en espera por dispositivo (las siguientes solo actualizan la ultima posicion) */
+const MAX_HISTORY = 300;
+
+// ---------------------------------------------------------------------------
+// Registro desde el coordinator
+// ---------------------------------------------------------------------------
+
+/**
+ * Registra las coordenadas sin viaje de un proveedor.
+ * Agrupa por dispositivo, actualiza (o crea) su renglon en
+ * op_dispositivos_pendientes y guarda las posiciones en el historial.
+ *
+ * @param {object} provider - Fila de conf_providers
+ * @param {Array} coords - Coordenadas estandarizadas de http-fetcher (sin viaje)
+ * @returns {Promise<{devices: number, buffered: number}>}
+ */
+async function stage(provider, coords) {
+  const result = { devices: 0, buffered: 0 };
+  if (!coords || coords.length === 0) return result;
+
+  const byDevice = new Map();
+  for (const coord of coords) {
+    const key = coord.deviceId ? String(coord.deviceId).trim() : NO_ID;
+    if (!byDevice.has(key)) byDevice.set(key, []);
+    byDevice.get(key).push(coord);
+  }
+
+  for (const [identificador, deviceCoords] of byDevice) {
+    try {
+      const pending = await _upsertPending(provider, identificador, deviceCoords);
+      result.devices++;
+
+      if (!pending || pending.estado === 'descartado') continue;
+      result.buffered += await _bufferHistory(pending, deviceCoords);
+    } catch (err) {
+      log('error', `Error registrando dispositivo ${identificador}: ${err.message}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Crea o actualiza el renglon del dispositivo con su ultima posicion.
+ * Un dispositivo ya asignado que vuelve a llegar sin viaje (ej. el viaje
+ * termino) regresa a estado pendiente.
+ * @private
+ */
+async function _upsertPending(provider, identificador, coords) {
+  const last = coords[coords.length - 1];
+  const now = _now();
+  const providerId = parseInt(provider.id);
+
+  const lastPosition = {
+    nombre: last.deviceName || null,
+    ultima_lat: last.lat,
+    ultima_lng: last.lng,
+    ultima_velocidad: last.speed ?? null,
+    ultimo_rumbo: last.heading ?? null,
+    ultima_fecha_gps: last.timestamp || null,
+    ultima_vez: now,
+  };
+
+  const existing = await _findPending(providerId, identificador);
+
+  if (!existing) {
+    await api.insert('op_dispositivos_pendientes', {
+      provider_id: providerId,
+      identificador,
+      ...lastPosition,
+      total_posiciones: coords.length,
+      estado: 'pendiente',
+      primera_vez: now,
+    });
+    log('info', `Nuevo dispositivo sin asignar: ${identificador} (proveedor ${providerId})`);
+    return _findPending(providerId, identificador);
+  }
+
+  const changes = {
+    ...lastPosition,
+    nombre: lastPosition.nombre || existing.nombre || null,
+    total_posiciones: (parseInt(existing.total_posiciones) || 0) + coords.length,
+  };
+  if (existing.estado === 'asignado') {
+    changes.estado = 'pendiente';
+    changes.id_unidad_viaje = null;
+    changes.asignado_en = null;
+  }
+
+  await api.update('op_dispositivos_pendientes', existing.id, changes);
+  return { ...existing, ...changes };
+}
+
+/**
+ * Guarda las posiciones del dispositivo en el historial en espera.
+ * Omite la posicion si es identica a la ultima guardada.
+ * @private
+ */
+async function _bufferHistory(pending, coords) {
+  const rows = await api.query(
+    `SELECT COUNT(*) AS total,
+            (SELECT CONCAT(latitud, ',', longitud) FROM op_dispositivos_historial
+             WHERE id_pendiente = ${parseInt(pending.id)} ORDER BY id DESC LIMIT 1) AS ultima
+     FROM op_dispositivos_historial
+     WHERE id_pendiente = ${parseInt(pending.id)}`
+  );
+  const stored = rows && rows[0] ? parseInt(rows[0].total) || 0 : 0;
+  let lastKey = rows && rows[0] && rows[0].ultima ? _positionKey(rows[0].ultima.split(',')) : null;
+
+  const room = MAX_HISTORY - stored;
+  if (room <= 0) {
+    log('warn', `Historial lleno para ${pending.identificador} (${MAX_HISTORY} posiciones), solo se actualiza la ultima posicion`);
+    return 0;
+  }
+
+  const records = [];
+  for (const coord of coords) {
+    const key = _positionKey([coord.lat, coord.lng]);
+    if (key === lastKey) continue;
+    lastKey = key;
+
+    records.push({
+      id_pendiente: pending.id,
+      latitud: coord.lat,
+      longitud: coord.lng,
+      velocidad: coord.speed ?? null,
+      rumbo: coord.heading ?? null,
+      fecha_gps: coord.timestamp || null,
+      fecha_extraccion: time.toDbDate(),
+      fuente: coord.source || 'http',
+    });
+  }
+
+  const results = await api.insertMany('op_dispositivos_historial', records.slice(0, room));
+  return results.filter(r => r.success).length;
+}
+
+// ---------------------------------------------------------------------------
+// Consulta desde la UI
+// ---------------------------------------------------------------------------
+
+/**
+ * Lista los dispositivos de la bandeja con el nombre del proveedor.
+ * @param {object} [filters]
+ * @param {string} [filters.estado='pendiente'] - pendiente | asignado | descartado | todos
+ * @param {number} [filters.providerId]
+ * @returns {Promise<Array<object>>}
+ */
+async function listPending(filters = {}) {
+  const where = [];
+  const estado = filters.estado || 'pendiente';
+  if (estado !== 'todos') where.push(`d.estado = '${String(estado).replace(/'/g, "''")}'`);
+  if (filters.providerId) where.push(`d.provider_id = ${parseInt(filters.providerId)}`);
+
+  const rows = await api.query(
+    `SELECT d.*, p.nombre AS provider_nombre,
+            (SELECT COUNT(*) FROM op_dispositivos_historial h WHERE h.id_pendiente = d.id) AS historial
+     FROM op_dispositivos_pendientes d
+     LEFT JOIN conf_providers p ON p.id = d.provider_id
+     ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+     ORDER BY d.ultima_vez DESC
+     LIMIT 500`
+  );
+  return rows || [];
+}
+
+/**
+ * Historial en espera de un dispositivo (para dibujar su recorrido).
+ * @param {number} pendingId
+ * @param {number} [limit=MAX_HISTORY]
+ * @returns {Promise<Array<object>>}
+ */
+async function getHistory(pendingId, limit = MAX_HISTORY) {
+  const rows = await api.query(
+    `SELECT latitud, longitud, velocidad, rumbo, fecha_gps, fecha_extraccion
+     FROM op_dispositivos_historial
+     WHERE id_pendiente = ${parseInt(pendingId)}
+     ORDER BY id ASC
+     LIMIT ${parseInt(limit) || MAX_HISTORY}`
+  );
+  return rows || [];
+}
+
+// ---------------------------------------------------------------------------
+// Asignacion y descarte
+// ---------------------------------------------------------------------------
+
+/**
+ * Asigna un dispositivo pendiente a un viaje.
+ *  1. Crea o actualiza el mapeo en conf_dispositivos (el coordinator lo usa
+ *     desde el siguiente ciclo)
+ *  2. Copia el historial en espera a op_coordinates con el viaje
+ *  3. Reasigna coordenadas antiguas guardadas sin viaje para ese dispositivo
+ *  4. Actualiza la ultima posicion del viaje y marca el pendiente como asignado
+ *
+ * @param {number} pendingId - op_dispositivos_pendientes.id
+ * @param {number} tripId - unidades_viajes.id
+ * @returns {Promise<{success: boolean, backfilled?: number, error?: string}>}
+ */
+async function assign(pendingId, tripId) {
+  const pending = await _getPending(pendingId);
+  if (!pending) return { success: false, error: 'Dispositivo no encontrado' };
+
+  const trips = await api.query(
+    `SELECT id, placas_unidad, ultima_actualizacion FROM unidades_viajes WHERE id = ${parseInt(tripId)}`
+  );
+  const trip = trips && trips[0];
+  if (!trip) return { success: false, error: 'Viaje no encontrado' };
+
+  await _upsertMapping(pending, trip.id);
+
+  const backfilled = await _backfillHistory(pending, trip.id);
+  const reassigned = await _reassignOrphanCoords(pending, trip.id);
+
+  const now = _now();
+  if (pending.ultima_lat && pending.ultima_lng) {
+    await api.update('unidades_viajes', trip.id, {
+      ultima_lat: pending.ultima_lat,
+      ultima_lng: pending.ultima_lng,
+      ultima_actualizacion: now,
+    }).catch(() => {});
+  }
+
+  await api.update('op_dispositivos_pendientes', pending.id, {
+    estado: 'asignado',
+    id_unidad_viaje: trip.id,
+    asignado_en: now,
+  });
+
+  log('info', `Dispositivo ${pending.identificador} asignado al viaje ${trip.id} (${backfilled} del historial, ${reassigned} sin viaje reasignadas)`);
+  return { success: true, backfilled: backfilled + reassigned };
+}
+
+/**
+ * Descarta un dispositivo: deja de guardarse su historial y se borra el
+ * que estaba en espera.
+ * @param {number} pendingId
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function discard(pendingId) {
+  const pending = await _getPending(pendingId);
+  if (!pending) return { success: false, error: 'Dispositivo no encontrado' };
+
+  await api.update('op_dispositivos_pendientes', pending.id, { estado: 'descartado' });
+  await _clearHistory(pending.id);
+
+  log('info', `Dispositivo ${pending.identificador} descartado`);
+  return { success: true };
+}
+
+/**
+ * Crea o actualiza el mapeo del dispositivo en conf_dispositivos.
+ * @private
+ */
+async function _upsertMapping(pending, tripId) {
+  const identificador = String(pending.identificador).replace(/'/g, "''");
+  const existing = await api.query(
+    `SELECT id FROM conf_dispositivos
+     WHERE provider_id = ${parseInt(pending.provider_id)} AND identificador = '${identificador}'
+     LIMIT 1`
+  );
+
+  if (existing && existing.length > 0) {
+    await api.update('conf_dispositivos', existing[0].id, {
+      id_unidad_viaje: tripId,
+      activo: 1,
+    });
+    return;
+  }
+
+  await api.insert('conf_dispositivos', {
+    provider_id: pending.provider_id,
+    identificador: pending.identificador,
+    nombre: pending.nombre || null,
+    id_unidad_viaje: tripId,
+    activo: 1,
+  });
+}
+
+/**
+ * Copia el historial en espera a op_coordinates y lo borra del buffer.
+ * @private
+ */
+async function _backfillHistory(pending, tripId) {
+  const history = await api.query(
+    `SELECT * FROM op_dispositivos_historial
+     WHERE id_pendiente = ${parseInt(pending.id)}
+     ORDER BY id ASC`
+  );
+  if (!history || history.length === 0) return 0;
+
+  const records = history.map(h => ({
+    id_unidad_viaje: tripId,
+    provider_id: pending.provider_id,
+    dispositivo: pending.identificador === NO_ID ? null : pending.identificador,
+    latitud: h.latitud,
+    longitud: h.longitud,
+    velocidad: h.velocidad,
+    rumbo: h.rumbo,
+    fecha_gps: h.fecha_gps,
+    fecha_extraccion: h.fecha_extraccion,
+    fuente: h.fuente,
+  }));
+
+  const results = await api.insertMany('op_coordinates', records);
+  const copied = results.filter(r => r.success).length;
+
+  if (copied < records.length) {
+    log('warn', `Backfill parcial de ${pending.identificador}: ${copied}/${records.length}, el historial se conserva`);
+    return copied;
+  }
+
+  await _clearHistory(pending.id, history);
+  return copied;
+}
+
+/**
+ * Reasigna coordenadas guardadas con id_unidad_viaje NULL para el mismo
+ * proveedor y dispositivo (versiones anteriores las guardaban asi).
+ * @private
+ */
+async function _reassignOrphanCoords(pending, tripId) {
+  if (pending.identificador === NO_ID) return 0;
+
+  const rows = await api.query(
+    `SELECT id FROM op_coordinates
+     WHERE id_unidad_viaje IS NULL
+       AND provider_id = ${parseInt(pending.provider_id)}
+       AND dispositivo = '${String(pending.identificador).replace(/'/g, "''")}'
+     LIMIT ${MAX_HISTORY}`
+  ).catch(() => []);
+
+  let count = 0;
+  for (const row of rows || []) {
+    try {
+      await api.update('op_coordinates', row.id, { id_unidad_viaje: tripId });
+      count++;
+    } catch (err) {
+      log('warn', `No se pudo reasignar op_coordinates ${row.id}: ${err.message}`);
+    }
+  }
+  return count;
+}
+
+/**
+ * Borra el historial en espera de un dispositivo.
+ * @private
+ */
+async function _clearHistory(pendingId, rows = null) {
+  const history = rows || await api.query(
+    `SELECT id FROM op_dispositivos_historial WHERE id_pendiente = ${parseInt(pendingId)}`
+  );
+  for (const row of history || []) {
+    await api.remove('op_dispositivos_historial', row.id).catch(() => {});
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * @private
+ */
+async function _findPending(providerId, identificador) {
+  const rows = await api.query(
+    `SELECT * FROM op_dispositivos_pendientes
+     WHERE provider_id = ${parseInt(providerId)}
+       AND identificador = '${String(identificador).replace(/'/g, "''")}'
+     LIMIT 1`
+  );
+  return rows && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * @private
+ */
+async function _getPending(pendingId) {
+  const rows = await api.query(
+    `SELECT * FROM op_dispositivos_pendientes WHERE id = ${parseInt(pendingId)}`
+  );
+  return rows && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Llave de posicion a 5 decimales (~1 m) para omitir repetidas.
+ * @private
+ */
+function _positionKey([lat, lng]) {
+  return `${Number(lat).toFixed(5)},${Number(lng).toFixed(5)}`;
+}
+
+/**
+ * @private
+ */
+function _now() {
+  return new Date().toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  NO_ID,
+  stage,
+  listPending,
+  getHistory,
+  assign,
+  discard,
+};
@@ -462,24 +462,13 @@ async function extractFromDOM(page, options = {}) {
       }
 
       // ---------------------------------------------------------------
-      // 7. Links de Google Maps (maps.google.com/maps?q=LAT,LNG) - GPSWox, etc.
+      // 7. Links de mapas (Google, Apple Maps, Waze) - GPSWox, etc.
+      //    Se parsean en Node con coordDetector.detectFromMapUrls
       // ---------------------------------------------------------------
-      const mapLinkCoords = [];
-      const qPattern = /[?&]q=(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)/;
-      const collectFromHref = (href) => {
-        if (!href || typeof href !== 'string') return;
-        const m = href.match(qPattern);
-        if (!m) return;
-        const lat = parseFloat(m[1]);
-        const lng = parseFloat(m[2]);
-        if (lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180 && (Math.abs(lat) > 0.01 || Math.abs(lng) > 0.01)) {
-          mapLinkCoords.push({ lat, lng });
-        }
-      };
-
+      const mapLinks = [];
       const mapLinkSelectors = [
-        'a[href*="maps.google.com"], a[href*="google.com/maps"]',
-        'iframe[src*="maps.google.com"], iframe[src*="google.com/maps"]',
+        'a[href*="maps.google."], a[href*="google.com/maps"], a[href*="maps.apple.com"], a[href*="waze.com"]',
+        'iframe[src*="maps.google."], iframe[src*="google.com/maps"]',
       ];
       for (const sel of mapLinkSelectors) {
         try {
@@ -487,12 +476,12 @@ async function extractFromDOM(page, options = {}) {
           for (const el of els) {
             scanned++;
             const href = el.getAttribute('href') || el.getAttribute('src') || '';
-            collectFromHref(href);
+            if (href) mapLinks.push(href);
           }
         } catch { /* skip */ }
       }
 
-      return { texts, scanned, mapLinkCoords };
+      return { texts, scanned, mapLinks };
     });
   } catch (err) {
     log('error', 'Error escaneando DOM:', err.message);
@@ -504,9 +493,9 @@ async function extractFromDOM(page, options = {}) {
   for (const c of coords) {
     c.source = 'dom';
   }
-  // Agregar coordenadas de links Google Maps (q=LAT,LNG)
-  if (result.mapLinkCoords && result.mapLinkCoords.length > 0) {
-    for (const c of result.mapLinkCoords) {
+  // Agregar coordenadas de links de mapas (@lat,lng, q=, ll=, !3d!4d)
+  if (result.mapLinks && result.mapLinks.length > 0) {
+    for (const c of coordDetector.detectFromMapUrls(result.mapLinks.join('\n'))) {
       c.source = 'dom';
       coords.push(c);
     }
@@ -0,0 +1,316 @@
+/**
+ * Fix Cache - Ultimo fix GPS guardado por viaje/dispositivo (en memoria)
+ *
+ * Responsabilidades:
+ *  - Sembrar desde op_coordinates el ultimo fix de cada viaje en ruta
+ *  - Decidir si una coordenada es duplicada usando fecha_gps + posicion
+ *    (sin consultar la BD por cada coordenada)
+ *  - Heartbeat para vehiculos estacionados: el mismo punto se vuelve a
+ *    guardar cuando su fecha_gps avanza al menos HEARTBEAT_MINUTES, asi
+ *    stop-detector mide el paro con tiempo GPS real
+ *  - Limpiar entradas de viajes que ya no estan en ruta
+ *
+ * Reglas de dedup (ver isDuplicate):
+ *  - fecha_gps igual o anterior al ultimo fix guardado → duplicado
+ *    (la plataforma re-sirve el mismo fix en cada ciclo)
+ *  - fecha_gps nueva en otra posicion → se guarda
+ *  - fecha_gps nueva en la misma posicion → solo si paso el heartbeat
+ *  - Sin fecha_gps: misma posicion dentro del heartbeat (reloj local) → duplicado
+ *  - Mismo fix que el ultimo rechazado por fix-filter → duplicado
+ *    (un pico que la plataforma re-sirve se guarda una sola vez)
+ */
+
+'use strict';
+
+const { internalClient: api } = require('../api/client');
+const time = require('../utils/time');
+
+const LOG_PREFIX = '[FixCache]';
+
+/** Intervalo minimo entre fixes guardados en la misma posicion */
+const HEARTBEAT_MINUTES = Math.max(0, parseInt(process.env.SCRAPER_HEARTBEAT_MIN || '4', 10));
+
+/** Tolerancia en grados para "misma posicion" (~1 m) */
+const SAME_POSITION_DEG = 0.00001;
+
+/** Identificador de dispositivo para feeds sin identidad (igual que device-inbox) */
+const NO_DEVICE = '(sin id)';
+
+/** Cache: "tripId|dispositivo" -> { lat, lng, gpsTime, savedAt } */
+const cache = new Map();
+
+/** Ultimo fix rechazado por fix-filter: "tripId|dispositivo" -> { lat, lng, gpsTime, savedAt } */
+const rejected = new Map();
+
+/** Promesa del sembrado (una sola vez por proceso) */
+let seedPromise = null;
+
+// ---------------------------------------------------------------------------
+// Sembrado
+// ---------------------------------------------------------------------------
+
+/**
+ * Carga el ultimo fix de cada viaje/dispositivo en ruta. Solo corre una vez;
+ * si falla se reintenta en la siguiente llamada.
+ * @returns {Promise<number>} Entradas en cache
+ */
+function seed() {
+  if (!seedPromise) {
+    seedPromise = _loadFromDb().catch((err) => {
+      log('warn', `No se pudo sembrar el cache: ${err.message}`);
+      seedPromise = null;
+      return cache.size;
+    });
+  }
+  return seedPromise;
+}
+
+/**
+ * @private
+ */
+async function _loadFromDb() {
+  await api.ensureToken();
+
+  const rows = await api.query(
+    `SELECT c.id_unidad_viaje, c.dispositivo, c.latitud, c.longitud,
+            c.fecha_gps, c.fecha_extraccion
+     FROM op_coordinates c
+     INNER JOIN (
+       SELECT oc.id_unidad_viaje, oc.dispositivo, MAX(oc.id) AS max_id
+       FROM op_coordinates oc
+       INNER JOIN unidades_viajes uv ON uv.id = oc.id_unidad_viaje
+       WHERE uv.estado_actual = 'en_ruta' AND oc.calidad <> 'rechazado'
+         AND (oc.fuente IS NULL OR oc.fuente <> 'import')
+       GROUP BY oc.id_unidad_viaje, oc.dispositivo
+     ) ult ON ult.max_id = c.id`
+  );
+
+  for (const row of rows || []) {
+    const key = _key(row.id_unidad_viaje, row.dispositivo);
+    cache.set(key, {
+      lat: parseFloat(row.latitud),
+      lng: parseFloat(row.longitud),
+      gpsTime: _gpsTime(row.fecha_gps),
+      savedAt: (time.parseDbDate(row.fecha_extraccion) || new Date()).getTime(),
+    });
+  }
+
+  log('info', `Cache sembrado: ${cache.size} fixes de viajes en ruta`);
+  return cache.size;
+}
+
+// ---------------------------------------------------------------------------
+// Dedup
+// ---------------------------------------------------------------------------
+
+/**
+ * Indica si la coordenada ya esta representada por el ultimo fix guardado.
+ * @param {number} tripId
+ * @param {object} coord - { lat, lng, timestamp?, deviceId? }
+ * @returns {boolean}
+ */
+function isDuplicate(tripId, coord) {
+  const key = _key(tripId, coord.deviceId);
+  const gpsTime = _gpsTime(coord.timestamp);
+
+  const spike = rejected.get(key);
+  if (spike && _samePosition(spike, coord) && spike.gpsTime === gpsTime) return true;
+
+  const last = cache.get(key);
+  if (!last) return false;
+
+  const samePosition = _samePosition(last, coord);
+  const heartbeatMs = HEARTBEAT_MINUTES * 60 * 1000;
+
+  if (gpsTime !== null && last.gpsTime !== null) {
+    if (gpsTime <= last.gpsTime) return true;
+    return samePosition && gpsTime - last.gpsTime < heartbeatMs;
+  }
+
+  return samePosition && Date.now() - last.savedAt < heartbeatMs;
+}
+
+/**
+ * Registra una coordenada recien guardada como ultimo fix del viaje/dispositivo.
+ * @param {number} tripId
+ * @param {object} coord
+ */
+function remember(tripId, coord) {
+  const key = _key(tripId, coord.deviceId);
+  cache.set(key, _entry(coord));
+  rejected.delete(key);
+}
+
+/**
+ * Registra una coordenada guardada como rechazada (no mueve el ultimo fix).
+ * @param {number} tripId
+ * @param {object} coord
+ */
+function rememberRejected(tripId, coord) {
+  rejected.set(_key(tripId, coord.deviceId), _entry(coord));
+}
+
+/**
+ * Ultimo fix aceptado del viaje/dispositivo (referencia de fix-filter).
+ * @param {number} tripId
+ * @param {string} [deviceId]
+ * @returns {{lat: number, lng: number, gpsTime: number|null, savedAt: number}|null}
+ */
+function last(tripId, deviceId) {
+  return cache.get(_key(tripId, deviceId)) || null;
+}
+
+/**
+ * Ultimo fix rechazado del viaje/dispositivo.
+ * @param {number} tripId
+ * @param {string} [deviceId]
+ * @returns {object|null}
+ */
+function lastRejected(tripId, deviceId) {
+  return rejected.get(_key(tripId, deviceId)) || null;
+}
+
+/**
+ * Copia de las entradas de un viaje (para restaurar si falla el guardado).
+ * @param {number} tripId
+ * @returns {Array<[string, object]>}
+ */
+function snapshot(tripId) {
+  const prefix = `${parseInt(tripId)}|`;
+  return [...cache.entries()].filter(([key]) => key.startsWith(prefix));
+}
+
+/**
+ * Restaura las entradas de un viaje tomadas con snapshot().
+ * @param {number} tripId
+ * @param {Array<[string, object]>} entries
+ */
+function restore(tripId, entries) {
+  const prefix = `${parseInt(tripId)}|`;
+  for (const key of [...cache.keys()]) {
+    if (key.startsWith(prefix)) cache.delete(key);
+  }
+  for (const key of [...rejected.keys()]) {
+    if (key.startsWith(prefix)) rejected.delete(key);
+  }
+  for (const [key, entry] of entries) cache.set(key, entry);
+}
+
+/**
+ * Ordena un lote por fecha_gps ascendente (las que no tienen fecha al final,
+ * en su orden original) para que el dedup compare cada fix con el anterior.
+ * @param {Array<object>} coords
+ * @returns {Array<object>}
+ */
+function sortByGpsTime(coords) {
+  return coords
+    .map((coord, index) => ({ coord, index, time: _gpsTime(coord.timestamp) }))
+    .sort((a, b) => {
+      if (a.time === null && b.time === null) return a.index - b.index;
+      if (a.time === null) return 1;
+      if (b.time === null) return -1;
+      return a.time - b.time || a.index - b.index;
+    })
+    .map(item => item.coord);
+}
+
+/**
+ * Elimina entradas de viajes que ya no estan activos.
+ * @param {Array<number>} activeTripIds
+ */
+function prune(activeTripIds) {
+  const active = new Set(activeTripIds.map(Number));
+  for (const map of [cache, rejected]) {
+    for (const key of map.keys()) {
+      if (!active.has(Number(key.split('|')[0]))) map.delete(key);
+    }
+  }
+}
+
+/**
+ * Resumen para /api/scraper/status.
+ * @returns {{entries: number, seeded: boolean, heartbeatMinutes: number}}
+ */
+function stats() {
+  return {
+    entries: cache.size,
+    seeded: seedPromise !== null,
+    heartbeatMinutes: HEARTBEAT_MINUTES,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * @private
+ */
+function _entry(coord) {
+  return {
+    lat: coord.lat,
+    lng: coord.lng,
+    gpsTime: _gpsTime(coord.timestamp),
+    savedAt: Date.now(),
+  };
+}
+
+/**
+ * @private
+ */
+function _samePosition(a, b) {
+  return Math.abs(a.lat - b.lat) < SAME_POSITION_DEG &&
+    Math.abs(a.lng - b.lng) < SAME_POSITION_DEG;
+}
+
+/**
+ * @private
+ */
+function _key(tripId, deviceId) {
+  const device = deviceId ? String(deviceId).trim() : NO_DEVICE;
+  return `${parseInt(tripId)}|${device}`;
+}
+
+/**
+ * fecha_gps a milisegundos comparables. Se toma la hora "de pared"
+ * (YYYY-MM-DD HH:mm:ss) para que el valor sembrado de la BD y el que trae
+ * la plataforma se comparen en la misma base.
+ * @returns {number|null}
+ * @private
+ */
+function _gpsTime(value) {
+  if (!value) return null;
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  const match = text.match(/^(\d{4})[-/](\d{2})[-/](\d{2})[\sT](\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s] = match.map(Number);
+  return Date.UTC(y, mo - 1, d, h, mi, s);
+}
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  seed,
+  isDuplicate,
+  remember,
+  rememberRejected,
+  last,
+  lastRejected,
+  snapshot,
+  restore,
+  sortByGpsTime,
+  prune,
+  stats,
+  HEARTBEAT_MINUTES,
+};
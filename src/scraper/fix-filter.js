@@ -0,0 +1,174 @@
+/**
+ * Fix Filter - Control de calidad de fixes GPS antes de guardarlos
+ *
+ * Responsabilidades:
+ *  - Rechazar fixes en puntos de respaldo cerca de 0,0 (origen)
+ *  - Rechazar saltos fisicamente imposibles (velocidad implicita contra el
+ *    ultimo fix aceptado mayor a MAX_SPEED_KMH)
+ *  - Colapsar la deriva de vehiculos estacionados (30-80 m) a la posicion
+ *    del ultimo fix aceptado, para que stop-detector.segmentTrack y la
+ *    polilinea del mapa no vean movimiento falso
+ *  - Suavizado exponencial opcional del trazo (SCRAPER_SMOOTHING_ALPHA)
+ *
+ * Los rechazados NO se pierden: coordinator los guarda con
+ * op_coordinates.calidad = 'rechazado' y el motivo en calidad_motivo;
+ * no mueven la ultima posicion del viaje ni entran al analisis de paros.
+ *
+ * Si dos fixes rechazados seguidos son consistentes entre si (velocidad
+ * posible) el vehiculo realmente cambio de lugar (ej. GPS apagado en el
+ * trayecto) y el segundo se acepta.
+ */
+
+'use strict';
+
+const { haversineDistance } = require('../utils/geo');
+const time = require('../utils/time');
+
+/** Velocidad implicita maxima antes de considerar un salto */
+const MAX_SPEED_KMH = parseInt(process.env.SCRAPER_MAX_SPEED_KMH || '200', 10);
+
+/** Distancia minima para evaluar saltos (el ruido en pocos segundos no cuenta) */
+const JUMP_MIN_METERS = 1000;
+
+/** Radio de deriva de un vehiculo detenido */
+const DRIFT_RADIUS_METERS = parseInt(process.env.SCRAPER_DRIFT_RADIUS_M || '80', 10);
+
+/** Velocidad (km/h) por debajo de la cual un fix se considera detenido */
+const STOPPED_SPEED_KMH = 5;
+
+/** Factor del suavizado exponencial (0 = desactivado, 1 = sin suavizar) */
+const SMOOTHING_ALPHA = Math.min(1, Math.max(0, parseFloat(process.env.SCRAPER_SMOOTHING_ALPHA || '0')));
+
+/** Caja alrededor de 0,0 donde caen los fixes de respaldo de algunas plataformas */
+const ORIGIN_BOX_DEG = 0.5;
+
+/** Valores de op_coordinates.calidad */
+const QUALITY = {
+  OK: 'ok',
+  DRIFT: 'deriva',
+  SMOOTHED: 'suavizado',
+  REJECTED: 'rechazado',
+};
+
+// ---------------------------------------------------------------------------
+// Evaluacion
+// ---------------------------------------------------------------------------
+
+/**
+ * Evalua un fix contra el ultimo aceptado del mismo viaje/dispositivo.
+ *
+ * @param {object|null} last - Ultimo fix aceptado { lat, lng, gpsTime, savedAt } (fix-cache)
+ * @param {object} coord - { lat, lng, speed?, isStop?, timestamp? }
+ * @param {object|null} [lastRejected] - Ultimo fix rechazado del mismo viaje/dispositivo
+ * @returns {{quality: string, reason: string|null, lat: number, lng: number}}
+ */
+function evaluate(last, coord, lastRejected = null) {
+  const result = { quality: QUALITY.OK, reason: null, lat: coord.lat, lng: coord.lng };
+
+  if (Math.abs(coord.lat) < ORIGIN_BOX_DEG && Math.abs(coord.lng) < ORIGIN_BOX_DEG) {
+    return { ...result, quality: QUALITY.REJECTED, reason: 'Punto de respaldo cerca de 0,0' };
+  }
+
+  if (!last || typeof last.lat !== 'number') return result;
+
+  const meters = haversineDistance(last.lat, last.lng, coord.lat, coord.lng);
+  const elapsedMs = _elapsedMs(last, coord);
+  const impliedKmh = elapsedMs > 0 ? (meters / 1000) / (elapsedMs / 3600000) : null;
+
+  // 1. Salto imposible
+  if (meters >= JUMP_MIN_METERS && (impliedKmh === null || impliedKmh > MAX_SPEED_KMH)) {
+    if (lastRejected && _consistent(lastRejected, coord)) {
+      return { ...result, reason: 'Reubicado: dos fixes seguidos en la nueva posicion' };
+    }
+    const speedText = impliedKmh === null ? 'sin tiempo' : `${Math.round(impliedKmh)} km/h`;
+    return {
+      ...result,
+      quality: QUALITY.REJECTED,
+      reason: `Salto de ${(meters / 1000).toFixed(1)} km (${speedText}, max ${MAX_SPEED_KMH})`,
+    };
+  }
+
+  // 2. Deriva de un vehiculo detenido
+  if (meters < DRIFT_RADIUS_METERS && _isStopped(coord, impliedKmh)) {
+    if (meters < 1) return result;
+    return {
+      quality: QUALITY.DRIFT,
+      reason: `Deriva de ${Math.round(meters)} m colapsada`,
+      lat: last.lat,
+      lng: last.lng,
+    };
+  }
+
+  // 3. Suavizado opcional del trazo en movimiento
+  if (SMOOTHING_ALPHA > 0 && SMOOTHING_ALPHA < 1) {
+    return {
+      quality: QUALITY.SMOOTHED,
+      reason: `Suavizado (alpha ${SMOOTHING_ALPHA})`,
+      lat: last.lat + SMOOTHING_ALPHA * (coord.lat - last.lat),
+      lng: last.lng + SMOOTHING_ALPHA * (coord.lng - last.lng),
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Configuracion activa (para /api/scraper/status).
+ * @returns {object}
+ */
+function config() {
+  return {
+    maxSpeedKmh: MAX_SPEED_KMH,
+    driftRadiusMeters: DRIFT_RADIUS_METERS,
+    smoothingAlpha: SMOOTHING_ALPHA,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Tiempo entre el ultimo fix y el nuevo: fecha_gps si ambos la tienen,
+ * si no el reloj local desde que se guardo el anterior.
+ * @private
+ */
+function _elapsedMs(last, coord) {
+  const gpsDate = time.parseDbDate(coord.timestamp);
+  if (gpsDate && last.gpsTime) return gpsDate.getTime() - last.gpsTime;
+  return last.savedAt ? Date.now() - last.savedAt : 0;
+}
+
+/**
+ * El fix reporta estar detenido (isStop, velocidad baja) o, sin velocidad,
+ * su velocidad implicita es baja.
+ * @private
+ */
+function _isStopped(coord, impliedKmh) {
+  if (coord.isStop === true) return true;
+  if (coord.speed !== undefined && coord.speed !== null && !isNaN(coord.speed)) {
+    return coord.speed <= STOPPED_SPEED_KMH;
+  }
+  return impliedKmh === null || impliedKmh <= STOPPED_SPEED_KMH;
+}
+
+/**
+ * Dos fixes rechazados que son consistentes entre si (velocidad posible).
+ * @private
+ */
+function _consistent(previous, coord) {
+  const meters = haversineDistance(previous.lat, previous.lng, coord.lat, coord.lng);
+  if (meters < DRIFT_RADIUS_METERS) return true;
+  const elapsedMs = _elapsedMs(previous, coord);
+  return elapsedMs > 0 && (meters / 1000) / (elapsedMs / 3600000) <= MAX_SPEED_KMH;
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  evaluate,
+  config,
+  QUALITY,
+};
@@ -0,0 +1,615 @@
+/**
+ * Fixtures - Grabar y reproducir intercambios HTTP de los adaptadores
+ *
+ * Responsabilidades:
+ *  - Grabar (SCRAPER_RECORD_FIXTURES=1) cada request/respuesta que hace un
+ *    adaptador via axios en un archivo JSON por fetch, junto con el resumen
+ *    del resultado (conteo de coordenadas, campos y muestra)
+ *  - Reproducir un fixture: las llamadas axios del adaptador se sirven del
+ *    archivo en lugar de la red (transporte de replay para http-fetcher)
+ *  - Resumir y comparar resultados para scripts/replay-fixtures.js
+ *
+ * Igual que request-trace.js, los interceptores se instalan una sola vez
+ * sobre la instancia global de axios y solo actuan dentro de record() o
+ * replay() (AsyncLocalStorage), asi que los adaptadores no cambian.
+ *
+ * Formato del archivo (fixtures/providers/<adaptador>/<fecha>-<host>.json):
+ *   {
+ *     adapter, recordedAt, provider: { url, plataforma, username, password, receta, zona_horaria },
+ *     exchanges: [{ request: { method, url, headers, body }, response: { status, headers, bodyType, body }, error }],
+ *     result: { count, devices, fields, sample, error }
+ *   }
+ *
+ * Cookies, Authorization y password se guardan redactados: tambien los campos
+ * tipo password/token de los bodies (form o JSON, p. ej. el login de Traccar)
+ * y cualquier aparicion del password del proveedor (recetas con {{password}}).
+ * El replay empareja por metodo y URL, no necesita los bodies. Las URLs de
+ * share link se conservan tal cual (el replay las usa para emparejar requests).
+ * scripts/replay-fixtures.js falla con un fixture que trae credenciales.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+const time = require('../utils/time');
+
+const LOG_PREFIX = '[Fixtures]';
+
+/** Directorio raiz de los fixtures */
+const FIXTURES_DIR = process.env.SCRAPER_FIXTURES_DIR
+  || path.join(__dirname, '..', '..', 'fixtures', 'providers');
+
+/** Headers que nunca se escriben en un fixture */
+const REDACTED_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+const REDACTED = '[redactado]';
+
+/** Campos de body de request que se redactan (login, tokens, api keys) */
+const SECRET_FIELD_RE = /pass|pwd|token|secret|api[-_]?key/i;
+
+/** Longitud minima del password del proveedor para buscarlo en el fixture */
+const MIN_SECRET_LENGTH = 4;
+
+/** Coordenadas de muestra guardadas en el resumen */
+const SAMPLE_SIZE = 3;
+
+/** Campos comparados entre la muestra grabada y la del replay */
+const SAMPLE_FIELDS = ['lat', 'lng', 'speed', 'heading', 'timestamp', 'deviceId', 'deviceName', 'uniqueId'];
+
+const storage = new AsyncLocalStorage();
+
+/** Interceptores instalados (una sola vez por proceso) */
+let installed = false;
+
+// ---------------------------------------------------------------------------
+// Grabacion
+// ---------------------------------------------------------------------------
+
+/**
+ * true si SCRAPER_RECORD_FIXTURES esta activo (se lee en cada fetch para
+ * poder activarlo sin reiniciar el proceso).
+ * @returns {boolean}
+ */
+function recording() {
+  return process.env.SCRAPER_RECORD_FIXTURES === '1';
+}
+
+/**
+ * Ejecuta fn grabando sus llamadas HTTP y escribe el fixture al terminar
+ * (tambien si fn lanza). Escribir nunca lanza.
+ *
+ * @param {object} provider - Fila de conf_providers (o { url, ... })
+ * @param {string} adapterName - Adaptador que atiende el fetch
+ * @param {Function} fn - adapter.fetch envuelto
+ * @returns {Promise<any>} Resultado de fn
+ */
+async function record(provider, adapterName, fn) {
+  _install();
+
+  const store = { mode: 'record', exchanges: [], secret: provider && provider.password ? String(provider.password) : null };
+  let result = null;
+  let error = null;
+
+  try {
+    result = await storage.run(store, fn);
+    return result;
+  } catch (err) {
+    error = err;
+    throw err;
+  } finally {
+    _write({
+      adapter: adapterName,
+      recordedAt: time.toDbDate(),
+      provider: _providerFields(provider),
+      exchanges: store.exchanges,
+      result: summarize(result, error),
+    });
+  }
+}
+
+/**
+ * @private
+ */
+function _write(fixture) {
+  try {
+    const dir = path.join(FIXTURES_DIR, fixture.adapter);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const stamp = fixture.recordedAt.replace(/[-: ]/g, '').replace(/^(\d{8})/, '$1-');
+    const host = _host(fixture.provider.url).replace(/[^a-z0-9.-]/gi, '_') || 'sin-host';
+    let file = path.join(dir, `${stamp}-${host}.json`);
+    for (let n = 2; fs.existsSync(file); n++) {
+      file = path.join(dir, `${stamp}-${host}-${n}.json`);
+    }
+
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+    log('info', `Fixture grabado: ${path.relative(process.cwd(), file)} (${fixture.exchanges.length} requests, ${fixture.result.count} coords)`);
+  } catch (err) {
+    log('warn', `No se pudo escribir el fixture de ${fixture.adapter}: ${err.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Replay
+// ---------------------------------------------------------------------------
+
+/**
+ * Ejecuta fn sirviendo sus llamadas axios desde el fixture. Cada request se
+ * empareja con el primer intercambio no usado del mismo metodo y URL (luego
+ * mismo metodo y ruta sin query). Sin pareja la llamada falla como error de
+ * red, asi el adaptador recorre sus caminos de error igual que en produccion.
+ *
+ * @param {object} fixture - Contenido de un archivo de fixture
+ * @param {Function} fn - adapter.fetch envuelto
+ * @returns {Promise<any>} Resultado de fn
+ */
+async function replay(fixture, fn) {
+  _install();
+
+  const store = {
+    mode: 'replay',
+    exchanges: (fixture.exchanges || []).map(e => ({ ...e, used: false })),
+    unmatched: [],
+  };
+  const result = await storage.run(store, fn);
+
+  if (store.unmatched.length > 0) {
+    log('warn', `Replay: ${store.unmatched.length} requests sin fixture (${store.unmatched.slice(0, 3).join(', ')})`);
+  }
+  return result;
+}
+
+/**
+ * Adaptador de axios para replay (sustituye a http/xhr en el config).
+ * @private
+ */
+function _replayAdapter(config) {
+  const store = storage.getStore();
+  const method = String(config.method || 'get').toUpperCase();
+  const url = _fullUrl(config);
+
+  const exchange = _match(store.exchanges, method, url);
+  if (!exchange) {
+    store.unmatched.push(`${method} ${url}`);
+    return Promise.reject(new axios.AxiosError(`Sin fixture para ${method} ${url}`, 'ERR_FIXTURE', config));
+  }
+  exchange.used = true;
+
+  if (!exchange.response) {
+    return Promise.reject(new axios.AxiosError(exchange.error || 'Error de red grabado', 'ERR_NETWORK', config));
+  }
+
+  const { status, headers, bodyType, body } = exchange.response;
+  const response = {
+    data: bodyType === 'json' ? JSON.stringify(body)
+      : bodyType === 'base64' ? Buffer.from(body, 'base64')
+      : body,
+    status,
+    statusText: String(status),
+    headers: new axios.AxiosHeaders(headers || {}),
+    config,
+    request: {},
+  };
+
+  const valid = !config.validateStatus || config.validateStatus(status);
+  if (valid) return Promise.resolve(response);
+
+  return Promise.reject(new axios.AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST',
+    config,
+    response.request,
+    response
+  ));
+}
+
+/**
+ * @private
+ */
+function _match(exchanges, method, url) {
+  const sameMethod = exchanges.filter(e => !e.used && e.request && e.request.method === method);
+  return sameMethod.find(e => e.request.url === url)
+    || sameMethod.find(e => _pathOf(e.request.url) === _pathOf(url))
+    || null;
+}
+
+// ---------------------------------------------------------------------------
+// Interceptores
+// ---------------------------------------------------------------------------
+
+/**
+ * @private
+ */
+function _install() {
+  if (installed) return;
+  installed = true;
+
+  axios.interceptors.request.use((config) => {
+    const store = storage.getStore();
+    if (store && store.mode === 'replay') config.adapter = _replayAdapter;
+    if (store && store.mode === 'record') config.fixtureRecording = true;
+    return config;
+  });
+
+  axios.interceptors.response.use(
+    (response) => {
+      _recordExchange(response.config, response, null);
+      return response;
+    },
+    (err) => {
+      _recordExchange(err.config, err.response, err);
+      return Promise.reject(err);
+    }
+  );
+}
+
+/**
+ * @private
+ */
+function _recordExchange(config, response, err) {
+  const store = storage.getStore();
+  if (!store || store.mode !== 'record' || !config || !config.fixtureRecording) return;
+
+  store.exchanges.push({
+    request: _scrubSecret({
+      method: String(config.method || 'get').toUpperCase(),
+      url: _fullUrl(config),
+      headers: _redactHeaders(config.headers),
+      body: config.data === undefined ? null : _redactBody(_bodyValue(config.data).body),
+    }, store.secret),
+    response: response
+      ? { status: response.status, headers: _redactHeaders(response.headers), ..._bodyValue(response.data) }
+      : null,
+    error: err ? err.message : null,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Resumen y comparacion
+// ---------------------------------------------------------------------------
+
+/**
+ * Resumen comparable del resultado de un adaptador.
+ * @param {object|null} result - { coords, ... } del adaptador
+ * @param {Error} [error]
+ * @returns {{count: number, devices: number, fields: string[], sample: object[], error: string|null}}
+ */
+function summarize(result, error) {
+  const coords = (result && result.coords) || [];
+  const fields = new Set();
+  for (const c of coords) {
+    for (const key of Object.keys(c)) {
+      if (key !== 'raw' && c[key] !== undefined) fields.add(key);
+    }
+  }
+
+  return {
+    count: coords.length,
+    devices: new Set(coords.map(c => c.deviceId || c.uniqueId || c.deviceName || null)).size,
+    fields: [...fields].sort(),
+    sample: coords.slice(0, SAMPLE_SIZE).map(c => _pick(c, SAMPLE_FIELDS)),
+    error: error ? error.message : (result && result.error) || null,
+  };
+}
+
+/**
+ * Diferencias entre el resumen grabado y el de un replay.
+ * @param {object} before - fixture.result
+ * @param {object} after - summarize() del replay
+ * @returns {Array<string>} Descripcion de cada cambio (vacio = sin cambios)
+ */
+function compare(before, after) {
+  const changes = [];
+  before = before || {};
+
+  if ((before.count || 0) !== after.count) changes.push(`coordenadas ${before.count || 0} → ${after.count}`);
+  if ((before.devices || 0) !== after.devices) changes.push(`dispositivos ${before.devices || 0} → ${after.devices}`);
+  if ((before.error || null) !== after.error) changes.push(`error "${before.error || ''}" → "${after.error || ''}"`);
+
+  const beforeFields = new Set(before.fields || []);
+  const afterFields = new Set(after.fields);
+  const added = after.fields.filter(f => !beforeFields.has(f));
+  const removed = [...beforeFields].filter(f => !afterFields.has(f));
+  if (added.length > 0) changes.push(`campos nuevos: ${added.join(', ')}`);
+  if (removed.length > 0) changes.push(`campos perdidos: ${removed.join(', ')}`);
+
+  const beforeSample = before.sample || [];
+  after.sample.forEach((coord, i) => {
+    const prev = beforeSample[i];
+    if (!prev) return;
+    for (const field of SAMPLE_FIELDS) {
+      if (!(field in prev) || !(field in coord)) continue;
+      if (JSON.stringify(prev[field]) !== JSON.stringify(coord[field])) {
+        changes.push(`coord #${i + 1} ${field}: ${JSON.stringify(prev[field])} → ${JSON.stringify(coord[field])}`);
+      }
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Credenciales sin redactar en un fixture: password del proveedor y campos
+ * tipo password/token en los bodies de request (fixtures grabados antes de
+ * la redaccion o editados a mano).
+ * @param {object} fixture
+ * @returns {Array<string>} Descripcion de cada hallazgo (vacio = limpio)
+ */
+function leaks(fixture) {
+  const found = [];
+  const password = fixture.provider && fixture.provider.password;
+  if (password && password !== REDACTED) found.push('provider.password');
+
+  (fixture.exchanges || []).forEach((exchange, i) => {
+    const body = exchange.request && exchange.request.body;
+    if (body === null || body === undefined || body === '') return;
+    for (const field of _secretFields(_parseBody(body).value)) {
+      found.push(`request #${i + 1} ${field}`);
+    }
+  });
+  return found;
+}
+
+// ---------------------------------------------------------------------------
+// Archivos
+// ---------------------------------------------------------------------------
+
+/**
+ * Rutas de los fixtures bajo un directorio (o el archivo mismo).
+ * @param {string} [target=FIXTURES_DIR]
+ * @returns {Array<string>}
+ */
+function list(target = FIXTURES_DIR) {
+  if (!fs.existsSync(target)) return [];
+  if (fs.statSync(target).isFile()) return [target];
+
+  const files = [];
+  for (const entry of fs.readdirSync(target, { withFileTypes: true })) {
+    const full = path.join(target, entry.name);
+    if (entry.isDirectory()) files.push(...list(full));
+    else if (entry.name.endsWith('.json')) files.push(full);
+  }
+  return files.sort();
+}
+
+/**
+ * @param {string} file
+ * @returns {object}
+ */
+function load(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Reescribe el resumen grabado de un fixture (scripts/replay-fixtures.js --update).
+ * @param {string} file
+ * @param {object} fixture
+ * @param {object} result - summarize() del replay
+ */
+function updateResult(file, fixture, result) {
+  fs.writeFileSync(file, JSON.stringify({ ...fixture, result }, null, 2) + '\n');
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * @private
+ */
+function _providerFields(provider) {
+  const p = typeof provider === 'string' ? { url: provider } : (provider || {});
+  return {
+    url: p.url || null,
+    plataforma: p.plataforma || null,
+    username: p.username || null,
+    password: p.password ? REDACTED : null,
+    receta: p.receta || null,
+    zona_horaria: p.zona_horaria || null,
+  };
+}
+
+/**
+ * @private
+ */
+function _redactHeaders(headers) {
+  const plain = headers && typeof headers.toJSON === 'function' ? headers.toJSON() : (headers || {});
+  const out = {};
+  for (const [key, value] of Object.entries(plain)) {
+    if (value === undefined || value === null || typeof value === 'object' && !Array.isArray(value)) continue;
+    out[key] = REDACTED_HEADERS.includes(key.toLowerCase()) ? REDACTED : value;
+  }
+  return out;
+}
+
+/**
+ * Body de request con los campos tipo password/token redactados. Los bodies
+ * en texto se leen como JSON o form (email=...&password=...) y se vuelven a
+ * serializar igual; otro texto se deja como esta.
+ * @private
+ */
+function _redactBody(body) {
+  const parsed = _parseBody(body);
+  if (parsed.type === 'json') {
+    const value = _redactFields(parsed.value);
+    return typeof body === 'string' ? JSON.stringify(value) : value;
+  }
+  if (parsed.type === 'form') {
+    const params = new URLSearchParams();
+    for (const [key, item] of new URLSearchParams(String(body).trim())) {
+      const nested = _jsonValue(item);
+      params.append(key, SECRET_FIELD_RE.test(key) ? REDACTED
+        : nested !== undefined ? JSON.stringify(_redactFields(nested)) : item);
+    }
+    return params.toString();
+  }
+  return body;
+}
+
+/**
+ * Body de request como objeto: { type: 'json' | 'form' | 'text', value }.
+ * Los campos de form con JSON (params={"token":...} de Wialon) se parsean.
+ * @private
+ */
+function _parseBody(body) {
+  if (body && typeof body === 'object') return { type: 'json', value: body };
+
+  const text = String(body).trim();
+  const json = _jsonValue(text);
+  if (json !== undefined) return { type: 'json', value: json };
+
+  if (/^[^=&\s]+=[^&\s]*(?:&[^=&\s]+=[^&\s]*)*$/.test(text)) {
+    const value = {};
+    for (const [key, item] of new URLSearchParams(text)) {
+      const nested = _jsonValue(item);
+      value[key] = nested !== undefined ? nested : item;
+    }
+    return { type: 'form', value };
+  }
+  return { type: 'text', value: body };
+}
+
+/**
+ * Objeto o arreglo JSON de un texto, undefined si no lo es.
+ * @private
+ */
+function _jsonValue(text) {
+  if (!/^\s*[[{]/.test(text)) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Copia de un valor JSON con los campos tipo password/token redactados.
+ * @private
+ */
+function _redactFields(value) {
+  if (Array.isArray(value)) return value.map(_redactFields);
+  if (!value || typeof value !== 'object') return value;
+
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    out[key] = SECRET_FIELD_RE.test(key) && item !== null && typeof item !== 'object'
+      ? REDACTED
+      : _redactFields(item);
+  }
+  return out;
+}
+
+/**
+ * Rutas de los campos tipo password/token con valor sin redactar.
+ * @private
+ */
+function _secretFields(value, prefix = '') {
+  if (!value || typeof value !== 'object') return [];
+
+  const found = [];
+  for (const [key, item] of Object.entries(value)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (item && typeof item === 'object') found.push(..._secretFields(item, field));
+    else if (SECRET_FIELD_RE.test(key) && item !== null && item !== '' && item !== REDACTED) found.push(field);
+  }
+  return found;
+}
+
+/**
+ * Reemplaza el password del proveedor (tal cual y url-encoded) en todos los
+ * textos de un valor: cubre bodies de receta con {{password}} en cualquier campo.
+ * @private
+ */
+function _scrubSecret(value, secret) {
+  if (!secret || secret.length < MIN_SECRET_LENGTH) return value;
+  if (typeof value === 'string') {
+    return value.split(secret).join(REDACTED).split(encodeURIComponent(secret)).join(REDACTED);
+  }
+  if (Array.isArray(value)) return value.map(item => _scrubSecret(item, secret));
+  if (!value || typeof value !== 'object') return value;
+
+  const out = {};
+  for (const [key, item] of Object.entries(value)) out[key] = _scrubSecret(item, secret);
+  return out;
+}
+
+/**
+ * Body de request/respuesta a un valor serializable.
+ * @private
+ */
+function _bodyValue(data) {
+  if (data === null || data === undefined) return { bodyType: 'text', body: '' };
+  if (Buffer.isBuffer(data)) return { bodyType: 'base64', body: data.toString('base64') };
+  if (typeof data === 'string') return { bodyType: 'text', body: data };
+  if (data instanceof URLSearchParams) return { bodyType: 'text', body: data.toString() };
+  return { bodyType: 'json', body: data };
+}
+
+/**
+ * URL con los params de axios (config.params) incluidos.
+ * @private
+ */
+function _fullUrl(config) {
+  const url = config.url || '';
+  if (!config.params || typeof config.params !== 'object') return url;
+  const query = new URLSearchParams(config.params).toString();
+  if (!query) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+}
+
+/**
+ * @private
+ */
+function _pathOf(url) {
+  return String(url || '').split(/[?#]/)[0];
+}
+
+/**
+ * @private
+ */
+function _host(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * @private
+ */
+function _pick(obj, fields) {
+  const out = {};
+  for (const f of fields) {
+    if (obj[f] !== undefined) out[f] = obj[f];
+  }
+  return out;
+}
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  recording,
+  record,
+  replay,
+  summarize,
+  compare,
+  list,
+  load,
+  updateResult,
+  leaks,
+  FIXTURES_DIR,
+};
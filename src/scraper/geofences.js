@@ -0,0 +1,540 @@
+/**
+ * Geofences - Evalua geocercas (conf_geocercas) contra los fixes de cada viaje
+ *
+ * Responsabilidades:
+ *  - Cargar las geocercas activas (circulos y poligonos, globales o de un
+ *    viaje) con un cache corto; las rutas de /geocercas lo invalidan
+ *  - Recorrer los fixes aceptados de cada lote en orden de fecha GPS y
+ *    detectar entrada, salida y permanencia por geocerca
+ *  - Llevar las visitas abiertas en op_geocerca_visitas (una por viaje y
+ *    geocerca mientras la unidad sigue dentro)
+ *  - Registrar los eventos en eventos_unidad:
+ *      entrada      → llegada_destino / llegada_punto_logistico segun el
+ *                     tipo de la geocerca, geocerca_entrada en zonas
+ *      salida       → geocerca_salida
+ *      permanencia  → geocerca_permanencia (una vez por visita, al pasar
+ *                     permanencia_min)
+ *  - Encolar alertas para vapi-trigger.processGeofenceAlerts cuando el
+ *    evento coincide con conf_geocercas.llamada_ia y el viaje tiene las
+ *    llamadas IA activas (server.js las toma con takeAlerts)
+ *
+ * coordinator llama a evaluate() despues de guardar cada lote (scrape y
+ * push). Para salir se exige alejarse GEOFENCE_EXIT_MARGIN_M del borde:
+ * un vehiculo estacionado en la orilla no entra y sale con cada fix.
+ */
+
+'use strict';
+
+const { haversineDistance, EARTH_RADIUS_METERS } = require('../utils/geo');
+const time = require('../utils/time');
+const { internalClient: api } = require('../api/client');
+
+const LOG_PREFIX = '[Geofences]';
+
+/** Distancia fuera del borde para dar por terminada una visita */
+const EXIT_MARGIN_METERS = Math.max(0, parseInt(process.env.GEOFENCE_EXIT_MARGIN_M || '30', 10));
+
+/** Vigencia del cache de geocercas activas */
+const FENCE_CACHE_TTL_MS = 60 * 1000;
+
+/** Evento de entrada por tipo de geocerca */
+const ENTRY_EVENTS = {
+  destino: 'llegada_destino',
+  punto_logistico: 'llegada_punto_logistico',
+  zona: 'geocerca_entrada',
+};
+
+/** Texto de {{evento_geocerca}} en el prompt saliente 'geocercas' */
+const PROMPT_EVENTS = {
+  entrada: 'entro a',
+  salida: 'salio de',
+  permanencia: 'sigue dentro de',
+};
+
+/** Geocercas activas: { loadedAt, fences } */
+let fenceCache = { loadedAt: 0, fences: [] };
+
+/** Visitas abiertas: tripId -> Map(id_geocerca -> { id, entrada: Date, notificada }) */
+const openVisits = new Map();
+
+/** Evaluacion en curso por viaje (push puede traer dos lotes a la vez) */
+const tripLocks = new Map();
+
+/** Alertas pendientes para vapi-trigger */
+let pendingAlerts = [];
+
+// ---------------------------------------------------------------------------
+// Evaluacion
+// ---------------------------------------------------------------------------
+
+/**
+ * Evalua los fixes aceptados de un lote contra las geocercas del viaje.
+ * Los errores se registran y no interrumpen el guardado de coordenadas.
+ *
+ * @param {object} trip - Viaje en ruta ({ id, placas_unidad, ... })
+ * @param {Array<object>} fixes - Fixes aceptados { lat, lng, timestamp } en orden de fecha GPS
+ * @returns {Promise<number>} Eventos registrados
+ */
+function evaluate(trip, fixes) {
+  const tripId = Number(trip.id);
+  const previous = tripLocks.get(tripId) || Promise.resolve();
+
+  const run = previous.then(() => _evaluateTrip(tripId, fixes)).catch((err) => {
+    log('error', `Viaje ${tripId}: error evaluando geocercas: ${err.message}`);
+    return 0;
+  });
+
+  tripLocks.set(tripId, run);
+  run.then(() => {
+    if (tripLocks.get(tripId) === run) tripLocks.delete(tripId);
+  });
+  return run;
+}
+
+/**
+ * @private
+ */
+async function _evaluateTrip(tripId, fixes) {
+  if (!fixes || fixes.length === 0) return 0;
+
+  const fences = (await _activeFences()).filter(f => f.id_unidad_viaje === null || f.id_unidad_viaje === tripId);
+  const visits = await _openVisitsFor(tripId);
+  if (fences.length === 0 && visits.size === 0) return 0;
+
+  await _closeOrphanVisits(tripId, visits, fences);
+
+  let events = 0;
+  for (const fix of fixes) {
+    const at = (fix.timestamp && time.parseDbDate(fix.timestamp)) || new Date();
+
+    for (const fence of fences) {
+      const outside = distanceOutside(fence, fix.lat, fix.lng);
+      const visit = visits.get(fence.id);
+
+      if (!visit) {
+        if (outside === 0) {
+          await _enter(tripId, fence, fix, at, visits);
+          events++;
+        }
+      } else if (outside > EXIT_MARGIN_METERS) {
+        await _exit(tripId, fence, fix, at, visit, visits);
+        events++;
+      } else if (fence.permanencia_min && !visit.notificada &&
+                 at - visit.entrada >= fence.permanencia_min * 60000) {
+        await _dwell(tripId, fence, fix, at, visit);
+        events++;
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Entrada: abre la visita y registra la llegada / entrada.
+ * @private
+ */
+async function _enter(tripId, fence, fix, at, visits) {
+  const result = await api.insert('op_geocerca_visitas', {
+    id_geocerca: fence.id,
+    id_unidad_viaje: tripId,
+    entrada: time.toDbDate(at),
+  });
+  // La API .NET retorna {id: X} en el insert
+  const visitId = result?.id || result?.Id || await _findOpenVisitId(tripId, fence.id);
+  visits.set(fence.id, { id: visitId || null, entrada: at, notificada: false });
+
+  const tipoEvento = ENTRY_EVENTS[fence.tipo] || ENTRY_EVENTS.zona;
+  const descripcion = fence.tipo === 'destino'
+    ? `Llego al destino "${fence.nombre}"`
+    : fence.tipo === 'punto_logistico'
+      ? `Llego al punto logistico "${fence.nombre}"`
+      : `Entro a la geocerca "${fence.nombre}"`;
+
+  log('info', `Viaje ${tripId}: entrada a "${fence.nombre}" (${fence.id})`);
+  await _logEvent(tripId, tipoEvento, `${descripcion} (${_formatPoint(fix)})`, at);
+  await _queueAlert(tripId, fence, fix, 'entrada', descripcion);
+}
+
+/**
+ * Salida: cierra la visita con la hora del primer fix fuera del margen.
+ * @private
+ */
+async function _exit(tripId, fence, fix, at, visit, visits) {
+  visits.delete(fence.id);
+  if (visit.id) {
+    await api.update('op_geocerca_visitas', visit.id, { salida: time.toDbDate(at) });
+  }
+
+  const minutes = Math.max(0, Math.round((at - visit.entrada) / 60000));
+  const descripcion = `Salio de la geocerca "${fence.nombre}" despues de ${minutes} min`;
+
+  log('info', `Viaje ${tripId}: salida de "${fence.nombre}" (${fence.id}) tras ${minutes} min`);
+  await _logEvent(tripId, 'geocerca_salida', `${descripcion} (${_formatPoint(fix)})`, at);
+  await _queueAlert(tripId, fence, fix, 'salida', descripcion);
+}
+
+/**
+ * Permanencia: la unidad sigue dentro despues de permanencia_min.
+ * @private
+ */
+async function _dwell(tripId, fence, fix, at, visit) {
+  visit.notificada = true;
+  if (visit.id) {
+    await api.update('op_geocerca_visitas', visit.id, { permanencia_notificada: 1 });
+  }
+
+  const minutes = Math.round((at - visit.entrada) / 60000);
+  const descripcion = `Lleva ${minutes} min dentro de la geocerca "${fence.nombre}" (limite ${fence.permanencia_min} min)`;
+
+  log('warn', `Viaje ${tripId}: ${descripcion}`);
+  await _logEvent(tripId, 'geocerca_permanencia', descripcion, at);
+  await _queueAlert(tripId, fence, fix, 'permanencia', descripcion);
+}
+
+/**
+ * Cierra sin evento las visitas de geocercas que se desactivaron o se
+ * borraron (ya no se puede medir la salida).
+ * @private
+ */
+async function _closeOrphanVisits(tripId, visits, fences) {
+  const fenceIds = new Set(fences.map(f => f.id));
+
+  for (const [fenceId, visit] of visits) {
+    if (fenceIds.has(fenceId)) continue;
+    visits.delete(fenceId);
+    if (visit.id) {
+      await api.update('op_geocerca_visitas', visit.id, { salida: time.toDbDate() }).catch(() => {});
+    }
+    log('info', `Viaje ${tripId}: visita a geocerca ${fenceId} cerrada (geocerca inactiva)`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Alertas para vapi-trigger
+// ---------------------------------------------------------------------------
+
+/**
+ * Encola una alerta si la geocerca pide llamada para este evento y el
+ * viaje tiene las llamadas IA activas.
+ * @private
+ */
+async function _queueAlert(tripId, fence, fix, evento, descripcion) {
+  if (fence.llamada_ia !== evento) return;
+
+  const tripInfo = await _loadTripInfo(tripId);
+  if (!tripInfo || Number(tripInfo.ia_llamadas_activas) !== 1) return;
+
+  const km = haversineDistance(fence.lat, fence.lng, fix.lat, fix.lng) / 1000;
+
+  pendingAlerts.push({
+    tripId,
+    tripInfo,
+    estado: `geocerca_${evento}`,
+    reason: 'geofence',
+    promptExtra: {
+      evento_geocerca: PROMPT_EVENTS[evento],
+      nombre_zona: fence.nombre,
+      distancia_km: km.toFixed(1),
+    },
+    minutes: 0,
+    stoppedMinutes: 0,
+    lastLat: fix.lat,
+    lastLng: fix.lng,
+    motivo: `${descripcion}. Ubicacion: ${_formatPoint(fix)}.`,
+  });
+}
+
+/**
+ * Entrega y vacia las alertas pendientes.
+ * @returns {Array<object>}
+ */
+function takeAlerts() {
+  const alerts = pendingAlerts;
+  pendingAlerts = [];
+  return alerts;
+}
+
+/**
+ * Datos del viaje para el prompt de la llamada.
+ * @private
+ */
+async function _loadTripInfo(tripId) {
+  try {
+    const rows = await api.query(
+      `SELECT id, placas_unidad, nombre_operador, telefono_operador,
+              ultima_lat, ultima_lng, estado_actual,
+              umbral_paro_minutos, ia_llamadas_activas
+       FROM unidades_viajes WHERE id = ${parseInt(tripId)}`
+    );
+    return rows && rows[0] ? rows[0] : null;
+  } catch (err) {
+    log('error', `Error cargando viaje ${tripId}:`, err.message);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Geometria
+// ---------------------------------------------------------------------------
+
+/**
+ * Metros entre un punto y el borde de la geocerca (0 = dentro).
+ * @param {object} fence - Geocerca normalizada (ver _normalizeFence)
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {number}
+ */
+function distanceOutside(fence, lat, lng) {
+  if (fence.forma === 'circulo') {
+    return Math.max(0, haversineDistance(fence.lat, fence.lng, lat, lng) - fence.radio);
+  }
+
+  // Poligono: proyeccion local en metros alrededor de su centro
+  const p = _project(fence, lat, lng);
+  const pts = fence.vertices.map(v => _project(fence, v[0], v[1]));
+
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const a = pts[i];
+    const b = pts[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  if (inside) return 0;
+
+  let min = Infinity;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    min = Math.min(min, _segmentDistance(p, pts[j], pts[i]));
+  }
+  return min;
+}
+
+/**
+ * Equirectangular local: suficiente para zonas de unos cuantos kilometros.
+ * @private
+ */
+function _project(fence, lat, lng) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  return {
+    x: toRad(lng - fence.lng) * Math.cos(toRad(fence.lat)) * EARTH_RADIUS_METERS,
+    y: toRad(lat - fence.lat) * EARTH_RADIUS_METERS,
+  };
+}
+
+/**
+ * Distancia de p al segmento a-b (plano).
+ * @private
+ */
+function _segmentDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// ---------------------------------------------------------------------------
+// Carga de geocercas y visitas
+// ---------------------------------------------------------------------------
+
+/**
+ * Geocercas activas normalizadas (cache de FENCE_CACHE_TTL_MS).
+ * @private
+ */
+async function _activeFences() {
+  if (Date.now() - fenceCache.loadedAt < FENCE_CACHE_TTL_MS) return fenceCache.fences;
+
+  try {
+    const rows = await api.query(
+      `SELECT id, nombre, tipo, forma, lat_centro, lng_centro, radio_m, vertices,
+              id_unidad_viaje, permanencia_min, llamada_ia
+       FROM conf_geocercas
+       WHERE activo = 1`
+    );
+    fenceCache = { loadedAt: Date.now(), fences: (rows || []).map(_normalizeFence).filter(Boolean) };
+  } catch (err) {
+    // Sin la tabla (migracion 20 pendiente) o sin BD: reintentar en el siguiente TTL
+    log('warn', `No se pudieron cargar las geocercas: ${err.message}`);
+    fenceCache = { loadedAt: Date.now(), fences: fenceCache.fences };
+  }
+  return fenceCache.fences;
+}
+
+/**
+ * Convierte una fila de conf_geocercas a la forma que usa distanceOutside.
+ * Para poligonos lat/lng es el centroide de los vertices (referencia de la
+ * proyeccion y de {{distancia_km}}).
+ * @private
+ */
+function _normalizeFence(row) {
+  const fence = {
+    id: Number(row.id),
+    nombre: row.nombre,
+    tipo: row.tipo || 'zona',
+    forma: row.forma,
+    id_unidad_viaje: row.id_unidad_viaje ? Number(row.id_unidad_viaje) : null,
+    permanencia_min: parseInt(row.permanencia_min) || null,
+    llamada_ia: row.llamada_ia || 'no',
+  };
+
+  if (row.forma === 'circulo') {
+    fence.lat = parseFloat(row.lat_centro);
+    fence.lng = parseFloat(row.lng_centro);
+    fence.radio = parseInt(row.radio_m);
+    if (isNaN(fence.lat) || isNaN(fence.lng) || !(fence.radio > 0)) return _skipFence(row);
+    return fence;
+  }
+
+  const vertices = parseVertices(row.vertices);
+  if (!vertices) return _skipFence(row);
+  fence.vertices = vertices;
+  fence.lat = vertices.reduce((sum, v) => sum + v[0], 0) / vertices.length;
+  fence.lng = vertices.reduce((sum, v) => sum + v[1], 0) / vertices.length;
+  return fence;
+}
+
+/**
+ * Avisa de una geocerca con geometria invalida y la descarta del cache.
+ * @returns {null}
+ * @private
+ */
+function _skipFence(row) {
+  log('warn', `Geocerca ${row.id} "${row.nombre}" con geometria invalida, se omite`);
+  return null;
+}
+
+/**
+ * Lee conf_geocercas.vertices (JSON [[lat,lng],...]).
+ * @param {string|Array} value
+ * @returns {Array<[number, number]>|null} null si no hay al menos 3 vertices validos
+ */
+function parseVertices(value) {
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch (err) {
+      return null;
+    }
+  }
+  if (!Array.isArray(list)) return null;
+
+  const vertices = [];
+  for (const v of list) {
+    const lat = parseFloat(Array.isArray(v) ? v[0] : v && v.lat);
+    const lng = parseFloat(Array.isArray(v) ? v[1] : v && v.lng);
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    vertices.push([lat, lng]);
+  }
+  return vertices.length >= 3 ? vertices : null;
+}
+
+/**
+ * Visitas abiertas del viaje; se siembran de la BD la primera vez.
+ * @private
+ */
+async function _openVisitsFor(tripId) {
+  if (openVisits.has(tripId)) return openVisits.get(tripId);
+
+  const rows = await api.query(
+    `SELECT id, id_geocerca, entrada, permanencia_notificada
+     FROM op_geocerca_visitas
+     WHERE id_unidad_viaje = ${parseInt(tripId)} AND salida IS NULL`
+  );
+
+  const visits = new Map();
+  for (const row of rows || []) {
+    visits.set(Number(row.id_geocerca), {
+      id: row.id,
+      entrada: time.parseDbDate(row.entrada) || new Date(),
+      notificada: Number(row.permanencia_notificada) === 1,
+    });
+  }
+  openVisits.set(tripId, visits);
+  return visits;
+}
+
+/**
+ * Id de la visita abierta (si el insert no lo devolvio).
+ * @private
+ */
+async function _findOpenVisitId(tripId, fenceId) {
+  const rows = await api.query(
+    `SELECT id FROM op_geocerca_visitas
+     WHERE id_unidad_viaje = ${parseInt(tripId)} AND id_geocerca = ${parseInt(fenceId)} AND salida IS NULL
+     ORDER BY id DESC LIMIT 1`
+  ).catch(() => []);
+  return rows && rows[0] ? rows[0].id : null;
+}
+
+/**
+ * Fuerza recargar las geocercas en la siguiente evaluacion.
+ */
+function invalidate() {
+  fenceCache = { loadedAt: 0, fences: fenceCache.fences };
+}
+
+/**
+ * Olvida las visitas en memoria de viajes que ya no estan en ruta.
+ * @param {Array<number>} activeTripIds
+ */
+function prune(activeTripIds) {
+  const active = new Set(activeTripIds.map(Number));
+  for (const tripId of openVisits.keys()) {
+    if (!active.has(tripId)) openVisits.delete(tripId);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Registra un evento de geocerca en eventos_unidad con la hora del fix.
+ * @private
+ */
+async function _logEvent(tripId, tipoEvento, descripcion, at) {
+  try {
+    await api.insert('eventos_unidad', {
+      id_unidad_viaje: tripId,
+      tipo_evento: tipoEvento,
+      descripcion,
+      ocurrido_en: time.toDbDate(at),
+    });
+  } catch (err) {
+    log('error', `Error registrando ${tipoEvento} para viaje ${tripId}:`, err.message);
+  }
+}
+
+/**
+ * Texto "lat, lng @ fecha" de un fix para los eventos.
+ * @private
+ */
+function _formatPoint(fix) {
+  return `${fix.lat.toFixed(6)}, ${fix.lng.toFixed(6)}${fix.timestamp ? ` @ ${fix.timestamp}` : ''}`;
+}
+
+/**
+ * Log con prefijo del modulo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  evaluate,
+  takeAlerts,
+  invalidate,
+  prune,
+  distanceOutside,
+  parseVertices,
+  EXIT_MARGIN_METERS,
+};
@@ -0,0 +1,492 @@
+/**
+ * GT06 Server - Listener TCP del protocolo binario GT06 / Concox
+ *
+ * Responsabilidades:
+ *  - Aceptar conexiones TCP de rastreadores GT06 (GT06, GT06N, Concox)
+ *  - Separar los paquetes del stream (0x7878 con largo de 1 byte o 0x7979
+ *    con largo de 2 bytes, terminados en 0x0D0A) y validar su CRC-ITU
+ *  - Login (0x01): el IMEI debe existir en conf_dispositivos
+ *    (identificador) bajo un proveedor modo 'push'; si no, se cierra la conexion
+ *  - Ubicacion (0x12 / 0x22), heartbeat (0x13 / 0x23) y alarma (0x16 / 0x26)
+ *  - Responder el ACK (protocolo + serial + CRC) que el equipo espera
+ *  - Entregar las posiciones a push-ingest (mismo filtro, dedup, mapeo a
+ *    viaje y guardado del coordinator) con fuente 'gt06'
+ *  - Registrar las alarmas SOS y corte de energia en eventos_unidad
+ *
+ * Se habilita con GT06_PORT (ver server.js). Alta de equipos: en
+ * /providers/dispositivos, panel de dispositivos push, identificador = IMEI.
+ */
+
+'use strict';
+
+const net = require('net');
+const pushIngest = require('./push-ingest');
+const coordDetector = require('./coord-detector');
+
+const LOG_PREFIX = '[GT06]';
+
+/** fuente de op_coordinates para todo lo recibido por este listener */
+const SOURCE = 'gt06';
+
+/** Sin datos en este tiempo se cierra la conexion (el heartbeat suele ser de 3-5 min) */
+const IDLE_TIMEOUT_MS = parseInt(process.env.GT06_IDLE_TIMEOUT_SEC || '600', 10) * 1000;
+
+/** Bytes maximos sin un paquete completo antes de cortar la conexion */
+const MAX_BUFFER = 4096;
+
+/** Numeros de protocolo */
+const PROTOCOL = {
+  LOGIN: 0x01,
+  LOCATION: 0x12,
+  STATUS: 0x13,
+  ALARM: 0x16,
+  LOCATION_4G: 0x22,
+  STATUS_4G: 0x23,
+  ALARM_4G: 0x26,
+};
+
+/** Paquetes que el equipo espera confirmados (si no, los reenvia) */
+const ACKED = new Set([PROTOCOL.LOGIN, PROTOCOL.STATUS, PROTOCOL.STATUS_4G, PROTOCOL.ALARM, PROTOCOL.ALARM_4G]);
+
+/** Alarmas del paquete 0x16/0x26 que se registran como evento del viaje */
+const ALARM_EVENTS = {
+  0x01: { tipo: 'alarma_sos', label: 'Boton SOS' },
+  0x02: { tipo: 'alarma_corte_energia', label: 'Corte de energia' },
+};
+
+/** Bloque GPS: fecha (6) + satelites (1) + lat (4) + lng (4) + velocidad (1) + rumbo/estado (2) */
+const GPS_BLOCK_LENGTH = 18;
+
+/** Bloque LBS minimo: largo (1) + MCC (2) + MNC (1) + LAC (2) + Cell ID (3) */
+const LBS_BLOCK_LENGTH = 9;
+
+// ---------------------------------------------------------------------------
+// Estado del listener
+// ---------------------------------------------------------------------------
+
+let server = null;
+let startedAt = null;
+
+/** Conexiones abiertas: socket -> sesion { imei, auth, offsetMinutes, remote } */
+const sessions = new Map();
+
+const counters = { packets: 0, positions: 0, alarms: 0, crcErrors: 0, rejectedLogins: 0 };
+
+// ---------------------------------------------------------------------------
+// Servidor
+// ---------------------------------------------------------------------------
+
+/**
+ * Inicia el listener TCP.
+ * @param {number} port
+ * @param {string} [host='0.0.0.0']
+ * @returns {Promise<net.Server>}
+ */
+function start(port, host = '0.0.0.0') {
+  if (server) return Promise.resolve(server);
+
+  server = net.createServer(_handleConnection);
+  return new Promise((resolve, reject) => {
+    server.once('error', (err) => {
+      server = null;
+      reject(err);
+    });
+    server.listen(port, host, () => {
+      startedAt = new Date();
+      log('info', `Escuchando rastreadores GT06 en ${host}:${port}`);
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Cierra el listener y las conexiones abiertas.
+ * @returns {Promise<void>}
+ */
+function stop() {
+  if (!server) return Promise.resolve();
+
+  for (const socket of sessions.keys()) socket.destroy();
+  sessions.clear();
+
+  const closing = server;
+  server = null;
+  startedAt = null;
+  return new Promise(resolve => closing.close(() => resolve()));
+}
+
+/**
+ * Estado del listener (para monitoreo).
+ * @returns {object}
+ */
+function status() {
+  return {
+    listening: !!server,
+    startedAt: startedAt ? startedAt.toISOString() : null,
+    connections: [...sessions.values()].map(s => ({ imei: s.imei, remote: s.remote })),
+    counters: { ...counters },
+  };
+}
+
+/**
+ * @private
+ */
+function _handleConnection(socket) {
+  const session = { imei: null, auth: null, offsetMinutes: 0, remote: `${socket.remoteAddress}:${socket.remotePort}` };
+  let buffer = Buffer.alloc(0);
+  let queue = Promise.resolve();
+
+  sessions.set(socket, session);
+  socket.setTimeout(IDLE_TIMEOUT_MS);
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    const { packets, rest } = decodeFrames(buffer);
+    buffer = rest;
+
+    if (buffer.length > MAX_BUFFER) {
+      log('warn', `${session.remote}: datos sin paquete valido, se cierra la conexion`);
+      socket.destroy();
+      return;
+    }
+
+    // En orden: el login debe resolverse antes de las posiciones que le siguen
+    for (const packet of packets) {
+      queue = queue
+        .then(() => _handlePacket(socket, session, packet))
+        .catch(err => log('error', `${session.imei || session.remote}: ${err.message}`));
+    }
+  });
+
+  socket.on('timeout', () => socket.destroy());
+  socket.on('error', () => {});
+  socket.on('close', () => sessions.delete(socket));
+}
+
+// ---------------------------------------------------------------------------
+// Paquetes
+// ---------------------------------------------------------------------------
+
+/**
+ * Procesa un paquete ya validado y responde el ACK si el protocolo lo pide.
+ * @private
+ */
+async function _handlePacket(socket, session, packet) {
+  counters.packets++;
+
+  if (!packet.crcOk) {
+    counters.crcErrors++;
+    log('warn', `${session.imei || session.remote}: CRC invalido en paquete 0x${_hex(packet.protocol)}, se descarta`);
+    return;
+  }
+
+  if (packet.protocol === PROTOCOL.LOGIN) {
+    const login = decodeLogin(packet.content);
+    session.auth = await pushIngest.authenticateIdentifier(login.imei).catch(() => null);
+
+    if (!session.auth) {
+      counters.rejectedLogins++;
+      log('warn', `Login rechazado: IMEI ${login.imei} no registrado en un proveedor push (${session.remote})`);
+      socket.destroy();
+      return;
+    }
+
+    session.imei = login.imei;
+    session.offsetMinutes = login.offsetMinutes;
+    log('info', `Login ${login.imei} (${session.auth.provider.nombre}) desde ${session.remote}`);
+    _ack(socket, packet);
+    return;
+  }
+
+  // Todo lo demas requiere login previo en esta conexion
+  if (!session.auth) {
+    log('warn', `${session.remote}: paquete 0x${_hex(packet.protocol)} sin login, se cierra la conexion`);
+    socket.destroy();
+    return;
+  }
+
+  switch (packet.protocol) {
+    case PROTOCOL.LOCATION:
+    case PROTOCOL.LOCATION_4G: {
+      const position = decodePosition(packet.content, session.offsetMinutes);
+      if (position.valid) await _savePosition(session, position);
+      break;
+    }
+
+    case PROTOCOL.ALARM:
+    case PROTOCOL.ALARM_4G: {
+      const position = decodePosition(packet.content, session.offsetMinutes);
+      const alarm = decodeAlarm(packet.content);
+      _ack(socket, packet);
+      if (position.valid) await _savePosition(session, position);
+      await _handleAlarm(session, alarm, position);
+      return;
+    }
+
+    case PROTOCOL.STATUS:
+    case PROTOCOL.STATUS_4G:
+      break;
+
+    default:
+      log('info', `${session.imei}: protocolo 0x${_hex(packet.protocol)} no soportado, se ignora`);
+  }
+
+  if (ACKED.has(packet.protocol)) _ack(socket, packet);
+}
+
+/**
+ * @private
+ */
+async function _savePosition(session, position) {
+  const coord = _coord(position);
+  await pushIngest.ingest(session.auth, [coord]);
+  counters.positions++;
+}
+
+/**
+ * SOS y corte de energia van a eventos_unidad del viaje del equipo;
+ * las demas alarmas solo se registran en el log.
+ * @private
+ */
+async function _handleAlarm(session, alarm, position) {
+  const event = ALARM_EVENTS[alarm.code];
+  if (!event) {
+    if (alarm.code) log('info', `${session.imei}: alarma 0x${_hex(alarm.code)} sin evento asociado`);
+    return;
+  }
+
+  counters.alarms++;
+  const where = position.valid ? ` en ${position.lat.toFixed(6)}, ${position.lng.toFixed(6)}` : ' sin posicion GPS';
+  const descripcion = `${event.label} del rastreador GT06 ${session.imei}${where}` +
+    (position.timestamp ? ` @ ${position.timestamp.replace('T', ' ').slice(0, 19)} UTC` : '');
+
+  const tripId = await pushIngest.ingestAlarm(session.auth, position.valid ? _coord(position) : {}, event.tipo, descripcion);
+  log('warn', `${session.imei}: ${event.label}${tripId ? ` (viaje ${tripId})` : ' (sin viaje asignado)'}`);
+}
+
+/**
+ * Coordenada estandar a partir de una posicion decodificada.
+ * @private
+ */
+function _coord(position) {
+  return {
+    lat: position.lat,
+    lng: position.lng,
+    speed: position.speed,
+    heading: position.heading,
+    timestamp: position.timestamp,
+    satellites: position.satellites,
+    source: SOURCE,
+  };
+}
+
+/**
+ * Responde el ACK con el mismo encabezado (0x7878/0x7979), protocolo y serial.
+ * @private
+ */
+function _ack(socket, packet) {
+  if (!socket.destroyed) socket.write(encodeAck(packet.protocol, packet.serial, packet.extended));
+}
+
+// ---------------------------------------------------------------------------
+// Decodificacion
+// ---------------------------------------------------------------------------
+
+/**
+ * Separa los paquetes completos del buffer. Bytes basura antes de un
+ * encabezado se descartan; un paquete incompleto queda en rest.
+ *
+ * 0x78 0x78 | largo (1) | protocolo | contenido | serial (2) | CRC (2) | 0x0D 0x0A
+ * 0x79 0x79 | largo (2) | ...
+ * El largo cuenta protocolo + contenido + serial + CRC; el CRC cubre desde
+ * el largo hasta el serial.
+ *
+ * @param {Buffer} buffer
+ * @returns {{packets: Array<{protocol: number, content: Buffer, serial: number, extended: boolean, crcOk: boolean}>, rest: Buffer}}
+ */
+function decodeFrames(buffer) {
+  const packets = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 5) {
+    const start = buffer.readUInt16BE(offset);
+    if (start !== 0x7878 && start !== 0x7979) {
+      offset++;
+      continue;
+    }
+
+    const extended = start === 0x7979;
+    const lengthSize = extended ? 2 : 1;
+    const length = extended ? buffer.readUInt16BE(offset + 2) : buffer[offset + 2];
+    const total = 2 + lengthSize + length + 2;
+
+    if (length < 5) {
+      offset++;
+      continue;
+    }
+    if (buffer.length - offset < total) break;
+
+    if (buffer.readUInt16BE(offset + total - 2) !== 0x0d0a) {
+      offset++;
+      continue;
+    }
+
+    const body = offset + 2 + lengthSize;
+    const serialAt = offset + total - 6;
+    packets.push({
+      protocol: buffer[body],
+      content: buffer.subarray(body + 1, serialAt),
+      serial: buffer.readUInt16BE(serialAt),
+      extended,
+      crcOk: crcItu(buffer.subarray(offset + 2, serialAt + 2)) === buffer.readUInt16BE(serialAt + 2),
+    });
+    offset += total;
+  }
+
+  return { packets, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Login: IMEI en BCD (8 bytes, 15 digitos con un 0 al frente). GT06N agrega
+ * tipo de equipo (2) y zona horaria (2: centesimas de hora en los 12 bits
+ * altos, bit 3 = oeste).
+ * @param {Buffer} content
+ * @returns {{imei: string, offsetMinutes: number}}
+ */
+function decodeLogin(content) {
+  const imei = content.subarray(0, 8).toString('hex').replace(/^0+/, '');
+  let offsetMinutes = 0;
+
+  if (content.length >= 12) {
+    const zone = content.readUInt16BE(10);
+    const value = zone >> 4;
+    offsetMinutes = Math.floor(value / 100) * 60 + (value % 100);
+    if (zone & 0x08) offsetMinutes = -offsetMinutes;
+  }
+
+  return { imei, offsetMinutes };
+}
+
+/**
+ * Bloque GPS al inicio del contenido de 0x12/0x22/0x16/0x26.
+ * Latitud/longitud en 1/1,800,000 de grado; la fecha viene en UTC salvo
+ * que el login declare otra zona. Rumbo/estado: bit 12 = GPS fijo,
+ * bit 11 = longitud oeste, bit 10 = latitud norte, bits 0-9 = rumbo.
+ *
+ * @param {Buffer} content
+ * @param {number} [offsetMinutes=0] - Zona declarada en el login
+ * @returns {{valid: boolean, lat?: number, lng?: number, speed?: number, heading?: number, satellites?: number, timestamp?: string}}
+ */
+function decodePosition(content, offsetMinutes = 0) {
+  if (content.length < GPS_BLOCK_LENGTH) return { valid: false };
+
+  const utcMs = Date.UTC(2000 + content[0], content[1] - 1, content[2], content[3], content[4], content[5])
+    - offsetMinutes * 60 * 1000;
+  const flags = content.readUInt16BE(16);
+
+  let lat = content.readUInt32BE(7) / 1800000;
+  let lng = content.readUInt32BE(11) / 1800000;
+  if (!(flags & 0x0400)) lat = -lat;
+  if (flags & 0x0800) lng = -lng;
+
+  return {
+    valid: !!(flags & 0x1000) && coordDetector.isValidPair(lat, lng),
+    lat: Math.round(lat * 1e6) / 1e6,
+    lng: Math.round(lng * 1e6) / 1e6,
+    speed: content[15],
+    heading: flags & 0x03ff,
+    satellites: content[6] & 0x0f,
+    timestamp: isNaN(utcMs) ? null : new Date(utcMs).toISOString(),
+  };
+}
+
+/**
+ * Estado del paquete de alarma: despues del bloque GPS viene el LBS (con su
+ * largo) y luego info del terminal, voltaje, senal GSM, alarma e idioma.
+ * @param {Buffer} content
+ * @returns {{code: number, terminalInfo: number|null}}
+ */
+function decodeAlarm(content) {
+  if (content.length < GPS_BLOCK_LENGTH + 1) return { code: 0, terminalInfo: null };
+
+  const status = GPS_BLOCK_LENGTH + Math.max(content[GPS_BLOCK_LENGTH], LBS_BLOCK_LENGTH);
+  if (content.length < status + 4) return { code: 0, terminalInfo: null };
+
+  return { code: content[status + 3], terminalInfo: content[status] };
+}
+
+/**
+ * ACK: protocolo + serial del paquete recibido.
+ * @param {number} protocol
+ * @param {number} serial
+ * @param {boolean} [extended=false] - Responder con encabezado 0x7979
+ * @returns {Buffer}
+ */
+function encodeAck(protocol, serial, extended = false) {
+  const lengthSize = extended ? 2 : 1;
+  const packet = Buffer.alloc(2 + lengthSize + 5 + 2);
+
+  packet.writeUInt16BE(extended ? 0x7979 : 0x7878, 0);
+  if (extended) packet.writeUInt16BE(5, 2);
+  else packet[2] = 5;
+
+  const body = 2 + lengthSize;
+  packet[body] = protocol;
+  packet.writeUInt16BE(serial & 0xffff, body + 1);
+  packet.writeUInt16BE(crcItu(packet.subarray(2, body + 3)), body + 3);
+  packet.writeUInt16BE(0x0d0a, body + 5);
+  return packet;
+}
+
+/**
+ * CRC-ITU (CRC-16/X-25): polinomio 0x1021 reflejado, inicial y XOR final 0xFFFF.
+ * @param {Buffer} data
+ * @returns {number}
+ */
+function crcItu(data) {
+  let crc = 0xffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+    }
+  }
+  return (~crc) & 0xffff;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * @private
+ */
+function _hex(value) {
+  return value.toString(16).padStart(2, '0');
+}
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  start,
+  stop,
+  status,
+  decodeFrames,
+  decodeLogin,
+  decodePosition,
+  decodeAlarm,
+  encodeAck,
+  crcItu,
+  SOURCE,
+};
@@ -5,20 +5,30 @@
  * renderizar la pagina, hace las llamadas HTTP directas a las APIs internas
  * de cada plataforma GPS.
  *
- * Plataformas soportadas:
- *   - Micodus:  POST a GetTrackingForShareStatic con access_token
- *   - GPSWox:   GET de pagina + parse de links Google Maps (futuro)
- *   - Traccar:  REST API /api/positions (futuro)
- *   - Generico: GET HTML + parse con coord-detector (fallback)
+ * Cada plataforma es un adaptador en src/scraper/adapters/ (cargado
+ * automaticamente por el registro). Adaptadores incluidos:
+ *   - micodus:  POST a GetTrackingForShareStatic con access_token
+ *   - gpswox:   endpoints JSON de sharing/get_devices (fallback: links Google Maps en HTML)
+ *   - traccar:  REST API /api/session + /api/devices + /api/positions
+ *               (share link con token o usuario/password del proveedor)
+ *   - wialon:   Locator share link → token/login + core/search_items (Gurtam/EPCOM)
+ *   - recipe:   receta JSON configurable desde la UI (conf_providers.receta)
+ *   - generic:  GET HTML + parse con coord-detector (fallback)
+ *
+ * El adaptador se elige por conf_providers.plataforma (override manual) o,
+ * si esta vacio, por deteccion sobre la URL.
  *
  * Cada fetcher devuelve un array estandarizado de coordenadas:
  *   [{ lat, lng, speed, heading, timestamp, source, raw }]
+ * Cuando la plataforma identifica dispositivos se agregan deviceName y uniqueId,
+ * y http-fetcher normaliza deviceId (uniqueId o nombre) en todas las coordenadas.
  */
 
 'use strict';
 
-const axios = require('axios');
-const coordDetector = require('./coord-detector');
+const registry = require('./adapters');
+const fixtures = require('./fixtures');
+const { truncate } = require('./http-helpers');
 
 const LOG_PREFIX = '[HttpFetcher]';
 
@@ -29,456 +39,67 @@ const LOG_PREFIX = '[HttpFetcher]';
 /**
  * Detecta la plataforma GPS a partir de la URL del share link.
  * @param {string} url
- * @returns {'micodus'|'gpswox'|'traccar'|'generic'}
+ * @returns {string} Nombre del adaptador ('micodus', 'traccar', ..., 'generic')
  */
 function detectPlatform(url) {
   if (!url) return 'generic';
-  const lower = url.toLowerCase();
-
-  if (lower.includes('micodus.net') || lower.includes('mtrackone')) return 'micodus';
-  if (lower.includes('gpswox.com') || lower.includes('gpswox')) return 'gpswox';
-  if (lower.includes('traccar.org') || lower.includes('traccar')) return 'traccar';
-
-  return 'generic';
+  return registry.detectAdapter(url).name;
 }
 
-// ---------------------------------------------------------------------------
-// Fetcher principal
-// ---------------------------------------------------------------------------
-
 /**
- * Extrae coordenadas de una URL de share link GPS usando HTTP directo.
- *
- * @param {string} shareUrl - URL del share link (cuenta espejo)
- * @param {object} [options]
- * @param {number} [options.timeoutMs=15000] - Timeout para cada request
- * @returns {Promise<{coords: Array, platform: string, source: string, raw?: any}>}
+ * Plataformas disponibles con sus capacidades (para la UI de proveedores).
+ * @returns {Array<{name: string, label: string, priority: number, capabilities: object}>}
  */
-async function fetch(shareUrl, options = {}) {
-  const platform = detectPlatform(shareUrl);
-  const timeoutMs = options.timeoutMs || 90000;
-
-  log('info', `Plataforma detectada: ${platform} para URL: ${_truncate(shareUrl, 80)}`);
-
-  try {
-    switch (platform) {
-      case 'micodus':
-        return await _fetchMicodus(shareUrl, timeoutMs);
-      case 'gpswox':
-        return await _fetchGpswox(shareUrl, timeoutMs);
-      case 'traccar':
-        return await _fetchTraccar(shareUrl, timeoutMs);
-      default:
-        return await _fetchGeneric(shareUrl, timeoutMs);
-    }
-  } catch (err) {
-    log('error', `Error en fetcher ${platform}: ${err.message}`);
-    return { coords: [], platform, source: 'http', error: err.message };
-  }
+function listPlatforms() {
+  return registry.listAdapters();
 }
 
 // ---------------------------------------------------------------------------
-// Micodus — Fetcher principal (probado y validado)
+// Fetcher principal
 // ---------------------------------------------------------------------------
 
 /**
- * Extrae coordenadas de Micodus via su API AJAX interna.
+ * Extrae coordenadas de un proveedor GPS usando HTTP directo.
  *
- * Flujo:
- *  1. Extraer access_token de la URL del share link
- *  2. GET la pagina para establecer cookies de sesion
- *  3. POST a GetTrackingForShareStatic con las cookies
- *  4. Parsear la respuesta JSON → coordenadas
+ * Acepta la fila completa de conf_providers o, por compatibilidad, solo la URL.
  *
- * Formato de respuesta Micodus:
- *   { "d": "{\"lat\":\"20.60814\",\"lng\":\"-103.49088\",\"speed\":\"0.00\",...}" }
- *   o directamente:
- *   { "lat":"20.60814", "lng":"-103.49088", "speed":"0.00", ... }
- *
- * @private
+ * @param {object|string} providerOrUrl - Fila de conf_providers o URL del share link
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=90000] - Timeout para cada request
+ * @param {string} [options.username] - Usuario (solo cuando se pasa una URL)
+ * @param {string} [options.password] - Password (solo cuando se pasa una URL)
+ * @param {object} [options.fixture] - Fixture grabado: las requests se sirven
+ *   del archivo en lugar de la red (scripts/replay-fixtures.js)
+ * @returns {Promise<{coords: Array, platform: string, source: string, raw?: any}>}
+ *   Si el adaptador falla, raw es el body de la respuesta que fallo (err.raw
+ *   o la respuesta de un error de axios) cuando lo hay
  */
-async function _fetchMicodus(shareUrl, timeoutMs) {
-  // 1. Extraer access_token de la URL
-  const urlObj = new URL(shareUrl);
-  const accessToken = urlObj.searchParams.get('access_token');
-
-  if (!accessToken) {
-    throw new Error('No se encontro access_token en la URL de Micodus');
-  }
+async function fetch(providerOrUrl, options = {}) {
+  const provider = typeof providerOrUrl === 'string'
+    ? { url: providerOrUrl, username: options.username, password: options.password }
+    : (providerOrUrl || {});
+  const timeoutMs = options.timeoutMs || 90000;
 
-  log('info', `Micodus: access_token=${accessToken.substring(0, 8)}...`);
+  const { adapter, forced } = registry.resolveAdapter(provider);
+  const platform = adapter.name;
 
-  // Base URL de Micodus
-  const baseUrl = `${urlObj.protocol}//${urlObj.host}`;
-  const ajaxUrl = `${baseUrl}/ajax/DevicesAjax.asmx/GetTrackingForShareStatic`;
+  log('info', `Plataforma ${forced ? 'forzada' : 'detectada'}: ${platform} para URL: ${truncate(provider.url, 80)}`);
 
-  // 2. GET la pagina para obtener cookies de sesion (si las hay)
-  let cookies = '';
   try {
-    const pageRes = await axios.get(shareUrl, {
-      timeout: timeoutMs,
-      headers: _browserHeaders(),
-      maxRedirects: 5,
-      validateStatus: () => true,
-    });
-
-    const setCookies = pageRes.headers['set-cookie'];
-    if (setCookies) {
-      cookies = (Array.isArray(setCookies) ? setCookies : [setCookies])
-        .map(c => c.split(';')[0])
-        .join('; ');
-    }
-
-    log('info', `Micodus: pagina cargada (status ${pageRes.status}), cookies: ${cookies ? 'si' : 'no'}`);
-  } catch (err) {
-    log('warn', `Micodus: no se pudo cargar pagina (${err.message}), prosiguiendo con AJAX directo`);
-  }
-
-  // 3. POST al endpoint AJAX
-  //    Micodus usa el parametro "Key" (descubierto del JS de la pagina):
-  //    $.ajax({ url: "ajax/DevicesAjax.asmx/GetTrackingForShareStatic",
-  //             data: "{ Key: '" + access_token + "'}" })
-  const bodies = [
-    { Key: accessToken },
-    { key: accessToken },
-    { access_token: accessToken },
-  ];
-
-  let responseData = null;
-  let responseMeta = null;
-
-  const safePreview = (value, max = 1500) => {
-    try {
-      const text = typeof value === 'string' ? value : JSON.stringify(value);
-      if (!text) return '';
-      return text.length > max ? text.substring(0, max) + '...' : text;
-    } catch {
-      return '[unserializable]';
-    }
-  };
-
-  for (const body of bodies) {
-    const bodyIndex = bodies.indexOf(body) + 1;
-    try {
-      log('info', `Micodus AJAX intento #${bodyIndex}: body=${JSON.stringify(body)} token=${accessToken.substring(0, 8)}... cookies=${cookies ? 'si' : 'no'}`);
-
-      const res = await axios.post(ajaxUrl, JSON.stringify(body), {
-        timeout: timeoutMs,
-        headers: {
-          ..._browserHeaders(),
-          'Content-Type': 'application/json; charset=utf-8',
-          'Accept': 'application/json, text/javascript, */*; q=0.01',
-          'X-Requested-With': 'XMLHttpRequest',
-          'Origin': baseUrl,
-          'Referer': shareUrl,
-          ...(cookies ? { 'Cookie': cookies } : {}),
-        },
-        validateStatus: (s) => s < 500,
-      });
-
-      const contentType = res.headers && (res.headers['content-type'] || res.headers['Content-Type']) || 'unknown';
-      const rawPreview = safePreview(res.data);
-      let keys = [];
-      let payloadType = Array.isArray(res.data) ? 'array' : typeof res.data;
-      if (res.data && typeof res.data === 'object' && !Array.isArray(res.data)) {
-        keys = Object.keys(res.data).slice(0, 15);
-      }
-
-      if (res.data && res.data.d !== undefined) {
-        const dVal = res.data.d;
-        payloadType = `asmx.d(${Array.isArray(dVal) ? 'array' : typeof dVal})`;
-        if (dVal && typeof dVal === 'object' && !Array.isArray(dVal)) {
-          keys = Object.keys(dVal).slice(0, 15);
-        }
-      }
-
-      log('info', `Micodus AJAX intento #${bodyIndex}: status=${res.status} content-type=${contentType} payloadType=${payloadType} keys=${keys.join(',') || 'none'}`);
-      log('info', `Micodus AJAX intento #${bodyIndex}: response-preview=${rawPreview}`);
-
-      if (res.status === 200 && res.data) {
-        responseData = res.data;
-        responseMeta = { bodyIndex, payloadType, keys };
-        log('info', `Micodus: AJAX respondio OK con body #${bodyIndex}`);
-        break;
-      }
-    } catch (err) {
-      log('warn', `Micodus: AJAX fallo con body #${bodyIndex}: ${err.message}`);
-    }
-  }
-
-  if (!responseData) {
-    throw new Error('Micodus: ninguna variante de request funciono');
-  }
-
-  // 4. Parsear la respuesta
-  const coords = _parseMicodusResponse(responseData);
-
-  if (coords.length === 0) {
-    const payloadType = responseMeta && responseMeta.payloadType ? responseMeta.payloadType : 'unknown';
-    const keys = responseMeta && responseMeta.keys ? responseMeta.keys.join(',') : 'none';
-    log('warn', `Micodus: 0 coordenadas parseadas. Motivo probable: payload sin lat/lng validos. payloadType=${payloadType} keys=${keys}`);
-  }
-
-  log('info', `Micodus: ${coords.length} coordenadas extraidas`);
-
-  return {
-    coords,
-    platform: 'micodus',
-    source: 'http_micodus',
-    raw: responseData,
-  };
-}
-
-/**
- * Parsea la respuesta de Micodus que puede venir en varios formatos:
- *   - { d: '{"lat":"20.60814",...}' }   (ASMX wrapper con string JSON)
- *   - { d: { lat: "20.60814", ... } }   (ASMX wrapper con objeto)
- *   - { lat: "20.60814", ... }            (objeto directo)
- *   - [{ lat: "20.60814", ... }, ...]     (array de dispositivos)
- * @private
- */
-function _parseMicodusResponse(data) {
-  const coords = [];
-
-  // Desenwrapper ASMX "d" si existe
-  let payload = data;
-  if (data && data.d !== undefined) {
-    payload = data.d;
-
-    if (typeof payload === 'string') {
-      log('info', `Micodus parser: raw d type=string length=${payload.length}`);
-      log('info', `Micodus parser: raw d first500=${payload.substring(0, 500)}`);
-      log('info', `Micodus parser: raw d last200=${payload.substring(Math.max(0, payload.length - 200))}`);
-    }
-  }
-
-  // Si es string, intentar parsear como JSON
-  if (typeof payload === 'string') {
-    try {
-      payload = JSON.parse(payload);
-
-      if (typeof payload === 'string') {
-        log('info', 'Micodus parser: detectado double-encoding en d, haciendo segundo JSON.parse');
-        try {
-          payload = JSON.parse(payload);
-        } catch (doubleParseErr) {
-          log('warn', `Micodus parser: segundo JSON.parse FALLO: ${doubleParseErr.message}`);
-          const found = coordDetector.detectFromText(payload);
-          for (const c of found) {
-            c.source = 'http_micodus';
-            coords.push(c);
-          }
-          return coords;
-        }
-      }
-
-      log('info', `Micodus parser: after unwrap, type=${typeof payload}, isArray=${Array.isArray(payload)}`);
-      if (payload && typeof payload === 'object') {
-        const allKeys = Array.isArray(payload)
-          ? (payload ? Object.keys(payload).join(',') : 'empty_array')
-          : Object.keys(payload).join(',');
-        log('info', `Micodus parser: keys=${allKeys}`);
-        log('info', `Micodus parser: parsed-preview=${JSON.stringify(payload).substring(0, 1500)}`);
-      }
-    } catch (parseErr) {
-      log('warn', `Micodus parser: JSON.parse FALLO: ${parseErr.message}`);
-      log('info', `Micodus parser: intentando coord-detector sobre string raw (length=${payload.length})`);
-      // Intentar extraer de texto con coord-detector
-      const found = coordDetector.detectFromText(payload);
-      log('info', `Micodus parser: coord-detector encontro ${found.length} coords en raw string`);
-      for (const c of found) {
-        c.source = 'http_micodus';
-        coords.push(c);
-      }
-      return coords;
-    }
-  }
-
-  // Si es array, procesar cada elemento
-  const items = Array.isArray(payload) ? payload : [payload];
-
-  for (const item of items) {
-    if (!item || typeof item !== 'object') continue;
-
-    const lat = parseFloat(
-      item.lat || item.latitude || item.Lat || item.LAT ||
-      item.flat || item.fLat || item.Latitude ||
-      item.gpslat || item.gpsLat || item.GPS_Lat ||
-      item.lastLat || item.last_lat || item.device_lat
-    );
-    const lng = parseFloat(
-      item.lng || item.lon || item.longitude || item.Lng || item.LON ||
-      item.flng || item.fLng || item.Longitude || item.flon || item.fLon ||
-      item.gpslon || item.gpsLng || item.GPS_Lng || item.GPS_Lon ||
-      item.lastLng || item.last_lng || item.last_lon || item.device_lng
-    );
-
-    if (isNaN(lat) || isNaN(lng)) continue;
-    if (!coordDetector.isValidPair(lat, lng)) continue;
-
-    const coord = {
-      lat,
-      lng,
-      source: 'http_micodus',
+    const run = async () => {
+      const result = await adapter.fetch(provider, { timeoutMs });
+      _assignDeviceIds(result.coords);
+      return result;
     };
 
-    // Metadatos opcionales
-    if (item.speed !== undefined) coord.speed = parseFloat(item.speed);
-    if (item.course !== undefined) coord.heading = parseFloat(item.course);
-    if (item.positionTime) coord.timestamp = item.positionTime;
-    if (item.isStop !== undefined) coord.isStop = String(item.isStop) === '1' || item.isStop === true;
-    if (item.battery !== undefined) coord.battery = parseFloat(item.battery);
-    if (item.signal !== undefined) coord.signal = parseInt(item.signal);
-    if (item.satellite !== undefined) coord.satellites = parseInt(item.satellite);
-
-    coords.push(coord);
-  }
-
-  if (coords.length === 0 && payload) {
-    const payloadStr = typeof payload === 'string' ? payload : JSON.stringify(payload);
-    log('info', 'Micodus parser: 0 coords del parser de campos, intentando coord-detector como fallback');
-    const found = coordDetector.detectFromText(payloadStr);
-    for (const c of found) {
-      c.source = 'http_micodus_fallback';
-      coords.push(c);
-    }
-    if (found.length > 0) {
-      log('info', `Micodus parser: coord-detector encontro ${found.length} coords como fallback`);
-    }
-  }
-
-  return coords;
-}
-
-// ---------------------------------------------------------------------------
-// GPSWox — Fetcher (fase futura, estructura lista)
-// ---------------------------------------------------------------------------
-
-/**
- * Extrae coordenadas de GPSWox.
- * GPSWox expone coords en el HTML via links de Google Maps.
- * @private
- */
-async function _fetchGpswox(shareUrl, timeoutMs) {
-  log('info', 'GPSWox: descargando pagina HTML...');
-
-  const res = await axios.get(shareUrl, {
-    timeout: timeoutMs,
-    headers: _browserHeaders(),
-    maxRedirects: 5,
-  });
-
-  const html = typeof res.data === 'string' ? res.data : '';
-  const coords = [];
-
-  // Estrategia 1: Buscar links Google Maps con q=LAT,LNG
-  const mapLinkRe = /maps\.google\.com\/maps\?q=(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)/gi;
-  let match;
-  while ((match = mapLinkRe.exec(html)) !== null) {
-    const lat = parseFloat(match[1]);
-    const lng = parseFloat(match[2]);
-    if (coordDetector.isValidPair(lat, lng)) {
-      coords.push({ lat, lng, source: 'http_gpswox' });
-    }
-  }
-
-  // Estrategia 2: Buscar con coord-detector en el HTML completo
-  if (coords.length === 0) {
-    const found = coordDetector.detectFromText(html);
-    for (const c of found) {
-      c.source = 'http_gpswox';
-      coords.push(c);
-    }
-  }
-
-  log('info', `GPSWox: ${coords.length} coordenadas extraidas`);
-
-  return {
-    coords,
-    platform: 'gpswox',
-    source: 'http_gpswox',
-  };
-}
-
-// ---------------------------------------------------------------------------
-// Traccar — Fetcher (fase futura, estructura lista)
-// ---------------------------------------------------------------------------
-
-/**
- * Extrae coordenadas de Traccar via REST API.
- * @private
- */
-async function _fetchTraccar(shareUrl, timeoutMs) {
-  log('info', 'Traccar: aun no implementado, usando fallback generico');
-  return _fetchGeneric(shareUrl, timeoutMs);
-}
-
-// ---------------------------------------------------------------------------
-// Generico — Fallback para plataformas no reconocidas
-// ---------------------------------------------------------------------------
-
-/**
- * Descarga el HTML de la pagina y extrae coordenadas con coord-detector.
- * Funciona como fallback cuando la plataforma no tiene un fetcher dedicado.
- * @private
- */
-async function _fetchGeneric(shareUrl, timeoutMs) {
-  log('info', 'Generico: descargando pagina...');
-
-  const res = await axios.get(shareUrl, {
-    timeout: timeoutMs,
-    headers: _browserHeaders(),
-    maxRedirects: 5,
-    validateStatus: () => true,
-  });
-
-  const html = typeof res.data === 'string' ? res.data : JSON.stringify(res.data);
-  const coords = [];
-
-  // Buscar links Google Maps
-  const mapLinkRe = /maps\.google\.com\/maps\?q=(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)/gi;
-  let match;
-  while ((match = mapLinkRe.exec(html)) !== null) {
-    const lat = parseFloat(match[1]);
-    const lng = parseFloat(match[2]);
-    if (coordDetector.isValidPair(lat, lng)) {
-      coords.push({ lat, lng, source: 'http_generic' });
-    }
-  }
-
-  // Buscar JSON embebido en scripts
-  const scriptRe = /<script[^>]*>([\s\S]*?)<\/script>/gi;
-  let scriptMatch;
-  while ((scriptMatch = scriptRe.exec(html)) !== null) {
-    const scriptContent = scriptMatch[1];
-    if (scriptContent.length > 20 && scriptContent.length < 100000) {
-      const found = coordDetector.detectFromText(scriptContent);
-      for (const c of found) {
-        c.source = 'http_generic_script';
-        coords.push(c);
-      }
-    }
-  }
-
-  // Fallback: coord-detector en el HTML completo (limitado)
-  if (coords.length === 0) {
-    const found = coordDetector.detectFromText(html.substring(0, 200000));
-    for (const c of found) {
-      c.source = 'http_generic';
-      coords.push(c);
-    }
+    if (options.fixture) return await fixtures.replay(options.fixture, run);
+    if (fixtures.recording()) return await fixtures.record(provider, platform, run);
+    return await run();
+  } catch (err) {
+    log('error', `Error en fetcher ${platform}: ${err.message}`);
+    const raw = err.raw !== undefined ? err.raw : err.response ? err.response.data : undefined;
+    return { coords: [], platform, source: 'http', error: err.message, raw };
   }
-
-  // Deduplicar
-  const deduped = _dedup(coords);
-
-  log('info', `Generico: ${deduped.length} coordenadas extraidas`);
-
-  return {
-    coords: deduped,
-    platform: 'generic',
-    source: 'http_generic',
-  };
 }
 
 // ---------------------------------------------------------------------------
@@ -486,39 +107,16 @@ async function _fetchGeneric(shareUrl, timeoutMs) {
 // ---------------------------------------------------------------------------
 
 /**
- * Headers HTTP que simulan un navegador real.
+ * Normaliza la identidad del dispositivo de cada coordenada:
+ * deviceId = uniqueId (IMEI) → deviceName → null (plataforma sin identidad).
+ * El coordinator la usa para enrutar cada coordenada a su viaje.
  * @private
  */
-function _browserHeaders() {
-  return {
-    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-    'Accept-Language': 'en-US,en;q=0.9,es;q=0.8',
-    'Accept-Encoding': 'gzip, deflate',
-  };
-}
-
-/**
- * Deduplicar coordenadas por lat/lng.
- * @private
- */
-function _dedup(coords) {
-  const seen = new Set();
-  return coords.filter(c => {
-    const key = `${c.lat.toFixed(6)},${c.lng.toFixed(6)}`;
-    if (seen.has(key)) return false;
-    seen.add(key);
-    return true;
-  });
-}
-
-/**
- * Truncar string para logs.
- * @private
- */
-function _truncate(str, max) {
-  if (!str || str.length <= max) return str;
-  return str.substring(0, max - 3) + '...';
+function _assignDeviceIds(coords) {
+  for (const c of coords || []) {
+    if (c.deviceId) continue;
+    c.deviceId = c.uniqueId || c.deviceName || null;
+  }
 }
 
 /**
@@ -537,4 +135,5 @@ function log(level, ...args) {
 module.exports = {
   fetch,
   detectPlatform,
+  listPlatforms,
 };
@@ -0,0 +1,92 @@
+/**
+ * HTTP Helpers — Utilidades compartidas por los adaptadores de http-fetcher
+ *
+ * Responsabilidades:
+ *  - Headers que simulan un navegador real
+ *  - Deduplicacion de coordenadas
+ *  - Truncado de strings para logs
+ *  - Errores de adaptador con el body de la respuesta (err.raw)
+ */
+
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Headers
+// ---------------------------------------------------------------------------
+
+/**
+ * Headers HTTP que simulan un navegador real.
+ * @returns {object}
+ */
+function browserHeaders() {
+  return {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9,es;q=0.8',
+    'Accept-Encoding': 'gzip, deflate',
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Coordenadas
+// ---------------------------------------------------------------------------
+
+/**
+ * Deduplicar coordenadas por dispositivo + lat/lng (dos camiones en el
+ * mismo patio no se colapsan en uno).
+ * @param {Array<{lat: number, lng: number}>} coords
+ * @returns {Array}
+ */
+function dedup(coords) {
+  const seen = new Set();
+  return coords.filter(c => {
+    const device = c.uniqueId || c.deviceName || '';
+    const key = `${device}|${c.lat.toFixed(6)},${c.lng.toFixed(6)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Strings
+// ---------------------------------------------------------------------------
+
+/**
+ * Truncar string para logs.
+ * @param {string} str
+ * @param {number} max
+ * @returns {string}
+ */
+function truncate(str, max) {
+  if (!str || str.length <= max) return str;
+  return str.substring(0, max - 3) + '...';
+}
+
+// ---------------------------------------------------------------------------
+// Errores
+// ---------------------------------------------------------------------------
+
+/**
+ * Error de un adaptador con el body de la respuesta que lo provoco: http-fetcher
+ * lo devuelve como raw y el coordinator lo archiva aunque la extraccion falle.
+ * @param {string} message
+ * @param {any} raw - Body de la respuesta (objeto, string o Buffer)
+ * @returns {Error}
+ */
+function responseError(message, raw) {
+  const err = new Error(message);
+  err.raw = raw;
+  return err;
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  browserHeaders,
+  dedup,
+  truncate,
+  responseError,
+};
@@ -0,0 +1,408 @@
+/**
+ * Payload Archive - Respuestas crudas de las plataformas GPS por log_scrape
+ *
+ * Responsabilidades:
+ *  - Guardar el raw de cada extraccion (gzip + base64) en log_scrape_payload,
+ *    ligado a su renglon de log_scrape
+ *  - Limitar tamano (SCRAPER_PAYLOAD_MAX_KB) y antiguedad
+ *    (SCRAPER_PAYLOAD_RETENTION_DAYS) del archivo
+ *  - Leer un payload y compararlo contra el ultimo exitoso del mismo
+ *    proveedor: cambios de estructura JSON (llaves nuevas, faltantes o de
+ *    otro tipo) y diff por lineas del JSON formateado
+ *
+ * Sirve para ver que cambio cuando una plataforma modifica su respuesta
+ * sin avisar (el scraper sigue en success pero con 0 dispositivos).
+ * Guardar nunca lanza: un fallo del archivo no afecta al ciclo de scraping.
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { internalClient: api } = require('../api/client');
+const time = require('../utils/time');
+
+const LOG_PREFIX = '[PayloadArchive]';
+
+/** SCRAPER_PAYLOAD_ARCHIVE=0 desactiva el archivo */
+const ENABLED = process.env.SCRAPER_PAYLOAD_ARCHIVE !== '0';
+
+/** Tamano maximo (sin comprimir) que se guarda de cada payload */
+const MAX_BYTES = parseInt(process.env.SCRAPER_PAYLOAD_MAX_KB || '1024', 10) * 1024;
+
+/** Dias que se conservan los payloads */
+const RETENTION_DAYS = Math.max(1, parseInt(process.env.SCRAPER_PAYLOAD_RETENTION_DAYS || '7', 10));
+
+/** Limpieza de payloads viejos como maximo una vez por hora */
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const PRUNE_BATCH = 200;
+
+/** Limites del diff (lineas comparadas y lineas devueltas) */
+const MAX_DIFF_LINES = 2000;
+const MAX_DIFF_OUTPUT = 400;
+const DIFF_CONTEXT = 3;
+
+/** Limite de rutas reportadas en el cambio de estructura */
+const MAX_SHAPE_PATHS = 100;
+
+let lastPruneAt = 0;
+
+// ---------------------------------------------------------------------------
+// Guardado
+// ---------------------------------------------------------------------------
+
+/**
+ * Archiva el raw de una extraccion.
+ * @param {number} logId - log_scrape.id
+ * @param {object} provider - Fila de conf_providers
+ * @param {any} raw - result.raw del adaptador (objeto, string o Buffer)
+ * @returns {Promise<boolean>} true si se guardo
+ */
+async function save(logId, provider, raw) {
+  if (!ENABLED || !logId || raw === undefined || raw === null) return false;
+
+  try {
+    let { text, format } = _serialize(raw);
+    const originalBytes = Buffer.byteLength(text);
+    const truncated = originalBytes > MAX_BYTES;
+    if (truncated) text = Buffer.from(text).subarray(0, MAX_BYTES).toString('utf8');
+
+    const compressed = zlib.gzipSync(text).toString('base64');
+
+    await api.insert('log_scrape_payload', {
+      log_scrape_id: logId,
+      provider_id: provider.id,
+      formato: format,
+      bytes_original: originalBytes,
+      bytes_comprimido: compressed.length,
+      truncado: truncated ? 1 : 0,
+      hash_sha1: crypto.createHash('sha1').update(text).digest('hex'),
+      payload_gz: compressed,
+      creado_en: time.toDbDate(),
+    });
+
+    _pruneIfDue();
+    return true;
+  } catch (err) {
+    log('warn', `No se pudo archivar el payload del log ${logId}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Borra payloads mas viejos que RETENTION_DAYS (en lotes, sin esperar).
+ * @private
+ */
+function _pruneIfDue() {
+  if (Date.now() - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = Date.now();
+
+  prune().catch((err) => log('warn', `Error limpiando payloads: ${err.message}`));
+}
+
+/**
+ * Borra un lote de payloads vencidos.
+ * @returns {Promise<number>} Payloads borrados
+ */
+async function prune() {
+  const cutoff = time.toDbDate(new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  const rows = await api.query(
+    `SELECT id FROM log_scrape_payload WHERE creado_en < '${cutoff}' ORDER BY id ASC LIMIT ${PRUNE_BATCH}`
+  );
+
+  let deleted = 0;
+  for (const row of rows || []) {
+    try {
+      await api.remove('log_scrape_payload', row.id);
+      deleted++;
+    } catch {
+      // Se reintenta en la siguiente limpieza
+    }
+  }
+
+  if (deleted > 0) log('info', `${deleted} payloads de mas de ${RETENTION_DAYS} dias eliminados`);
+  return deleted;
+}
+
+// ---------------------------------------------------------------------------
+// Lectura y comparacion
+// ---------------------------------------------------------------------------
+
+/**
+ * Payload archivado de un log_scrape.
+ * @param {number} logId
+ * @param {object} [client] - Cliente API (rutas: createClient(token))
+ * @returns {Promise<object|null>} Metadatos + text (JSON formateado si aplica)
+ */
+async function load(logId, client = api) {
+  const rows = await client.query(
+    `SELECT * FROM log_scrape_payload WHERE log_scrape_id = ${parseInt(logId)} LIMIT 1`
+  );
+  return rows && rows.length > 0 ? _decode(rows[0]) : null;
+}
+
+/**
+ * Payload de un log y su comparacion contra el ultimo payload exitoso
+ * (estado success con dispositivos) anterior del mismo proveedor.
+ *
+ * @param {number} logId
+ * @param {object} [client] - Cliente API (rutas: createClient(token))
+ * @returns {Promise<{current: object|null, previous: object|null, changes: object|null}>}
+ */
+async function compareWithPrevious(logId, client = api) {
+  const current = await load(logId, client);
+  if (!current) return { current: null, previous: null, changes: null };
+
+  const rows = await client.query(
+    `SELECT p.*
+     FROM log_scrape_payload p
+     INNER JOIN log_scrape ls ON ls.id = p.log_scrape_id
+     WHERE p.provider_id = ${parseInt(current.provider_id)}
+       AND p.log_scrape_id < ${parseInt(logId)}
+       AND ls.estado = 'success'
+       AND ls.dispositivos_encontrados > 0
+     ORDER BY p.log_scrape_id DESC
+     LIMIT 1`
+  );
+  const previous = rows && rows.length > 0 ? _decode(rows[0]) : null;
+  if (!previous) return { current, previous: null, changes: null };
+
+  return { current, previous, changes: diff(previous, current) };
+}
+
+/**
+ * Compara dos payloads decodificados.
+ * @param {object} previous - Resultado de load()
+ * @param {object} current - Resultado de load()
+ * @returns {{identical: boolean, shape: object|null, lines: object}}
+ */
+function diff(previous, current) {
+  if (previous.hash_sha1 && previous.hash_sha1 === current.hash_sha1) {
+    return { identical: true, shape: null, lines: { hunks: [], added: 0, removed: 0, truncated: false } };
+  }
+
+  return {
+    identical: false,
+    shape: previous.json !== undefined && current.json !== undefined
+      ? _shapeDiff(previous.json, current.json)
+      : null,
+    lines: _lineDiff(previous.text.split('\n'), current.text.split('\n')),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Raw del adaptador a texto.
+ * @private
+ */
+function _serialize(raw) {
+  if (Buffer.isBuffer(raw)) return { text: raw.toString('utf8'), format: 'text' };
+  if (typeof raw === 'string') return { text: raw, format: _parseJson(raw) === undefined ? 'text' : 'json' };
+  return { text: JSON.stringify(raw), format: 'json' };
+}
+
+/**
+ * Renglon de log_scrape_payload a objeto legible (sin el blob).
+ * JSON se devuelve formateado con llaves ordenadas y los strings que
+ * contienen JSON (ej. MiCODUS {d: "..."}) expandidos, para que el diff
+ * compare estructura y no el orden de las llaves.
+ * @private
+ */
+function _decode(row) {
+  const raw = zlib.gunzipSync(Buffer.from(row.payload_gz, 'base64')).toString('utf8');
+  const { payload_gz, ...meta } = row;
+  const json = row.formato === 'json' ? _parseJson(raw) : undefined;
+  const normalized = json === undefined ? undefined : _normalizeJson(json, 4);
+
+  return {
+    ...meta,
+    json: normalized,
+    text: normalized === undefined ? raw : JSON.stringify(normalized, null, 2),
+  };
+}
+
+/**
+ * @private
+ */
+function _parseJson(text) {
+  const trimmed = String(text).trim();
+  if (!/^[[{]/.test(trimmed)) return undefined;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Ordena llaves y expande strings con JSON embebido.
+ * @private
+ */
+function _normalizeJson(value, depth) {
+  if (typeof value === 'string' && depth > 0) {
+    const nested = _parseJson(value);
+    return nested === undefined ? value : _normalizeJson(nested, depth - 1);
+  }
+  if (Array.isArray(value)) return value.map(v => _normalizeJson(v, depth));
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) sorted[key] = _normalizeJson(value[key], depth);
+    return sorted;
+  }
+  return value;
+}
+
+/**
+ * Rutas de la estructura JSON con su tipo ("data[].lat": "number").
+ * Los arreglos se colapsan en [] (se revisan sus primeros 50 elementos).
+ * @private
+ */
+function _shape(value, path = '$', out = new Map()) {
+  if (out.size > 5000) return out;
+
+  const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+  if (!out.has(path)) out.set(path, new Set());
+  out.get(path).add(type);
+
+  if (type === 'array') {
+    for (const item of value.slice(0, 50)) _shape(item, `${path}[]`, out);
+  } else if (type === 'object') {
+    for (const key of Object.keys(value)) _shape(value[key], `${path}.${key}`, out);
+  }
+  return out;
+}
+
+/**
+ * Llaves nuevas, faltantes y con otro tipo entre dos JSON.
+ * @private
+ */
+function _shapeDiff(before, after) {
+  const a = _shape(before);
+  const b = _shape(after);
+  const typeText = (types) => [...types].sort().join('|');
+
+  const added = [...b.keys()].filter(p => !a.has(p));
+  const removed = [...a.keys()].filter(p => !b.has(p));
+  const changed = [...a.keys()]
+    .filter(p => b.has(p) && typeText(a.get(p)) !== typeText(b.get(p)))
+    .map(p => ({ path: p, before: typeText(a.get(p)), after: typeText(b.get(p)) }));
+
+  return {
+    added: added.slice(0, MAX_SHAPE_PATHS),
+    removed: removed.slice(0, MAX_SHAPE_PATHS),
+    changed: changed.slice(0, MAX_SHAPE_PATHS),
+  };
+}
+
+/**
+ * Diff por lineas (LCS) con contexto, en hunks estilo unified diff.
+ * Recorta prefijo/sufijo comunes antes del LCS para payloads grandes.
+ * @private
+ */
+function _lineDiff(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endA = before.length;
+  let endB = after.length;
+  while (endA > start && endB > start && before[endA - 1] === after[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const a = before.slice(start, Math.min(endA, start + MAX_DIFF_LINES));
+  const b = after.slice(start, Math.min(endB, start + MAX_DIFF_LINES));
+  const truncated = endA - start > MAX_DIFF_LINES || endB - start > MAX_DIFF_LINES;
+
+  // Tabla LCS (de atras hacia adelante)
+  const cols = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] = a[i] === b[j]
+        ? lcs[(i + 1) * cols + j + 1] + 1
+        : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  // Operaciones: ' ' igual, '-' quitada, '+' agregada (con numero de linea)
+  const ops = [];
+  for (let k = Math.max(0, start - DIFF_CONTEXT); k < start; k++) {
+    ops.push({ op: ' ', text: before[k], a: k + 1, b: k + 1 });
+  }
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ op: ' ', text: a[i], a: start + i + 1, b: start + j + 1 });
+      i++;
+      j++;
+    } else if (i < a.length && (j >= b.length || lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1])) {
+      ops.push({ op: '-', text: a[i], a: start + i + 1 });
+      i++;
+    } else {
+      ops.push({ op: '+', text: b[j], b: start + j + 1 });
+      j++;
+    }
+  }
+  for (let k = 0; k < DIFF_CONTEXT && endA + k < before.length; k++) {
+    ops.push({ op: ' ', text: before[endA + k], a: endA + k + 1, b: endB + k + 1 });
+  }
+
+  // Agrupar en hunks con DIFF_CONTEXT lineas de contexto
+  const keep = new Uint8Array(ops.length);
+  ops.forEach((entry, index) => {
+    if (entry.op === ' ') return;
+    const to = Math.min(ops.length - 1, index + DIFF_CONTEXT);
+    for (let k = Math.max(0, index - DIFF_CONTEXT); k <= to; k++) keep[k] = 1;
+  });
+
+  const hunks = [];
+  let current = null;
+  let emitted = 0;
+
+  ops.forEach((entry, index) => {
+    if (!keep[index]) {
+      current = null;
+      return;
+    }
+    if (emitted >= MAX_DIFF_OUTPUT) return;
+    if (!current) {
+      current = { lines: [] };
+      hunks.push(current);
+    }
+    current.lines.push(entry);
+    emitted++;
+  });
+
+  return {
+    hunks,
+    added: ops.filter(o => o.op === '+').length,
+    removed: ops.filter(o => o.op === '-').length,
+    truncated: truncated || emitted >= MAX_DIFF_OUTPUT,
+  };
+}
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  save,
+  prune,
+  load,
+  compareWithPrevious,
+  diff,
+  RETENTION_DAYS,
+};
@@ -0,0 +1,442 @@
+/**
+ * Push Ingest - Posiciones enviadas por el dispositivo (OsmAnd / Traccar Client)
+ *
+ * Responsabilidades:
+ *  - Autenticar cada envio con el token del dispositivo
+ *    (conf_dispositivos.token_push de un proveedor con modo_extraccion 'push')
+ *  - Convertir el protocolo OsmAnd (?id=&lat=&lon=&timestamp=&speed=&bearing=)
+ *    y el lote JSON (arreglo, { positions: [...] } o el formato JSON de
+ *    Traccar Client con location.coords) al formato estandar de coordenadas
+ *  - Entregar las coordenadas al coordinator (ingestPush), que aplica el
+ *    mismo filtro de calidad, dedup, mapeo a viaje y guardado que el scraper
+ *  - Autenticar por IMEI y registrar alarmas para el listener GT06 (gt06-server)
+ *  - Generar tokens y administrar los dispositivos push desde /providers
+ *
+ * El token viaja en ?token=, en Authorization: Bearer o X-Push-Token. Para
+ * apps que solo dejan configurar el identificador (Traccar Client), el
+ * token puede usarse como id del dispositivo.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { internalClient: api } = require('../api/client');
+const coordinator = require('./coordinator');
+const coordDetector = require('./coord-detector');
+const time = require('../utils/time');
+
+const LOG_PREFIX = '[PushIngest]';
+
+/** fuente de op_coordinates para todo lo recibido por push */
+const SOURCE = 'push';
+
+/** Posiciones maximas por lote JSON */
+const MAX_BATCH = 500;
+
+/** Tokens: 40 caracteres hex (crypto.randomBytes(20)) */
+const TOKEN_RE = /^[a-f0-9]{40}$/i;
+
+/** Cache token → dispositivo (evita una consulta por posicion) */
+const AUTH_CACHE_TTL_MS = 60 * 1000;
+const authCache = new Map();
+
+/** Nudos → km/h (OsmAnd) y m/s → km/h (JSON de Traccar Client) */
+const KNOTS_TO_KMH = 1.852;
+const MPS_TO_KMH = 3.6;
+
+/** Ultima posicion recibida por dispositivo: conf_dispositivos.id → Date (en memoria) */
+const lastSeen = new Map();
+
+// ---------------------------------------------------------------------------
+// Autenticacion
+// ---------------------------------------------------------------------------
+
+/**
+ * Token del request: ?token=, Authorization: Bearer, X-Push-Token o el id
+ * del dispositivo cuando tiene forma de token.
+ * @param {object} req - Request de Express
+ * @returns {string|null}
+ */
+function tokenFromRequest(req) {
+  const params = { ...(req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {}), ...req.query };
+  const auth = String(req.get('authorization') || '');
+  const candidates = [
+    params.token,
+    auth.toLowerCase().startsWith('bearer ') ? auth.slice(7) : null,
+    req.get('x-push-token'),
+    params.id,
+    params.device_id,
+  ];
+  const token = candidates.find(c => typeof c === 'string' && TOKEN_RE.test(c.trim()));
+  return token ? token.trim().toLowerCase() : null;
+}
+
+/**
+ * Dispositivo y proveedor del token.
+ * @param {string|null} token
+ * @returns {Promise<{device: object, provider: object}>}
+ * @throws {Error} 401 si el token no es valido o el dispositivo esta inactivo
+ */
+async function authenticate(token) {
+  if (!token) throw _pushError(401, 'Falta el token del dispositivo');
+
+  return _authenticateWhere(token, `d.token_push = '${token}'`, 'Token invalido o dispositivo inactivo');
+}
+
+/**
+ * Dispositivo y proveedor por identificador, para protocolos donde el equipo
+ * se presenta con su IMEI en lugar de un token (GT06, ver gt06-server.js).
+ * @param {string} identificador - Solo digitos
+ * @returns {Promise<{device: object, provider: object}>}
+ * @throws {Error} 401 si no esta registrado en un proveedor push o esta inactivo
+ */
+async function authenticateIdentifier(identificador) {
+  const id = String(identificador || '').trim();
+  if (!/^\d{6,20}$/.test(id)) throw _pushError(401, 'Identificador invalido');
+
+  return _authenticateWhere(`id:${id}`, `d.identificador = '${id}'`, `Dispositivo ${id} no registrado o inactivo`);
+}
+
+/**
+ * Consulta (con cache) el dispositivo activo de un proveedor push activo.
+ * @private
+ */
+async function _authenticateWhere(cacheKey, where, notFound) {
+  const cached = authCache.get(cacheKey);
+  if (cached && Date.now() - cached.at < AUTH_CACHE_TTL_MS) return cached.value;
+
+  const rows = await api.query(
+    `SELECT d.id AS device_id, d.identificador, d.nombre AS device_nombre, d.provider_id,
+            p.nombre AS provider_nombre, p.zona_horaria
+     FROM conf_dispositivos d
+     INNER JOIN conf_providers p ON p.id = d.provider_id
+     WHERE ${where}
+       AND d.activo = 1
+       AND p.activo = 1
+       AND p.modo_extraccion = 'push'
+     LIMIT 1`
+  );
+  if (!rows || rows.length === 0) {
+    authCache.delete(cacheKey);
+    throw _pushError(401, notFound);
+  }
+
+  const row = rows[0];
+  const value = {
+    device: { id: row.device_id, identificador: String(row.identificador).trim(), nombre: row.device_nombre },
+    provider: { id: parseInt(row.provider_id), nombre: row.provider_nombre, zona_horaria: row.zona_horaria },
+  };
+  authCache.set(cacheKey, { at: Date.now(), value });
+  return value;
+}
+
+/**
+ * Saca del cache de autenticacion las entradas de un dispositivo o de un
+ * proveedor (sin filtro: todas). Se llama en cada alta, cambio o baja de
+ * dispositivos y proveedores para que un equipo desactivado o borrado deje
+ * de entrar desde el siguiente envio, sin esperar AUTH_CACHE_TTL_MS.
+ * @param {{deviceId?: number, providerId?: number}} [filter]
+ */
+function invalidateAuth(filter = {}) {
+  const deviceId = parseInt(filter.deviceId) || null;
+  const providerId = parseInt(filter.providerId) || null;
+
+  for (const [key, entry] of authCache) {
+    const { device, provider } = entry.value;
+    const matches = (!deviceId && !providerId)
+      || (deviceId && Number(device.id) === deviceId)
+      || (providerId && provider.id === providerId);
+    if (matches) authCache.delete(key);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Protocolos
+// ---------------------------------------------------------------------------
+
+/**
+ * Una posicion OsmAnd (query string o form).
+ * lat/lon obligatorios; timestamp en epoch (s o ms) o ISO; speed en nudos.
+ * @param {object} params
+ * @returns {object} Coordenada estandar (sin deviceId)
+ * @throws {Error} 400 si no trae una posicion valida
+ */
+function parseOsmAnd(params) {
+  const lat = parseFloat(params.lat !== undefined ? params.lat : params.latitude);
+  const lng = parseFloat(params.lon !== undefined ? params.lon : params.lng !== undefined ? params.lng : params.longitude);
+  if (!coordDetector.isValidPair(lat, lng)) {
+    throw _pushError(400, 'lat/lon invalidos');
+  }
+
+  const coord = { lat, lng, source: SOURCE, timestamp: params.timestamp || null };
+  if (_isNumber(params.speed)) coord.speed = _round(parseFloat(params.speed) * KNOTS_TO_KMH);
+  if (_isNumber(params.bearing)) coord.heading = parseFloat(params.bearing);
+  else if (_isNumber(params.heading)) coord.heading = parseFloat(params.heading);
+  if (_isNumber(params.batt)) coord.battery = parseFloat(params.batt);
+  if (_isNumber(params.altitude)) coord.altitude = parseFloat(params.altitude);
+  if (_isNumber(params.accuracy)) coord.accuracy = parseFloat(params.accuracy);
+  return coord;
+}
+
+/**
+ * Lote JSON: arreglo, { positions: [...] } o un objeto. Cada posicion puede
+ * venir plana (campos OsmAnd) o en el formato de Traccar Client
+ * ({ device_id, location: { timestamp, coords: { latitude, longitude, speed (m/s), heading }, battery: { level } } }).
+ * @param {any} body
+ * @returns {{coords: Array<object>, errors: number, ids: Array<string>}}
+ * @throws {Error} 400 si el lote esta vacio o excede MAX_BATCH
+ */
+function parseBatch(body) {
+  const items = Array.isArray(body) ? body
+    : body && Array.isArray(body.positions) ? body.positions
+    : body && typeof body === 'object' ? [body]
+    : [];
+
+  if (items.length === 0) throw _pushError(400, 'Lote sin posiciones');
+  if (items.length > MAX_BATCH) throw _pushError(400, `Lote de ${items.length} posiciones (maximo ${MAX_BATCH})`);
+
+  const coords = [];
+  const ids = [];
+  let errors = 0;
+
+  for (const item of items) {
+    try {
+      const coord = item && item.location && item.location.coords
+        ? _parseTraccarJson(item.location)
+        : parseOsmAnd(item || {});
+      coords.push(coord);
+      const id = item.device_id || item.id;
+      if (id !== undefined && id !== null) ids.push(String(id));
+    } catch {
+      errors++;
+    }
+  }
+
+  return { coords, errors, ids };
+}
+
+/**
+ * @private
+ */
+function _parseTraccarJson(location) {
+  const c = location.coords;
+  const lat = parseFloat(c.latitude);
+  const lng = parseFloat(c.longitude);
+  if (!coordDetector.isValidPair(lat, lng)) throw _pushError(400, 'lat/lon invalidos');
+
+  const coord = { lat, lng, source: SOURCE, timestamp: location.timestamp || null };
+  if (_isNumber(c.speed) && parseFloat(c.speed) >= 0) coord.speed = _round(parseFloat(c.speed) * MPS_TO_KMH);
+  if (_isNumber(c.heading) && parseFloat(c.heading) >= 0) coord.heading = parseFloat(c.heading);
+  if (_isNumber(c.altitude)) coord.altitude = parseFloat(c.altitude);
+  if (_isNumber(c.accuracy)) coord.accuracy = parseFloat(c.accuracy);
+  if (location.battery && _isNumber(location.battery.level)) {
+    const level = parseFloat(location.battery.level);
+    coord.battery = level <= 1 ? _round(level * 100) : level;
+  }
+  return coord;
+}
+
+// ---------------------------------------------------------------------------
+// Ingesta
+// ---------------------------------------------------------------------------
+
+/**
+ * Guarda posiciones de un dispositivo autenticado.
+ * El id que mande la app (si no es el token) debe coincidir con el
+ * identificador del dispositivo: un token no puede escribir por otro.
+ *
+ * @param {{device: object, provider: object}} auth - Resultado de authenticate()
+ * @param {Array<object>} coords - Coordenadas de parseOsmAnd/parseBatch
+ * @param {Array<string>} [ids] - Ids de dispositivo que mando la app
+ * @returns {Promise<{received: number, saved: number, pending: number}>} pending = a la bandeja (sin viaje)
+ */
+async function ingest(auth, coords, ids = []) {
+  const { device, provider } = auth;
+
+  const foreign = ids.find(id => !TOKEN_RE.test(id) && String(id).trim() !== device.identificador);
+  if (foreign) {
+    throw _pushError(403, `El token no corresponde al dispositivo "${foreign}"`);
+  }
+
+  // Con Z: sin ella el coordinator la leeria en la zona del proveedor
+  const now = new Date().toISOString();
+  for (const coord of coords) {
+    coord.deviceId = device.identificador;
+    coord.deviceName = device.nombre || undefined;
+    if (!coord.timestamp) coord.timestamp = now;
+  }
+
+  const processed = await coordinator.ingestPush(provider, coords);
+  lastSeen.set(device.id, new Date());
+  return { received: coords.length, saved: processed.saved, pending: processed.unmatched };
+}
+
+/**
+ * Registra una alarma del dispositivo (SOS, corte de energia...) como evento
+ * del viaje al que esta asignado.
+ *
+ * @param {{device: object, provider: object}} auth
+ * @param {object} coord - Posicion de la alarma ({} si el equipo no tenia GPS)
+ * @param {string} tipo - eventos_unidad.tipo_evento
+ * @param {string} descripcion
+ * @returns {Promise<number|null>} Id del viaje o null si no tiene viaje
+ */
+async function ingestAlarm(auth, coord, tipo, descripcion) {
+  const { device, provider } = auth;
+  lastSeen.set(device.id, new Date());
+  return coordinator.ingestAlarm(provider, { ...coord, deviceId: device.identificador, deviceName: device.nombre || undefined }, tipo, descripcion);
+}
+
+// ---------------------------------------------------------------------------
+// Administracion de dispositivos push
+// ---------------------------------------------------------------------------
+
+/**
+ * @returns {string} Token nuevo (40 hex)
+ */
+function generateToken() {
+  return crypto.randomBytes(20).toString('hex');
+}
+
+/**
+ * Dispositivos de proveedores push con su token y ultima posicion recibida
+ * (desde el ultimo reinicio del proceso).
+ * @returns {Promise<Array<object>>}
+ */
+async function listDevices() {
+  const rows = await api.query(
+    `SELECT d.id, d.provider_id, d.identificador, d.nombre, d.placas, d.id_unidad_viaje,
+            d.token_push, d.activo, p.nombre AS provider_nombre
+     FROM conf_dispositivos d
+     INNER JOIN conf_providers p ON p.id = d.provider_id
+     WHERE p.modo_extraccion = 'push'
+     ORDER BY p.nombre ASC, d.identificador ASC`
+  );
+  return (rows || []).map(r => ({
+    ...r,
+    ultimo_push: lastSeen.has(r.id) ? time.toDbDate(lastSeen.get(r.id)) : null,
+  }));
+}
+
+/**
+ * Alta (o reemision de token) de un dispositivo en un proveedor push.
+ * @param {object} data - { provider_id, identificador, nombre?, placas?, id_unidad_viaje? }
+ * @returns {Promise<{success: boolean, token?: string, error?: string}>}
+ */
+async function createDevice(data) {
+  const providerId = parseInt(data.provider_id);
+  const identificador = String(data.identificador || '').trim();
+  if (!providerId || !identificador) {
+    return { success: false, error: 'Proveedor e identificador son requeridos' };
+  }
+  if (identificador.length > 100) {
+    return { success: false, error: 'Identificador demasiado largo (maximo 100)' };
+  }
+
+  const providers = await api.query(
+    `SELECT id FROM conf_providers WHERE id = ${providerId} AND modo_extraccion = 'push' LIMIT 1`
+  );
+  if (!providers || providers.length === 0) {
+    return { success: false, error: 'El proveedor no es de tipo push' };
+  }
+
+  const token = generateToken();
+  const fields = {
+    nombre: data.nombre ? String(data.nombre).trim() : null,
+    placas: data.placas ? String(data.placas).trim() : null,
+    id_unidad_viaje: parseInt(data.id_unidad_viaje) || null,
+    token_push: token,
+    activo: 1,
+  };
+
+  const existing = await api.query(
+    `SELECT id FROM conf_dispositivos
+     WHERE provider_id = ${providerId} AND identificador = '${identificador.replace(/'/g, "''")}'
+     LIMIT 1`
+  );
+  if (existing && existing.length > 0) {
+    await api.update('conf_dispositivos', existing[0].id, fields);
+    invalidateAuth({ deviceId: existing[0].id });
+  } else {
+    await api.insert('conf_dispositivos', { provider_id: providerId, identificador, ...fields });
+  }
+
+  log('info', `Dispositivo push ${identificador} (proveedor ${providerId}) con token nuevo`);
+  return { success: true, token };
+}
+
+/**
+ * Emite un token nuevo (el anterior deja de funcionar) o lo revoca.
+ * @param {number} deviceId - conf_dispositivos.id
+ * @param {boolean} [revoke=false]
+ * @returns {Promise<{success: boolean, token?: string|null, error?: string}>}
+ */
+async function rotateToken(deviceId, revoke = false) {
+  const rows = await api.query(
+    `SELECT id FROM conf_dispositivos WHERE id = ${parseInt(deviceId)} LIMIT 1`
+  );
+  if (!rows || rows.length === 0) return { success: false, error: 'Dispositivo no encontrado' };
+
+  const token = revoke ? null : generateToken();
+  await api.update('conf_dispositivos', rows[0].id, { token_push: token });
+  invalidateAuth({ deviceId: rows[0].id });
+
+  return { success: true, token };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Error con el status HTTP que debe responder la ruta.
+ * @private
+ */
+function _pushError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * @private
+ */
+function _isNumber(value) {
+  return value !== undefined && value !== null && value !== '' && !isNaN(parseFloat(value));
+}
+
+/**
+ * @private
+ */
+function _round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  tokenFromRequest,
+  authenticate,
+  authenticateIdentifier,
+  invalidateAuth,
+  parseOsmAnd,
+  parseBatch,
+  ingest,
+  ingestAlarm,
+  generateToken,
+  listDevices,
+  createDevice,
+  rotateToken,
+  SOURCE,
+};
@@ -0,0 +1,134 @@
+/**
+ * Request Trace - Linea de tiempo de las llamadas HTTP de un fetch
+ *
+ * Responsabilidades:
+ *  - Registrar cada request que hacen los adaptadores via axios (metodo,
+ *    URL, status, duracion, tamano y un preview de la respuesta)
+ *  - Aislar el registro por llamada con AsyncLocalStorage: dos pruebas o un
+ *    ciclo del scraper en paralelo no mezclan sus requests
+ *
+ * Los adaptadores no cambian: los interceptores se instalan una sola vez
+ * sobre la instancia global de axios y solo registran cuando hay una
+ * captura activa (ver capture()). Lo usa el banco de pruebas de
+ * proveedores (POST /providers/api/test-url).
+ */
+
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+const { truncate } = require('./http-helpers');
+
+/** Caracteres del preview de cada respuesta */
+const BODY_PREVIEW_CHARS = 300;
+
+const storage = new AsyncLocalStorage();
+
+/** Interceptores instalados (una sola vez por proceso) */
+let installed = false;
+
+// ---------------------------------------------------------------------------
+// Captura
+// ---------------------------------------------------------------------------
+
+/**
+ * Ejecuta fn registrando las llamadas HTTP que haga (y las de sus promesas).
+ *
+ * @param {Function} fn - Funcion async a ejecutar
+ * @returns {Promise<{result: any, timeline: Array<object>, durationMs: number}>}
+ */
+async function capture(fn) {
+  _install();
+
+  const trace = { startedAt: Date.now(), entries: [] };
+  const result = await storage.run(trace, fn);
+
+  return {
+    result,
+    timeline: trace.entries.sort((a, b) => a.offsetMs - b.offsetMs),
+    durationMs: Date.now() - trace.startedAt,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Interceptores
+// ---------------------------------------------------------------------------
+
+/**
+ * @private
+ */
+function _install() {
+  if (installed) return;
+  installed = true;
+
+  axios.interceptors.request.use((config) => {
+    if (storage.getStore()) config.traceStartedAt = Date.now();
+    return config;
+  });
+
+  axios.interceptors.response.use(
+    (response) => {
+      _record(response.config, response, null);
+      return response;
+    },
+    (err) => {
+      _record(err.config, err.response, err);
+      return Promise.reject(err);
+    }
+  );
+}
+
+/**
+ * @private
+ */
+function _record(config, response, err) {
+  const trace = storage.getStore();
+  if (!trace || !config || !config.traceStartedAt) return;
+
+  const body = response ? _bodyText(response.data) : '';
+  trace.entries.push({
+    method: String(config.method || 'get').toUpperCase(),
+    url: truncate(_fullUrl(config), 300),
+    status: response ? response.status : null,
+    offsetMs: config.traceStartedAt - trace.startedAt,
+    durationMs: Date.now() - config.traceStartedAt,
+    bytes: body.length,
+    contentType: response && response.headers ? response.headers['content-type'] || null : null,
+    preview: body.substring(0, BODY_PREVIEW_CHARS),
+    error: err ? err.message : null,
+  });
+}
+
+/**
+ * URL con los params de axios (config.params) incluidos.
+ * @private
+ */
+function _fullUrl(config) {
+  const url = config.url || '';
+  if (!config.params || typeof config.params !== 'object') return url;
+  const query = new URLSearchParams(config.params).toString();
+  if (!query) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+}
+
+/**
+ * @private
+ */
+function _bodyText(data) {
+  if (data === null || data === undefined) return '';
+  if (typeof data === 'string') return data;
+  if (Buffer.isBuffer(data)) return data.toString('utf8');
+  try {
+    return JSON.stringify(data);
+  } catch {
+    return String(data);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  capture,
+};
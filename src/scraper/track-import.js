@@ -0,0 +1,497 @@
+/**
+ * Track Import - Importacion de tracks historicos (GPX / KML / CSV) a un viaje
+ *
+ * Responsabilidades:
+ *  - Parsear el archivo que manda el transportista cuando el link del
+ *    proveedor estuvo caido: GPX (trkpt / rtept / wpt), KML (gx:Track,
+ *    Placemark con Point y TimeStamp) o CSV exportado de Excel (columnas
+ *    latitud/longitud/fecha, separador , ; o tab)
+ *  - Normalizar fecha_gps a UTC (las fechas sin zona se leen en la zona
+ *    elegida al importar)
+ *  - Marcar los puntos que se traslapan con op_coordinates del viaje
+ *    (un fix existente a menos de OVERLAP_SECONDS)
+ *  - Insertar en bloque con fuente = 'import'
+ *
+ * Los puntos importados son historia: no mueven la ultima posicion del viaje
+ * y la deteccion de paros (stop-detector), el contexto de llamadas IA y el
+ * cache de ultimo fix los excluyen por fuente, para que no disparen llamadas
+ * retroactivas.
+ */
+
+'use strict';
+
+const coordDetector = require('./coord-detector');
+const time = require('../utils/time');
+
+const LOG_PREFIX = '[TrackImport]';
+
+/** fuente de op_coordinates para los puntos importados */
+const SOURCE = 'import';
+
+/** Puntos maximos por archivo */
+const MAX_POINTS = 20000;
+
+/** Un fix existente a menos de estos segundos cuenta como traslape */
+const OVERLAP_SECONDS = 60;
+
+/** Filas por insertMany */
+const INSERT_CHUNK = 500;
+
+/** m/s → km/h (GPX) */
+const MPS_TO_KMH = 3.6;
+
+/** Nombres de columna reconocidos en CSV (sin acentos, minusculas) */
+const CSV_COLUMNS = {
+  lat: ['lat', 'latitud', 'latitude', 'y'],
+  lng: ['lng', 'lon', 'long', 'longitud', 'longitude', 'x'],
+  timestamp: ['fecha_gps', 'fecha_hora', 'fechahora', 'timestamp', 'datetime', 'fecha', 'date', 'time', 'gps_time', 'hora_gps'],
+  time: ['hora', 'hour'],
+  speed: ['velocidad', 'speed', 'vel', 'velocidad_kmh', 'speed_kmh', 'kmh'],
+  heading: ['rumbo', 'heading', 'course', 'curso', 'bearing', 'direccion'],
+};
+
+// ---------------------------------------------------------------------------
+// Parseo
+// ---------------------------------------------------------------------------
+
+/**
+ * Parsea un archivo de track. El formato sale de la extension o, si no
+ * es clara, del contenido.
+ *
+ * @param {string} content - Texto del archivo
+ * @param {string} [filename]
+ * @param {string} [zone] - Zona para fechas sin offset (CSV); IANA u offset
+ * @returns {{format: string, points: Array<object>, invalid: number, noTime: number, duplicates: number}}
+ * @throws {Error} 400 si el formato no se reconoce, no trae puntos o excede MAX_POINTS
+ */
+function parse(content, filename = '', zone = null) {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const format = detectFormat(text, filename);
+
+  let raw;
+  if (format === 'gpx') raw = _parseGpx(text);
+  else if (format === 'kml') raw = _parseKml(text);
+  else if (format === 'csv') raw = _parseCsv(text);
+  else throw _importError(400, format === 'xlsx'
+    ? 'Archivo de Excel (.xlsx/.xls): guardalo como CSV y vuelve a importarlo'
+    : 'Formato no reconocido: usa GPX, KML o CSV');
+
+  if (raw.length > MAX_POINTS) {
+    throw _importError(400, `El archivo trae ${raw.length} puntos (maximo ${MAX_POINTS})`);
+  }
+
+  const result = { format, points: [], invalid: 0, noTime: 0, duplicates: 0 };
+  const seen = new Set();
+
+  for (const item of raw) {
+    const lat = _toNumber(item.lat);
+    const lng = _toNumber(item.lng);
+    if (lat === null || lng === null || !coordDetector.isValidPair(lat, lng) || (lat === 0 && lng === 0)) {
+      result.invalid++;
+      continue;
+    }
+
+    // Sin fecha no se puede ubicar en el historial ni revisar traslapes
+    const fechaGps = _normalizeTime(item.timestamp, zone);
+    if (!fechaGps) {
+      result.noTime++;
+      continue;
+    }
+
+    const key = `${fechaGps}|${lat.toFixed(6)}|${lng.toFixed(6)}`;
+    if (seen.has(key)) {
+      result.duplicates++;
+      continue;
+    }
+    seen.add(key);
+
+    const speed = _toNumber(item.speed);
+    const heading = _toNumber(item.heading);
+    result.points.push({
+      lat: _round(lat, 6),
+      lng: _round(lng, 6),
+      fecha_gps: fechaGps,
+      velocidad: speed !== null && speed >= 0 ? _round(speed, 2) : null,
+      rumbo: heading !== null && heading >= 0 && heading <= 360 ? _round(heading, 1) : null,
+    });
+  }
+
+  if (result.points.length === 0) {
+    throw _importError(400, `Ningun punto valido en el archivo (${result.invalid} sin coordenadas validas, ${result.noTime} sin fecha)`);
+  }
+
+  result.points.sort((a, b) => a.fecha_gps.localeCompare(b.fecha_gps));
+  return result;
+}
+
+/**
+ * @param {string} text
+ * @param {string} [filename]
+ * @returns {'gpx'|'kml'|'csv'|'xlsx'|null}
+ */
+function detectFormat(text, filename = '') {
+  const ext = String(filename).toLowerCase().split('.').pop();
+  if (['gpx', 'kml', 'csv'].includes(ext)) return ext;
+  if (ext === 'xlsx' || ext === 'xls') return 'xlsx';
+  if (ext === 'txt' || ext === 'tsv') return 'csv';
+
+  const head = text.slice(0, 2000);
+  if (/<gpx[\s>]/i.test(head)) return 'gpx';
+  if (/<kml[\s>]/i.test(head)) return 'kml';
+  if (head.startsWith('PK')) return 'xlsx';
+  if (/^[^\n]*[,;\t][^\n]*\n/.test(head)) return 'csv';
+  return null;
+}
+
+/**
+ * GPX: trkpt, rtept y wpt con <time>; <speed> (m/s) y <course> en el punto
+ * o en sus extensions.
+ * @private
+ */
+function _parseGpx(text) {
+  const points = [];
+  const re = /<(trkpt|rtept|wpt)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/gi;
+  let match;
+
+  while ((match = re.exec(text)) !== null) {
+    const attrs = match[2];
+    const body = match[3] || '';
+    const speed = _tagValue(body, 'speed');
+    points.push({
+      lat: _attrValue(attrs, 'lat'),
+      lng: _attrValue(attrs, 'lon'),
+      timestamp: _tagValue(body, 'time'),
+      speed: speed !== null && _toNumber(speed) !== null ? _toNumber(speed) * MPS_TO_KMH : null,
+      heading: _tagValue(body, 'course'),
+    });
+  }
+  return points;
+}
+
+/**
+ * KML: gx:Track (when + gx:coord en paralelo) y Placemark con Point y
+ * TimeStamp/when. Un LineString no trae fechas: sus puntos cuentan como sin fecha.
+ * @private
+ */
+function _parseKml(text) {
+  const points = [];
+
+  const trackRe = /<gx:Track\b[^>]*>([\s\S]*?)<\/gx:Track>/gi;
+  let track;
+  while ((track = trackRe.exec(text)) !== null) {
+    const whens = _allTagValues(track[1], 'when');
+    const coords = _allTagValues(track[1], 'gx:coord');
+    coords.forEach((coord, i) => {
+      const [lng, lat] = coord.trim().split(/\s+/);
+      points.push({ lat, lng, timestamp: whens[i] || null });
+    });
+  }
+
+  const placemarkRe = /<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/gi;
+  let placemark;
+  while ((placemark = placemarkRe.exec(text)) !== null) {
+    const body = placemark[1];
+    if (/<gx:Track\b/i.test(body)) continue;
+
+    const when = _tagValue(body, 'when');
+    const point = body.match(/<Point\b[^>]*>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/i);
+    if (point) {
+      const [lng, lat] = point[1].trim().split(',');
+      points.push({ lat, lng, timestamp: when });
+      continue;
+    }
+
+    const line = body.match(/<LineString\b[^>]*>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/i);
+    if (line) {
+      for (const tuple of line[1].trim().split(/\s+/)) {
+        const [lng, lat] = tuple.split(',');
+        points.push({ lat, lng, timestamp: null });
+      }
+    }
+  }
+
+  return points;
+}
+
+/**
+ * CSV con encabezado. El separador se detecta en la primera linea; con ';'
+ * los decimales pueden venir con coma (Excel en espanol). Fecha y hora en
+ * columnas separadas se combinan.
+ * @private
+ */
+function _parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== '');
+  if (lines.length < 2) return [];
+
+  const header = lines[0];
+  const delimiter = [';', '\t', ','].reduce((best, d) =>
+    _splitCsvLine(header, d).length > _splitCsvLine(header, best).length ? d : best, ',');
+  const decimalComma = delimiter !== ',';
+
+  const names = _splitCsvLine(header, delimiter).map(_normalizeHeader);
+  const column = (key) => names.findIndex(n => CSV_COLUMNS[key].includes(n));
+  const cols = {
+    lat: column('lat'),
+    lng: column('lng'),
+    timestamp: column('timestamp'),
+    time: column('time'),
+    speed: column('speed'),
+    heading: column('heading'),
+  };
+
+  if (cols.lat < 0 || cols.lng < 0) {
+    throw _importError(400, `CSV sin columnas de latitud/longitud (encabezados: ${names.join(', ')})`);
+  }
+
+  const value = (fields, index) => {
+    if (index < 0 || fields[index] === undefined) return null;
+    const v = fields[index].trim();
+    return v === '' ? null : v;
+  };
+  const number = (v) => (v !== null && decimalComma ? v.replace(',', '.') : v);
+
+  return lines.slice(1).map(line => {
+    const fields = _splitCsvLine(line, delimiter);
+    let timestamp = value(fields, cols.timestamp);
+    const hour = value(fields, cols.time);
+    if (timestamp && hour && !/\d{1,2}:\d{2}/.test(timestamp)) timestamp = `${timestamp} ${hour}`;
+
+    return {
+      lat: number(value(fields, cols.lat)),
+      lng: number(value(fields, cols.lng)),
+      timestamp,
+      speed: number(value(fields, cols.speed)),
+      heading: number(value(fields, cols.heading)),
+    };
+  });
+}
+
+/**
+ * Divide una linea CSV respetando comillas dobles ("a;b" y "" escapadas).
+ * @private
+ */
+function _splitCsvLine(line, delimiter) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  fields.push(current);
+  return fields;
+}
+
+/**
+ * @private
+ */
+function _normalizeHeader(name) {
+  return String(name).trim().toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/\(.*?\)/g, '')
+    .trim()
+    .replace(/[\s.-]+/g, '_');
+}
+
+/**
+ * Fecha del archivo a UTC "YYYY-MM-DD HH:mm:ss". Ademas de los formatos de
+ * time.parseGpsTimestamp (incluido dia/mes/anio) acepta fechas seriales de
+ * Excel.
+ * @private
+ */
+function _normalizeTime(value, zone) {
+  if (value === null || value === undefined || value === '') return null;
+  let text = String(value).trim();
+
+  // Serial de Excel (dias desde 1899-12-30, hora de pared)
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    const wall = new Date(Math.round((parseFloat(text) - 25569) * 86400000));
+    text = wall.toISOString().slice(0, 19).replace('T', ' ');
+  }
+
+  return time.normalizeGpsTimestamp(text, zone);
+}
+
+// ---------------------------------------------------------------------------
+// Traslapes y guardado
+// ---------------------------------------------------------------------------
+
+/**
+ * Marca cada punto con overlap = true si el viaje ya tiene un fix a menos
+ * de OVERLAP_SECONDS (de cualquier fuente, incluida una importacion previa).
+ *
+ * @param {object} client - Cliente API (createClient de la sesion)
+ * @param {number} tripId
+ * @param {Array<object>} points - Puntos de parse(), ordenados por fecha_gps
+ * @returns {Promise<{overlaps: number, existing: number}>} existing = fixes del viaje en el rango del archivo
+ */
+async function markOverlaps(client, tripId, points) {
+  if (points.length === 0) return { overlaps: 0, existing: 0 };
+
+  const from = time.toDbDate(new Date(time.parseDbDate(points[0].fecha_gps).getTime() - OVERLAP_SECONDS * 1000));
+  const to = time.toDbDate(new Date(time.parseDbDate(points[points.length - 1].fecha_gps).getTime() + OVERLAP_SECONDS * 1000));
+
+  const rows = await client.query(
+    `SELECT fecha_gps FROM op_coordinates
+     WHERE id_unidad_viaje = ${parseInt(tripId)}
+       AND fecha_gps BETWEEN '${from}' AND '${to}'
+     ORDER BY fecha_gps ASC`
+  );
+  const existing = (rows || [])
+    .map(r => time.parseDbDate(r.fecha_gps))
+    .filter(Boolean)
+    .map(d => d.getTime());
+
+  let overlaps = 0;
+  let j = 0;
+  for (const point of points) {
+    const t = time.parseDbDate(point.fecha_gps).getTime();
+    while (j < existing.length && existing[j] < t - OVERLAP_SECONDS * 1000) j++;
+    point.overlap = j < existing.length && existing[j] <= t + OVERLAP_SECONDS * 1000;
+    if (point.overlap) overlaps++;
+  }
+
+  return { overlaps, existing: existing.length };
+}
+
+/**
+ * Inserta los puntos en op_coordinates con fuente 'import'. fecha_extraccion
+ * = fecha_gps para que la ruta y los grids (ordenados por extraccion) los
+ * pongan en su lugar del historial. No toca la ultima posicion del viaje.
+ *
+ * @param {object} client - Cliente API
+ * @param {object} trip - { id, provider_id }
+ * @param {Array<object>} points
+ * @param {object} [options]
+ * @param {boolean} [options.skipOverlaps=true] - No insertar los puntos con overlap
+ * @param {string} [options.device] - Valor para op_coordinates.dispositivo
+ * @returns {Promise<{inserted: number, skipped: number, failed: number}>}
+ */
+async function save(client, trip, points, options = {}) {
+  const skipOverlaps = options.skipOverlaps !== false;
+  const selected = skipOverlaps ? points.filter(p => !p.overlap) : points;
+  const result = { inserted: 0, skipped: points.length - selected.length, failed: 0 };
+
+  const records = selected.map(p => ({
+    id_unidad_viaje: trip.id,
+    provider_id: trip.provider_id || null,
+    dispositivo: options.device ? String(options.device).slice(0, 100) : null,
+    latitud: p.lat,
+    longitud: p.lng,
+    velocidad: p.velocidad,
+    rumbo: p.rumbo,
+    fecha_gps: p.fecha_gps,
+    fecha_extraccion: p.fecha_gps,
+    fuente: SOURCE,
+  }));
+
+  for (let i = 0; i < records.length; i += INSERT_CHUNK) {
+    const results = await client.insertMany('op_coordinates', records.slice(i, i + INSERT_CHUNK));
+    const ok = results.filter(r => r && r.success).length;
+    result.inserted += ok;
+    result.failed += results.length - ok;
+  }
+
+  log('info', `Viaje ${trip.id}: ${result.inserted} puntos importados, ${result.skipped} traslapados omitidos, ${result.failed} con error`);
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * @private
+ */
+function _attrValue(attrs, name) {
+  const m = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+  return m ? m[1] : null;
+}
+
+/**
+ * Primer valor de <tag> (con o sin prefijo de namespace).
+ * @private
+ */
+function _tagValue(body, tag) {
+  const values = _allTagValues(body, tag);
+  return values.length > 0 ? values[0] : null;
+}
+
+/**
+ * @private
+ */
+function _allTagValues(body, tag) {
+  const name = tag.includes(':') ? tag : `(?:\\w+:)?${tag}`;
+  const re = new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)<\\/${name}>`, 'gi');
+  const values = [];
+  let m;
+  while ((m = re.exec(body)) !== null) values.push(m[1].trim());
+  return values;
+}
+
+/**
+ * @private
+ */
+function _toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = parseFloat(value);
+  return isNaN(n) ? null : n;
+}
+
+/**
+ * @private
+ */
+function _round(value, decimals) {
+  const f = Math.pow(10, decimals);
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Error con el status HTTP que debe responder la ruta.
+ * @private
+ */
+function _importError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Log con prefijo.
+ * @private
+ */
+function log(level, ...args) {
+  const fn = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fn(LOG_PREFIX, ...args);
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  parse,
+  detectFormat,
+  markOverlaps,
+  save,
+  SOURCE,
+  MAX_POINTS,
+  OVERLAP_SECONDS,
+};
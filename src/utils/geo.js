@@ -0,0 +1,39 @@
+/**
+ * Geo - Distancias entre puntos GPS
+ *
+ * Compartido por src/scraper y src/ai para que ninguna capa dependa de la
+ * otra solo por la distancia.
+ */
+
+'use strict';
+
+/** Radio medio de la Tierra en metros */
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Calcula la distancia en metros entre dos puntos GPS (Haversine).
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number} Distancia en metros
+ */
+function haversineDistance(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_METERS * c;
+}
+
+module.exports = {
+  haversineDistance,
+  EARTH_RADIUS_METERS,
+};
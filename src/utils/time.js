@@ -0,0 +1,264 @@
+/**
+ * Time - Normalizacion de fechas GPS y zonas horarias
+ *
+ * Responsabilidades:
+ *  - Parsear los formatos de fecha que sirven las plataformas GPS:
+ *    epoch (segundos o ms), ASP.NET "/Date(1700000000000-0600)/",
+ *    ISO 8601 con o sin offset, "YYYY-MM-DD HH:mm:ss" y "DD/MM/YYYY HH:mm:ss"
+ *    (dia primero) en hora local
+ *  - Interpretar las fechas sin zona en la zona del proveedor
+ *    (conf_providers.zona_horaria, default GPS_DEFAULT_TIMEZONE)
+ *  - Convertir todo a la zona canonica de la BD (UTC, "YYYY-MM-DD HH:mm:ss"),
+ *    la misma que ya usan los toISOString().slice(0, 19) del proyecto
+ *  - Rangos de "hoy" y formato para mostrar en la zona del usuario
+ *
+ * Las zonas son nombres IANA (America/Mexico_City) u offsets fijos (+05:00).
+ * Usa Intl (ICU de Node), sin dependencias externas.
+ */
+
+'use strict';
+
+/** Zona de negocio: "hoy" y fechas en vistas si el navegador no manda la suya */
+const APP_TIMEZONE = process.env.APP_TIMEZONE || 'America/Mexico_City';
+
+/** Zona de las fechas sin offset que sirve una plataforma GPS (si el proveedor no define otra) */
+const DEFAULT_SOURCE_TIMEZONE = process.env.GPS_DEFAULT_TIMEZONE || APP_TIMEZONE;
+
+const OFFSET_RE = /^(?:UTC|GMT)?\s*([+-])(\d{1,2}):?(\d{2})?$/i;
+const ASPNET_RE = /^\\?\/Date\((-?\d+)(?:[+-]\d{4})?\)\\?\/$/;
+const DATETIME_RE = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[\sT](\d{1,2}):(\d{2})(?::(\d{2}))?(?:[.,]\d+)?)?\s*(Z|UTC|GMT|[+-]\d{2}:?\d{2})?$/i;
+const DMY_DATETIME_RE = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})(?:[\sT](\d{1,2}):(\d{2})(?::(\d{2}))?(?:[.,]\d+)?)?\s*(Z|UTC|GMT|[+-]\d{2}:?\d{2})?$/i;
+
+/** Zona explicita al final del texto ("... GMT", "...+0600") */
+const ZONE_SUFFIX_RE = /(?:\s(?:UTC|GMT)|Z|[+-]\d{2}:?\d{2})$/i;
+
+/** Epoch minimo aceptado (2001-09-09) para no confundir numeros chicos con fechas */
+const MIN_EPOCH_SECONDS = 1e9;
+
+/** Cache de Intl.DateTimeFormat por zona */
+const formatters = new Map();
+
+// ---------------------------------------------------------------------------
+// Zonas
+// ---------------------------------------------------------------------------
+
+/**
+ * Indica si la zona es un nombre IANA valido o un offset fijo.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  if (OFFSET_RE.test(timeZone.trim())) return true;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone.trim() });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Offset (ms) de la zona respecto a UTC en un instante dado.
+ * @private
+ */
+function _offsetMs(timeZone, utcMs) {
+  const fixed = String(timeZone).trim().match(OFFSET_RE);
+  if (fixed) {
+    const minutes = parseInt(fixed[2], 10) * 60 + parseInt(fixed[3] || '0', 10);
+    return (fixed[1] === '-' ? -1 : 1) * minutes * 60000;
+  }
+
+  const parts = _wallClock(timeZone, utcMs);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Fecha/hora "de pared" de un instante en una zona IANA.
+ * @private
+ */
+function _wallClock(timeZone, utcMs) {
+  const fixed = String(timeZone).trim().match(OFFSET_RE);
+  if (fixed) {
+    const d = new Date(utcMs + _offsetMs(timeZone, utcMs));
+    return {
+      year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(),
+      hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: d.getUTCSeconds(),
+    };
+  }
+
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+
+  const parts = {};
+  for (const part of formatters.get(timeZone).formatToParts(new Date(utcMs))) {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+  }
+  return parts;
+}
+
+/**
+ * Convierte una fecha/hora de pared en una zona al instante UTC (ms).
+ * Dos pasadas para resolver bien los cambios de horario.
+ * @private
+ */
+function _zonedToUtc(year, month, day, hour, minute, second, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstPass = guess - _offsetMs(timeZone, guess);
+  return guess - _offsetMs(timeZone, firstPass);
+}
+
+// ---------------------------------------------------------------------------
+// Parseo de fechas GPS
+// ---------------------------------------------------------------------------
+
+/**
+ * Parsea una fecha servida por una plataforma GPS.
+ *
+ * Las fechas sin zona solo se aceptan en los formatos conocidos y se leen
+ * en la zona del proveedor; nunca pasan por Date.parse (dependeria de la
+ * zona del servidor y leeria "03/04/2026" como 4 de marzo).
+ *
+ * @param {string|number|Date} value - Epoch (s o ms), "/Date(ms)/", ISO,
+ *   "YYYY-MM-DD HH:mm:ss" o "DD/MM/YYYY HH:mm:ss"
+ * @param {string} [sourceTimezone] - Zona para fechas sin offset
+ * @returns {Date|null} null si no se reconoce
+ */
+function parseGpsTimestamp(value, sourceTimezone) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  const zone = isValidTimezone(sourceTimezone) ? sourceTimezone.trim() : DEFAULT_SOURCE_TIMEZONE;
+  const text = String(value).trim();
+
+  // Epoch en segundos o milisegundos
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const num = parseFloat(text);
+    if (num < MIN_EPOCH_SECONDS) return null;
+    return new Date(num < MIN_EPOCH_SECONDS * 1000 ? num * 1000 : num);
+  }
+
+  // ASP.NET: /Date(1700000000000-0600)/ (los ms ya son UTC, el offset es informativo)
+  const aspnet = text.match(ASPNET_RE);
+  if (aspnet) return new Date(parseInt(aspnet[1], 10));
+
+  // ISO / "YYYY-MM-DD HH:mm:ss" o "DD/MM/YYYY HH:mm:ss", con o sin zona
+  const dt = text.match(DATETIME_RE);
+  const dmy = dt ? null : text.match(DMY_DATETIME_RE);
+  if (dt || dmy) {
+    const [, a, mo, b, h = '0', mi = '0', s = '0', suffix] = dt || dmy;
+    const nums = [dt ? a : b, mo, dt ? b : a, h, mi, s].map(n => parseInt(n, 10));
+    if (!_validWallClock(...nums)) return null;
+    let zoneForValue = zone;
+    if (suffix) zoneForValue = /^(Z|UTC|GMT)$/i.test(suffix) ? '+00:00' : suffix;
+    const ms = _zonedToUtc(...nums, zoneForValue);
+    return isNaN(ms) ? null : new Date(ms);
+  }
+
+  // Otros formatos solo con zona explicita ("Tue, 01 Apr 2026 10:00:00 GMT")
+  if (!ZONE_SUFFIX_RE.test(text)) return null;
+  const parsed = Date.parse(text);
+  return isNaN(parsed) ? null : new Date(parsed);
+}
+
+/**
+ * Componentes de fecha/hora existentes: sin 30 de febrero ni 24:00 que
+ * Date.UTC recorreria al dia siguiente.
+ * @private
+ */
+function _validWallClock(year, month, day, hour, minute, second) {
+  if (month < 1 || month > 12 || day < 1) return false;
+  if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return false;
+  return hour <= 23 && minute <= 59 && second <= 59;
+}
+
+/**
+ * Fecha GPS en formato canonico de la BD (UTC "YYYY-MM-DD HH:mm:ss").
+ * @param {string|number|Date} value
+ * @param {string} [sourceTimezone]
+ * @returns {string|null}
+ */
+function normalizeGpsTimestamp(value, sourceTimezone) {
+  const date = parseGpsTimestamp(value, sourceTimezone);
+  return date ? toDbDate(date) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Zona canonica (BD) y zona del usuario
+// ---------------------------------------------------------------------------
+
+/**
+ * Fecha en formato canonico de la BD (UTC "YYYY-MM-DD HH:mm:ss").
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function toDbDate(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Lee una fecha de la BD (UTC sin zona) como Date.
+ * @param {string|Date} value
+ * @returns {Date|null}
+ */
+function parseDbDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  const text = String(value).trim().replace(' ', 'T');
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return new Date(text);
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  const date = new Date(hasZone ? text : `${text}Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Rango [inicio, fin) del dia actual en la zona indicada, en formato de BD.
+ * Reemplaza CURDATE()/DATE(col) = hoy, que usan la zona del servidor MySQL.
+ * @param {string} [timeZone]
+ * @param {Date} [ref]
+ * @returns {{start: string, end: string}}
+ */
+function dayRange(timeZone = APP_TIMEZONE, ref = new Date()) {
+  const zone = isValidTimezone(timeZone) ? timeZone : APP_TIMEZONE;
+  const today = _wallClock(zone, ref.getTime());
+  const start = _zonedToUtc(today.year, today.month, today.day, 0, 0, 0, zone);
+  const next = new Date(Date.UTC(today.year, today.month - 1, today.day + 1));
+  const end = _zonedToUtc(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, 0, 0, zone);
+  return { start: toDbDate(new Date(start)), end: toDbDate(new Date(end)) };
+}
+
+/**
+ * Formatea una fecha de la BD en la zona del usuario (es-MX).
+ * @param {string|Date} value
+ * @param {string} [timeZone]
+ * @param {object} [options] - Opciones de toLocaleString
+ * @returns {string}
+ */
+function formatDate(value, timeZone = APP_TIMEZONE, options = {}) {
+  const date = parseDbDate(value);
+  if (!date) return '';
+  const zone = isValidTimezone(timeZone) && !OFFSET_RE.test(timeZone) ? timeZone : APP_TIMEZONE;
+  return date.toLocaleString('es-MX', { ...options, timeZone: zone });
+}
+
+// ---------------------------------------------------------------------------
+// Exportaciones
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  APP_TIMEZONE,
+  DEFAULT_SOURCE_TIMEZONE,
+  isValidTimezone,
+  parseGpsTimestamp,
+  normalizeGpsTimestamp,
+  toDbDate,
+  parseDbDate,
+  dayRange,
+  formatDate,
+};